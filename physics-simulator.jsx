@@ -0,0 +1,51 @@
+import React, { useEffect, useRef } from 'react';
+import { mount } from './src/embed/index.js';
+
+// One embeddable simulation as a React component, for pages that host a
+// scenario rather than the whole problem-solving app. Props are the options of
+// `mount` (src/embed/options.js): scenario, problem, params, controls,
+// playback, problemPanel, provider, width, height, theme, autoplay, loop,
+// speed and the onTimeUpdate, onEvent and onParamsChange callbacks.
+//
+//   <PhysicsSimulator scenario={scenario} controls={['angle', 'velocity']} theme="dark"
+//     onEvent={(event) => console.log(event.label, event.time)} />
+//
+// `npm run build` bundles it into dist/physics-simulator.js, which uses the
+// host page's React.
+//
+// The simulator is rebuilt when the scenario or how it is shown changes;
+// new `params` are applied to the running one, and the callbacks may change
+// freely without rebuilding it.
+const PhysicsSimulator = ({ onTimeUpdate, onEvent, onParamsChange, params, ...options }) => {
+  const hostRef = useRef(null);
+  const simRef = useRef(null);
+  const callbacksRef = useRef({});
+  callbacksRef.current = { onTimeUpdate, onEvent, onParamsChange };
+
+  // Options compared by value, so a scenario or list of controls written
+  // inline does not rebuild the simulator on every render
+  const shown = JSON.stringify(options);
+
+  useEffect(() => {
+    const sim = mount(hostRef.current, {
+      ...options,
+      params,
+      onTimeUpdate: (...args) => callbacksRef.current.onTimeUpdate?.(...args),
+      onEvent: (...args) => callbacksRef.current.onEvent?.(...args),
+      onParamsChange: (...args) => callbacksRef.current.onParamsChange?.(...args)
+    });
+    simRef.current = sim;
+    return () => {
+      sim.destroy();
+      simRef.current = null;
+    };
+  }, [shown, options.provider]);
+
+  useEffect(() => {
+    if (params) simRef.current?.setParams(params);
+  }, [JSON.stringify(params)]);
+
+  return <div ref={hostRef} />;
+};
+
+export default PhysicsSimulator;
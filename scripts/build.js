@@ -0,0 +1,32 @@
+#!/usr/bin/env node
+// Bundles the browser pages and the embeddable simulator into dist/, so
+// nothing is loaded from a CDN.
+//
+//   node scripts/build.js
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { build } from 'esbuild';
+
+const REPO_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+const BUILDS = [
+  // The problem-solving app that demo.html shows
+  { entryPoints: ['src/ui/demo.jsx'], outfile: 'dist/demo.js', format: 'iife' },
+  // The embeddable simulator for a plain <script> tag, as window.KineVision
+  { entryPoints: ['src/embed/index.js'], outfile: 'dist/kinevision-embed.js', format: 'iife', globalName: 'KineVision' },
+  // The same as one ES module, and the React component around it, which
+  // uses the host page's React
+  { entryPoints: ['src/embed/index.js'], outfile: 'dist/embed.js', format: 'esm' },
+  { entryPoints: ['physics-simulator.jsx'], outfile: 'dist/physics-simulator.js', format: 'esm', external: ['react'] }
+];
+
+await Promise.all(BUILDS.map((options) => build({
+  absWorkingDir: REPO_ROOT,
+  bundle: true,
+  minify: true,
+  sourcemap: true,
+  target: 'es2020',
+  define: { 'process.env.NODE_ENV': '"production"' },
+  logLevel: 'warning',
+  ...options
+})));
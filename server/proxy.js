@@ -0,0 +1,192 @@
+#!/usr/bin/env node
+// Local development server. Serves the repository over HTTP and proxies
+// POST /api/messages to the Anthropic Messages API, adding the API key and
+// version headers so the key never reaches the browser.
+//
+//   ANTHROPIC_API_KEY=... node server/proxy.js [--port 8787] [--mock]
+//
+// With --mock (or KINEVISION_MOCK=1) replies come from the canned mock
+// provider and no key or network is needed.
+import http from 'node:http';
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { DEFAULT_MODEL, createMockProvider } from '../src/ai/providers.js';
+
+export const ANTHROPIC_URL = 'https://api.anthropic.com/v1/messages';
+export const ANTHROPIC_VERSION = '2023-06-01';
+
+const MAX_BODY_BYTES = 1024 * 1024;
+// An upstream request still unanswered after this long is abandoned
+export const UPSTREAM_TIMEOUT_MS = 120000;
+const REPO_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+const contentTypes = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.jsx': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png'
+};
+
+// Browsers on other local ports (e.g. a bundler dev server) may call the proxy
+const isLocalOrigin = (origin) => /^https?:\/\/(localhost|127\.0\.0\.1)(:\d+)?$/.test(origin || '');
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify(body));
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Reads the whole request body. One that grows too large is answered with a
+// 400 straight away, and the connection is dropped once that has been sent.
+const readBody = (req, res) => new Promise((resolve, reject) => {
+  let size = 0;
+  const chunks = [];
+  req.on('data', (chunk) => {
+    if (size > MAX_BODY_BYTES) return;
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      const error = new Error('Request body too large');
+      res.setHeader('Connection', 'close');
+      res.on('finish', () => req.destroy());
+      sendJson(res, 400, { error: { message: error.message } });
+      reject(error);
+    } else {
+      chunks.push(chunk);
+    }
+  });
+  req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+  req.on('error', reject);
+});
+
+export const createProxyServer = ({
+  apiKey,
+  model = DEFAULT_MODEL,
+  mock = false,
+  upstream = ANTHROPIC_URL,
+  upstreamTimeoutMs = UPSTREAM_TIMEOUT_MS,
+  root = REPO_ROOT,
+  fetchImpl = (...args) => fetch(...args)
+} = {}) => {
+  const mockProvider = createMockProvider();
+
+  const handleMessages = async (req, res) => {
+    let body;
+    try {
+      body = JSON.parse(await readBody(req, res));
+      if (!isPlainObject(body)) throw new Error('expected a JSON object');
+      if (body.messages !== undefined && !Array.isArray(body.messages)) throw new Error('"messages" must be a list');
+    } catch (error) {
+      if (res.headersSent) return;
+      return sendJson(res, 400, { error: { message: `Invalid request body: ${error.message}` } });
+    }
+
+    if (mock) {
+      const text = await mockProvider.complete(body.messages || []);
+      return sendJson(res, 200, {
+        id: 'msg_mock',
+        type: 'message',
+        role: 'assistant',
+        model: 'mock',
+        content: [{ type: 'text', text }]
+      });
+    }
+
+    if (!apiKey) {
+      return sendJson(res, 500, { error: { message: 'ANTHROPIC_API_KEY is not set on the proxy' } });
+    }
+
+    try {
+      const upstreamResponse = await fetchImpl(upstream, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'x-api-key': apiKey,
+          'anthropic-version': ANTHROPIC_VERSION
+        },
+        body: JSON.stringify({ ...body, model: body.model || model }),
+        signal: AbortSignal.timeout(upstreamTimeoutMs)
+      });
+      res.writeHead(upstreamResponse.status, { 'Content-Type': 'application/json; charset=utf-8' });
+      res.end(await upstreamResponse.text());
+    } catch (error) {
+      if (error.name === 'TimeoutError') {
+        return sendJson(res, 504, { error: { message: `Upstream request timed out after ${upstreamTimeoutMs} ms` } });
+      }
+      sendJson(res, 502, { error: { message: `Upstream request failed: ${error.message}` } });
+    }
+  };
+
+  const serveStatic = async (req, res) => {
+    let filePath;
+    try {
+      const { pathname } = new URL(req.url, 'http://localhost');
+      filePath = path.resolve(root, `.${decodeURIComponent(pathname === '/' ? '/demo.html' : pathname)}`);
+    } catch {
+      res.writeHead(400);
+      return res.end();
+    }
+    if (!filePath.startsWith(root + path.sep)) {
+      res.writeHead(403);
+      return res.end();
+    }
+    try {
+      const file = await readFile(filePath);
+      res.writeHead(200, { 'Content-Type': contentTypes[path.extname(filePath)] || 'application/octet-stream' });
+      res.end(file);
+    } catch {
+      res.writeHead(404);
+      res.end();
+    }
+  };
+
+  // Anything a handler did not see coming still gets an answer, rather than
+  // leaving the request hanging on an unhandled rejection
+  const safely = (handler) => (req, res) => handler(req, res).catch((error) => {
+    if (res.headersSent) return res.destroy();
+    sendJson(res, 500, { error: { message: error.message } });
+  });
+  const messages = safely(handleMessages);
+  const files = safely(serveStatic);
+
+  return http.createServer((req, res) => {
+    const { origin } = req.headers;
+    if (isLocalOrigin(origin)) {
+      res.setHeader('Access-Control-Allow-Origin', origin);
+      res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+      res.setHeader('Vary', 'Origin');
+    }
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      return res.end();
+    }
+    if (req.url.split('?')[0] === '/api/messages') {
+      if (req.method !== 'POST') return sendJson(res, 405, { error: { message: 'Use POST' } });
+      return messages(req, res);
+    }
+    if (req.method === 'GET') return files(req, res);
+    res.writeHead(405);
+    res.end();
+  });
+};
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const args = process.argv.slice(2);
+  const portFlag = args.indexOf('--port');
+  const port = Number(portFlag >= 0 ? args[portFlag + 1] : process.env.PORT) || 8787;
+  const mock = args.includes('--mock') || process.env.KINEVISION_MOCK === '1';
+
+  createProxyServer({
+    apiKey: process.env.ANTHROPIC_API_KEY,
+    model: process.env.KINEVISION_MODEL || DEFAULT_MODEL,
+    mock
+  }).listen(port, () => {
+    console.log(`KineVision dev server on http://localhost:${port}/ (${mock ? 'mock LLM' : 'Anthropic API'})`);
+  });
+}
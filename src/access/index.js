@@ -0,0 +1,7 @@
+// Accessibility: keyboard shortcuts, screen-reader narration, a table of the
+// trajectory and sonification. Colour palettes live with the renderers
+// (render/palettes.js).
+export { SHORTCUTS, nudgeControl, shortcutFor } from './keyboard.js';
+export { describeEvent, describeStart, describeState, eventsPassed } from './narration.js';
+export { TABLE_SPACING, trajectoryTable } from './table.js';
+export { HIGH_PITCH, LOW_PITCH, SONIFY_QUANTITIES, createSonifier, pitchFor, sonifyRange } from './sonify.js';
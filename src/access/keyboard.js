@@ -0,0 +1,41 @@
+import { clampControl } from '../physics/index.js';
+
+// Keyboard shortcuts for the simulation. Each one names an action for the UI
+// to carry out; `keys` are KeyboardEvent.key values and `label` is how the
+// shortcut list shows them.
+export const SHORTCUTS = [
+  { action: 'togglePlay', keys: [' ', 'k'], label: 'Space or K', description: 'Play or pause' },
+  { action: 'stepBack', keys: ['ArrowLeft', ','], label: '← or ,', description: 'Step back one frame' },
+  { action: 'stepForward', keys: ['ArrowRight', '.'], label: '→ or .', description: 'Step forward one frame' },
+  { action: 'restart', keys: ['Home', '0'], label: 'Home or 0', description: 'Back to the start' },
+  { action: 'previousControl', keys: ['['], label: '[', description: 'Select the previous parameter' },
+  { action: 'nextControl', keys: [']'], label: ']', description: 'Select the next parameter' },
+  { action: 'increase', keys: ['ArrowUp', '+', '='], label: '↑ or +', description: 'Raise the selected parameter (with Shift, ten steps)' },
+  { action: 'decrease', keys: ['ArrowDown', '-'], label: '↓ or −', description: 'Lower the selected parameter (with Shift, ten steps)' },
+  { action: 'announce', keys: ['n'], label: 'N', description: 'Read out the current values' },
+  { action: 'toggleSound', keys: ['m'], label: 'M', description: 'Turn the sonification on or off' },
+  { action: 'help', keys: ['?'], label: '?', description: 'Show or hide these shortcuts' }
+];
+
+// Fields that take typing or arrow keys themselves
+const TEXT_ENTRY = ['INPUT', 'TEXTAREA', 'SELECT'];
+
+// The shortcut a key press asks for, or null. Presses with Ctrl, Alt or Meta
+// held and presses in form fields are left to the browser, as are Space and
+// Enter on a focused button.
+export const shortcutFor = (event) => {
+  if (event.ctrlKey || event.altKey || event.metaKey) return null;
+  const target = event.target || {};
+  if (TEXT_ENTRY.includes(target.tagName) || target.isContentEditable) return null;
+  if (target.tagName === 'BUTTON' && (event.key === ' ' || event.key === 'Enter')) return null;
+  const key = event.key.length === 1 ? event.key.toLowerCase() : event.key;
+  const shortcut = SHORTCUTS.find(({ keys }) => keys.includes(key));
+  return shortcut ? shortcut.action : null;
+};
+
+// The value one step (`coarse`: ten steps) up (direction 1) or down (−1)
+// from `value`, held to the control's range and free of rounding noise
+export const nudgeControl = (control, value, direction, coarse = false) => {
+  const next = clampControl(control, value + direction * control.step * (coarse ? 10 : 1));
+  return next === null ? null : Number(next.toFixed(6));
+};
@@ -0,0 +1,34 @@
+import { objectStates, speedOf } from '../physics/index.js';
+import { withUnit } from '../solutions/index.js';
+
+// Sentences for a screen reader's live region: the start of a run, each
+// detected event as playback passes it, and the current values on request.
+
+// Motion along a line, where only x means anything
+const ALONG_A_LINE = ['linear'];
+
+const place = (problemType, { x, y }) => (ALONG_A_LINE.includes(problemType)
+  ? `at x = ${withUnit(x, 'm')}`
+  : `at x = ${withUnit(x, 'm')}, y = ${withUnit(y, 'm')}`);
+
+const motion = (object) => {
+  const speed = speedOf(object);
+  return speed < 1e-9 ? 'at rest' : `moving at ${withUnit(speed, 'm/s')}`;
+};
+
+const objectsAt = (problemType, params, state) => objectStates(params, state)
+  .map((object) => `${object.name} ${place(problemType, object)}, ${motion(object)}`)
+  .join('; ');
+
+export const describeStart = (problemType, params, state) => `Start. ${objectsAt(problemType, params, state)}.`;
+
+export const describeState = (problemType, params, state) => `At ${withUnit(state.time, 's')}: ${objectsAt(problemType, params, state)}.`;
+
+// "Ball: Apex at 1.02 s, y = 5.1 m, x = 0 m."
+export const describeEvent = (event) => {
+  const readings = event.readout.map(({ symbol, value, unit }) => `${symbol} = ${withUnit(value, unit)}`);
+  return `${event.object}: ${event.label} at ${withUnit(event.time, 's')}${readings.length ? `, ${readings.join(', ')}` : ''}.`;
+};
+
+// Events playback passed going from `from` to `to`; none when it jumped back
+export const eventsPassed = (events, from, to) => (to > from ? events.filter(({ time }) => time > from && time <= to) : []);
@@ -0,0 +1,58 @@
+import { speedOf } from '../physics/index.js';
+
+// Sonification: a tone whose pitch follows the first object's height or
+// speed as the run plays, from LOW_PITCH at the smallest value in the run to
+// HIGH_PITCH at the largest. Pitch goes up in equal musical steps, so equal
+// changes in the value sound equally far apart.
+
+export const SONIFY_QUANTITIES = [
+  { id: 'height', label: 'Height', value: (body) => body.y },
+  { id: 'speed', label: 'Speed', value: (body) => speedOf(body) }
+];
+
+export const LOW_PITCH = 220; // Hz
+export const HIGH_PITCH = 880;
+
+const quantityById = (id) => SONIFY_QUANTITIES.find((quantity) => quantity.id === id) || SONIFY_QUANTITIES[0];
+
+// Smallest and largest value of the quantity over the whole run
+export const sonifyRange = (run, quantityId) => {
+  const { value } = quantityById(quantityId);
+  const values = run.samples.map((sample) => value(sample.bodies[0]));
+  return { min: Math.min(...values), max: Math.max(...values) };
+};
+
+// Pitch in Hz for the quantity in `state`; the middle of the range when the
+// value never changes
+export const pitchFor = (state, quantityId, { min, max }) => {
+  const value = quantityById(quantityId).value(state.bodies[0]);
+  const fraction = max > min ? Math.min(1, Math.max(0, (value - min) / (max - min))) : 0.5;
+  return LOW_PITCH * (HIGH_PITCH / LOW_PITCH) ** fraction;
+};
+
+// Seconds a pitch or volume change takes, so the tone glides instead of clicking
+const GLIDE = 0.03;
+const VOLUME = 0.15;
+
+// A tone on a Web Audio context: `play(frequency)` starts it or glides it to a
+// new pitch, `stop()` fades it out and `close()` releases the context
+export const createSonifier = (audio) => {
+  const oscillator = audio.createOscillator();
+  const gain = audio.createGain();
+  oscillator.type = 'sine';
+  gain.gain.value = 0;
+  oscillator.connect(gain);
+  gain.connect(audio.destination);
+  oscillator.start();
+  return {
+    play: (frequency) => {
+      oscillator.frequency.setTargetAtTime(frequency, audio.currentTime, GLIDE);
+      gain.gain.setTargetAtTime(VOLUME, audio.currentTime, GLIDE);
+    },
+    stop: () => gain.gain.setTargetAtTime(0, audio.currentTime, GLIDE),
+    close: () => {
+      oscillator.stop();
+      return audio.close();
+    }
+  };
+};
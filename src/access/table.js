@@ -0,0 +1,31 @@
+import { objectStates, speedOf } from '../physics/index.js';
+
+// The trajectory as a table, an alternative to the canvas for screen readers:
+// a row about every `spacing` seconds and one at the end, with each object's
+// position and speed. Heights are left out when nothing ever leaves y = 0.
+
+export const TABLE_SPACING = 0.1;
+
+export const trajectoryTable = (problemType, params, run, { spacing = TABLE_SPACING } = {}) => {
+  const stride = Math.max(1, Math.round(spacing / run.dt));
+  const samples = run.samples.filter((_, i) => i % stride === 0 || i === run.samples.length - 1);
+  const names = objectStates(params, run.samples[0]).map(({ name }) => name);
+  const level = run.samples.every((sample) => sample.bodies.every(({ y }) => Math.abs(y) < 1e-9));
+  const columns = [
+    { key: 't', label: 't', unit: 's' },
+    ...names.flatMap((name, idx) => [
+      { key: `x${idx}`, label: `${name} x`, unit: 'm' },
+      ...(level ? [] : [{ key: `y${idx}`, label: `${name} y`, unit: 'm' }]),
+      { key: `v${idx}`, label: `${name} speed`, unit: 'm/s' }
+    ])
+  ];
+  const rows = samples.map((sample) => ({
+    t: sample.time,
+    ...Object.fromEntries(sample.bodies.flatMap((body, idx) => [
+      [`x${idx}`, body.x],
+      [`y${idx}`, body.y],
+      [`v${idx}`, speedOf(body)]
+    ]))
+  }));
+  return { columns, rows };
+};
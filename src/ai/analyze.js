@@ -0,0 +1,25 @@
+import { buildParseMessages } from './prompt.js';
+import { ScenarioValidationError, repairScenario } from './schema.js';
+
+// Pulls the JSON object out of a model reply
+export const extractJson = (content) => {
+  const jsonMatch = content.match(/\{[\s\S]*\}/);
+  if (!jsonMatch) throw new Error('Model reply did not contain a JSON object');
+  try {
+    return JSON.parse(jsonMatch[0]);
+  } catch (error) {
+    throw new Error(`Model reply is not valid JSON: ${error.message}`);
+  }
+};
+
+// Asks the provider to parse a problem statement into scenario JSON
+export const requestParse = async (provider, text) =>
+  extractJson(await provider.complete(buildParseMessages(text)));
+
+// Like requestParse, but validated and repaired. Resolves to { scenario, warnings }
+// and rejects with a ScenarioValidationError when the reply cannot be used.
+export const requestScenario = async (provider, text) => {
+  const { scenario, errors, warnings } = repairScenario(await requestParse(provider, text));
+  if (errors.length) throw new ScenarioValidationError(errors);
+  return { scenario, warnings };
+};
@@ -0,0 +1,78 @@
+import { extractJson } from './analyze.js';
+import { parseFollowUpOffline, parseProblemOffline } from './offlineParser.js';
+import { buildFollowUpMessages, buildParseMessages } from './prompt.js';
+import { ScenarioValidationError, repairScenario } from './schema.js';
+
+// A problem analysed over several messages. The first question is parsed into
+// a scenario like any problem; each follow-up ("what if it was thrown at
+// 60°?") is answered with a JSON merge patch against the scenario being shown,
+// so everything it does not mention stays as it was. A conversation is
+// { messages, scenario, warnings, turns } and is never changed in place: every
+// question returns a new one. `turns` lists { text, changes } per question:
+// the [{ path, value }] a follow-up set (a null value: removed), or null for
+// the question that started the conversation.
+
+export const createConversation = () => ({ messages: [], scenario: null, warnings: [], turns: [] });
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// RFC 7386: objects merge key by key, null removes a key, and anything else,
+// arrays included, replaces the value
+export const applyMergePatch = (target, patch) => {
+  if (!isPlainObject(patch)) return patch;
+  const result = isPlainObject(target) ? { ...target } : {};
+  Object.entries(patch).forEach(([key, value]) => {
+    if (value === null) delete result[key];
+    else result[key] = applyMergePatch(result[key], value);
+  });
+  return result;
+};
+
+export const patchChanges = (patch, prefix = '') => Object.entries(patch).flatMap(([key, value]) => {
+  const path = prefix ? `${prefix}.${key}` : key;
+  return isPlainObject(value) && Object.keys(value).length ? patchChanges(value, path) : [{ path, value }];
+});
+
+// "parameters.gravity = 1.62", for the transcript
+export const describeChange = ({ path, value }) => {
+  if (value === null) return `${path} removed`;
+  if (Array.isArray(value)) return `${path}: ${value.length} ${value.length === 1 ? 'entry' : 'entries'}`;
+  return `${path} = ${typeof value === 'object' ? JSON.stringify(value) : value}`;
+};
+
+const repaired = (data) => {
+  const { scenario, errors, warnings } = repairScenario(data);
+  if (errors.length) throw new ScenarioValidationError(errors);
+  return { scenario, warnings };
+};
+
+// Messages for the next question: a new problem until one has been analysed,
+// then a follow-up on the current scenario
+const messagesFor = (conversation, text) => (conversation.scenario
+  ? buildFollowUpMessages(conversation.messages, conversation.scenario, text)
+  : buildParseMessages(text));
+
+// Takes `reply` (a scenario, or a patch for a follow-up) as the answer to
+// `text`. Rejects with a ScenarioValidationError when the result cannot be
+// simulated, leaving the conversation as it was.
+export const answerConversation = (conversation, text, reply) => {
+  const data = extractJson(reply);
+  const patched = Boolean(conversation.scenario);
+  const { scenario, warnings } = repaired(patched ? applyMergePatch(conversation.scenario, data) : data);
+  return {
+    messages: [...messagesFor(conversation, text), { role: 'assistant', content: reply }],
+    scenario,
+    warnings,
+    turns: [...conversation.turns, { text, changes: patched ? patchChanges(data) : null }]
+  };
+};
+
+export const askConversation = async (provider, conversation, text) =>
+  answerConversation(conversation, text, await provider.complete(messagesFor(conversation, text)));
+
+// The rule-based parsers answering in place of the model
+export const askConversationOffline = (conversation, text) => answerConversation(
+  conversation,
+  text,
+  JSON.stringify(conversation.scenario ? parseFollowUpOffline(text, conversation.scenario) : parseProblemOffline(text))
+);
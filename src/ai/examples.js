@@ -0,0 +1,12 @@
+// Example problem templates offered in the UI. The offline parser is expected
+// to handle every one of them.
+export const exampleProblems = [
+  "A ball is thrown straight up with a speed of 10 m/s. Visualize the motion of the ball.",
+  "A car accelerates from rest at 2 m/s² for 5 seconds. Show the motion.",
+  "A block slides down a frictionless incline at 30 degrees with initial velocity 5 m/s.",
+  "Two objects collide: Object A (2 kg) moving at 3 m/s hits stationary Object B (1 kg).",
+  "Car A starts from rest and accelerates at 3 m/s² just as Car B passes it at a steady 12 m/s. Show both cars for 10 seconds.",
+  "A car accelerates from rest at 2 m/s² for 5 s, then coasts for 3 s, then brakes at 4 m/s² until it stops.",
+  "A stone is thrown horizontally at 15 m/s from the top of a 20 m cliff.",
+  "A boat heads straight across a 40 m wide river at 3 m/s while the current flows at 2 m/s.",
+];
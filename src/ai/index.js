@@ -0,0 +1,31 @@
+// Problem analysis: LLM providers and the prompt/response handling around them
+export { exampleProblems } from './examples.js';
+export { parseFollowUpOffline, parseProblemOffline } from './offlineParser.js';
+export { buildFollowUpMessages, buildParseMessages, followUpOf, problemTextOf } from './prompt.js';
+export {
+  DEFAULT_ENDPOINT,
+  DEFAULT_MODEL,
+  ProviderError,
+  createMockProvider,
+  createProvider,
+  createProxyProvider
+} from './providers.js';
+export { mockResponses } from './mockResponses.js';
+export { extractJson, requestParse, requestScenario } from './analyze.js';
+export {
+  answerConversation,
+  applyMergePatch,
+  askConversation,
+  askConversationOffline,
+  createConversation,
+  describeChange,
+  patchChanges
+} from './conversation.js';
+export {
+  PROBLEM_TYPES,
+  ScenarioValidationError,
+  repairScenario,
+  scenarioSchema,
+  validateScenario
+} from './schema.js';
+export { SI_UNITS, normalizeUnit, parseQuantity, toSI } from './units.js';
@@ -0,0 +1,133 @@
+// Canned model replies used by the mock provider, keyed by phrases in the
+// problem text. They cover the built-in example problems.
+
+export const mockResponses = [
+  {
+    match: /thrown (straight )?up/i,
+    response: {
+      problemType: 'projectile',
+      objects: [{ name: 'Ball', mass: 1, initialPosition: { x: 0, y: 0 } }],
+      parameters: {
+        initialVelocity: { magnitude: 10, direction: 'up', angle: 90 },
+        acceleration: { x: 0, y: -9.8 },
+        gravity: 9.8
+      },
+      units: { velocity: 'm/s', acceleration: 'm/s²', distance: 'm', mass: 'kg' },
+      adjustableParameters: ['velocity', 'gravity', 'angle'],
+      description: 'A ball thrown vertically upward rises, stops at its apex and falls back.'
+    }
+  },
+  {
+    match: /\bcliff\b/i,
+    response: {
+      problemType: 'projectile',
+      objects: [{ name: 'Stone', mass: 1, initialPosition: { x: 0, y: 20 } }],
+      parameters: {
+        initialVelocity: { magnitude: 15, direction: 'right', angle: 0 },
+        gravity: 9.8
+      },
+      terrain: [{ kind: 'step', at: 0, height: 20 }],
+      units: { velocity: 'm/s', acceleration: 'm/s²', distance: 'm', mass: 'kg' },
+      adjustableParameters: ['velocity', 'height', 'gravity'],
+      description: 'A stone thrown horizontally off a cliff falls to the ground below.'
+    }
+  },
+  {
+    match: /\briver\b/i,
+    response: {
+      problemType: 'projectile',
+      objects: [{ name: 'Boat', mass: 1, initialPosition: { x: 0, y: 0 } }],
+      parameters: {
+        initialVelocity: { magnitude: 3, direction: 'up', angle: 90 },
+        gravity: 0
+      },
+      frame: { name: 'River', velocity: { x: 2, y: 0 }, width: 40 },
+      units: { velocity: 'm/s', acceleration: 'm/s²', distance: 'm', mass: 'kg' },
+      adjustableParameters: ['velocity', 'angle'],
+      description: 'A boat steered straight across a river is carried downstream by the current.'
+    }
+  },
+  {
+    match: /\bthen\b[^.]*\b(coasts?|brakes?)\b/i,
+    response: {
+      problemType: 'linear',
+      objects: [{ name: 'Car', mass: 1000, initialPosition: { x: 0, y: 0 } }],
+      parameters: {
+        initialVelocity: { magnitude: 0, direction: 'right', angle: 0 },
+        gravity: 9.8,
+        phases: [
+          { label: 'Speed up', acceleration: { x: 2, y: 0 }, duration: 5 },
+          { label: 'Coast', acceleration: { x: 0, y: 0 }, duration: 3 },
+          { label: 'Brake', acceleration: { x: -4, y: 0 } }
+        ]
+      },
+      units: { velocity: 'm/s', acceleration: 'm/s²', distance: 'm', mass: 'kg' },
+      adjustableParameters: ['velocity', 'mass'],
+      description: 'A car speeds up from rest, coasts, then brakes to a stop.'
+    }
+  },
+  {
+    match: /car accelerates/i,
+    response: {
+      problemType: 'linear',
+      objects: [{ name: 'Car', mass: 1000, initialPosition: { x: 0, y: 0 } }],
+      parameters: {
+        initialVelocity: { magnitude: 0, direction: 'right', angle: 0 },
+        acceleration: { x: 2, y: 0 },
+        gravity: 9.8,
+        time: 5
+      },
+      units: { velocity: 'm/s', acceleration: 'm/s²', distance: 'm', mass: 'kg' },
+      adjustableParameters: ['velocity', 'acceleration', 'time'],
+      description: 'A car starts from rest and accelerates uniformly along a straight road.'
+    }
+  },
+  {
+    match: /incline/i,
+    response: {
+      problemType: 'incline',
+      objects: [{ name: 'Block', mass: 1, initialPosition: { x: 0, y: 0 } }],
+      parameters: {
+        initialVelocity: { magnitude: 5, direction: 'down', angle: 30 },
+        gravity: 9.8,
+        angle: 30,
+        friction: 0
+      },
+      units: { velocity: 'm/s', acceleration: 'm/s²', distance: 'm', mass: 'kg' },
+      adjustableParameters: ['angle', 'velocity', 'friction', 'gravity'],
+      description: 'A block slides down a frictionless 30° incline.'
+    }
+  },
+  {
+    match: /collide|hits/i,
+    response: {
+      problemType: 'collision',
+      objects: [
+        { name: 'Object A', mass: 2, initialPosition: { x: -5, y: 0 } },
+        { name: 'Object B', mass: 1, initialPosition: { x: 0, y: 0 } }
+      ],
+      parameters: {
+        initialVelocity: { magnitude: 3, direction: 'right', angle: 0 },
+        gravity: 9.8,
+        restitution: 1
+      },
+      units: { velocity: 'm/s', acceleration: 'm/s²', distance: 'm', mass: 'kg' },
+      adjustableParameters: ['massA', 'massB', 'velocity', 'restitution'],
+      description: 'A moving object strikes a stationary one head-on.'
+    }
+  },
+  {
+    match: /pendulum/i,
+    response: {
+      problemType: 'pendulum',
+      objects: [{ name: 'Bob', mass: 1, initialPosition: { x: 0, y: 0 } }],
+      parameters: { gravity: 9.8, angle: 30, length: 2 },
+      units: { velocity: 'm/s', acceleration: 'm/s²', distance: 'm', mass: 'kg' },
+      adjustableParameters: ['length', 'angle', 'gravity'],
+      description: 'A simple pendulum released from rest.'
+    }
+  }
+];
+
+// Reply for anything the canned set does not recognise
+export const defaultMockResponse = mockResponses[0].response;
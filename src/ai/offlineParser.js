@@ -0,0 +1,496 @@
+import { engines } from '../physics/engines/index.js';
+import { SI_UNITS, normalizeUnit, toSI } from './units.js';
+
+// Rule-based parser used when the AI backend is unreachable. Produces the same
+// scenario JSON as the model; values it cannot find are left out so that
+// repairScenario reports the defaults it fills in.
+
+// Checked in order; the first matching type wins
+const TYPE_KEYWORDS = [
+  ['pendulum', /\b(pendulums?|swings?|bob)\b/],
+  ['collision', /\b(collid\w*|collisions?|hits?|strikes?|crash\w*|stick together|bounces? off)\b/],
+  ['incline', /\b(inclin\w*|ramps?|slopes?)\b/],
+  ['projectile', /\b(thrown|throws?|launch\w*|kick\w*|fired|shot|projectiles?|toss\w*|dropped|drops|falls?|falling|cliff|tower|upward|vertically|horizontally|(?:rolls?|rolled|slides?|slid) off)\b/],
+  ['linear', /\b(accelerat\w*|decelerat\w*|brak\w*|speeds? up|slows? down|travels?|drives?|moves? at constant|catch\w*|chas\w*|overtak\w*|ahead of|springs?|push\w*|pull\w*|horizontal (?:surface|floor|table))\b/]
+];
+
+const OBJECT_NOUNS = 'object|ball|car|block|box|crate|cart|puck|particle|body|sphere|stone|rock|truck|train|bullet|bob|sled|skier|trolley|marble|mass|boat|swimmer|passenger';
+
+const NAMED_OBJECT = new RegExp(`\\b(${OBJECT_NOUNS})\\s+([A-Z]|[1-9])\\b`, 'gi');
+const PLAIN_OBJECT = new RegExp(`\\b(${OBJECT_NOUNS})s?\\b`, 'gi');
+
+// A number followed by something that may be a unit: "3 m/s", "30°", "2 m/s²"
+const QUANTITY = /(-?\d+(?:\.\d+)?)\s*(°|[a-zA-Z]+(?:\s*\/\s*[a-zA-Z]+){0,2}(?:\^?2|²)?)?/g;
+
+// Mass comes first so that a bare "g" reads as grams rather than g-forces
+const QUANTITIES = ['mass', 'acceleration', 'velocity', 'distance', 'time', 'angle', 'force', 'stiffness'];
+
+// Units too ambiguous to trust next to a number in prose ("5 in", "2 h")
+const IGNORED_UNITS = new Set(['in', 't', 'h', 'kn', 'kt']);
+
+const GRAVITY_BY_BODY = { earth: 9.8, moon: 1.62, mars: 3.71, jupiter: 24.79, venus: 8.87, mercury: 3.7 };
+
+const capitalize = (word) => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase();
+
+const detectType = (lower) => {
+  const hit = TYPE_KEYWORDS.find(([, pattern]) => pattern.test(lower));
+  return hit ? hit[0] : null;
+};
+
+// Every number in the text with its quantity (null for bare numbers) in SI
+const extractQuantities = (text) => {
+  const found = [];
+  for (const match of text.matchAll(QUANTITY)) {
+    const value = parseFloat(match[1]);
+    const rawUnit = match[2] ? match[2].replace(/\s+/g, '') : null;
+    const unitWord = rawUnit && !IGNORED_UNITS.has(rawUnit.toLowerCase()) ? rawUnit : null;
+    const quantity = unitWord ? QUANTITIES.find((q) => normalizeUnit(unitWord, q)) : null;
+    const end = match.index + match[0].length;
+    found.push({
+      quantity: quantity || null,
+      value: quantity ? toSI(value, unitWord, quantity) : value,
+      index: match.index,
+      end: quantity ? end : match.index + match[1].length,
+      before: text.slice(Math.max(0, match.index - 45), match.index).toLowerCase(),
+      after: text.slice(quantity ? end : match.index + match[1].length, end + 30).toLowerCase()
+    });
+  }
+  return found;
+};
+
+// Named objects ("Object A", "car B") take precedence over plain nouns ("the
+// ball") and are ordered by their letter or number
+const extractObjects = (text) => {
+  const named = [...text.matchAll(NAMED_OBJECT)].map((match) => ({
+    name: `${capitalize(match[1])} ${match[2].toUpperCase()}`,
+    index: match.index,
+    end: match.index + match[0].length
+  }));
+  const objects = [];
+  named.forEach((mention) => {
+    const known = objects.find((object) => object.name === mention.name);
+    if (known) known.mentions.push(mention);
+    else objects.push({ name: mention.name, mentions: [mention] });
+  });
+  if (objects.length) return objects.sort((a, b) => a.name.slice(-1).localeCompare(b.name.slice(-1)));
+
+  const plain = [...text.matchAll(PLAIN_OBJECT)]
+    .filter((match) => !/^(object|body|mass)$/i.test(match[1]))
+    .map((match) => ({ name: capitalize(match[1]), index: match.index, end: match.index + match[0].length }));
+  plain.forEach((mention) => {
+    const known = objects.find((object) => object.name === mention.name);
+    if (known) known.mentions.push(mention);
+    else objects.push({ name: mention.name, mentions: [mention] });
+  });
+  return objects;
+};
+
+// Object mentioned closest to a character range, optionally only before it
+const nearestObject = (objects, start, end, { before = false } = {}) => {
+  let best = null;
+  let bestDistance = Infinity;
+  objects.forEach((object) => {
+    object.mentions.forEach((mention) => {
+      if (before && mention.index > start) return;
+      const distance = mention.end <= start ? start - mention.end : Math.max(0, mention.index - end);
+      if (distance < bestDistance) {
+        best = object;
+        bestDistance = distance;
+      }
+    });
+  });
+  return best;
+};
+
+const numberAfter = (lower, pattern) => {
+  const match = lower.match(pattern);
+  return match ? parseFloat(match[1]) : undefined;
+};
+
+const extractFriction = (lower) => {
+  if (/\b(frictionless|smooth|no friction)\b/.test(lower)) return 0;
+  return numberAfter(lower, /(?:coefficient of (?:kinetic |sliding )?friction|(?<!static )friction coefficient|μk?|\bmu(?:_k)?)\s*(?:is|of|=|:)?\s*(\d*\.?\d+)/);
+};
+
+const extractStaticFriction = (lower) =>
+  numberAfter(lower, /(?:coefficient of static friction|static friction coefficient|static friction|μs|\bmu_s)\s*(?:is|of|=|:)?\s*(\d*\.?\d+)/);
+
+// Air resistance with a stated coefficient: quadratic (kg/m) unless it is
+// called linear or given in kg/s
+const extractDrag = (lower) => {
+  const match = lower.match(/(linear )?(?:drag|air resistance)(?: coefficient| constant)?\s*(?:is|of|=|:|[bc]\s*=)?\s*(\d*\.?\d+)\s*(kg\/s)?/);
+  if (!match) return undefined;
+  return match[1] || match[3] ? { linear: parseFloat(match[2]) } : { quadratic: parseFloat(match[2]) };
+};
+
+// A constant applied force, horizontal unless described as vertical
+const extractForce = (quantities) => {
+  const q = quantities.find((each) => each.quantity === 'force');
+  if (!q) return undefined;
+  const value = round(q.value);
+  if (/^[^.]{0,25}\b(upwards?|vertically|straight up)\b/.test(q.after)) return { x: 0, y: value };
+  if (/^[^.]{0,25}\b(downwards?|straight down)\b/.test(q.after)) return { x: 0, y: -value };
+  if (/^[^.]{0,25}\b(backwards?|to the left|leftwards?|opposing)\b/.test(q.after)) return { x: -value, y: 0 };
+  return { x: value, y: 0 };
+};
+
+const extractRestitution = (lower) => {
+  const coefficient = numberAfter(lower, /(?:coefficient of restitution|\be)\s*(?:is|of|=|:)?\s*(\d*\.?\d+)/);
+  if (coefficient !== undefined) return coefficient;
+  if (/\b(perfectly inelastic|stick together|sticks? to|move together|couple)\b/.test(lower)) return 0;
+  if (/\belastic/.test(lower)) return 1;
+  return undefined;
+};
+
+const extractGravity = (lower, quantities) => {
+  const explicit = quantities.find((q) => q.quantity === 'acceleration' && /(\bg\s*=|gravity|gravitational)[^.]*$/.test(q.before));
+  if (explicit) return explicit.value;
+  const body = lower.match(/\bon (?:the )?(earth|moon|mars|jupiter|venus|mercury)\b/);
+  return body ? GRAVITY_BY_BODY[body[1]] : undefined;
+};
+
+const launchDirection = (lower) => {
+  if (/\b(straight up|upwards?|vertically up|vertically)\b/.test(lower)) return { direction: 'up', angle: 90 };
+  if (/\b(straight down|downwards?)\b/.test(lower)) return { direction: 'down', angle: -90 };
+  // Rolling or sliding off a table or a ledge leaves it moving horizontally
+  if (/\b(horizontally|(?:rolls?|rolled|slides?|slid) off)\b/.test(lower)) return { direction: 'right', angle: 0 };
+  return {};
+};
+
+// Accelerations stated as g rather than as a motion
+const isGravity = (q) => /(\bg\s*=|gravity|gravitational)[^.]*$/.test(q.before);
+
+// "a hillside sloping at 20°", "a 15° slope"
+const isSlopeAngle = (q) => /\b(hill\w*|slop\w*)\b[^.]{0,20}$/.test(q.before) || /^\s*(hill\w*|slope|incline)\b/.test(q.after);
+
+const BRAKING = /\b(decelerat\w*|brak\w*|slows?\s+down|retard\w*)\b/;
+const COASTING = /\b(coast\w*|cruis\w*|(?:constant|steady|uniform) (?:speed|velocity))\b/;
+
+// Stages of a motion, one per clause joined by "then" ("accelerates at 2 m/s²
+// for 5 s, then coasts for 3 s, then brakes at 4 m/s² until it stops"). A
+// clause needs an acceleration, a duration or a word for coasting; braking
+// without a duration lasts until the object stops.
+const STAGE_BREAK = /,?\s*\b(?:and then|then|after that|afterwards|finally)\b/gi;
+
+const extractPhases = (text, quantities) => {
+  const breaks = [...text.matchAll(STAGE_BREAK)];
+  const clauses = [0, ...breaks.map((match) => match.index + match[0].length)]
+    .map((start, idx) => ({ start, end: breaks[idx]?.index ?? text.length }));
+  return clauses.map(({ start, end }) => {
+    const clause = text.slice(start, end).toLowerCase();
+    const within = (q) => q.index >= start && q.index < end;
+    const acceleration = quantities.find((q) => q.quantity === 'acceleration' && within(q) && !isGravity(q));
+    const time = quantities.find((q) => q.quantity === 'time' && within(q));
+    const braking = BRAKING.test(clause);
+    if (acceleration === undefined && (braking || (time === undefined && !COASTING.test(clause)))) return null;
+    const value = acceleration ? round(braking ? -Math.abs(acceleration.value) : acceleration.value) : 0;
+    return { acceleration: { x: value, y: 0 }, ...(time ? { duration: round(time.value) } : {}) };
+  }).filter(Boolean);
+};
+
+// Things objects move within that themselves move over the ground
+const MOVING_FRAMES = [
+  ['River', /\b(rivers?|streams?|currents?)\b/],
+  ['Train', /\btrains?\b/],
+  ['Walkway', /\b(walkways?|travelators?)\b/],
+  ['Conveyor belt', /\bconveyor(?: belts?)?\b/]
+];
+
+// "a river flowing at 2 m/s", "on a train moving at 20 m/s": the frame with
+// the speed it is said to move at after its name and, for a river, the width
+// "40 m wide". `used` are the quantities that belong to the frame rather than
+// the objects.
+const extractMovingFrame = (lower, quantities) => {
+  const known = MOVING_FRAMES.find(([, pattern]) => pattern.test(lower));
+  if (!known) return null;
+  const [name, pattern] = known;
+  const after = new RegExp(`${pattern.source}[^.,;]{0,20}\\b(flow\\w*|mov\\w*|travel\\w*|runs?|running|go\\w*|speed|velocity|is|of)\\b[^.,;]{0,10}$`);
+  const speed = quantities.find((q) => q.quantity === 'velocity' && after.test(q.before));
+  if (!speed) return null;
+  const width = quantities.find((q) => q.quantity === 'distance' && (/^\s*wide\b/.test(q.after) || /\bwidth of\s*$/.test(q.before)));
+  return {
+    frame: { name, velocity: { x: round(speed.value), y: 0 }, ...(width ? { width: round(width.value) } : {}) },
+    used: [speed, width].filter(Boolean)
+  };
+};
+
+const isAtRest = (text) => /\b(from rest|at rest|stationary|starts? from rest|released|dropped|initially still)\b/.test(text);
+
+const describe = (type, parameters, objects) => {
+  const facts = [];
+  const { initialVelocity = {} } = parameters;
+  if (initialVelocity.magnitude !== undefined) facts.push(`initial speed ${initialVelocity.magnitude} m/s`);
+  if (initialVelocity.angle !== undefined && type === 'projectile') facts.push(`launched at ${initialVelocity.angle}°`);
+  if (parameters.angle !== undefined) facts.push(`angle ${parameters.angle}°`);
+  if (parameters.acceleration) facts.push(`acceleration ${parameters.acceleration.x} m/s²`);
+  if (parameters.time !== undefined) facts.push(`for ${parameters.time} s`);
+  if (parameters.phases) facts.push(`in ${parameters.phases.length} stages`);
+  if (parameters.length !== undefined) facts.push(`length ${parameters.length} m`);
+  if (parameters.friction !== undefined) facts.push(parameters.friction === 0 ? 'frictionless' : `μ = ${parameters.friction}`);
+  if (parameters.restitution !== undefined) facts.push(`restitution ${parameters.restitution}`);
+  const names = objects.map((object) => (object.mass !== undefined ? `${object.name} (${object.mass} kg)` : object.name));
+  return `${engines[type].label} of ${names.join(' and ')}${facts.length ? `: ${facts.join(', ')}` : ''}`;
+};
+
+const round = (value) => Math.round(value * 1e6) / 1e6;
+
+// Launch angle, in degrees, at which speed `v` reaches the point (dx, dy) on
+// its way down, preferring the flatter of the two paths that reach it; null
+// when it cannot get there
+const aimAngle = (v, dx, dy, g) => {
+  const disc = v ** 4 - g * (g * dx * dx + 2 * dy * v * v);
+  if (!(dx > 0) || !(v > 0) || disc < 0) return null;
+  const falling = (angle) => v * Math.sin(angle) - (g * dx) / (v * Math.cos(angle)) <= 0;
+  const angle = [-1, 1].map((sign) => Math.atan((v * v + sign * Math.sqrt(disc)) / (g * dx))).find(falling);
+  return angle === undefined ? null : (angle * 180) / Math.PI;
+};
+
+// `problemType` skips detection, for text about a scenario already known
+export const parseProblemOffline = (text, { problemType: known } = {}) => {
+  const lower = text.toLowerCase();
+  // A train's or a river's own speed and width are not the objects'
+  const everything = extractQuantities(text);
+  const moving = extractMovingFrame(lower, everything);
+  const quantities = moving ? everything.filter((q) => !moving.used.includes(q)) : everything;
+  const byQuantity = (quantity) => quantities.filter((q) => q.quantity === quantity);
+  const accelerations = byQuantity('acceleration');
+  // Crossing a river is seen from above, as motion in a plane without gravity
+  const crossing = moving?.frame.name === 'River' && /\b(cross\w*|across)\b/.test(lower);
+  const problemType = known || detectType(lower) || (accelerations.length || (moving && !crossing) ? 'linear' : 'projectile');
+
+  const found = extractObjects(text).filter((object) => object.name !== moving?.frame.name);
+  const defaultName = { projectile: 'Ball', linear: 'Car', incline: 'Block', collision: 'Object', pendulum: 'Bob' }[problemType];
+  if (!found.length) found.push({ name: defaultName, mentions: [] });
+  // Independent objects (a two-car chase) are all kept; collisions need exactly two
+  const { maxObjects, independentObjects } = engines[problemType];
+  found.splice(independentObjects || problemType === 'collision' ? maxObjects : 1);
+  const several = found.length > 1;
+
+  const objects = found.map((object) => ({ name: object.name, initialPosition: { x: 0, y: 0 } }));
+  const objectIndex = (object) => found.indexOf(object);
+  const parameters = {};
+  const terrain = [];
+
+  // Masses belong to the nearest object mention: "Object A (2 kg)", "a 2 kg block"
+  byQuantity('mass').forEach((q) => {
+    const owner = found.length > 1 ? nearestObject(found, q.index, q.end) : found[0];
+    const idx = owner ? objectIndex(owner) : 0;
+    if (objects[idx].mass === undefined) objects[idx].mass = round(q.value);
+  });
+
+  // Speeds: one per object when there are several, otherwise the first non-final one
+  const velocities = byQuantity('velocity').filter((q) => !/\bfinal\b[^.]*$/.test(q.before));
+  if (several) {
+    velocities.forEach((q) => {
+      const owner = nearestObject(found, q.index, q.end, { before: true }) || found[0];
+      const idx = objectIndex(owner);
+      if (objects[idx].velocity) return;
+      const opposing = problemType === 'collision' && idx > 0 && /\b(opposite|towards? each other|head-on|to the left|leftwards?)\b/.test(lower);
+      objects[idx].velocity = { x: round(opposing ? -q.value : q.value), y: 0 };
+    });
+    found.forEach((object, idx) => {
+      if (objects[idx].velocity) return;
+      const atRest = object.mentions.some((mention) => isAtRest(text.slice(Math.max(0, mention.index - 20), mention.end + 20).toLowerCase()));
+      if (atRest) objects[idx].velocity = { x: 0, y: 0 };
+    });
+    const lead = objects[0].velocity;
+    if (lead && problemType === 'collision') {
+      parameters.initialVelocity = { magnitude: Math.abs(lead.x), direction: lead.x < 0 ? 'left' : 'right', angle: 0 };
+    } else if (lead) {
+      parameters.initialVelocity = { magnitude: lead.x };
+    }
+  } else if (velocities.length) {
+    parameters.initialVelocity = { magnitude: round(velocities[0].value) };
+  } else if (isAtRest(lower)) {
+    parameters.initialVelocity = { magnitude: 0 };
+  }
+
+  if (problemType === 'projectile') {
+    const launch = launchDirection(lower);
+    // The angle of a hillside it lands on is not the launch angle
+    const slope = byQuantity('angle').find(isSlopeAngle);
+    const angle = byQuantity('angle').find((q) => !isSlopeAngle(q));
+    if (slope) terrain.push({ kind: 'slope', at: 0, height: 0, angle: round(/\b(downhill|down (?:a|the) (?:hill|slope))/.test(lower) ? -slope.value : slope.value) });
+    if (angle) launch.angle = round(angle.value);
+    if (launch.direction === undefined && angle) launch.direction = 'right';
+    if (Object.keys(launch).length) parameters.initialVelocity = { ...parameters.initialVelocity, ...launch };
+    if (parameters.initialVelocity?.direction === 'down' && parameters.initialVelocity.magnitude === undefined) {
+      parameters.initialVelocity.magnitude = 0;
+    }
+    // Every object leaves in the same direction, each at its own speed
+    const heading = (parameters.initialVelocity?.angle ?? (launch.direction ? 0 : 90)) * (Math.PI / 180);
+    objects.forEach((object) => {
+      if (!object.velocity) return;
+      const speed = object.velocity.x;
+      object.velocity = { x: round(speed * Math.cos(heading)), y: round(speed * Math.sin(heading)) };
+    });
+  } else if (problemType === 'incline' || problemType === 'pendulum') {
+    const angle = byQuantity('angle')[0];
+    if (angle) parameters.angle = round(angle.value);
+    if (problemType === 'incline' && parameters.initialVelocity) parameters.initialVelocity.direction = 'down';
+  }
+
+  // Accelerations other than g, one per object when there are several; braking
+  // words make them negative
+  const motions = accelerations.filter((q) => !isGravity(q));
+  const signed = (q) => {
+    const braking = /\b(decelerat\w*|brak\w*|slows?\s+down|retard\w*)\b[^.]*$/.test(q.before) && q.value > 0;
+    return { x: round(braking ? -q.value : q.value), y: 0 };
+  };
+  if (several && problemType !== 'collision') {
+    motions.forEach((q) => {
+      const idx = objectIndex(nearestObject(found, q.index, q.end, { before: true }) || found[0]);
+      if (!objects[idx].acceleration) objects[idx].acceleration = signed(q);
+    });
+    if (objects[0].acceleration) parameters.acceleration = objects[0].acceleration;
+  } else if (motions.length) {
+    parameters.acceleration = signed(motions[0]);
+  }
+
+  const gravity = extractGravity(lower, quantities);
+  if (gravity !== undefined) parameters.gravity = round(gravity);
+  if (crossing && problemType === 'projectile') {
+    parameters.gravity = 0;
+    parameters.initialVelocity = { angle: 90, ...parameters.initialVelocity };
+  }
+
+  const time = byQuantity('time')[0];
+  if (time) parameters.time = round(time.value);
+
+  const phases = problemType === 'linear' && !several ? extractPhases(text, quantities) : [];
+  if (phases.length > 1) {
+    parameters.phases = phases;
+    delete parameters.acceleration;
+    delete parameters.time;
+  }
+
+  // Drag, springs and applied forces are integrated by the projectile and linear engines
+  const forced = problemType === 'projectile' || problemType === 'linear';
+  const stiffness = byQuantity('stiffness')[0];
+  if (stiffness && forced) parameters.spring = { constant: round(stiffness.value), anchor: 0 };
+
+  // Distances are heights, lengths, head starts, spring stretches or plain
+  // distances depending on their wording
+  byQuantity('distance').forEach((q) => {
+    const value = round(q.value);
+    const gap = q.after.match(/^\s*(ahead|in front|behind)\b/);
+    const stretch = q.before.match(/\b(stretch\w*|compress\w*|pulled|pushed|displaced)\b[^.]{0,15}$/);
+    if (parameters.spring && stretch) {
+      objects[0].initialPosition.x = stretch[1].startsWith('compress') ? -value : value;
+    } else if (several && gap) {
+      const owner = nearestObject(found, q.index, q.end, { before: true }) || found[0];
+      objects[objectIndex(owner)].initialPosition.x = gap[1] === 'behind' ? -value : value;
+    } else if (problemType === 'projectile' && /\b(lands?|landing|onto|on top of)\b[^.]{0,30}$/.test(q.before) && !/^\s*(away|from|ahead)\b/.test(q.after)) {
+      // Where it comes down, such as a roof; how far away is read from another distance
+      terrain.push({ kind: 'platform', height: value });
+    } else if (/^\s*(high|tall|above|up)\b/.test(q.after) || /\b(height of|from a|from the top of|cliff|tower|building|dropped from|above the ground)[^.]{0,15}$/.test(q.before)) {
+      if (objects[0].initialPosition.y === 0) objects[0].initialPosition.y = value;
+    } else if (/^\s*(long)\b/.test(q.after) || /\b(length|long|string|rope|cord)\b[^.]{0,15}$/.test(q.before)) {
+      if (problemType === 'incline') parameters.distance = parameters.distance ?? value;
+      else parameters.length = parameters.length ?? value;
+    } else if (parameters.distance === undefined) {
+      parameters.distance = value;
+    }
+  });
+
+  // Launched from a cliff or ledge: the ground drops away at its edge
+  if (problemType === 'projectile' && objects[0].initialPosition.y > 0 && /\b(cliff|ledge)\b/.test(lower)) {
+    terrain.unshift({ kind: 'step', at: 0, height: objects[0].initialPosition.y });
+  }
+  terrain.filter(({ kind }) => kind === 'platform').forEach((platform) => {
+    if (parameters.distance !== undefined) platform.from = parameters.distance;
+  });
+
+  // Told where it lands but not how it is launched: aimed at the near edge of
+  // the roof it comes down on
+  const target = terrain.find(({ kind, from }) => kind === 'platform' && from !== undefined);
+  const launched = parameters.initialVelocity;
+  if (problemType === 'projectile' && target && launched && launched.angle === undefined && launched.direction === undefined) {
+    const angle = aimAngle(launched.magnitude, target.from - objects[0].initialPosition.x, target.height - objects[0].initialPosition.y, parameters.gravity ?? GRAVITY_BY_BODY.earth);
+    if (angle !== null) parameters.initialVelocity = { ...launched, angle: round(angle), direction: 'right' };
+  }
+
+  const friction = extractFriction(lower);
+  if (friction !== undefined && problemType !== 'collision') parameters.friction = friction;
+
+  const staticFriction = extractStaticFriction(lower);
+  if (staticFriction !== undefined && (problemType === 'linear' || problemType === 'incline')) parameters.staticFriction = staticFriction;
+
+  if (forced) {
+    const drag = extractDrag(lower);
+    if (drag) parameters.drag = drag;
+    const force = extractForce(quantities);
+    if (force) parameters.force = force;
+  }
+
+  const restitution = extractRestitution(lower);
+  if (restitution !== undefined && problemType === 'collision') parameters.restitution = restitution;
+
+  return {
+    problemType,
+    objects,
+    parameters,
+    ...(terrain.length ? { terrain } : {}),
+    ...(moving ? { frame: moving.frame } : {}),
+    units: { ...SI_UNITS },
+    adjustableParameters: engines[problemType].controls.map((control) => control.key),
+    description: describe(problemType, parameters, objects)
+  };
+};
+
+// Values an offline parse of a follow-up found for each scenario object:
+// matched by name, or given to the first object when the question names none
+// of them
+const objectChanges = (parsed, scenario) => {
+  const found = parsed.objects.map(({ name, initialPosition, ...values }) =>
+    (initialPosition.x || initialPosition.y ? { ...values, initialPosition } : values));
+  const owners = parsed.objects.map(({ name }) => scenario.objects.findIndex((object) => object.name?.toLowerCase() === name.toLowerCase()));
+  const unnamed = owners.every((owner) => owner < 0);
+  return scenario.objects.map((_, idx) => {
+    const values = found[unnamed ? (idx === 0 && found.length === 1 ? 0 : -1) : owners.indexOf(idx)];
+    return values && Object.keys(values).length ? values : null;
+  });
+};
+
+// Reads a follow-up about `scenario` ("what if it was launched at 60°?", "then
+// it brakes at 3 m/s² until it stops") as a JSON merge patch holding only the
+// values the question states. Stages added with "then" follow those already
+// there; a new acceleration for a motion in stages changes the first stage
+// that speeds up or brakes like it, and a new duration the first stage.
+export const parseFollowUpOffline = (text, scenario) => {
+  const type = scenario.problemType;
+  const parsed = parseProblemOffline(text, { problemType: type });
+  const patch = {};
+  let { phases, ...parameters } = parsed.parameters;
+  const current = scenario.parameters?.phases;
+
+  if (type === 'linear' && /^\s*(?:and\s+)?(?:then|after that|afterwards|finally)\b/i.test(text)) {
+    const added = extractPhases(text, extractQuantities(text));
+    if (added.length) {
+      const { acceleration = { x: 0, y: 0 }, time } = scenario.parameters || {};
+      phases = [...(current?.length ? current : [{ acceleration, ...(time ? { duration: time } : {}) }]), ...added];
+      // The stages replace the single acceleration and duration
+      parameters.acceleration = null;
+      parameters.time = null;
+    }
+  } else if (type === 'linear' && current?.length && !phases && (parameters.acceleration || parameters.time)) {
+    // The stage it describes: braking changes the first braking stage
+    const braking = parameters.acceleration?.x < 0;
+    const target = Math.max(0, parameters.acceleration ? current.findIndex((phase) => (phase.acceleration?.x < 0) === braking && phase.acceleration?.x !== 0) : 0);
+    phases = current.map((phase, idx) => (idx === target ? {
+      ...phase,
+      ...(parameters.acceleration ? { acceleration: parameters.acceleration } : {}),
+      ...(parameters.time ? { duration: parameters.time } : {})
+    } : phase));
+    delete parameters.acceleration;
+    delete parameters.time;
+  }
+  if (phases) parameters = { ...parameters, phases };
+  if (Object.keys(parameters).length) patch.parameters = parameters;
+  if (parsed.terrain) patch.terrain = parsed.terrain;
+  if (parsed.frame) patch.frame = parsed.frame;
+
+  const changes = objectChanges(parsed, scenario);
+  if (changes.some(Boolean)) patch.objects = scenario.objects.map((object, idx) => (changes[idx] ? { ...object, ...changes[idx] } : object));
+  return patch;
+};
@@ -0,0 +1,85 @@
+// Prompt sent to the model to turn a problem statement into scenario JSON
+
+export const buildParseMessages = (text) => [{
+  role: 'user',
+  content: `You are a physics problem parser. Analyze this physics problem and extract key information in JSON format.
+
+Problem: "${text}"
+
+Extract and return ONLY a valid JSON object with this structure:
+{
+  "problemType": "projectile|linear|collision|pendulum|incline",
+  "objects": [{"name": "string", "mass": number, "initialPosition": {"x": number, "y": number}, "velocity": {"x": number, "y": number}, "acceleration": {"x": number, "y": number}, "color": "string"}],
+  "parameters": {
+    "initialVelocity": {"magnitude": number, "direction": "up|down|right|left", "angle": number},
+    "acceleration": {"x": number, "y": number},
+    "gravity": number,
+    "angle": number,
+    "time": number,
+    "distance": number,
+    "length": number,
+    "friction": number,
+    "staticFriction": number,
+    "drag": {"linear": number, "quadratic": number},
+    "spring": {"constant": number, "anchor": number},
+    "force": {"x": number, "y": number},
+    "restitution": number,
+    "phases": [{"label": "string", "acceleration": {"x": number, "y": number}, "duration": number}]
+  },
+  "terrain": [{"kind": "flat|step|slope|platform", "at": number, "from": number, "to": number, "height": number, "angle": number}],
+  "frame": {"name": "string", "velocity": {"x": number, "y": number}, "width": number},
+  "units": {
+    "velocity": "m/s",
+    "acceleration": "m/s²",
+    "distance": "m",
+    "mass": "kg",
+    "force": "N",
+    "stiffness": "N/m"
+  },
+  "adjustableParameters": ["velocity", "gravity", "angle", "mass"],
+  "description": "brief description of the scenario"
+}
+
+"friction" is the kinetic coefficient. Include "drag" only for air resistance (linear: b in kg/s for F = −b·v; quadratic: c in kg/m for F = −c·|v|·v), "spring" for a spring along x (constant in N/m, anchor = x of its relaxed end) and "force" for a constant applied force in N.
+
+Use "phases" only for linear motion in stages with different accelerations ("accelerates for 5 s, then coasts, then brakes"), one entry per stage in order; leave out "duration" for a braking stage that lasts until the object stops.
+
+Give a launch from a height (a cliff, tower or table) as the object's "initialPosition" y. Use "terrain" only when the ground it lands on is not level at y = 0: "step" for a cliff edge (ground at "height" up to x = "at", 0 beyond), "slope" for a hillside starting at x = "at" and rising at "angle" degrees (negative going down), "platform" for a roof or ledge "height" tall from x = "from" to x = "to", and "flat" for level ground at "height".
+
+Use "frame" for relative motion, when the objects move within something that itself moves over the ground: a train, a walkway or a river current, named in "name" with its "velocity" over the ground. Velocities in "parameters" and "objects" are then relative to the frame. For a boat crossing a river, seen from above, set "gravity" to 0, put the current along x, the boat's heading as "initialVelocity" (90° is straight across) and the river's "width" across y.
+
+List every moving object in "objects" with its own start position, velocity and acceleration (for example both cars in a chase); "parameters" describe the first object.
+
+Return ONLY the JSON, no other text.`
+}];
+
+// Recovers the problem statement from a message built by buildParseMessages
+export const problemTextOf = (messages) => {
+  const content = messages[messages.length - 1]?.content || '';
+  const match = content.match(/^Problem: "([\s\S]*?)"$/m);
+  return match ? match[1] : content;
+};
+
+// Follow-up question about the scenario being shown: the earlier messages are
+// sent again with the current scenario, and the model answers with only what
+// changes as a JSON merge patch
+export const buildFollowUpMessages = (messages, scenario, text) => [
+  ...messages,
+  {
+    role: 'user',
+    content: `Follow-up: "${text}"
+
+Current scenario:
+${JSON.stringify(scenario, null, 2)}
+
+Update the scenario for this follow-up. Return ONLY a JSON merge patch (RFC 7386) against the current scenario: include only the fields that change, give arrays such as "objects" or "phases" in full, and use null to remove a field. Return {} if nothing changes.`
+  }
+];
+
+// Recovers the question and scenario from a message built by
+// buildFollowUpMessages; null for any other message
+export const followUpOf = (messages) => {
+  const content = messages[messages.length - 1]?.content || '';
+  const match = content.match(/^Follow-up: "([\s\S]*?)"\n\nCurrent scenario:\n([\s\S]*?)\n\nUpdate the scenario/);
+  return match ? { text: match[1], scenario: JSON.parse(match[2]) } : null;
+};
@@ -0,0 +1,94 @@
+import { followUpOf, problemTextOf } from './prompt.js';
+import { defaultMockResponse, mockResponses } from './mockResponses.js';
+import { parseFollowUpOffline } from './offlineParser.js';
+
+export const DEFAULT_ENDPOINT = '/api/messages';
+export const DEFAULT_MODEL = 'claude-sonnet-4-20250514';
+
+export class ProviderError extends Error {
+  constructor(message, { status, retryable = false } = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.status = status;
+    this.retryable = retryable;
+  }
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Talks to the local proxy (server/proxy.js), which holds the API key and adds
+// the Anthropic headers. Timeouts, network errors, 429 and 5xx are retried
+// with exponential backoff.
+export const createProxyProvider = ({
+  endpoint = DEFAULT_ENDPOINT,
+  model = DEFAULT_MODEL,
+  maxTokens = 1000,
+  timeoutMs = 20000,
+  retries = 2,
+  retryDelayMs = 500,
+  fetchImpl = (...args) => fetch(...args)
+} = {}) => {
+  const attempt = async (messages) => {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+      const response = await fetchImpl(endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ model, max_tokens: maxTokens, messages }),
+        signal: controller.signal
+      });
+      if (!response.ok) {
+        throw new ProviderError(`LLM request failed with status ${response.status}`, {
+          status: response.status,
+          retryable: response.status === 429 || response.status >= 500
+        });
+      }
+      const data = await response.json();
+      const text = (data.content || []).filter((block) => block.type === 'text').map((block) => block.text).join('');
+      if (!text) throw new ProviderError('LLM response contained no text');
+      return text;
+    } catch (error) {
+      if (error instanceof ProviderError) throw error;
+      if (error.name === 'AbortError') {
+        throw new ProviderError(`LLM request timed out after ${timeoutMs} ms`, { retryable: true });
+      }
+      throw new ProviderError(`LLM request failed: ${error.message}`, { retryable: true });
+    } finally {
+      clearTimeout(timer);
+    }
+  };
+
+  return {
+    name: 'proxy',
+    model,
+    async complete(messages) {
+      for (let tries = 0; ; tries += 1) {
+        try {
+          return await attempt(messages);
+        } catch (error) {
+          if (!error.retryable || tries >= retries) throw error;
+          await sleep(retryDelayMs * 2 ** tries);
+        }
+      }
+    }
+  };
+};
+
+// Answers from canned JSON so the full AI path runs offline; follow-up
+// questions are answered with the offline parser's patch
+export const createMockProvider = ({ responses = mockResponses, latencyMs = 0 } = {}) => ({
+  name: 'mock',
+  model: 'mock',
+  async complete(messages) {
+    if (latencyMs) await sleep(latencyMs);
+    const followUp = followUpOf(messages);
+    if (followUp) return JSON.stringify(parseFollowUpOffline(followUp.text, followUp.scenario), null, 2);
+    const hit = responses.find(({ match }) => match.test(problemTextOf(messages)));
+    return JSON.stringify(hit ? hit.response : defaultMockResponse, null, 2);
+  }
+});
+
+// config.provider selects the backend: 'proxy' (default) or 'mock'
+export const createProvider = ({ provider = 'proxy', ...options } = {}) =>
+  provider === 'mock' ? createMockProvider(options) : createProxyProvider(options);
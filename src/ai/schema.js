@@ -0,0 +1,483 @@
+import { engines } from '../physics/engines/index.js';
+import { TERRAIN_KINDS } from '../physics/terrain.js';
+import { SI_UNITS, normalizeUnit, parseQuantity, toSI } from './units.js';
+
+export const PROBLEM_TYPES = Object.keys(engines);
+
+// Words models use instead of the canonical problem types
+const TYPE_SYNONYMS = {
+  'free fall': 'projectile',
+  freefall: 'projectile',
+  'projectile motion': 'projectile',
+  kinematics: 'linear',
+  'linear motion': 'linear',
+  'uniform acceleration': 'linear',
+  ramp: 'incline',
+  'inclined plane': 'incline',
+  momentum: 'collision',
+  'elastic collision': 'collision',
+  'inelastic collision': 'collision',
+  'simple pendulum': 'pendulum'
+};
+
+const number = (quantity, range = {}) => ({ type: 'number', quantity, ...range });
+const vector = (quantity, range = {}) => ({ type: 'object', properties: { x: number(quantity, range), y: number(quantity, range) } });
+
+// Bounds on how long the motion runs and how hard a phase accelerates: the
+// whole run is recorded frame by frame, so a run of days would never finish
+const MAX_DURATION = 600;
+const MAX_PHASE_ACCELERATION = 100;
+const unit = (quantity) => ({ type: 'unit', quantity });
+
+// Shape of the scenario JSON shared by the AI and offline parsers. Numbers are
+// stored in SI units (angles in degrees); unknown keys are passed through.
+export const scenarioSchema = {
+  type: 'object',
+  properties: {
+    problemType: { type: 'enum', values: PROBLEM_TYPES },
+    objects: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          mass: number('mass', { exclusiveMin: 0 }),
+          initialPosition: vector('distance'),
+          velocity: vector('velocity'),
+          acceleration: vector('acceleration'),
+          color: { type: 'string' }
+        }
+      }
+    },
+    parameters: {
+      type: 'object',
+      properties: {
+        initialVelocity: {
+          type: 'object',
+          properties: {
+            magnitude: number('velocity', { min: 0 }),
+            direction: { type: 'enum', values: ['up', 'down', 'right', 'left'] },
+            angle: number('angle')
+          }
+        },
+        acceleration: vector('acceleration'),
+        gravity: number('acceleration', { min: 0 }),
+        angle: number('angle'),
+        time: number('time', { exclusiveMin: 0, max: MAX_DURATION }),
+        distance: number('distance', { min: 0 }),
+        length: number('distance', { exclusiveMin: 0 }),
+        friction: number(null, { min: 0 }),
+        staticFriction: number(null, { min: 0 }),
+        drag: {
+          type: 'object',
+          properties: { linear: number(null, { min: 0 }), quadratic: number(null, { min: 0 }) }
+        },
+        spring: {
+          type: 'object',
+          properties: { constant: number('stiffness', { min: 0 }), anchor: number('distance') }
+        },
+        force: vector('force'),
+        restitution: number(null, { min: 0, max: 1 }),
+        // Linear motion in stages, run in order; a phase with no duration
+        // brakes until the object stops
+        phases: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              label: { type: 'string' },
+              acceleration: vector('acceleration', { min: -MAX_PHASE_ACCELERATION, max: MAX_PHASE_ACCELERATION }),
+              duration: number('time', { exclusiveMin: 0, max: MAX_DURATION })
+            }
+          }
+        }
+      }
+    },
+    // Scenery placed in the scene editor: ground segments, ramps and walls
+    // run `from` one point `to` another, a pivot sits `at` one
+    surfaces: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          kind: { type: 'enum', values: ['ground', 'ramp', 'wall', 'pivot'] },
+          from: vector('distance'),
+          to: vector('distance'),
+          at: vector('distance')
+        }
+      }
+    },
+    // Ground a projectile lands on, piece by piece (see physics/terrain.js):
+    // cliff edges, slopes and platforms
+    terrain: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          kind: { type: 'enum', values: TERRAIN_KINDS },
+          at: number('distance'),
+          from: number('distance'),
+          to: number('distance'),
+          height: number('distance'),
+          angle: number('angle')
+        }
+      }
+    },
+    // Something the objects move within that itself moves over the ground (a
+    // train, a river current); their velocities are relative to it. A river
+    // is `width` across y.
+    frame: {
+      type: 'object',
+      properties: {
+        name: { type: 'string' },
+        velocity: vector('velocity'),
+        width: number('distance', { exclusiveMin: 0 })
+      }
+    },
+    units: {
+      type: 'object',
+      properties: Object.fromEntries(Object.keys(SI_UNITS).map((quantity) => [quantity, unit(quantity)]))
+    },
+    adjustableParameters: { type: 'array', items: { type: 'string' } },
+    description: { type: 'string' }
+  }
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const describe = (value) => JSON.stringify(value);
+const formatNumber = (value) => String(Math.round(value * 1e4) / 1e4);
+const join = (path, key) => (path ? `${path}.${key}` : key);
+
+const pathKeys = (path) => path.replace(/\[(\d+)\]/g, '.$1').split('.');
+
+const getPath = (target, path) => pathKeys(path).reduce((node, key) => (node == null ? undefined : node[key]), target);
+
+const setPath = (target, path, value) => {
+  const keys = pathKeys(path);
+  const parent = keys.slice(0, -1).reduce((node, key) => {
+    if (!isPlainObject(node[key]) && !Array.isArray(node[key])) node[key] = {};
+    return node[key];
+  }, target);
+  parent[keys[keys.length - 1]] = value;
+};
+
+// Reads a number, a numeric string ("36 km/h") or { value, unit } and converts
+// it to SI using the explicit unit or the scenario's units block
+const checkNumber = (spec, raw, path, ctx) => {
+  let value = raw;
+  let explicitUnit = null;
+  if (typeof raw === 'string' || isPlainObject(raw)) {
+    const quantity = typeof raw === 'string' ? parseQuantity(raw) : { value: raw.value, unit: raw.unit ?? null };
+    if (!quantity || typeof quantity.value !== 'number') {
+      ctx.issue(path, `expected a number, got ${describe(raw)}`, 'value ignored');
+      return undefined;
+    }
+    value = quantity.value;
+    explicitUnit = quantity.unit;
+    ctx.issue(path, `expected a number, got ${describe(raw)}`, explicitUnit ? null : `read as ${formatNumber(value)}`);
+  } else if (typeof raw !== 'number' || !Number.isFinite(raw)) {
+    ctx.issue(path, `expected a number, got ${describe(raw)}`, 'value ignored');
+    return undefined;
+  }
+
+  if (spec.quantity) {
+    const from = explicitUnit ?? ctx.units[spec.quantity];
+    if (from && normalizeUnit(from, spec.quantity) !== SI_UNITS[spec.quantity]) {
+      if (!normalizeUnit(from, spec.quantity)) {
+        ctx.issue(path, `unknown ${spec.quantity} unit "${from}"`, 'value ignored');
+        return undefined;
+      }
+      const converted = toSI(value, from, spec.quantity);
+      ctx.note(path, `${formatNumber(value)} ${from} converted to ${formatNumber(converted)} ${SI_UNITS[spec.quantity]}`);
+      value = converted;
+    } else if (explicitUnit) {
+      ctx.note(path, `read ${describe(raw)} as ${formatNumber(value)} ${SI_UNITS[spec.quantity]}`);
+    }
+  } else if (explicitUnit) {
+    ctx.issue(path, `expected a plain number, got ${describe(raw)}`, `read as ${formatNumber(value)}`);
+  }
+
+  if (spec.min !== undefined && value < spec.min) {
+    ctx.issue(path, `must be at least ${spec.min} (got ${formatNumber(value)})`, 'value ignored');
+    return undefined;
+  }
+  if (spec.exclusiveMin !== undefined && value <= spec.exclusiveMin) {
+    ctx.issue(path, `must be greater than ${spec.exclusiveMin} (got ${formatNumber(value)})`, 'value ignored');
+    return undefined;
+  }
+  if (spec.max !== undefined && value > spec.max) {
+    ctx.issue(path, `must be at most ${spec.max} (got ${formatNumber(value)})`, 'value ignored');
+    return undefined;
+  }
+  return value;
+};
+
+const checkValue = (spec, raw, path, ctx) => {
+  switch (spec.type) {
+    case 'number':
+      return checkNumber(spec, raw, path, ctx);
+    case 'string':
+      if (typeof raw === 'string') return raw;
+      ctx.issue(path, `expected a string, got ${describe(raw)}`, 'value ignored');
+      return undefined;
+    case 'enum': {
+      const value = typeof raw === 'string' ? raw.trim().toLowerCase() : raw;
+      if (spec.values.includes(value)) {
+        if (value !== raw) ctx.issue(path, `expected one of ${spec.values.join(', ')}, got ${describe(raw)}`, `read as "${value}"`);
+        return value;
+      }
+      ctx.issue(path, `expected one of ${spec.values.join(', ')}, got ${describe(raw)}`, 'value ignored');
+      return undefined;
+    }
+    case 'unit':
+      // Already resolved into ctx.units; the repaired scenario is always SI
+      return SI_UNITS[spec.quantity];
+    case 'array':
+      if (!Array.isArray(raw)) {
+        ctx.issue(path, `expected an array, got ${describe(raw)}`, 'value ignored');
+        return undefined;
+      }
+      return raw
+        .map((item, idx) => checkValue(spec.items, item, `${path}[${idx}]`, ctx))
+        .filter((item) => item !== undefined);
+    case 'object': {
+      if (!isPlainObject(raw)) {
+        ctx.issue(path, `expected an object, got ${describe(raw)}`, 'value ignored');
+        return undefined;
+      }
+      const result = { ...raw };
+      Object.entries(spec.properties).forEach(([key, child]) => {
+        if (raw[key] === undefined || raw[key] === null) {
+          delete result[key];
+          return;
+        }
+        const value = checkValue(child, raw[key], join(path, key), ctx);
+        if (value === undefined) delete result[key];
+        else result[key] = value;
+      });
+      return result;
+    }
+    default:
+      return raw;
+  }
+};
+
+// Units block of the raw reply, keyed by quantity
+const resolveUnits = (rawUnits, ctx) => {
+  const units = {};
+  if (rawUnits === undefined || rawUnits === null) return units;
+  if (!isPlainObject(rawUnits)) return units;
+  Object.keys(SI_UNITS).forEach((quantity) => {
+    const value = rawUnits[quantity];
+    if (value === undefined || value === null) return;
+    if (normalizeUnit(value, quantity)) units[quantity] = value;
+    else ctx.issue(`units.${quantity}`, `unknown ${quantity} unit ${describe(value)}`, `treated as ${SI_UNITS[quantity]}`);
+  });
+  return units;
+};
+
+const resolveProblemType = (raw, ctx) => {
+  if (typeof raw !== 'string' || !raw.trim()) {
+    ctx.fail('problemType', `is required and must be one of ${PROBLEM_TYPES.join(', ')}`);
+    return null;
+  }
+  const key = raw.trim().toLowerCase();
+  const type = PROBLEM_TYPES.includes(key) ? key : TYPE_SYNONYMS[key];
+  if (!type) {
+    ctx.fail('problemType', `must be one of ${PROBLEM_TYPES.join(', ')} (got ${describe(raw)})`);
+    return null;
+  }
+  if (type !== raw) ctx.issue('problemType', `expected one of ${PROBLEM_TYPES.join(', ')}, got ${describe(raw)}`, `read as "${type}"`);
+  return type;
+};
+
+const fill = (path, value, message) => ({ path, value, message });
+
+const massOf = (idx, name) => fill(`objects[${idx}].mass`, 1, `Mass of ${name} not given — assumed 1 kg`);
+
+const gravity = fill('parameters.gravity', 9.8, 'Gravity not given — assumed 9.8 m/s²');
+
+const launchAngle = (scenario) => {
+  const { angle, initialVelocity = {} } = scenario.parameters;
+  if (Number.isFinite(angle)) return fill('parameters.initialVelocity.angle', angle, `Launch angle taken from parameters.angle (${formatNumber(angle)}°)`);
+  if (initialVelocity.direction === 'up') return fill('parameters.initialVelocity.angle', 90, 'Launch angle not given — assumed 90° from direction "up"');
+  if (initialVelocity.direction) {
+    return fill('parameters.initialVelocity.angle', 0, `Launch angle not given — assumed 0° from direction "${initialVelocity.direction}"`);
+  }
+  return fill('parameters.initialVelocity.angle', 90, 'Launch angle not given — assumed 90° (straight up)');
+};
+
+// Where each kind of terrain piece starts and ends, and how high it is
+const terrainValues = (scenario) => (scenario.terrain || []).flatMap((piece, idx) => {
+  const path = `terrain[${idx}]`;
+  const height = fill(`${path}.height`, 0, `Height of terrain piece ${idx + 1} not given — assumed 0 m`);
+  switch (piece.kind) {
+    case 'step':
+      return [fill(`${path}.at`, 0, `Edge of step ${idx + 1} not given — assumed at x = 0 m`), height];
+    case 'slope':
+      return [
+        fill(`${path}.at`, 0, `Start of slope ${idx + 1} not given — assumed at x = 0 m`),
+        fill(`${path}.angle`, 0, `Angle of slope ${idx + 1} not given — assumed level`),
+        height
+      ];
+    case 'platform': {
+      const from = Number.isFinite(piece.from) ? piece.from : 0;
+      return [
+        fill(`${path}.from`, from, `Start of platform ${idx + 1} not given — assumed at x = 0 m`),
+        fill(`${path}.to`, from + 5, `End of platform ${idx + 1} not given — assumed 5 m long`),
+        height
+      ];
+    }
+    default:
+      return [height];
+  }
+});
+
+// The moving frame's speed along x, when there is one
+const frameValues = (scenario) => (scenario.frame
+  ? [fill('frame.velocity.x', 0, `Speed of the ${(scenario.frame.name || 'moving frame').toLowerCase()} not given — assumed 0 m/s`)]
+  : []);
+
+// Values each engine reads, with the default used when the problem leaves them out
+const requiredValues = {
+  projectile: (scenario) => [
+    fill('parameters.initialVelocity.magnitude', 10, 'Launch speed not given — assumed 10 m/s'),
+    launchAngle(scenario),
+    gravity,
+    massOf(0, scenario.objects[0].name),
+    ...terrainValues(scenario),
+    ...frameValues(scenario)
+  ],
+  // Phases carry their own accelerations and durations; only a braking phase
+  // may leave its duration out, to last until the object stops
+  linear: (scenario) => [
+    fill('parameters.initialVelocity.magnitude', 0, 'Initial velocity not given — assumed to start from rest'),
+    ...(scenario.parameters.phases || []).flatMap((phase, idx) => (phase.acceleration?.x < 0 ? [] : [
+      fill(`parameters.phases[${idx}].duration`, 5, `Duration of phase ${idx + 1} not given — assumed 5 s`)
+    ])),
+    ...(scenario.parameters.phases?.length ? [] : [
+      fill('parameters.acceleration.x', 0, 'Acceleration not given — assumed 0 m/s²'),
+      fill('parameters.time', 5, 'Duration not given — assumed 5 s')
+    ]),
+    massOf(0, scenario.objects[0].name),
+    ...frameValues(scenario)
+  ],
+  incline: (scenario) => [
+    Number.isFinite(scenario.parameters.initialVelocity?.angle)
+      ? fill('parameters.angle', scenario.parameters.initialVelocity.angle, 'Incline angle taken from parameters.initialVelocity.angle')
+      : fill('parameters.angle', 30, 'Incline angle not given — assumed 30°'),
+    fill('parameters.initialVelocity.magnitude', 0, 'Initial velocity not given — assumed to start from rest'),
+    fill('parameters.friction', 0, 'Friction not given — assumed frictionless'),
+    gravity,
+    fill('parameters.distance', 10, 'Slope length not given — assumed 10 m'),
+    massOf(0, scenario.objects[0].name)
+  ],
+  collision: (scenario) => [
+    massOf(0, scenario.objects[0].name),
+    massOf(1, scenario.objects[1].name),
+    fill('parameters.initialVelocity.magnitude', 3, `Speed of ${scenario.objects[0].name} not given — assumed 3 m/s`),
+    fill('parameters.restitution', 1, 'Collision type not given — assumed perfectly elastic')
+  ],
+  pendulum: (scenario) => [
+    Number.isFinite(scenario.parameters.distance)
+      ? fill('parameters.length', scenario.parameters.distance, 'String length taken from parameters.distance')
+      : fill('parameters.length', 2, 'String length not given — assumed 2 m'),
+    fill('parameters.angle', 30, 'Release angle not given — assumed 30°'),
+    gravity,
+    massOf(0, scenario.objects[0].name)
+  ]
+};
+
+const applyDefaults = (scenario, ctx) => {
+  const type = scenario.problemType;
+  scenario.parameters = scenario.parameters || {};
+  scenario.objects = scenario.objects || [];
+  scenario.adjustableParameters = scenario.adjustableParameters || [];
+  if (scenario.description === undefined) scenario.description = engines[type].label;
+
+  const needed = type === 'collision' ? 2 : 1;
+  for (let idx = scenario.objects.length; idx < needed; idx += 1) {
+    const name = needed > 1 ? `Object ${'AB'[idx]}` : 'Object';
+    scenario.objects.push({ name, initialPosition: { x: 0, y: 0 } });
+    if (needed > 1) ctx.note(`objects[${idx}]`, `Only ${idx} object(s) given — added ${name}`);
+  }
+  const { maxObjects } = engines[type];
+  if (scenario.objects.length > maxObjects) {
+    ctx.note('objects', `${scenario.objects.length} objects given — ${engines[type].label} simulates only the first ${maxObjects}`);
+  }
+  scenario.objects.forEach((object, idx) => {
+    if (object.name === undefined) object.name = `Object ${idx + 1}`;
+    if (object.initialPosition === undefined) object.initialPosition = { x: 0, y: 0 };
+  });
+
+  requiredValues[type](scenario).forEach(({ path, value, message }) => {
+    if (Number.isFinite(getPath(scenario, path))) return;
+    setPath(scenario, path, value);
+    ctx.note(path, message);
+  });
+};
+
+// Angles are expected in degrees; small fractional values are probably radians
+const flagRadians = (scenario, ctx) => {
+  if (ctx.units.angle) return;
+  ['parameters.angle', 'parameters.initialVelocity.angle'].forEach((path) => {
+    const value = getPath(scenario, path);
+    if (Number.isFinite(value) && !Number.isInteger(value) && Math.abs(value) <= 2 * Math.PI) {
+      ctx.note(path, `${formatNumber(value)} looks like radians but was treated as degrees — set units.angle to "rad" if so`);
+    }
+  });
+};
+
+// Schema violations go to `issues`; everything the repair did, in order, goes
+// to `notes`. A null `repair` means a later note already explains the fix.
+const inspect = (data) => {
+  const fatal = [];
+  const issues = [];
+  const notes = [];
+  const ctx = {
+    units: {},
+    fail: (path, message) => fatal.push({ path, message }),
+    issue: (path, message, repair) => {
+      issues.push({ path, message });
+      if (repair !== null) notes.push({ path, message: `${message}; ${repair}` });
+    },
+    note: (path, message) => notes.push({ path, message })
+  };
+
+  if (!isPlainObject(data)) {
+    ctx.fail('', `scenario must be a JSON object, got ${describe(data)}`);
+    return { scenario: null, fatal, issues, notes };
+  }
+
+  const problemType = resolveProblemType(data.problemType, ctx);
+  ctx.units = resolveUnits(data.units, ctx);
+  const scenario = checkValue(scenarioSchema, { ...data, problemType: undefined }, '', ctx);
+  if (!problemType) return { scenario: null, fatal, issues, notes };
+
+  scenario.problemType = problemType;
+  scenario.units = { ...SI_UNITS };
+  flagRadians(scenario, ctx);
+  applyDefaults(scenario, ctx);
+  return { scenario, fatal, issues, notes };
+};
+
+// Strict check against the schema. Returns [{ path, message }], empty when valid.
+export const validateScenario = (data) => {
+  const { fatal, issues } = inspect(data);
+  return [...fatal, ...issues];
+};
+
+// Validates, converts units and fills every missing value the engine needs.
+// `errors` are unrecoverable; `warnings` list each repair, conversion and default.
+export const repairScenario = (data) => {
+  const { scenario, fatal, notes } = inspect(data);
+  return { scenario, errors: fatal, warnings: notes };
+};
+
+export class ScenarioValidationError extends Error {
+  constructor(errors) {
+    super(`Invalid scenario: ${errors.map(({ path, message }) => `${path || '(root)'} ${message}`).join('; ')}`);
+    this.name = 'ScenarioValidationError';
+    this.errors = errors;
+  }
+}
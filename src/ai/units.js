@@ -0,0 +1,66 @@
+// Unit normalization. Everything the engines consume is SI, with angles in degrees.
+
+export const SI_UNITS = {
+  velocity: 'm/s',
+  acceleration: 'm/s²',
+  distance: 'm',
+  mass: 'kg',
+  time: 's',
+  angle: 'deg',
+  force: 'N',
+  stiffness: 'N/m'
+};
+
+// Factor that converts one unit of each quantity into its SI unit
+const FACTORS = {
+  velocity: { 'm/s': 1, 'km/h': 1 / 3.6, mph: 0.44704, 'ft/s': 0.3048, 'cm/s': 0.01, knot: 0.514444 },
+  acceleration: { 'm/s²': 1, 'ft/s²': 0.3048, 'cm/s²': 0.01, g: 9.80665 },
+  distance: { m: 1, cm: 0.01, mm: 0.001, km: 1000, ft: 0.3048, in: 0.0254, mi: 1609.344 },
+  mass: { kg: 1, g: 0.001, mg: 1e-6, t: 1000, lb: 0.45359237 },
+  time: { s: 1, ms: 0.001, min: 60, h: 3600 },
+  angle: { deg: 1, rad: 180 / Math.PI },
+  force: { N: 1, lbf: 4.4482216 },
+  stiffness: { 'N/m': 1, 'N/cm': 100, 'lbf/in': 175.126835 }
+};
+
+const ALIASES = {
+  'm/sec': 'm/s', mps: 'm/s', 'meters/second': 'm/s', 'metres/second': 'm/s', 'meterspersecond': 'm/s',
+  kph: 'km/h', kmh: 'km/h', kmph: 'km/h', 'km/hr': 'km/h', 'km/hour': 'km/h', 'kilometers/hour': 'km/h', 'kilometres/hour': 'km/h',
+  'mi/h': 'mph', 'miles/hour': 'mph', fps: 'ft/s', 'ft/sec': 'ft/s', 'feet/second': 'ft/s', 'feet/s': 'ft/s',
+  knots: 'knot', kn: 'knot', kt: 'knot',
+  'm/s2': 'm/s²', 'm/s^2': 'm/s²', 'm/s/s': 'm/s²', 'm/sec²': 'm/s²', 'm/sec2': 'm/s²', 'm/sec^2': 'm/s²',
+  'ft/s2': 'ft/s²', 'ft/s^2': 'ft/s²', 'ft/s/s': 'ft/s²', 'cm/s2': 'cm/s²', 'cm/s^2': 'cm/s²',
+  meter: 'm', meters: 'm', metre: 'm', metres: 'm', centimeters: 'cm', centimetres: 'cm', millimeters: 'mm',
+  kilometers: 'km', kilometres: 'km', foot: 'ft', feet: 'ft', inch: 'in', inches: 'in', mile: 'mi', miles: 'mi',
+  kilogram: 'kg', kilograms: 'kg', kgs: 'kg', gram: 'g', grams: 'g', tonne: 't', tonnes: 't', pound: 'lb', pounds: 'lb', lbs: 'lb',
+  sec: 's', secs: 's', second: 's', seconds: 's', millisecond: 'ms', milliseconds: 'ms', minute: 'min', minutes: 'min', mins: 'min',
+  hour: 'h', hours: 'h', hr: 'h', hrs: 'h',
+  '°': 'deg', degree: 'deg', degrees: 'deg', degs: 'deg', radian: 'rad', radians: 'rad',
+  n: 'N', newton: 'N', newtons: 'N', 'pound-force': 'lbf',
+  'n/m': 'N/m', 'newtons/meter': 'N/m', 'newtons/metre': 'N/m', 'n/cm': 'N/cm'
+};
+
+// Canonical spelling of a unit string, or null if it is not recognised
+export const normalizeUnit = (unit, quantity) => {
+  if (typeof unit !== 'string') return null;
+  const key = unit.trim().toLowerCase().replace(/\s+/g, '').replace(/²/g, '2');
+  const canonical = ALIASES[key] || key.replace(/2$/, '²');
+  const table = quantity ? FACTORS[quantity] : Object.assign({}, ...Object.values(FACTORS));
+  return canonical in table ? canonical : null;
+};
+
+// Converts `value` expressed in `unit` to the SI unit of `quantity`
+export const toSI = (value, unit, quantity) => {
+  const canonical = normalizeUnit(unit, quantity);
+  if (canonical === null) throw new Error(`Unknown ${quantity} unit "${unit}"`);
+  return value * FACTORS[quantity][canonical];
+};
+
+// Splits "36 km/h" into { value: 36, unit: 'km/h' }; unit is null if absent
+export const parseQuantity = (text) => {
+  const match = String(text).trim().match(/^([-+]?\d*\.?\d+(?:e[-+]?\d+)?)\s*(.*)$/i);
+  if (!match) return null;
+  return { value: parseFloat(match[1]), unit: match[2].trim() || null };
+};
+
+export const isSI = (unit, quantity) => normalizeUnit(unit, quantity) === SI_UNITS[quantity];
@@ -0,0 +1,12 @@
+// Scene editor: edits made on the canvas, written back into the scenario
+export {
+  EDIT_TOOLS,
+  addSurface,
+  editTools,
+  editedParams,
+  moveObject,
+  removeSurface,
+  setObjectVelocity,
+  surfaceAt,
+  surfaceEnd
+} from './scene.js';
@@ -0,0 +1,188 @@
+import { DEG, clampControl, collisionRadius, getEngine, resolveEngine } from '../physics/index.js';
+
+// Edits made on the canvas in the scene editor. Each one takes a scenario (the
+// parsed problem) and returns a new one rather than changing it, so the result
+// can be simulated, saved and edited again like any analysed problem.
+// Positions and velocities are in metres and m/s, as in the physics.
+
+export const EDIT_TOOLS = [
+  { id: 'move', label: 'Move', hint: 'Drag an object to where it starts' },
+  { id: 'velocity', label: 'Velocity', hint: 'Drag out an arrow from an object to set its initial velocity' },
+  { id: 'ground', label: 'Ground', hint: 'Drag to lay a level ground segment' },
+  { id: 'ramp', label: 'Ramp', hint: 'Drag from one end of a ramp to the other; on an incline this sets the slope' },
+  { id: 'wall', label: 'Wall', hint: 'Drag up or down to put up a wall that stops whatever runs into it' },
+  { id: 'pivot', label: 'Pivot', hint: 'Click to place a pivot and rehang the pendulum from it' },
+  { id: 'erase', label: 'Erase', hint: 'Click a ground segment, ramp or wall to remove it' }
+];
+
+// Tools with nothing to act on: the block always starts at the top of its
+// ramp, the pendulum bob is released from rest, walls only stop projectiles
+// and cars, and a pivot only rehangs a pendulum
+const UNAVAILABLE = {
+  projectile: ['pivot'],
+  linear: ['pivot'],
+  incline: ['move', 'wall', 'pivot'],
+  collision: ['wall', 'pivot'],
+  pendulum: ['velocity', 'wall']
+};
+
+export const editTools = (problemType) => EDIT_TOOLS.filter(({ id }) => !(UNAVAILABLE[problemType] || []).includes(id));
+
+// Segments shorter than this, in metres, are taken as slips of the mouse
+const MIN_LENGTH = 0.1;
+
+const round = (value) => Math.round(value * 100) / 100 || 0;
+
+const roundPoint = ({ x, y }) => ({ x: round(x), y: round(y) });
+
+// A value for one of the engine's parameters, held to its control's range and
+// rounded to the control's step
+const fitControl = (problemType, key, value) => {
+  const control = getEngine(problemType).controls.find((each) => each.key === key);
+  const clamped = clampControl(control, value);
+  return Number((Math.round(clamped / control.step) * control.step).toFixed(6));
+};
+
+const withObject = (scenario, idx, changes) => ({
+  ...scenario,
+  objects: scenario.objects.map((object, i) => (i === idx ? { ...object, ...changes } : object))
+});
+
+const withParameters = (scenario, changes) => ({ ...scenario, parameters: { ...scenario.parameters, ...changes } });
+
+const withLaunch = (scenario, changes) => withParameters(scenario, { initialVelocity: { ...scenario.parameters?.initialVelocity, ...changes } });
+
+// Where each object starts under the current parameters
+const startingBodies = (problemType, params) => resolveEngine(problemType, params).init(params).bodies;
+
+// The end of a segment dragged from `from` towards `to`: ground is level and
+// walls are upright. Holds in canvas pixels as well as in metres.
+export const surfaceEnd = (kind, from, to) => {
+  if (kind === 'ground') return { x: to.x, y: from.y };
+  if (kind === 'wall') return { x: from.x, y: to.y };
+  return to;
+};
+
+// The pendulum always swings from the origin, so a bob released at `bob` from
+// a pivot at `pivot` becomes a string length and release angle
+const hangBob = (scenario, pivot, bob) => {
+  const dx = bob.x - pivot.x;
+  const dy = bob.y - pivot.y;
+  const length = fitControl('pendulum', 'length', Math.hypot(dx, dy));
+  const angle = fitControl('pendulum', 'angle', Math.atan2(Math.abs(dx), -dy) / DEG);
+  return withObject(withParameters(scenario, { length, angle }), 0, {
+    initialPosition: roundPoint({ x: length * Math.sin(angle * DEG), y: -length * Math.cos(angle * DEG) })
+  });
+};
+
+// A stays on the track line and starts clear to the left of B, which may sit
+// up to the offset range across it. Both positions are written so the engine
+// takes the layout from the scenario.
+const placeColliding = (scenario, params, idx, point) => {
+  const [a, b] = startingBodies('collision', params);
+  const mass = (key, object) => Math.max(params[key], object?.mass ?? 0);
+  const reach = collisionRadius(mass('massA', scenario.objects[0])) + collisionRadius(mass('massB', scenario.objects[1])) + MIN_LENGTH;
+  const positionA = idx === 0 ? Math.min(point.x, b.x - reach) : a.x;
+  const positionB = idx === 1 ? Math.max(point.x, a.x + reach) : b.x;
+  const offset = idx === 1 ? fitControl('collision', 'offset', Math.abs(point.y)) : b.y;
+  return withObject(
+    withObject(scenario, 0, { initialPosition: { x: round(positionA), y: 0 } }),
+    1,
+    { initialPosition: { x: round(positionB), y: offset } }
+  );
+};
+
+// Object `idx` dragged to `point`. Launches start at any height above the
+// ground line and cars on it, so only their x is kept.
+export const moveObject = (scenario, params, idx, point) => {
+  switch (scenario.problemType) {
+    case 'pendulum':
+      return hangBob(scenario, { x: 0, y: 0 }, point);
+    case 'collision':
+      return placeColliding(scenario, params, idx, point);
+    case 'incline':
+      return scenario;
+    case 'projectile':
+      return withObject(scenario, idx, { initialPosition: { x: round(point.x), y: round(Math.max(0, point.y)) } });
+    default:
+      return withObject(scenario, idx, { initialPosition: { x: round(point.x), y: 0 } });
+  }
+};
+
+// Initial velocity (vx, vy) of object `idx`, as far as its engine can take it:
+// the first projectile is launched at 0–90°, cars, colliding objects and the
+// block only move along their track or slope
+export const setObjectVelocity = (scenario, params, idx, { x, y }) => {
+  const type = scenario.problemType;
+  switch (type) {
+    case 'projectile':
+      if (idx > 0) return withObject(scenario, idx, { velocity: roundPoint({ x, y }) });
+      return withLaunch(scenario, {
+        magnitude: fitControl(type, 'velocity', Math.hypot(x, y)),
+        angle: fitControl(type, 'angle', Math.atan2(y, x) / DEG)
+      });
+    case 'linear':
+      if (idx > 0) return withObject(scenario, idx, { velocity: { x: round(x), y: 0 } });
+      return withLaunch(scenario, { magnitude: fitControl(type, 'velocity', x) });
+    case 'incline': {
+      // Component down the slope
+      const angle = params.angle * DEG;
+      return withLaunch(scenario, { magnitude: fitControl(type, 'velocity', x * Math.cos(angle) - y * Math.sin(angle)) });
+    }
+    case 'collision':
+      return withObject(scenario, idx, { velocity: { x: fitControl(type, idx === 0 ? 'velocity' : 'velocityB', x), y: 0 } });
+    default:
+      return scenario;
+  }
+};
+
+const withSurface = (scenario, surface) => ({ ...scenario, surfaces: [...(scenario.surfaces || []), surface] });
+
+// A surface of `kind` dragged from `from` to `to` (a pivot only uses `from`).
+// A ramp drawn on an incline sets its slope and length, and a pivot rehangs
+// the pendulum bob from it; ground, ramps and walls are otherwise kept in
+// `surfaces`. Tools the scene does not offer leave it as it is.
+export const addSurface = (scenario, params, kind, from, to = from) => {
+  const type = scenario.problemType;
+  if (!editTools(type).some(({ id }) => id === kind)) return scenario;
+  if (kind === 'pivot') return hangBob(scenario, from, startingBodies(type, params)[0]);
+  const end = surfaceEnd(kind, from, to);
+  const dx = end.x - from.x;
+  const dy = end.y - from.y;
+  if (Math.hypot(dx, dy) < MIN_LENGTH) return scenario;
+  if (kind === 'ramp' && type === 'incline') {
+    return withParameters(scenario, {
+      angle: fitControl(type, 'angle', Math.atan2(Math.abs(dy), Math.abs(dx)) / DEG),
+      distance: fitControl(type, 'length', Math.hypot(dx, dy))
+    });
+  }
+  return withSurface(scenario, { kind, from: roundPoint(from), to: roundPoint(end) });
+};
+
+export const removeSurface = (scenario, idx) => ({ ...scenario, surfaces: (scenario.surfaces || []).filter((_, i) => i !== idx) });
+
+const distanceToSegment = (point, from, to) => {
+  const dx = to.x - from.x;
+  const dy = to.y - from.y;
+  const t = Math.max(0, Math.min(1, ((point.x - from.x) * dx + (point.y - from.y) * dy) / (dx * dx + dy * dy || 1)));
+  return Math.hypot(point.x - (from.x + t * dx), point.y - (from.y + t * dy));
+};
+
+// Index of the surface nearest `point` within `tolerance` metres, or -1
+export const surfaceAt = (surfaces, point, tolerance) => {
+  const distances = surfaces.map((surface) => (surface.kind === 'pivot' && surface.at
+    ? Math.hypot(point.x - surface.at.x, point.y - surface.at.y)
+    : surface.from && surface.to ? distanceToSegment(point, surface.from, surface.to) : Infinity));
+  const nearest = distances.indexOf(Math.min(Infinity, ...distances));
+  return nearest >= 0 && distances[nearest] <= tolerance ? nearest : -1;
+};
+
+// Parameters for an edited scenario: what the edit changed is read from it,
+// and everything else stays where the sliders have it
+export const editedParams = (before, after, params) => {
+  const engine = getEngine(after.problemType);
+  const was = engine.initialParams(before);
+  const now = engine.initialParams(after);
+  const changed = Object.keys(now).filter((key) => JSON.stringify(now[key]) !== JSON.stringify(was[key]));
+  return { ...params, ...Object.fromEntries(changed.map((key) => [key, now[key]])) };
+};
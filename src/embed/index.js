@@ -0,0 +1,13 @@
+// The embeddable simulator: `mount(element, options)` for any page, the
+// options it takes and the DOM-free player behind it
+export { mount } from './widget.js';
+export {
+  DEFAULT_SIZE,
+  EMBED_THEMES,
+  EmbedOptionsError,
+  embedControls,
+  embedTheme,
+  loadEmbedScenario,
+  resolveEmbedOptions
+} from './options.js';
+export { createPlayer } from './player.js';
@@ -0,0 +1,142 @@
+import { askConversationOffline, createConversation } from '../ai/conversation.js';
+import { repairScenario } from '../ai/schema.js';
+import { getEngine } from '../physics/engines/index.js';
+import { orderControls } from '../physics/controls.js';
+import { SCENARIO_FORMAT, readScenarioDocument } from '../storage/scenarioFile.js';
+
+// Options for an embedded simulator (see widget.js). It needs a scenario, a
+// problem or the problem panel; everything else has a default:
+//   scenario        a scenario file (storage/scenarioFile.js), a parsed scenario
+//                   as the analysis returns it, or either as JSON text
+//   problem         problem text to start from when there is no scenario,
+//                   read by the offline parser
+//   params          slider values to start from instead of the defaults
+//   controls        true for every slider, false for none, or the keys of the
+//                   ones to show, in order
+//   playback        show the play button and timeline (default true)
+//   problemPanel    show a box to type a new problem into (default false)
+//   provider        an AI provider (ai/providers.js) for the panel to ask;
+//                   without one, or when it fails, the offline parser reads it
+//   width, height   canvas size in CSS pixels
+//   theme           'light', 'dark' or 'highContrast', or { palette, colors }
+//                   over the light theme
+//   autoplay, loop, speed
+//   onTimeUpdate(time, state), onEvent(event), onParamsChange(params)
+
+export const DEFAULT_SIZE = { width: 600, height: 400 };
+
+// Colours for the widget around the canvas, as CSS custom properties, and the
+// canvas palette (render/palettes.js) to go with them
+export const EMBED_THEMES = [
+  {
+    id: 'light',
+    palette: 'standard',
+    colors: { background: '#FFFFFF', text: '#1E293B', muted: '#64748B', border: '#E2E8F0', accent: '#028090' }
+  },
+  {
+    id: 'dark',
+    palette: 'dark',
+    colors: { background: '#0F172A', text: '#E2E8F0', muted: '#94A3B8', border: '#334155', accent: '#2DD4BF' }
+  },
+  {
+    id: 'highContrast',
+    palette: 'highContrast',
+    colors: { background: '#FFFFFF', text: '#000000', muted: '#000000', border: '#000000', accent: '#0033CC' }
+  }
+];
+
+export class EmbedOptionsError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'EmbedOptionsError';
+  }
+}
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const noop = () => {};
+
+// { scenario, warnings, params } from a scenario file or a parsed scenario.
+// Saved slider values come with a file; `params` overrides them key by key.
+export const loadEmbedScenario = (input, params = {}) => {
+  let data = input;
+  if (typeof input === 'string') {
+    try {
+      data = JSON.parse(input);
+    } catch (error) {
+      throw new EmbedOptionsError(`Scenario is not valid JSON: ${error.message}`);
+    }
+  }
+  if (!isPlainObject(data)) throw new EmbedOptionsError('Scenario must be an object');
+
+  const loaded = data.format === SCENARIO_FORMAT ? readScenarioDocument(data) : (() => {
+    const { scenario, errors, warnings } = repairScenario(data);
+    if (errors.length) {
+      throw new EmbedOptionsError(`Invalid scenario: ${errors.map(({ path, message }) => `${path || '(root)'} ${message}`).join('; ')}`);
+    }
+    return { scenario, warnings, params: getEngine(scenario.problemType).initialParams(scenario) };
+  })();
+  const given = Object.fromEntries(Object.entries(params).filter(([key, value]) => key in loaded.params && Number.isFinite(value)));
+  return { scenario: loaded.scenario, warnings: loaded.warnings, params: { ...loaded.params, ...given } };
+};
+
+// The sliders to show for a scenario: the engine's controls for these
+// parameters, ordered by the scenario, or only the `chosen` keys in their order
+export const embedControls = (scenario, params, chosen = true) => {
+  const engine = getEngine(scenario.problemType);
+  const controls = engine.controlsFor?.(params) ?? engine.controls;
+  if (chosen === true) return orderControls(controls, scenario.adjustableParameters);
+  if (!chosen) return [];
+  return chosen.map((key) => controls.find((control) => control.key === key)).filter(Boolean);
+};
+
+export const embedTheme = (theme = 'light') => {
+  const light = EMBED_THEMES[0];
+  if (isPlainObject(theme)) {
+    return { id: 'custom', palette: theme.palette ?? light.palette, colors: { ...light.colors, ...theme.colors } };
+  }
+  const known = EMBED_THEMES.find(({ id }) => id === theme);
+  if (!known) throw new EmbedOptionsError(`Unknown theme "${theme}" (expected ${EMBED_THEMES.map(({ id }) => id).join(', ')})`);
+  return known;
+};
+
+const positive = (value, fallback, name) => {
+  if (value === undefined) return fallback;
+  if (!Number.isFinite(value) || value <= 0) throw new EmbedOptionsError(`${name} must be a positive number`);
+  return value;
+};
+
+// The scenario to start with: the one given, the problem text parsed offline
+// or, for a widget with a problem panel, none yet
+const startingScenario = ({ scenario, problem, params, problemPanel }) => {
+  if (scenario) return loadEmbedScenario(scenario, params);
+  if (problem) return loadEmbedScenario(askConversationOffline(createConversation(), problem).scenario, params);
+  if (!problemPanel) throw new EmbedOptionsError('Give a scenario or a problem, or show the problem panel');
+  return { scenario: null, warnings: [], params: null };
+};
+
+// Every option checked and filled in
+export const resolveEmbedOptions = (options = {}) => {
+  const controls = options.controls ?? true;
+  if (controls !== true && controls !== false && !Array.isArray(controls)) {
+    throw new EmbedOptionsError('controls must be true, false or a list of parameter keys');
+  }
+  const problemPanel = options.problemPanel ?? false;
+  return {
+    ...startingScenario({ ...options, problemPanel }),
+    problem: options.problem ?? '',
+    controls,
+    playback: options.playback ?? true,
+    problemPanel,
+    provider: options.provider ?? null,
+    width: positive(options.width, DEFAULT_SIZE.width, 'width'),
+    height: positive(options.height, DEFAULT_SIZE.height, 'height'),
+    theme: embedTheme(options.theme),
+    autoplay: options.autoplay ?? true,
+    loop: options.loop ?? true,
+    speed: positive(options.speed, 1, 'speed'),
+    onTimeUpdate: options.onTimeUpdate ?? noop,
+    onEvent: options.onEvent ?? noop,
+    onParamsChange: options.onParamsChange ?? noop
+  };
+};
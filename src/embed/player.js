@@ -0,0 +1,81 @@
+import { eventsPassed } from '../access/narration.js';
+import { clampControl } from '../physics/controls.js';
+import { getEngine } from '../physics/engines/index.js';
+import { detectEvents } from '../physics/events.js';
+import { runSimulation, sampleAt } from '../physics/simulation.js';
+import { RECORD_DT, advanceClock } from '../playback/clock.js';
+
+const noop = () => {};
+
+// Values for the engine's own parameters, held to their controls' ranges;
+// anything else is dropped
+const heldValues = (problemType, params, values) => {
+  const engine = getEngine(problemType);
+  return Object.fromEntries(Object.entries(values).flatMap(([key, value]) => {
+    if (!(key in params)) return [];
+    const control = engine.controls.find((item) => item.key === key);
+    const held = control ? clampControl(control, value) : (Number.isFinite(value) ? value : null);
+    return held === null ? [] : [[key, held]];
+  }));
+};
+
+// What an embedded simulator plays, without any DOM: the recorded run for the
+// scenario and slider values, its events and the playback time. Moving the
+// time calls `onTimeUpdate(time, state)` and `onEvent(event)` for each event
+// passed on the way; new slider values call `onParamsChange(params)`.
+export const createPlayer = ({ loop = true, speed = 1, onTimeUpdate = noop, onEvent = noop, onParamsChange = noop } = {}) => {
+  let loaded = null;
+  let time = 0;
+  // Slider values set before any scenario loaded, for the first one that does
+  let pending = {};
+
+  const record = (scenario, params) => {
+    const run = runSimulation(scenario.problemType, params, { dt: RECORD_DT });
+    loaded = { scenario, params, run, events: detectEvents(scenario.problemType, params, run) };
+    onParamsChange(params);
+  };
+
+  const moveTo = (next) => {
+    const from = time;
+    time = next;
+    eventsPassed(loaded.events, from, time).forEach(onEvent);
+    onTimeUpdate(time, sampleAt(loaded.run, time));
+  };
+
+  return {
+    // { scenario, params, run, events, time }, or null before a scenario loads
+    current: () => loaded && { ...loaded, time },
+    load(scenario, params) {
+      record(scenario, { ...params, ...heldValues(scenario.problemType, params, pending) });
+      pending = {};
+      time = 0;
+      moveTo(0);
+    },
+    // Values for the engine's own parameters, held to their controls' ranges;
+    // anything else is ignored. Playback keeps its time within the new run.
+    // Before a scenario loads they are kept for it.
+    setParams(values) {
+      if (!loaded) {
+        pending = { ...pending, ...values };
+        return;
+      }
+      const changed = heldValues(loaded.scenario.problemType, loaded.params, values);
+      if (!Object.keys(changed).length) return;
+      record(loaded.scenario, { ...loaded.params, ...changed });
+      moveTo(Math.min(time, loaded.run.duration));
+    },
+    // Seeking and ticking do nothing before a scenario loads
+    seek(next) {
+      if (!loaded) return;
+      moveTo(Math.min(Math.max(next, 0), loaded.run.duration));
+    },
+    // Moves playback on by `elapsed` real seconds; true once a run that does
+    // not loop has played to its end
+    tick(elapsed) {
+      if (!loaded) return false;
+      const next = advanceClock(time, elapsed, { duration: loaded.run.duration, speed, loop });
+      moveTo(next.time);
+      return next.ended;
+    }
+  };
+};
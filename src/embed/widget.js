@@ -0,0 +1,267 @@
+import { askConversation, askConversationOffline, createConversation } from '../ai/conversation.js';
+import { renderFrame } from '../export/frames.js';
+import { RECORD_DT } from '../playback/clock.js';
+import { clearScene } from '../render/canvas.js';
+import { DEFAULT_OVERLAYS } from '../render/overlays.js';
+import { paletteById } from '../render/palettes.js';
+import { sceneView } from '../render/scenes.js';
+import { withUnit } from '../solutions/format.js';
+import { embedControls, loadEmbedScenario, resolveEmbedOptions } from './options.js';
+import { createPlayer } from './player.js';
+
+// The embeddable simulator: a canvas with a play button, a timeline and
+// sliders, and optionally a box to type a problem into, built from plain DOM
+// so a page can host it without React or anything loaded from a CDN.
+//
+//   const sim = mount(document.getElementById('sim'), { scenario, controls: ['angle'] });
+//   sim.setParams({ angle: 60 });
+//   sim.destroy();
+//
+// Options are described in options.js. Colours come from CSS custom
+// properties on the widget (--kv-background, --kv-text, --kv-muted,
+// --kv-border, --kv-accent), which a host page may override.
+
+const STYLE_ID = 'kinevision-embed-style';
+
+const STYLES = `
+.kv-embed { display: inline-flex; flex-direction: column; gap: 8px; padding: 12px; background: var(--kv-background); color: var(--kv-text); border: 1px solid var(--kv-border); border-radius: 8px; font: 14px -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; box-sizing: border-box; }
+.kv-embed canvas { display: block; border-radius: 6px; }
+.kv-embed button { padding: 6px 12px; background: var(--kv-accent); color: var(--kv-background); border: none; border-radius: 6px; font: inherit; font-weight: bold; cursor: pointer; }
+.kv-embed button:disabled { opacity: 0.6; cursor: default; }
+.kv-embed textarea { flex: 1; min-height: 48px; padding: 6px; font: inherit; color: var(--kv-text); background: var(--kv-background); border: 1px solid var(--kv-border); border-radius: 6px; resize: vertical; }
+.kv-row { display: flex; align-items: center; gap: 8px; }
+.kv-row input[type=range] { flex: 1; accent-color: var(--kv-accent); }
+.kv-label { min-width: 140px; }
+.kv-muted { color: var(--kv-muted); font-size: 13px; font-variant-numeric: tabular-nums; }
+.kv-status:empty { display: none; }
+`;
+
+// One stylesheet per document, however many widgets it hosts
+const addStyles = (doc) => {
+  if (doc.getElementById(STYLE_ID)) return;
+  const style = doc.createElement('style');
+  style.id = STYLE_ID;
+  style.textContent = STYLES;
+  doc.head.appendChild(style);
+};
+
+const create = (doc, tag, { className, text, attrs = {} } = {}, children = []) => {
+  const node = doc.createElement(tag);
+  if (className) node.className = className;
+  if (text !== undefined) node.textContent = text;
+  Object.entries(attrs).forEach(([name, value]) => node.setAttribute(name, value));
+  children.filter(Boolean).forEach((child) => node.appendChild(child));
+  return node;
+};
+
+const labelFor = ({ label, unit }) => (unit ? `${label} (${unit})` : label);
+
+// Mounts a simulator into `element` and returns its controller. Bad options
+// throw an EmbedOptionsError (or a ScenarioFileError for a bad scenario file)
+// before anything is added to the page.
+export const mount = (element, options = {}) => {
+  const settings = resolveEmbedOptions(options);
+  const doc = element.ownerDocument;
+  const win = doc.defaultView;
+  const palette = paletteById(settings.theme.palette);
+  addStyles(doc);
+
+  const root = create(doc, 'div', { className: 'kv-embed' });
+  Object.entries(settings.theme.colors).forEach(([name, value]) => root.style.setProperty(`--kv-${name}`, value));
+
+  const problemInput = create(doc, 'textarea', { attrs: { 'aria-label': 'Problem', placeholder: 'Describe a motion problem...' } });
+  problemInput.value = settings.problem;
+  const analyzeButton = create(doc, 'button', { text: 'Simulate', attrs: { type: 'submit' } });
+  const problemForm = settings.problemPanel ? create(doc, 'form', { className: 'kv-row' }, [problemInput, analyzeButton]) : null;
+  const status = create(doc, 'p', { className: 'kv-muted kv-status', attrs: { role: 'status', 'aria-live': 'polite' } });
+
+  const canvas = create(doc, 'canvas', { attrs: { role: 'img' } });
+  canvas.width = settings.width;
+  canvas.height = settings.height;
+  const ctx = canvas.getContext('2d');
+
+  const playButton = create(doc, 'button', { text: '▶ Play', attrs: { type: 'button' } });
+  const timeline = create(doc, 'input', { attrs: { type: 'range', min: 0, step: RECORD_DT, 'aria-label': 'Timeline' } });
+  const clock = create(doc, 'span', { className: 'kv-muted' });
+  const playbackRow = settings.playback ? create(doc, 'div', { className: 'kv-row' }, [playButton, timeline, clock]) : null;
+  const controlsBox = create(doc, 'div');
+
+  [problemForm, status, canvas, playbackRow, controlsBox].filter(Boolean).forEach((child) => root.appendChild(child));
+
+  let sliders = [];
+
+  const draw = () => {
+    const current = player.current();
+    if (!current) {
+      const view = { ...sceneView(canvas), palette };
+      clearScene(ctx, view);
+      ctx.fillStyle = palette.ink;
+      ctx.font = '14px Arial';
+      ctx.fillText('Type a problem above to see it move.', 20, view.height / 2);
+      return;
+    }
+    renderFrame(ctx, {
+      problemType: current.scenario.problemType,
+      run: current.run,
+      params: current.params,
+      view: sceneView(canvas),
+      overlays: DEFAULT_OVERLAYS,
+      events: current.events,
+      surfaces: current.scenario.surfaces,
+      palette
+    }, current.time);
+  };
+
+  const showTime = (time) => {
+    const { run } = player.current();
+    timeline.max = run.duration;
+    timeline.value = time;
+    const text = `${time.toFixed(2)} s / ${run.duration.toFixed(2)} s`;
+    timeline.setAttribute('aria-valuetext', text);
+    clock.textContent = text;
+  };
+
+  // Slider positions follow the parameters, however they were changed. A new
+  // scenario's parameters arrive before its sliders are built.
+  const showParams = (params) => sliders.filter(({ control }) => control.key in params).forEach(({ control, input, output }) => {
+    input.value = params[control.key];
+    output.textContent = withUnit(params[control.key], control.unit);
+    input.setAttribute('aria-valuetext', output.textContent);
+  });
+
+  const player = createPlayer({
+    loop: settings.loop,
+    speed: settings.speed,
+    onTimeUpdate: (time, state) => {
+      draw();
+      showTime(time);
+      settings.onTimeUpdate(time, state);
+    },
+    onEvent: settings.onEvent,
+    onParamsChange: (params) => {
+      showParams(params);
+      settings.onParamsChange(params);
+    }
+  });
+
+  const buildControls = () => {
+    const { scenario, params } = player.current();
+    controlsBox.replaceChildren();
+    sliders = embedControls(scenario, params, settings.controls).map((control) => {
+      const input = create(doc, 'input', { attrs: { type: 'range', min: control.min, max: control.max, step: control.step, 'aria-label': control.label } });
+      const output = create(doc, 'output', { className: 'kv-muted' });
+      input.addEventListener('input', () => player.setParams({ [control.key]: parseFloat(input.value) }));
+      controlsBox.appendChild(create(doc, 'label', { className: 'kv-row' }, [create(doc, 'span', { className: 'kv-label', text: labelFor(control) }), input, output]));
+      return { control, input, output };
+    });
+    showParams(params);
+  };
+
+  // Advance the clock by real elapsed time while playing
+  let playing = false;
+  let frame = null;
+  let last = null;
+  const animate = (now) => {
+    const elapsed = last === null ? 0 : (now - last) / 1000;
+    last = now;
+    if (player.tick(elapsed)) {
+      setPlaying(false);
+      return;
+    }
+    frame = win.requestAnimationFrame(animate);
+  };
+  const setPlaying = (next) => {
+    const current = player.current();
+    playing = Boolean(next && current);
+    if (frame !== null) win.cancelAnimationFrame(frame);
+    frame = null;
+    last = null;
+    if (playing) {
+      // A run that played to its end starts over
+      if (current.time >= current.run.duration) player.seek(0);
+      frame = win.requestAnimationFrame(animate);
+    }
+    playButton.textContent = playing ? '⏸ Pause' : '▶ Play';
+  };
+
+  const setLoaded = (loaded) => {
+    playButton.disabled = !loaded;
+    timeline.disabled = !loaded;
+  };
+
+  const show = ({ scenario, params }) => {
+    setPlaying(false);
+    player.load(scenario, params);
+    canvas.setAttribute('aria-label', scenario.description || `${scenario.problemType} simulation`);
+    buildControls();
+    setLoaded(true);
+  };
+
+  // Problems typed into the panel go to the provider when there is one, and
+  // to the offline parser without one or when it fails
+  const analyze = async (text) => {
+    analyzeButton.disabled = true;
+    status.textContent = 'Analysing...';
+    try {
+      let answer;
+      try {
+        answer = settings.provider
+          ? await askConversation(settings.provider, createConversation(), text)
+          : askConversationOffline(createConversation(), text);
+      } catch {
+        answer = askConversationOffline(createConversation(), text);
+      }
+      show(loadEmbedScenario(answer.scenario));
+      status.textContent = '';
+      setPlaying(settings.autoplay);
+    } catch (error) {
+      status.textContent = `Could not read that problem: ${error.message}`;
+    } finally {
+      analyzeButton.disabled = false;
+    }
+  };
+
+  playButton.addEventListener('click', () => setPlaying(!playing));
+  timeline.addEventListener('input', () => {
+    setPlaying(false);
+    player.seek(parseFloat(timeline.value));
+  });
+  problemForm?.addEventListener('submit', (e) => {
+    e.preventDefault();
+    if (problemInput.value.trim()) analyze(problemInput.value.trim());
+  });
+
+  element.appendChild(root);
+  if (settings.scenario) {
+    show(settings);
+    setPlaying(settings.autoplay);
+  } else {
+    setLoaded(false);
+    draw();
+  }
+
+  return {
+    play: () => setPlaying(true),
+    pause: () => setPlaying(false),
+    seek: (time) => {
+      setPlaying(false);
+      player.seek(time);
+    },
+    setParams: (values) => player.setParams(values),
+    // A new scenario, as the `scenario` option takes it
+    load: (scenario, params) => {
+      show(loadEmbedScenario(scenario, params));
+      setPlaying(settings.autoplay);
+    },
+    analyze,
+    // { scenario, params, time, duration, events }, or null before a scenario loads
+    getState: () => {
+      const current = player.current();
+      return current && { scenario: current.scenario, params: current.params, time: current.time, duration: current.run.duration, events: current.events };
+    },
+    destroy: () => {
+      setPlaying(false);
+      root.remove();
+    }
+  };
+};
@@ -0,0 +1,48 @@
+import { kinematicSeries, objectStates, runSimulation } from '../physics/index.js';
+
+// Columns written to CSV and JSON exports, in order. `object` names the body a
+// row belongs to and has no unit; the energies are those of the whole system.
+export const EXPORT_COLUMNS = [
+  { key: 't', label: 't', unit: 's' },
+  { key: 'object', label: 'object', unit: null },
+  { key: 'x', label: 'x', unit: 'm' },
+  { key: 'y', label: 'y', unit: 'm' },
+  { key: 'vx', label: 'vx', unit: 'm/s' },
+  { key: 'vy', label: 'vy', unit: 'm/s' },
+  { key: 'ax', label: 'ax', unit: 'm/s²' },
+  { key: 'ay', label: 'ay', unit: 'm/s²' },
+  { key: 'kinetic', label: 'KE', unit: 'J' },
+  { key: 'potential', label: 'PE', unit: 'J' },
+  { key: 'energy', label: 'E', unit: 'J' }
+];
+
+// Sampling interval of exported data; coarser than playback so that rows land
+// on round times
+export const EXPORT_DT = 0.01;
+
+const round = (value) => (typeof value === 'number' ? Number(value.toFixed(6)) : value);
+
+// Names with commas or quotes are quoted, as CSV readers expect
+const csvCell = (value) => (typeof value === 'string' && /[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+
+// Fresh run sampled every `dt` seconds, as kinematicSeries rows for every
+// body: one row per body at each time, in object order
+export const exportSeries = (problemType, params, { dt = EXPORT_DT, solver, integrator } = {}) => {
+  const run = runSimulation(problemType, params, { dt, solver, integrator });
+  const series = objectStates(params, run.samples[0]).map(({ name }, body) =>
+    kinematicSeries(problemType, run, params, { body }).map((row) => ({ ...row, object: name })));
+  return run.samples.flatMap((_, i) => series.map((rows) => rows[i]));
+};
+
+export const toCSV = (rows, columns = EXPORT_COLUMNS) => {
+  const header = columns.map(({ label, unit }) => (unit ? `${label} (${unit})` : label)).join(',');
+  const lines = rows.map((row) => columns.map(({ key }) => csvCell(round(row[key]))).join(','));
+  return [header, ...lines].join('\n') + '\n';
+};
+
+export const toJSON = ({ problemType, params, rows }, columns = EXPORT_COLUMNS) => JSON.stringify({
+  problemType,
+  params,
+  units: Object.fromEntries(columns.filter(({ unit }) => unit).map(({ key, unit }) => [key, unit])),
+  samples: rows.map((row) => Object.fromEntries(columns.map(({ key }) => [key, round(row[key])])))
+}, null, 2);
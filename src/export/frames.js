@@ -0,0 +1,25 @@
+import { sampleAt } from '../physics/index.js';
+import { drawScene } from '../render/scenes.js';
+
+export const EXPORT_FPS = 30;
+
+// Frame timestamps covering [0, duration], always including both ends
+export const frameTimes = (duration, fps = EXPORT_FPS) => {
+  const count = Math.max(0, Math.ceil(duration * fps - 1e-9));
+  return Array.from({ length: count + 1 }, (_, i) => Math.min(i / fps, duration));
+};
+
+export const renderFrame = (ctx, { problemType, run, params, view, overlays, ghosts, events, predictions, surfaces, draft, palette, frame }, time) =>
+  drawScene(ctx, problemType, sampleAt(run, time), params, view, run, { overlays, ghosts, events, predictions, surfaces, draft, palette, frame });
+
+// Draws every frame of a recorded run in order, independent of wall-clock time,
+// and hands each one to `onFrame(index, time)` to capture (toDataURL, pixels,
+// a video track). Identical inputs always produce identical frames.
+export const renderFrames = (ctx, scene, onFrame, { fps = EXPORT_FPS } = {}) => {
+  const times = frameTimes(scene.run.duration, fps);
+  times.forEach((time, index) => {
+    renderFrame(ctx, scene, time);
+    onFrame(index, time);
+  });
+  return times.length;
+};
@@ -0,0 +1,4 @@
+// Getting data and media out of a simulation: time series, stills and video
+export { EXPORT_COLUMNS, EXPORT_DT, exportSeries, toCSV, toJSON } from './data.js';
+export { EXPORT_FPS, frameTimes, renderFrame, renderFrames } from './frames.js';
+export { canRecordVideo, canvasToBlob, downloadBlob, downloadText, recordWebM } from './media.js';
@@ -0,0 +1,49 @@
+import { EXPORT_FPS, frameTimes, renderFrame } from './frames.js';
+
+// Browser-only helpers for saving exports
+
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+export const downloadText = (text, filename, type) => downloadBlob(new Blob([text], { type }), filename);
+
+export const canvasToBlob = (canvas, type = 'image/png') =>
+  new Promise((resolve, reject) => canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error(`Could not encode ${type}`))), type));
+
+export const canRecordVideo = (canvas) =>
+  typeof MediaRecorder !== 'undefined' && typeof canvas?.captureStream === 'function';
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Records a run as WebM. Frames are drawn at fixed simulation times and pushed
+// to the stream one by one, paced in real time so the video plays at 1×.
+export const recordWebM = async (canvas, scene, { fps = EXPORT_FPS, mimeType = 'video/webm' } = {}) => {
+  const stream = canvas.captureStream(0);
+  const [track] = stream.getVideoTracks();
+  const recorder = new MediaRecorder(stream, { mimeType });
+  const chunks = [];
+  recorder.ondataavailable = (event) => {
+    if (event.data.size > 0) chunks.push(event.data);
+  };
+  const stopped = new Promise((resolve) => {
+    recorder.onstop = resolve;
+  });
+
+  const ctx = canvas.getContext('2d');
+  recorder.start();
+  for (const time of frameTimes(scene.run.duration, fps)) {
+    renderFrame(ctx, scene, time);
+    track.requestFrame();
+    await sleep(1000 / fps);
+  }
+  recorder.stop();
+  await stopped;
+  track.stop();
+  return new Blob(chunks, { type: mimeType });
+};
@@ -0,0 +1,18 @@
+// Summaries for comparing runs of one scenario side by side.
+
+// Range, run time and highest point of the first object of a run. Range is
+// its horizontal displacement, heights are world y as the engine reports it.
+export const runMetrics = (run) => {
+  const first = run.samples[0].bodies[0];
+  const last = run.samples[run.samples.length - 1].bodies[0];
+  return {
+    range: last.x - first.x,
+    time: run.duration,
+    maxHeight: Math.max(...run.samples.map((sample) => sample.bodies[0].y))
+  };
+};
+
+// The controls whose values differ between parameter sets, which tell the
+// runs apart
+export const differingControls = (controls, paramSets) =>
+  controls.filter((control) => new Set(paramSets.map((params) => params[control.key])).size > 1);
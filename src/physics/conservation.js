@@ -0,0 +1,93 @@
+import { resolveEngine } from './engines/index.js';
+import { objectStates } from './kinematics.js';
+
+// Energy and momentum bookkeeping for the conservation dashboard.
+
+// Largest drift, as a fraction of the energy in play, before a run is flagged
+export const DRIFT_TOLERANCE = 0.005;
+
+// Kinetic, potential and total mechanical energy of the system in one state, in J
+export const energyAt = (problemType, params, state) => {
+  const { kinetic, potential } = resolveEngine(problemType, params).energy(state, params);
+  return { kinetic, potential, total: kinetic + potential };
+};
+
+// Largest kinetic plus potential energy at any point of a run, to scale bars by
+export const peakEnergy = (problemType, params, run) => Math.max(
+  ...run.samples.map((sample) => {
+    const { kinetic, potential } = energyAt(problemType, params, sample);
+    return kinetic + Math.abs(potential);
+  })
+);
+
+// Linear momentum of every object and of the whole system, in kg·m/s
+export const momentum = (params, state) => {
+  const objects = objectStates(params, state).map(({ name, mass, vx, vy }) => ({ name, px: mass * vx, py: mass * vy }));
+  const total = objects.reduce((sum, { px, py }) => ({ px: sum.px + px, py: sum.py + py }), { px: 0, py: 0 });
+  return { objects, total };
+};
+
+// How far total mechanical energy strays from its starting value while only
+// conservative forces act (`checkedUntil`, the end of that stretch), relative
+// to the largest kinetic plus potential energy reached in it. `drift` is the
+// worst signed value and `time` when it happened; a run in which friction,
+// drag or a drive act from the start is not checked at all.
+export const energyDrift = (problemType, params, run) => {
+  const engine = resolveEngine(problemType, params);
+  const totals = [];
+  for (const sample of run.samples) {
+    if (!engine.conservative(params, sample)) break;
+    const { kinetic, potential } = engine.energy(sample, params);
+    totals.push({ time: sample.time, total: kinetic + potential, size: kinetic + Math.abs(potential) });
+  }
+  if (!totals.length) return { checked: false, checkedUntil: 0, drift: 0, time: 0, flagged: false };
+
+  const start = totals[0].total;
+  const size = Math.max(...totals.map((entry) => entry.size));
+  const worst = totals.reduce((most, entry) => (Math.abs(entry.total - start) > Math.abs(most.total - start) ? entry : most));
+  const drift = size > 0 ? (worst.total - start) / size : 0;
+  return {
+    checked: true,
+    checkedUntil: totals[totals.length - 1].time,
+    drift,
+    time: worst.time,
+    flagged: Math.abs(drift) > DRIFT_TOLERANCE
+  };
+};
+
+// One line on the result of energyDrift for the dashboard; `level` is 'ok',
+// 'warning' or 'off' (not checked)
+export const describeDrift = (problemType, check, duration) => {
+  if (!check.checked) {
+    const cause = problemType === 'collision' ? 'the impact is inelastic' : 'friction, drag or a driving force does work';
+    return { level: 'off', text: `Not conserved: ${cause}` };
+  }
+  const percent = `${(check.drift * 100).toFixed(3)}%`;
+  const until = check.checkedUntil < duration - 1e-9 ? ` until t = ${check.checkedUntil.toFixed(2)} s` : '';
+  if (check.flagged) {
+    return { level: 'warning', text: `Energy drifts by ${percent} (t = ${check.time.toFixed(2)} s): the numerical solution breaks conservation${until}` };
+  }
+  return { level: 'ok', text: `Energy conserved${until}, drift ${percent}` };
+};
+
+// Momentum and kinetic energy before and after a collision, from the first and
+// last states of its run. Momentum is always conserved, so a change beyond the
+// tolerance is flagged; kinetic energy is lost unless the impact is elastic.
+export const collisionSummary = (params, run) => {
+  const engine = resolveEngine('collision', params);
+  const [first, last] = [run.samples[0], run.samples[run.samples.length - 1]];
+  const side = (state) => ({ momentum: momentum(params, state).total, kinetic: engine.energy(state, params).kinetic });
+  const before = side(first);
+  const after = side(last);
+  const kineticLost = before.kinetic - after.kinetic;
+  const change = Math.hypot(after.momentum.px - before.momentum.px, after.momentum.py - before.momentum.py);
+  const size = momentum(params, first).objects.reduce((sum, { px, py }) => sum + Math.hypot(px, py), 0);
+  return {
+    collided: Boolean(last.collided),
+    before,
+    after,
+    kineticLost,
+    fractionLost: before.kinetic > 0 ? kineticLost / before.kinetic : 0,
+    momentumFlagged: size > 0 && change / size > DRIFT_TOLERANCE
+  };
+};
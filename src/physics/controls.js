@@ -0,0 +1,28 @@
+// Parameter descriptors behind the control panel. Every engine lists its
+// adjustable parameters as { key, label, unit, min, max, step, default }: the
+// range bounds both the slider and typed values, and `default` is what the
+// engine uses when a scenario leaves the parameter out.
+
+// Surface gravity presets for the gravity control, in m/s²
+export const GRAVITY_PRESETS = [
+  { id: 'earth', label: 'Earth', value: 9.8 },
+  { id: 'moon', label: 'Moon', value: 1.62 },
+  { id: 'mars', label: 'Mars', value: 3.71 },
+  { id: 'jupiter', label: 'Jupiter', value: 24.79 }
+];
+
+export const controlDefaults = (controls) => Object.fromEntries(controls.map((control) => [control.key, control.default]));
+
+// A typed or slid value held to the control's range; anything that is not a
+// number is rejected with null
+export const clampControl = (control, value) => {
+  if (!Number.isFinite(value)) return null;
+  return Math.min(control.max, Math.max(control.min, value));
+};
+
+// The controls a scenario lists in adjustableParameters come first, in its
+// order, followed by the rest
+export const orderControls = (controls, adjustable = []) => {
+  const listed = adjustable.map((key) => controls.find((control) => control.key === key)).filter(Boolean);
+  return [...listed, ...controls.filter((control) => !listed.includes(control))];
+};
@@ -0,0 +1,50 @@
+// Objects moving within a moving frame, such as someone walking along a train
+// or a boat on a river. `params.movingFrame` is { name, vx, vy, width? }: the
+// frame's velocity over the ground and, for a river, how wide it is across y.
+// The engine moves the objects relative to the frame, as the problem gives
+// their velocities, and the run is carried along with the frame into the
+// ground frame. Energy and forces stay those measured in the moving frame,
+// where friction and drag act.
+
+// The scenario's moving frame, from its parsed `frame`, or null without one
+export const movingFrameParams = (parsed) => {
+  const frame = parsed.frame;
+  if (!frame?.velocity) return null;
+  return {
+    name: frame.name || 'Moving frame',
+    vx: frame.velocity.x ?? 0,
+    vy: frame.velocity.y ?? 0,
+    ...(frame.width > 0 ? { width: frame.width } : {})
+  };
+};
+
+// `state` moved along with the frame (sign 1) or back into it (sign −1). Group
+// members keep the engine's own states.
+const carry = (state, { vx, vy }, sign = 1) => ({
+  ...state,
+  bodies: state.bodies.map((body) => ({
+    ...body,
+    x: body.x + sign * vx * state.time,
+    y: body.y + sign * vy * state.time,
+    vx: body.vx + sign * vx,
+    vy: body.vy + sign * vy
+  }))
+});
+
+export const carriedEngine = (engine) => ({
+  ...engine,
+  init: (params) => carry(engine.init(params), params.movingFrame),
+  exact: (params, t) => carry(engine.exact(params, t), params.movingFrame),
+  integrate: (state, dt, params, integrator) =>
+    carry(engine.integrate(carry(state, params.movingFrame, -1), dt, params, integrator), params.movingFrame),
+  // With no gravity (a boat seen from above), the run ends as the first
+  // object reaches the far side of a river
+  duration: (params, timing) => {
+    const { width } = params.movingFrame;
+    const [body] = engine.init(params).bodies;
+    return width && !params.gravity && body.vy > 0 ? width / body.vy : engine.duration(params, timing);
+  },
+  energy: (state, params) => engine.energy(carry(state, params.movingFrame, -1), params),
+  conservative: (params, state) => engine.conservative(params, state && carry(state, params.movingFrame, -1)),
+  forces: (state, params) => engine.forces(carry(state, params.movingFrame, -1), params)
+});
@@ -0,0 +1,164 @@
+import { kineticEnergy } from '../math.js';
+import { earliestRoot } from '../solvers.js';
+import { clampControl, controlDefaults } from '../controls.js';
+import { objectLabels } from './group.js';
+
+// Wide enough for cars and trucks on a road as well as carts on a track
+const controls = [
+  { key: 'massA', label: 'Mass A', unit: 'kg', min: 0.1, max: 10000, step: 0.1, default: 1 },
+  { key: 'massB', label: 'Mass B', unit: 'kg', min: 0.1, max: 10000, step: 0.1, default: 1 },
+  { key: 'velocity', label: 'Velocity A', unit: 'm/s', min: 0, max: 40, step: 0.5, default: 3 },
+  { key: 'velocityB', label: 'Velocity B', unit: 'm/s', min: -40, max: 40, step: 0.5, default: 0 },
+  { key: 'restitution', label: 'Restitution (1 = elastic, 0 = perfectly inelastic)', unit: '', min: 0, max: 1, step: 0.05, default: 1 },
+  { key: 'offset', label: 'Impact Offset (0 = head-on)', unit: 'm', min: 0, max: 1.5, step: 0.05, default: 0 }
+];
+
+const DEFAULTS = controlDefaults(controls);
+
+// Default starting layout: A approaches from the left, B sits at the origin
+const LAYOUT = { positionA: -5, positionB: 0 };
+
+// Least room between the two at the start, in m, and how long before impact
+// the default layout starts them, in s
+const START_GAP = 1;
+const LEAD_TIME = 1;
+
+export const collisionRadius = (mass) => 0.4 * Math.cbrt(mass);
+
+// Where along the track A and B start, and B's offset across it, from the
+// objects' initial positions. Positions that do not put A clear to the left of
+// B (such as both left at the origin) fall back to the default layout, moved
+// back for fast or large bodies so the impact is not over at once.
+const layout = (parsed, massA, massB, closing) => {
+  const [a, b] = (parsed.objects || []).map((object) => object.initialPosition);
+  const reach = collisionRadius(massA) + collisionRadius(massB);
+  if (!a || !b || b.x - a.x <= reach) {
+    const positionA = Math.min(LAYOUT.positionA, LAYOUT.positionB - reach - Math.max(0, closing) * LEAD_TIME);
+    return { ...LAYOUT, positionA, offset: DEFAULTS.offset };
+  }
+  const offset = clampControl(controls.find(({ key }) => key === 'offset'), Math.abs((b.y ?? 0) - (a.y ?? 0)));
+  return { positionA: a.x, positionB: b.x, offset: offset ?? DEFAULTS.offset };
+};
+
+const initialParams = (parsed) => {
+  const p = parsed.parameters || {};
+  const massA = parsed.objects?.[0]?.mass ?? DEFAULTS.massA;
+  const massB = parsed.objects?.[1]?.mass ?? DEFAULTS.massB;
+  const velocity = parsed.objects?.[0]?.velocity?.x ?? p.initialVelocity?.magnitude ?? DEFAULTS.velocity;
+  const velocityB = parsed.objects?.[1]?.velocity?.x ?? DEFAULTS.velocityB;
+  return {
+    massA,
+    massB,
+    velocity,
+    velocityB,
+    restitution: p.restitution ?? DEFAULTS.restitution,
+    ...layout(parsed, massA, massB, velocity - velocityB),
+    objects: objectLabels(parsed, 2)
+  };
+};
+
+// A on the track line and B `offset` across it. Heavier bodies are drawn
+// larger, so A is moved back if it would start touching B.
+const startingBodies = (params) => {
+  const positionB = params.positionB ?? LAYOUT.positionB;
+  const clear = positionB - collisionRadius(params.massA) - collisionRadius(params.massB) - START_GAP;
+  return [
+    { x: Math.min(params.positionA ?? LAYOUT.positionA, clear), y: 0, vx: params.velocity, vy: 0 },
+    { x: positionB, y: params.offset, vx: params.velocityB, vy: 0 }
+  ];
+};
+
+// Impulse along the contact normal (nx, ny) with coefficient of restitution e
+const applyImpulse = (params, a, b, nx, ny) => {
+  const approach = (a.vx - b.vx) * nx + (a.vy - b.vy) * ny;
+  const impulse = ((1 + params.restitution) * approach) / (1 / params.massA + 1 / params.massB);
+  return [
+    { ...a, vx: a.vx - (impulse / params.massA) * nx, vy: a.vy - (impulse / params.massA) * ny },
+    { ...b, vx: b.vx + (impulse / params.massB) * nx, vy: b.vy + (impulse / params.massB) * ny }
+  ];
+};
+
+// Contact time and post-impact velocities, or contactTime null if the bodies miss
+export const resolveCollision = (params) => {
+  const [a, b] = startingBodies(params);
+  const reach = collisionRadius(params.massA) + collisionRadius(params.massB);
+
+  // Solve |(pB - pA) + (vB - vA)·t| = rA + rB for the first contact
+  const px = b.x - a.x;
+  const py = b.y - a.y;
+  const wx = b.vx - a.vx;
+  const wy = b.vy - a.vy;
+  const contactTime = earliestRoot(wx * wx + wy * wy, 2 * (px * wx + py * wy), px * px + py * py - reach * reach);
+  if (contactTime === null || px * wx + py * wy >= 0) {
+    return { contactTime: null, before: [a, b], after: [a, b] };
+  }
+
+  const nx = px + wx * contactTime;
+  const ny = py + wy * contactTime;
+  const n = Math.hypot(nx, ny);
+  return { contactTime, before: [a, b], after: applyImpulse(params, a, b, nx / n, ny / n) };
+};
+
+const exact = (params, t) => {
+  const { contactTime, before, after } = resolveCollision(params);
+  const collided = contactTime !== null && t > contactTime;
+  const bodies = before.map((start, idx) => {
+    if (!collided) return { x: start.x + start.vx * t, y: start.y + start.vy * t, vx: start.vx, vy: start.vy };
+    const { vx, vy } = after[idx];
+    const elapsed = t - contactTime;
+    return {
+      x: start.x + start.vx * contactTime + vx * elapsed,
+      y: start.y + start.vy * contactTime + vy * elapsed,
+      vx,
+      vy
+    };
+  });
+  return { time: t, collided, bodies };
+};
+
+// Free flight with overlap detection; contact is resolved at step granularity
+const integrate = (state, dt, params) => {
+  let [a, b] = state.bodies.map((body) => ({ ...body, x: body.x + body.vx * dt, y: body.y + body.vy * dt }));
+  let { collided } = state;
+  const nx = b.x - a.x;
+  const ny = b.y - a.y;
+  const n = Math.hypot(nx, ny);
+  const reach = collisionRadius(params.massA) + collisionRadius(params.massB);
+  const approaching = (a.vx - b.vx) * nx + (a.vy - b.vy) * ny > 0;
+  if (!collided && n <= reach && approaching) {
+    [a, b] = applyImpulse(params, a, b, nx / n, ny / n);
+    collided = true;
+  }
+  return { time: state.time + dt, collided, bodies: [a, b] };
+};
+
+const duration = (params) => {
+  const { contactTime } = resolveCollision(params);
+  return contactTime === null ? 4 : contactTime + 2.5;
+};
+
+export const collision = {
+  type: 'collision',
+  label: 'Collision',
+  defaultSolver: 'analytic',
+  // The bodies fly straight between contacts, which every integrator steps
+  // the same way
+  steppedAlike: true,
+  maxObjects: 2,
+  controls,
+  initialParams,
+  init: (params) => exact(params, 0),
+  exact,
+  integrate,
+  duration,
+  // Seen from above, so there is no gravitational potential
+  energy: (state, params) => ({
+    kinetic: kineticEnergy(params.massA, state.bodies[0]) + kineticEnergy(params.massB, state.bodies[1]),
+    potential: 0
+  }),
+  // Only an elastic impact keeps the kinetic energy
+  conservative: (params) => params.restitution === 1,
+  // Weight and normal force are perpendicular to the view; the contact impulse
+  // is instantaneous
+  forces: (state) => state.bodies.map(() => [])
+};
@@ -0,0 +1,66 @@
+// Several bodies moving independently under one engine, such as two cars in a
+// chase. `params.objects` lists every body; the first one is driven by `params`
+// itself (and so by the sliders), later ones carry their own values for the
+// engine's parameters and share everything else.
+
+// Display names and optional colours of the first `count` parsed objects
+export const objectLabels = (parsed, count) => Array.from({ length: count }, (_, idx) => {
+  const object = parsed.objects?.[idx] || {};
+  const name = object.name || (count > 1 ? `Object ${String.fromCharCode(65 + idx)}` : 'Object');
+  return object.color ? { name, color: object.color } : { name };
+});
+
+export const objectParams = (params) => {
+  if (!(params.objects?.length > 1)) return [params];
+  return params.objects.map(({ name, color, ...own }, idx) => (idx === 0 ? params : { ...params, ...own }));
+};
+
+const combine = (time, members, ends) => ({ time, bodies: members.flatMap((member) => member.bodies), members, ...(ends ? { ends } : {}) });
+
+// When each body's own run ends, worked out once per set of parameters:
+// finding where a projectile lands on terrain means searching its whole flight
+const exactEnds = new WeakMap();
+
+const endsOf = (engine, params) => {
+  if (!exactEnds.has(params)) exactEnds.set(params, objectParams(params).map((own) => engine.duration(own)));
+  return exactEnds.get(params);
+};
+
+// A body whose own run has ended (a projectile that has landed) stays where it
+// finished while the others carry on. A numeric run finds when each body ends
+// on its first step, with that step and integrator, and keeps the times in
+// its state.
+export const groupEngine = (engine) => ({
+  ...engine,
+  init: (params) => combine(0, objectParams(params).map((own) => engine.init(own))),
+  exact: (params, t) => {
+    const ends = endsOf(engine, params);
+    return combine(t, objectParams(params).map((own, idx) => engine.exact(own, Math.min(t, ends[idx]))));
+  },
+  hasExact: (params) => objectParams(params).every((own) => engine.hasExact?.(own) ?? true),
+  integrate: (state, dt, params, integrator) => {
+    const owns = objectParams(params);
+    const ends = state.ends ?? owns.map((own) => engine.duration(own, { integrator, dt }));
+    return combine(state.time + dt, state.members.map((member, idx) => {
+      const left = ends[idx] - member.time;
+      return left > 1e-9 ? engine.integrate(member, Math.min(dt, left), owns[idx], integrator) : member;
+    }), ends);
+  },
+  // Play until the last body has finished
+  duration: (params, timing) => Math.max(...(timing ? objectParams(params).map((own) => engine.duration(own, timing)) : endsOf(engine, params))),
+  conservative: (params, state) => {
+    const owns = objectParams(params);
+    return state.members.every((member, idx) => engine.conservative(owns[idx], member));
+  },
+  forces: (state, params) => {
+    const owns = objectParams(params);
+    return state.members.flatMap((member, idx) => engine.forces(member, owns[idx]));
+  },
+  energy: (state, params) => {
+    const owns = objectParams(params);
+    return state.members.reduce((total, member, idx) => {
+      const { kinetic, potential } = engine.energy(member, owns[idx]);
+      return { kinetic: total.kinetic + kinetic, potential: total.potential + potential };
+    }, { kinetic: 0, potential: 0 });
+  }
+});
@@ -0,0 +1,128 @@
+import { DEG, kineticEnergy } from '../math.js';
+import { controlDefaults } from '../controls.js';
+import { objectLabels } from './group.js';
+
+const controls = [
+  { key: 'angle', label: 'Incline Angle', unit: '°', min: 5, max: 80, step: 1, default: 30 },
+  { key: 'velocity', label: 'Initial Velocity', unit: 'm/s', min: 0, max: 20, step: 0.5, default: 0 },
+  { key: 'length', label: 'Slope Length', unit: 'm', min: 1, max: 50, step: 0.5, default: 10 },
+  { key: 'mass', label: 'Mass', unit: 'kg', min: 0.1, max: 100, step: 0.1, default: 1 },
+  { key: 'friction', label: 'Friction Coefficient (μ)', unit: '', min: 0, max: 1.5, step: 0.05, default: 0 },
+  { key: 'staticFriction', label: 'Static Friction (μs)', unit: '', min: 0, max: 1.5, step: 0.05, default: 0 },
+  { key: 'gravity', label: 'Gravity', unit: 'm/s²', min: 0, max: 25, step: 0.01, default: 9.8 }
+];
+
+const DEFAULTS = controlDefaults(controls);
+
+const initialParams = (parsed) => {
+  const p = parsed.parameters || {};
+  return {
+    angle: p.angle ?? p.initialVelocity?.angle ?? DEFAULTS.angle,
+    velocity: p.initialVelocity?.magnitude ?? DEFAULTS.velocity,
+    friction: p.friction ?? DEFAULTS.friction,
+    staticFriction: p.staticFriction ?? DEFAULTS.staticFriction,
+    gravity: p.gravity ?? DEFAULTS.gravity,
+    length: p.distance ?? DEFAULTS.length,
+    mass: parsed.objects?.[0]?.mass ?? DEFAULTS.mass,
+    objects: objectLabels(parsed, 1)
+  };
+};
+
+// Acceleration along the slope, positive down the incline
+export const inclineAcceleration = (params) => {
+  const angle = params.angle * DEG;
+  return params.gravity * (Math.sin(angle) - params.friction * Math.cos(angle));
+};
+
+// A block starting at rest stays put while tan θ is within the static
+// coefficient (never less than the kinetic one)
+export const staysAtRest = (params) =>
+  params.velocity <= 0 && Math.tan(params.angle * DEG) <= Math.max(params.staticFriction ?? 0, params.friction);
+
+// World position of a block that has travelled `s` metres down the slope
+const bodyOnSlope = (params, s, v) => {
+  const angle = params.angle * DEG;
+  return {
+    x: s * Math.cos(angle),
+    y: (params.length - s) * Math.sin(angle),
+    vx: v * Math.cos(angle),
+    vy: -v * Math.sin(angle),
+    s,
+    v
+  };
+};
+
+// Friction can bring the block to rest; it stays put at the bottom of the slope
+const exact = (params, t) => {
+  if (staysAtRest(params)) return { time: t, bodies: [bodyOnSlope(params, 0, 0)] };
+  const a = inclineAcceleration(params);
+  const v0 = params.velocity;
+  const stopTime = a < 0 ? v0 / -a : Infinity;
+  const tEff = Math.min(t, stopTime);
+  const s = Math.min(v0 * tEff + 0.5 * a * tEff * tEff, params.length);
+  const v = t < stopTime && s < params.length ? v0 + a * tEff : 0;
+  return { time: t, bodies: [bodyOnSlope(params, s, v)] };
+};
+
+const integrate = (state, dt, params) => {
+  const [{ s, v }] = state.bodies;
+  const a = inclineAcceleration(params);
+  if (s >= params.length || (v <= 0 && (a <= 0 || staysAtRest(params)))) {
+    return { time: state.time + dt, bodies: [bodyOnSlope(params, s, 0)] };
+  }
+  const h = a < 0 ? Math.min(dt, v / -a) : dt;
+  const next = Math.min(s + v * h + 0.5 * a * h * h, params.length);
+  const speed = next >= params.length || h < dt ? 0 : v + a * h;
+  return { time: state.time + dt, bodies: [bodyOnSlope(params, next, speed)] };
+};
+
+// Weight, the normal force from the slope and kinetic or static friction along
+// it; past the foot of the slope the block rests on level ground
+const forces = (state, params) => {
+  const [{ s, v }] = state.bodies;
+  const weight = params.mass * params.gravity;
+  if (s >= params.length) return [[{ id: 'gravity', fx: 0, fy: -weight }, { id: 'normal', fx: 0, fy: weight }]];
+  const angle = params.angle * DEG;
+  const normal = weight * Math.cos(angle);
+  // Static friction holds a block at rest with exactly the downhill pull; up the
+  // slope is (−cos θ, sin θ)
+  const held = v <= 0 && (staysAtRest(params) || inclineAcceleration(params) <= 0);
+  const friction = held ? weight * Math.sin(angle) : params.friction * normal;
+  return [[
+    { id: 'gravity', fx: 0, fy: -weight },
+    { id: 'normal', fx: normal * Math.sin(angle), fy: normal * Math.cos(angle) },
+    { id: 'friction', fx: -friction * Math.cos(angle), fy: friction * Math.sin(angle) }
+  ].filter(({ fx, fy }) => Math.abs(fx) > 1e-12 || Math.abs(fy) > 1e-12)];
+};
+
+const duration = (params) => {
+  const a = inclineAcceleration(params);
+  const v0 = params.velocity;
+  if (staysAtRest(params)) return 2;
+  if (Math.abs(a) < 1e-9) return v0 > 0 ? params.length / v0 : 3;
+  const disc = v0 * v0 + 2 * a * params.length;
+  // Stops on the slope before reaching the bottom
+  if (disc < 0 || (a < 0 && v0 <= 0)) return (a < 0 ? v0 / -a : 0) + 2;
+  return (-v0 + Math.sqrt(disc)) / a;
+};
+
+export const incline = {
+  type: 'incline',
+  label: 'Inclined Plane',
+  defaultSolver: 'analytic',
+  maxObjects: 1,
+  controls,
+  initialParams,
+  init: (params) => exact(params, 0),
+  exact,
+  integrate,
+  duration,
+  // Heights are measured from the foot of the slope
+  energy: (state, params) => ({
+    kinetic: kineticEnergy(params.mass, state.bodies[0]),
+    potential: params.mass * params.gravity * state.bodies[0].y
+  }),
+  // Until friction acts or the block is stopped at the foot of the slope
+  conservative: (params, state) => !params.friction && state.bodies[0].s < params.length,
+  forces
+};
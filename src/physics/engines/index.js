@@ -0,0 +1,21 @@
+import { projectile } from './projectile.js';
+import { linear } from './linear.js';
+import { incline } from './incline.js';
+import { collision } from './collision.js';
+import { pendulum } from './pendulum.js';
+import { groupEngine } from './group.js';
+import { carriedEngine } from './carried.js';
+
+// Scenario engines, selected by parsedData.problemType
+export const engines = { projectile, linear, incline, collision, pendulum };
+
+export const getEngine = (problemType) => engines[problemType] || engines.projectile;
+
+// Engine that runs a scenario's params, moving every object in params.objects
+// for engines whose objects do not interact, and carrying them along with
+// params.movingFrame when they move within one
+export const resolveEngine = (problemType, params) => {
+  const engine = getEngine(problemType);
+  const grouped = engine.independentObjects && params.objects?.length > 1 ? groupEngine(engine) : engine;
+  return params.movingFrame ? carriedEngine(grouped) : grouped;
+};
@@ -0,0 +1,289 @@
+import { kineticEnergy } from '../math.js';
+import { DRAG_CONTROLS, conservesEnergy, extraForce, forceList, forceParams, hasForces, springEnergy, stepBody, surfaceFriction } from '../forces.js';
+import { controlDefaults } from '../controls.js';
+import { earliestRoot } from '../solvers.js';
+import { surfaceWalls, wallCrossing } from '../terrain.js';
+import { objectLabels } from './group.js';
+import { movingFrameParams } from './carried.js';
+
+const controls = [
+  { key: 'velocity', label: 'Initial Velocity', unit: 'm/s', min: 0, max: 50, step: 0.5, default: 0 },
+  { key: 'acceleration', label: 'Acceleration', unit: 'm/s²', min: -10, max: 10, step: 0.1, default: 0 },
+  { key: 'time', label: 'Duration', unit: 's', min: 1, max: 60, step: 0.5, default: 5 },
+  { key: 'mass', label: 'Mass', unit: 'kg', min: 0.1, max: 2000, step: 0.1, default: 1 },
+  { key: 'friction', label: 'Friction Coefficient (μ)', unit: '', min: 0, max: 1.5, step: 0.05, default: 0 },
+  { key: 'staticFriction', label: 'Static Friction (μs)', unit: '', min: 0, max: 1.5, step: 0.05, default: 0 },
+  { key: 'gravity', label: 'Gravity', unit: 'm/s²', min: 0, max: 25, step: 0.01, default: 9.8 },
+  ...DRAG_CONTROLS
+];
+
+const DEFAULTS = controlDefaults(controls);
+
+const MAX_OBJECTS = 6;
+
+// Motion in stages ("accelerates for 5 s, then coasts, then brakes") is a list
+// of phases { label, acceleration, duration } run one after another. Each
+// starts where the previous one left the object; a braking phase given without
+// a duration (null) lasts until the object stops, however fast it then goes.
+const phaseLabel = (acceleration) => (acceleration > 0 ? 'Speed up' : acceleration < 0 ? 'Brake' : 'Coast');
+
+const resolvePhases = (phases) => phases.map((phase) => {
+  const acceleration = phase.acceleration?.x ?? 0;
+  return { label: phase.label || phaseLabel(acceleration), acceleration, duration: phase.duration ?? null };
+});
+
+// The phases with the lengths they run for from the current starting velocity
+const timedPhases = (params) => {
+  let v = params.velocity;
+  return params.phases.map((phase) => {
+    const { acceleration: a } = phase;
+    const braking = a < 0 && v > 0;
+    const duration = phase.duration ?? (braking ? v / -a : 0);
+    v = braking ? Math.max(0, v + a * duration) : v + a * duration;
+    return { ...phase, duration };
+  });
+};
+
+const totalTime = (phases) => phases.reduce((total, phase) => total + phase.duration, 0);
+
+// Extra objects keep their own start, speed and acceleration (default: parked).
+// With phases, `acceleration` and `time` are those of the first phase and of
+// the whole motion from the parsed speed; the run itself follows the velocity
+// slider. On a moving train or walkway, all of it is relative to the moving
+// frame. Walls placed across the track in the scene editor stop whatever runs
+// into them.
+const initialParams = (parsed) => {
+  const p = parsed.parameters || {};
+  const objects = (parsed.objects || []).slice(0, MAX_OBJECTS);
+  const velocity = p.initialVelocity?.magnitude ?? DEFAULTS.velocity;
+  const phases = p.phases?.length ? resolvePhases(p.phases) : null;
+  const walls = surfaceWalls(parsed.surfaces).filter(({ bottom, top }) => bottom <= 0 && top >= 0);
+  return {
+    velocity,
+    acceleration: phases ? phases[0].acceleration : p.acceleration?.x ?? DEFAULTS.acceleration,
+    time: phases ? totalTime(timedPhases({ velocity, phases })) : p.time ?? DEFAULTS.time,
+    phases,
+    mass: objects[0]?.mass ?? DEFAULTS.mass,
+    position: objects[0]?.initialPosition?.x ?? 0,
+    movingFrame: movingFrameParams(parsed),
+    walls: walls.length ? walls : null,
+    friction: p.friction ?? DEFAULTS.friction,
+    staticFriction: p.staticFriction ?? DEFAULTS.staticFriction,
+    gravity: p.gravity ?? DEFAULTS.gravity,
+    ...forceParams(parsed),
+    objects: objectLabels(parsed, Math.max(objects.length, 1)).map((label, idx) => (idx === 0 ? label : {
+      ...label,
+      velocity: objects[idx].velocity?.x ?? 0,
+      acceleration: objects[idx].acceleration?.x ?? 0,
+      mass: objects[idx].mass ?? 1,
+      position: objects[idx].initialPosition?.x ?? 0,
+      // The stages are the first object's
+      ...(phases ? { phases: null } : {})
+    }))
+  };
+};
+
+// Braking stops the object rather than reversing it
+const steadyMotion = (params, t) => {
+  const { velocity: v0, acceleration: a } = params;
+  const stopTime = a < 0 && v0 > 0 ? v0 / -a : Infinity;
+  const tEff = Math.min(t, stopTime);
+  return {
+    time: t,
+    bodies: [{
+      x: (params.position ?? 0) + v0 * tEff + 0.5 * a * tEff * tEff,
+      y: 0,
+      vx: t < stopTime ? v0 + a * tEff : 0,
+      vy: 0,
+      ax: t < stopTime ? a : 0
+    }]
+  };
+};
+
+// The phase running at time `t` (the last one once they are all over), with
+// the parameters it moves under: its own acceleration, from the position and
+// velocity the ideal motion of the earlier phases reaches
+const phaseAt = (params, t) => {
+  let start = 0;
+  let from = { position: params.position ?? 0, velocity: params.velocity };
+  const phases = timedPhases(params);
+  for (const [idx, phase] of phases.entries()) {
+    const own = { ...params, ...from, acceleration: phase.acceleration, phases: null };
+    const end = start + phase.duration;
+    if (t < end - 1e-9 || idx === phases.length - 1) return { idx, start, end, params: own };
+    const [body] = steadyMotion(own, phase.duration).bodies;
+    from = { position: body.x, velocity: body.vx };
+    start = end;
+  }
+};
+
+// Each phase with its length and the time it starts at
+export const phaseSchedule = (params) => {
+  let start = 0;
+  return (params.phases ? timedPhases(params) : []).map((phase) => {
+    const entry = { ...phase, start };
+    start += phase.duration;
+    return entry;
+  });
+};
+
+const phaseParams = (params, t) => (params.phases ? phaseAt(params, t).params : params);
+
+const idealMotion = (params, t) => {
+  if (!params.phases) return steadyMotion(params, t);
+  const phase = phaseAt(params, t);
+  return { ...steadyMotion(phase.params, t - phase.start), time: t };
+};
+
+// When the ideal motion first runs into a wall, phase by phase, or null. A
+// wall the object starts on does not hold it.
+const wallTime = (params) => {
+  const start = params.position ?? 0;
+  const walls = (params.walls || []).filter(({ x }) => x !== start);
+  if (!walls.length) return null;
+  const stages = params.phases
+    ? phaseSchedule(params).map(({ start: from, duration }, idx) => ({ from, until: idx === params.phases.length - 1 ? Infinity : duration, own: phaseAt(params, from).params }))
+    : [{ from: 0, until: Infinity, own: params }];
+  for (const { from, until, own } of stages) {
+    const { position: x0 = 0, velocity: v0, acceleration: a } = own;
+    const moving = Math.min(until, a < 0 && v0 > 0 ? v0 / -a : Infinity);
+    const times = walls.map(({ x }) => earliestRoot(0.5 * a, v0, x0 - x)).filter((t) => t !== null && t <= moving);
+    if (times.length) return from + Math.min(...times);
+  }
+  return null;
+};
+
+// An object that runs into a wall stays against it
+const exact = (params, t) => {
+  const hit = wallTime(params);
+  if (hit === null || t < hit) return idealMotion(params, t);
+  const [body] = idealMotion(params, hit).bodies;
+  return { time: t, atWall: true, bodies: [{ x: body.x, y: 0, vx: 0, vy: 0, ax: 0 }] };
+};
+
+// Friction, drag, springs and applied forces need the force integrator
+const hasExact = (params) => !hasForces(params) && !params.friction;
+
+// A deceleration given for a moving object is braking: like friction it opposes
+// the motion and cannot reverse it
+const isBraking = (params) => params.acceleration < 0 && params.velocity > 0;
+
+// Friction acts against `sliding`, the velocity at the start of a step, so
+// that stopping mid-step shows up as a change of sign
+const forceAcceleration = (params, sliding) => (body) => {
+  const { mass } = params;
+  const { fx, fy } = extraForce(params, body);
+  const normal = Math.max(0, mass * params.gravity - fy);
+  const brake = isBraking(params) ? -params.acceleration * mass : 0;
+  const drive = fx + (isBraking(params) ? 0 : params.acceleration * mass);
+  const friction = surfaceFriction(drive, sliding ?? body.vx, {
+    kinetic: params.friction * normal + brake,
+    grip: params.staticFriction * normal + brake
+  });
+  return { ax: (drive + friction) / mass, ay: 0 };
+};
+
+const integrateForces = (state, dt, params, integrator) => {
+  const [body] = state.bodies;
+  const next = stepBody(body, dt, forceAcceleration(params, body.vx), integrator);
+  // Friction or braking brought the object to rest during the step
+  const resisted = params.friction > 0 || isBraking(params);
+  const stopped = resisted && body.vx !== 0 && Math.sign(next.vx) !== Math.sign(body.vx);
+  const moved = { x: next.x, y: 0, vx: stopped ? 0 : next.vx, vy: 0 };
+  return { time: state.time + dt, bodies: [{ ...moved, ax: forceAcceleration(params)(moved).ax }] };
+};
+
+// Weight and normal force, the drive behind the given acceleration, friction or
+// braking, and any extra forces
+const forces = (state, params) => {
+  const [body] = state.bodies;
+  const { mass } = params;
+  const extra = forceList(params, body);
+  const lift = extra.reduce((total, { fy }) => total + fy, 0);
+  const push = isBraking(params) ? 0 : params.acceleration * mass;
+  let resisting = 0;
+  if (hasExact(params)) {
+    resisting = isBraking(params) && body.vx > 0 ? params.acceleration * mass : 0;
+  } else {
+    const { fx } = extraForce(params, body);
+    resisting = forceAcceleration(params)(body).ax * mass - fx - push;
+  }
+  return [[
+    { id: 'gravity', fx: 0, fy: -mass * params.gravity },
+    { id: 'normal', fx: 0, fy: Math.max(0, mass * params.gravity - lift) },
+    { id: 'drive', fx: push, fy: 0 },
+    { id: isBraking(params) ? 'braking' : 'friction', fx: resisting, fy: 0 },
+    ...extra
+  ].filter(({ fx, fy }) => Math.abs(fx) > 1e-12 || Math.abs(fy) > 1e-12)];
+};
+
+const initialAcceleration = (params, body) => (hasExact(params) ? steadyMotion(params, 0).bodies[0].ax : forceAcceleration(params)(body).ax);
+
+// An object that runs into a wall during a step is stopped against it and
+// stays there
+const integrate = (state, dt, params, integrator) => {
+  if (state.atWall) return { ...state, time: state.time + dt };
+  const next = integrateMotion(state, dt, params, integrator);
+  const wall = wallCrossing(params.walls, state.bodies[0], next.bodies[0]);
+  return wall ? { time: next.time, atWall: true, bodies: [{ x: wall.x, y: 0, vx: 0, vy: 0, ax: 0 }] } : next;
+};
+
+// Steps are split where a phase ends, and the next one starts with its own
+// acceleration
+const integrateMotion = (state, dt, params, integrator) => {
+  if (!params.phases) return integrateSteady(state, dt, params, integrator);
+  const phase = phaseAt(params, state.time);
+  const last = phase.idx === params.phases.length - 1;
+  const stepped = integrateSteady(state, last ? dt : Math.min(dt, phase.end - state.time), phase.params, integrator);
+  if (last || state.time + dt < phase.end - 1e-9) return stepped;
+  const [body] = stepped.bodies;
+  const turned = { time: phase.end, bodies: [{ ...body, ax: initialAcceleration(phaseAt(params, phase.end).params, body) }] };
+  const rest = state.time + dt - phase.end;
+  return { ...(rest > 1e-9 ? integrateMotion(turned, rest, params, integrator) : turned), time: state.time + dt };
+};
+
+const integrateSteady = (state, dt, params, integrator) => {
+  if (!hasExact(params)) return integrateForces(state, dt, params, integrator);
+  const [body] = state.bodies;
+  const { vx, ax } = body;
+  // Constant acceleration is integrated exactly; clamp when braking reaches rest
+  const stopTime = vx > 0 && ax < 0 ? vx / -ax : Infinity;
+  const h = Math.min(dt, stopTime);
+  const stopped = stopTime <= dt;
+  return {
+    time: state.time + dt,
+    bodies: [{
+      x: body.x + vx * h + 0.5 * ax * h * h,
+      y: 0,
+      vx: stopped ? 0 : vx + ax * h,
+      vy: 0,
+      ax: stopped ? 0 : ax
+    }]
+  };
+};
+
+export const linear = {
+  type: 'linear',
+  label: 'Linear Motion',
+  defaultSolver: 'analytic',
+  maxObjects: MAX_OBJECTS,
+  independentObjects: true,
+  controls,
+  // Phases set the acceleration and duration in place of their sliders
+  controlsFor: (params) => (params.phases ? controls.filter(({ key }) => key !== 'acceleration' && key !== 'time') : controls),
+  initialParams,
+  init: (params) => {
+    const state = exact(params, 0);
+    if (hasExact(params)) return state;
+    const [body] = state.bodies;
+    return { ...state, bodies: [{ ...body, ax: forceAcceleration(phaseParams(params, 0))(body).ax }] };
+  },
+  hasExact,
+  exact,
+  integrate,
+  duration: (params) => (params.phases ? totalTime(timedPhases(params)) : params.time),
+  energy: (state, params) => ({ kinetic: kineticEnergy(params.mass, state.bodies[0]), potential: springEnergy(params, state.bodies[0]) }),
+  // The drive and friction do work
+  conservative: (params) => !(params.phases || [params]).some((phase) => phase.acceleration) && !params.friction && conservesEnergy(params),
+  forces: (state, params) => forces(state, phaseParams(params, state.time))
+};
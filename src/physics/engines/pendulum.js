@@ -0,0 +1,87 @@
+import { DEG, kineticEnergy } from '../math.js';
+import { integrators } from '../solvers.js';
+import { controlDefaults } from '../controls.js';
+import { objectLabels } from './group.js';
+
+const controls = [
+  { key: 'length', label: 'String Length', unit: 'm', min: 0.5, max: 5, step: 0.1, default: 2 },
+  { key: 'angle', label: 'Release Angle', unit: '°', min: 5, max: 90, step: 1, default: 30 },
+  { key: 'mass', label: 'Bob Mass', unit: 'kg', min: 0.1, max: 100, step: 0.1, default: 1 },
+  { key: 'gravity', label: 'Gravity', unit: 'm/s²', min: 0.1, max: 25, step: 0.01, default: 9.8 }
+];
+
+const DEFAULTS = controlDefaults(controls);
+
+const initialParams = (parsed) => {
+  const p = parsed.parameters || {};
+  return {
+    length: p.length ?? p.distance ?? DEFAULTS.length,
+    angle: p.angle ?? DEFAULTS.angle,
+    gravity: p.gravity ?? DEFAULTS.gravity,
+    mass: parsed.objects?.[0]?.mass ?? DEFAULTS.mass,
+    objects: objectLabels(parsed, 1)
+  };
+};
+
+// Small-angle period T = 2π·√(L/g)
+export const pendulumPeriod = (params) => 2 * Math.PI * Math.sqrt(params.length / params.gravity);
+
+// Bob position relative to the pivot
+const bobState = (params, time, theta, omega) => ({
+  time,
+  theta,
+  omega,
+  bodies: [{
+    x: params.length * Math.sin(theta),
+    y: -params.length * Math.cos(theta),
+    vx: params.length * omega * Math.cos(theta),
+    vy: params.length * omega * Math.sin(theta)
+  }]
+});
+
+// Small-angle approximation θ(t) = θ₀·cos(√(g/L)·t)
+const exact = (params, t) => {
+  const w = Math.sqrt(params.gravity / params.length);
+  const theta0 = params.angle * DEG;
+  return bobState(params, t, theta0 * Math.cos(w * t), -theta0 * w * Math.sin(w * t));
+};
+
+// Full nonlinear equation θ'' = -(g/L)·sin θ, stepped with the chosen integrator
+const integrate = (state, dt, params, integrator = 'rk4') => {
+  const k = params.gravity / params.length;
+  const step = integrators[integrator] || integrators.rk4;
+  const [theta, omega] = step(([th, om]) => [om, -k * Math.sin(th)], [state.theta, state.omega], dt);
+  return bobState(params, state.time + dt, theta, omega);
+};
+
+// Weight and the string tension T = m (g cos θ + L ω²) pulling towards the pivot
+const forces = (state, params) => {
+  const [body] = state.bodies;
+  const tension = params.mass * (params.gravity * Math.cos(state.theta) + params.length * state.omega ** 2);
+  return [[
+    { id: 'gravity', fx: 0, fy: -params.mass * params.gravity },
+    { id: 'tension', fx: (-tension * body.x) / params.length, fy: (-tension * body.y) / params.length }
+  ]];
+};
+
+export const pendulum = {
+  type: 'pendulum',
+  label: 'Simple Pendulum',
+  // The closed form is only valid for small swings
+  defaultSolver: 'numeric',
+  maxObjects: 1,
+  controls,
+  initialParams,
+  init: (params) => bobState(params, 0, params.angle * DEG, 0),
+  exact,
+  integrate,
+  // Play three swings before restarting
+  duration: (params) => 3 * pendulumPeriod(params),
+  // Potential is measured from the lowest point of the swing
+  energy: (state, params) => ({
+    kinetic: kineticEnergy(params.mass, state.bodies[0]),
+    potential: params.mass * params.gravity * (state.bodies[0].y + params.length)
+  }),
+  conservative: () => true,
+  forces
+};
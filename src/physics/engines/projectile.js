@@ -0,0 +1,177 @@
+import { DEG, kineticEnergy } from '../math.js';
+import { DRAG_CONTROLS, conservesEnergy, extraForce, forceList, forceParams, hasForces, springEnergy, stepBody } from '../forces.js';
+import { controlDefaults } from '../controls.js';
+import { firstCrossing } from '../solvers.js';
+import { groundHeight, levelGround, surfaceTerrain, surfaceWalls, wallCrossing } from '../terrain.js';
+import { objectLabels } from './group.js';
+import { movingFrameParams } from './carried.js';
+
+const controls = [
+  { key: 'velocity', label: 'Initial Velocity', unit: 'm/s', min: 0, max: 50, step: 0.5, default: 10 },
+  { key: 'gravity', label: 'Gravity', unit: 'm/s²', min: 0, max: 25, step: 0.01, default: 9.8 },
+  { key: 'angle', label: 'Launch Angle', unit: '°', min: 0, max: 90, step: 1, default: 90 },
+  { key: 'height', label: 'Launch Height', unit: 'm', min: 0, max: 100, step: 0.5, default: 0 },
+  { key: 'mass', label: 'Mass', unit: 'kg', min: 0.1, max: 100, step: 0.1, default: 1 },
+  ...DRAG_CONTROLS
+];
+
+const DEFAULTS = controlDefaults(controls);
+
+const MAX_OBJECTS = 6;
+
+// Launch speed and angle of an extra object from its parsed velocity vector;
+// objects without one are dropped from rest
+const ownLaunch = (object) => {
+  const { x = 0, y = 0 } = object.velocity || {};
+  return { velocity: Math.hypot(x, y), angle: x === 0 && y === 0 ? 0 : Math.atan2(y, x) / DEG };
+};
+
+// Objects start at their own height; the ground they land on is the
+// scenario's terrain plus the ground and ramps placed in the scene editor,
+// and a flight that runs into one of its walls ends there. Launches from a
+// moving train or a boat on a river are relative to it.
+const initialParams = (parsed) => {
+  const p = parsed.parameters || {};
+  const launch = p.initialVelocity || {};
+  const objects = (parsed.objects || []).slice(0, MAX_OBJECTS);
+  const terrain = [...(parsed.terrain || []), ...surfaceTerrain(parsed.surfaces)];
+  const walls = surfaceWalls(parsed.surfaces);
+  return {
+    velocity: launch.magnitude ?? DEFAULTS.velocity,
+    gravity: p.gravity ?? DEFAULTS.gravity,
+    angle: launch.angle ?? p.angle ?? (launch.direction === 'up' || !launch.direction ? DEFAULTS.angle : 0),
+    height: objects[0]?.initialPosition?.y ?? DEFAULTS.height,
+    mass: objects[0]?.mass ?? DEFAULTS.mass,
+    position: objects[0]?.initialPosition?.x ?? 0,
+    terrain: terrain.length ? terrain : null,
+    walls: walls.length ? walls : null,
+    movingFrame: movingFrameParams(parsed),
+    ...forceParams(parsed),
+    objects: objectLabels(parsed, Math.max(objects.length, 1)).map((label, idx) => (idx === 0 ? label : {
+      ...label,
+      ...ownLaunch(objects[idx]),
+      mass: objects[idx].mass ?? 1,
+      position: objects[idx].initialPosition?.x ?? 0,
+      height: objects[idx].initialPosition?.y ?? 0
+    }))
+  };
+};
+
+const launchVelocity = (params) => ({
+  vx: params.velocity * Math.cos(params.angle * DEG),
+  vy: params.velocity * Math.sin(params.angle * DEG)
+});
+
+const exact = (params, t) => {
+  const { vx, vy } = launchVelocity(params);
+  return {
+    time: t,
+    bodies: [{ x: (params.position ?? 0) + vx * t, y: (params.height ?? 0) + vy * t - 0.5 * params.gravity * t * t, vx, vy: vy - params.gravity * t }]
+  };
+};
+
+const acceleration = (params) => (body) => {
+  const { fx, fy } = extraForce(params, body);
+  return { ax: fx / params.mass, ay: fy / params.mass - params.gravity };
+};
+
+// Gravity plus any drag, spring or applied force on [x, y, vx, vy]
+const integrate = (state, dt, params, integrator) => ({
+  time: state.time + dt,
+  bodies: [stepBody(state.bodies[0], dt, acceleration(params), integrator)]
+});
+
+const LANDING_DT = 0.005;
+const MAX_FLIGHT = 60;
+
+// Below the ground at the body's x, whether it came down onto it or ran into
+// the side of a cliff or platform
+const belowGround = (params, body) => body.y < groundHeight(params.terrain, body.x) - 1e-9;
+
+// Time of flight with forces acting, over uneven terrain or among walls:
+// follow the path (along the closed form when `closedForm`, otherwise in steps
+// of `dt` with `integrator`) until the body goes from above the ground to
+// below it or into a wall, then bisect the last step for the crossing
+const landingTime = (params, { closedForm = !hasForces(params), integrator, dt = LANDING_DT } = {}) => {
+  const advance = closedForm
+    ? (state, step) => exact(params, state.time + step)
+    : (state, step) => integrate(state, step, params, integrator);
+  let state = exact(params, 0);
+  while (state.time < MAX_FLIGHT) {
+    const next = advance(state, dt);
+    const landed = belowGround(params, next.bodies[0]) && !belowGround(params, state.bodies[0]);
+    const wall = wallCrossing(params.walls, state.bodies[0], next.bodies[0]);
+    if (landed || wall) {
+      const from = state;
+      const at = (t) => advance(from, t - from.time).bodies[0];
+      const side = wall && Math.sign(from.bodies[0].x - wall.x);
+      return Math.min(
+        landed ? firstCrossing((t) => belowGround(params, at(t)), from.time, next.time) : Infinity,
+        wall ? firstCrossing((t) => Math.sign(at(t).x - wall.x) !== side, from.time, next.time) : Infinity
+      );
+    }
+    state = next;
+  }
+  return Infinity;
+};
+
+// Closed-form answers ignoring drag and other forces: the flight from the
+// launch height down to level ground. Over uneven terrain or among walls the
+// end of the flight is found along the same path; `wallHit` is where it ran
+// into a wall, or null.
+export const projectileMetrics = (params) => {
+  const { vx, vy } = launchVelocity(params);
+  const g = params.gravity;
+  const height = params.height ?? 0;
+  if (g <= 0) {
+    return { timeOfFlight: Infinity, maxHeight: vy > 0 ? Infinity : height, range: vx > 0 ? Infinity : 0, wallHit: null };
+  }
+  const level = levelGround(params.terrain);
+  let timeOfFlight;
+  if (level === null || params.walls) {
+    timeOfFlight = landingTime(params, { closedForm: true });
+  } else {
+    const discriminant = vy * vy + 2 * g * (height - level);
+    timeOfFlight = discriminant < 0 ? 0 : Math.max(0, (vy + Math.sqrt(discriminant)) / g);
+  }
+  const end = exact(params, timeOfFlight).bodies[0];
+  return {
+    timeOfFlight,
+    maxHeight: height + (vy > 0 ? (vy * vy) / (2 * g) : 0),
+    range: vx * timeOfFlight,
+    wallHit: params.walls && end.y > groundHeight(params.terrain, end.x) + 1e-6 ? { x: end.x, y: end.y } : null
+  };
+};
+
+// A numeric run (`integrator` given) lands where its own steps of `dt` cross
+// the ground, which with Euler is not where the closed form lands
+const duration = (params, { integrator, dt } = {}) => {
+  const timeOfFlight = hasForces(params) || integrator
+    ? landingTime(params, { closedForm: false, integrator, dt })
+    : projectileMetrics(params).timeOfFlight;
+  return Number.isFinite(timeOfFlight) && timeOfFlight > 0 ? timeOfFlight : 5;
+};
+
+export const projectile = {
+  type: 'projectile',
+  label: 'Projectile Motion',
+  defaultSolver: 'analytic',
+  maxObjects: MAX_OBJECTS,
+  independentObjects: true,
+  controls,
+  initialParams,
+  init: (params) => exact(params, 0),
+  hasExact: (params) => !hasForces(params),
+  exact,
+  integrate,
+  duration,
+  energy: (state, params) => ({
+    kinetic: kineticEnergy(params.mass, state.bodies[0]),
+    potential: params.mass * params.gravity * state.bodies[0].y + springEnergy(params, state.bodies[0])
+  }),
+  conservative: (params) => conservesEnergy(params),
+  forces: (state, params) => [[
+    { id: 'gravity', fx: 0, fy: -params.mass * params.gravity },
+    ...forceList(params, state.bodies[0])
+  ]]
+};
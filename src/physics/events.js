@@ -0,0 +1,223 @@
+import { resolveEngine } from './engines/index.js';
+import { phaseSchedule } from './engines/linear.js';
+import { objectStates } from './kinematics.js';
+import { speedOf } from './math.js';
+import { firstCrossing } from './solvers.js';
+import { groundHeight } from './terrain.js';
+
+// Exact event times in a recorded run. Each detector watches a signed quantity
+// of the state; where it changes sign between two recorded samples the step is
+// bisected, re-evaluating the state in between from the engine (closed form or
+// one integrator step from the earlier sample), so the time is found to
+// floating-point precision instead of to the nearest frame.
+//
+// A detector is { id, label, body, measure(state), direction, readout(state) }:
+// direction 'down' fires when the measure falls through zero, 'up' when it
+// rises through zero and 'both' for either. `readout` lists what to report at
+// the event as [{ symbol, value, unit }]; `stopped` keeps only the crossings
+// at which the object is at rest.
+
+// Values this close to zero count as zero, so a run that ends exactly on an
+// event (a landing) still sees it
+const ZERO = 1e-9;
+
+// Width, in seconds, to which event times are pinned down
+const CROSSING_TOLERANCE = 1e-12;
+
+const side = (value) => (value > ZERO ? 1 : value < -ZERO ? -1 : 0);
+
+const crossedFrom = (start, direction) => {
+  if (start === 0 || (direction === 'down' && start < 0) || (direction === 'up' && start > 0)) return null;
+  return (value) => side(value) !== start;
+};
+
+// State at time `t` between samples i and i + 1
+const stateBetween = (engine, params, run, i, t) => {
+  const sample = run.samples[i];
+  if (t <= sample.time) return sample;
+  return run.solver === 'analytic' ? engine.exact(params, t) : engine.integrate(sample, t - sample.time, params, run.integrator);
+};
+
+const reading = (symbol, value, unit) => ({ symbol, value, unit });
+
+const position = (body) => [reading('x', body.x, 'm'), reading('y', body.y, 'm')];
+
+// Speed below which an object counts as at rest
+const STOPPED = 1e-6;
+
+const perBody = (state, make) => state.bodies.flatMap((_, body) => make(body));
+
+const DETECTORS = {
+  projectile: (params, first) => perBody(first, (body) => [
+    {
+      id: 'apex',
+      label: 'Apex',
+      body,
+      measure: (state) => state.bodies[body].vy,
+      direction: 'down',
+      readout: (state) => [reading('y', state.bodies[body].y, 'm'), reading('x', state.bodies[body].x, 'm')]
+    },
+    {
+      id: 'landing',
+      label: 'Landing',
+      body,
+      // Height above the ground beneath it, so it lands on cliffs and slopes
+      measure: (state) => state.bodies[body].y - groundHeight(params.terrain, state.bodies[body].x),
+      direction: 'down',
+      readout: (state) => [reading('x', state.bodies[body].x, 'm'), reading('v', speedOf(state.bodies[body]), 'm/s')]
+    }
+  ]),
+  linear: (params, first) => [
+    ...perBody(first, (body) => [{
+      id: 'stop',
+      label: 'Stops',
+      body,
+      measure: (state) => state.bodies[body].vx,
+      direction: 'both',
+      readout: (state) => [reading('x', state.bodies[body].x, 'm')]
+    }]),
+    // Where the first object moves on to its next phase
+    ...phaseSchedule(params).slice(1).map((phase) => ({
+      id: 'phase',
+      label: phase.label,
+      body: 0,
+      measure: (state) => state.time - phase.start,
+      direction: 'up',
+      readout: (state) => [reading('x', state.bodies[0].x, 'm'), reading('v', speedOf(state.bodies[0]), 'm/s')]
+    }))
+  ],
+  incline: (params) => [
+    {
+      id: 'foot',
+      label: 'Reaches the foot',
+      body: 0,
+      measure: (state) => state.bodies[0].s - params.length,
+      direction: 'up',
+      readout: (state) => [reading('v', state.bodies[0].v, 'm/s'), reading('s', state.bodies[0].s, 'm')]
+    },
+    {
+      id: 'stop',
+      label: 'Stops on the slope',
+      body: 0,
+      measure: (state) => (state.bodies[0].s < params.length ? state.bodies[0].v : 1),
+      direction: 'down',
+      readout: (state) => [reading('s', state.bodies[0].s, 'm')]
+    }
+  ],
+  pendulum: () => [
+    {
+      id: 'turn',
+      label: 'Turning point',
+      body: 0,
+      measure: (state) => state.omega,
+      direction: 'both',
+      readout: (state) => [reading('θ', (state.theta * 180) / Math.PI, '°')]
+    },
+    {
+      id: 'lowest',
+      label: 'Lowest point',
+      body: 0,
+      measure: (state) => state.theta,
+      direction: 'both',
+      readout: (state) => [reading('v', speedOf(state.bodies[0]), 'm/s')]
+    }
+  ],
+  collision: () => [{
+    id: 'contact',
+    label: 'Contact',
+    body: 0,
+    measure: (state) => (state.collided ? -1 : 1),
+    direction: 'down',
+    readout: (state) => state.bodies.map((body, idx) => reading(`v${'AB'[idx]}`, speedOf(body), 'm/s'))
+  }]
+};
+
+// Quantities a condition such as "x = 20 m" can test, with their units
+export const CONDITION_QUANTITIES = {
+  x: { unit: 'm', read: (body) => body.x },
+  y: { unit: 'm', read: (body) => body.y },
+  vx: { unit: 'm/s', read: (body) => body.vx },
+  vy: { unit: 'm/s', read: (body) => body.vy },
+  v: { unit: 'm/s', read: (body) => speedOf(body) },
+  t: { unit: 's', read: (body, state) => state.time }
+};
+
+// Reads "x = 20 m", "v = 0" or "t=1.5 s"; null if the text is not a condition
+// on a known quantity, or its unit does not match
+export const parseCondition = (text) => {
+  const match = /^\s*(vx|vy|v|x|y|t)\s*=\s*([-+]?\d*\.?\d+(?:e[-+]?\d+)?)\s*(m\/s|m|s)?\s*$/i.exec(text);
+  if (!match) return null;
+  const quantity = match[1].toLowerCase();
+  const { unit } = CONDITION_QUANTITIES[quantity];
+  if (match[3] && match[3].toLowerCase() !== unit) return null;
+  const target = Number(match[2]);
+  return { quantity, target, label: `${quantity} = ${target} ${unit}` };
+};
+
+// Detectors for a condition, one per object. Speed never goes negative, so
+// "v = 0" watches both velocity components and keeps the crossings at which
+// the object is actually at rest.
+const conditionDetectors = ({ quantity, target, label }, first) => perBody(first, (body) => {
+  const readout = (state) => position(state.bodies[body]);
+  if (quantity === 'v' && target === 0) {
+    return ['vx', 'vy'].map((component) => ({
+      id: 'condition',
+      label,
+      body,
+      measure: (state) => state.bodies[body][component],
+      direction: 'both',
+      stopped: true,
+      readout
+    }));
+  }
+  const { read } = CONDITION_QUANTITIES[quantity];
+  return [{ id: 'condition', label, body, measure: (state) => read(state.bodies[body], state) - target, direction: 'both', readout }];
+});
+
+// Every event in a run, in time order: { id, label, body, object, time, x, y,
+// readout }. `conditions` are parsed conditions (see parseCondition).
+export const detectEvents = (problemType, params, run, conditions = []) => {
+  const engine = resolveEngine(problemType, params);
+  const [first] = run.samples;
+  const detectors = [
+    ...(DETECTORS[problemType] || DETECTORS.projectile)(params, first),
+    ...conditions.flatMap((condition) => conditionDetectors(condition, first))
+  ];
+  const names = objectStates(params, first).map(({ name }) => name);
+
+  const events = detectors.flatMap((detector) => {
+    const found = [];
+    let before = side(detector.measure(first));
+    for (let i = 0; i + 1 < run.samples.length; i += 1) {
+      const crossed = crossedFrom(before, detector.direction);
+      const after = detector.measure(run.samples[i + 1]);
+      if (crossed && crossed(after)) {
+        const [from, to] = [run.samples[i].time, run.samples[i + 1].time];
+        const time = firstCrossing((t) => crossed(detector.measure(stateBetween(engine, params, run, i, t))), from, to, CROSSING_TOLERANCE);
+        // Read at the last instant before the crossing, ahead of any jump it
+        // causes (an impact, a block stopping at the foot of the slope)
+        const state = stateBetween(engine, params, run, i, Math.max(from, time - CROSSING_TOLERANCE));
+        const body = state.bodies[detector.body];
+        if (!detector.stopped || speedOf(stateBetween(engine, params, run, i, time).bodies[detector.body]) < STOPPED) {
+          found.push({
+            id: detector.id,
+            label: detector.label,
+            body: detector.body,
+            object: names[detector.body],
+            time,
+            x: body.x,
+            y: body.y,
+            readout: detector.readout(state)
+          });
+        }
+      }
+      before = side(after);
+    }
+    return found;
+  });
+
+  // "v = 0" can be seen by both components at once
+  return events
+    .filter((event, idx) => !events.slice(0, idx).some((other) => other.label === event.label && other.body === event.body && Math.abs(other.time - event.time) < 1e-6))
+    .sort((a, b) => a.time - b.time);
+};
@@ -0,0 +1,78 @@
+import { integrators } from './solvers.js';
+
+// Forces beyond an engine's own gravity or drive, for the engines that
+// integrate them: air resistance F = −(b + c·|v|)·v, a spring pulling along x
+// towards `springAnchor`, and a constant applied force. All SI.
+
+const FORCE_KEYS = ['linearDrag', 'quadraticDrag', 'springConstant', 'forceX', 'forceY'];
+
+// Forces whose work no engine counts as potential energy
+const WORKING_KEYS = ['linearDrag', 'quadraticDrag', 'forceX', 'forceY'];
+
+export const DRAG_CONTROLS = [
+  { key: 'linearDrag', label: 'Linear Drag (b)', unit: 'kg/s', min: 0, max: 2, step: 0.01, default: 0 },
+  { key: 'quadraticDrag', label: 'Quadratic Drag (c)', unit: 'kg/m', min: 0, max: 0.2, step: 0.005, default: 0 }
+];
+
+// Parameter values for the forces described in a parsed scenario
+export const forceParams = (parsed) => {
+  const p = parsed.parameters || {};
+  return {
+    linearDrag: p.drag?.linear ?? 0,
+    quadraticDrag: p.drag?.quadratic ?? 0,
+    springConstant: p.spring?.constant ?? 0,
+    springAnchor: p.spring?.anchor ?? 0,
+    forceX: p.force?.x ?? 0,
+    forceY: p.force?.y ?? 0
+  };
+};
+
+// True when any of these forces acts, so the closed-form motion no longer applies
+export const hasForces = (params) => FORCE_KEYS.some((key) => params[key]);
+
+// True when none of them change a body's mechanical energy: springs are
+// counted as potential energy, drag and the applied force are not
+export const conservesEnergy = (params) => !WORKING_KEYS.some((key) => params[key]);
+
+// Drag, spring and applied force on a body one by one, in newtons; those that
+// are zero are left out
+export const forceList = (params, body) => {
+  const drag = (params.linearDrag ?? 0) + (params.quadraticDrag ?? 0) * Math.hypot(body.vx, body.vy);
+  const spring = (params.springConstant ?? 0) * (body.x - (params.springAnchor ?? 0));
+  return [
+    { id: 'drag', fx: -drag * body.vx, fy: -drag * body.vy },
+    { id: 'spring', fx: -spring, fy: 0 },
+    { id: 'applied', fx: params.forceX ?? 0, fy: params.forceY ?? 0 }
+  ].filter(({ fx, fy }) => fx !== 0 || fy !== 0);
+};
+
+// Their sum
+export const extraForce = (params, body) => forceList(params, body).reduce(
+  (total, { fx, fy }) => ({ fx: total.fx + fx, fy: total.fy + fy }),
+  { fx: 0, fy: 0 }
+);
+
+export const springEnergy = (params, body) => 0.5 * (params.springConstant ?? 0) * (body.x - (params.springAnchor ?? 0)) ** 2;
+
+// Friction force along a surface. A moving body feels `kinetic` newtons against
+// its velocity; a body at rest stays put while the driving force is within the
+// static limit `grip` (never less than the kinetic one).
+export const surfaceFriction = (drive, velocity, { kinetic, grip }) => {
+  if (Math.abs(velocity) > 1e-9) return -Math.sign(velocity) * kinetic;
+  if (Math.abs(drive) <= Math.max(grip, kinetic)) return -drive;
+  return -Math.sign(drive) * kinetic;
+};
+
+// One step of a body's [x, y, vx, vy] under `acceleration(body)` → { ax, ay },
+// with an integrator from solvers.js ('rk4' unless told otherwise)
+export const stepBody = (body, dt, acceleration, integrator = 'rk4') => {
+  const [x, y, vx, vy] = (integrators[integrator] || integrators.rk4)(
+    ([sx, sy, svx, svy]) => {
+      const { ax, ay } = acceleration({ x: sx, y: sy, vx: svx, vy: svy });
+      return [svx, svy, ax, ay];
+    },
+    [body.x, body.y, body.vx, body.vy],
+    dt
+  );
+  return { x, y, vx, vy };
+};
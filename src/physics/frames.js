@@ -0,0 +1,70 @@
+import { objectStates } from './kinematics.js';
+
+// Reference frames to watch a run from. Runs are always recorded in the
+// ground frame; a frame only changes where positions and velocities are
+// measured from. Every frame starts at the ground's origin.
+//   { kind: 'ground' }              the fixed ground
+//   { kind: 'object', object }      riding along with object number `object`
+//   { kind: 'moving', vx, vy }      moving at a steady velocity, such as a train
+//                                   or a river current
+//   { kind: 'centerOfMass' }        moving with the objects' centre of mass
+// Each carries an `id` and a `label` for the UI.
+
+export const GROUND_FRAME = { id: 'ground', label: 'Ground', kind: 'ground' };
+
+// The frames a scenario can be watched from: the ground, each object, the
+// scenario's own moving frame, a moving frame at `velocity` (set in the UI)
+// and, with more than one object, their centre of mass
+export const referenceFrames = (params, state, { velocity = { x: 0, y: 0 } } = {}) => {
+  const carrier = params.movingFrame;
+  const objects = objectStates(params, state);
+  return [
+    GROUND_FRAME,
+    ...objects.map(({ name }, idx) => ({ id: `object-${idx}`, label: name, kind: 'object', object: idx })),
+    ...(carrier ? [{ id: 'carrier', label: carrier.name, kind: 'moving', vx: carrier.vx, vy: carrier.vy }] : []),
+    { id: 'moving', label: 'Moving frame', kind: 'moving', vx: velocity.x, vy: velocity.y },
+    ...(objects.length > 1 ? [{ id: 'centerOfMass', label: 'Centre of mass', kind: 'centerOfMass' }] : [])
+  ];
+};
+
+const STILL = { x: 0, y: 0, vx: 0, vy: 0 };
+
+// Position and velocity of the frame's origin over the ground in `state`
+export const frameMotion = (frame, params, state) => {
+  switch (frame.kind) {
+    case 'object': {
+      const { x, y, vx, vy } = state.bodies[frame.object] ?? state.bodies[0];
+      return { x, y, vx, vy };
+    }
+    case 'moving':
+      return { x: frame.vx * state.time, y: frame.vy * state.time, vx: frame.vx, vy: frame.vy };
+    case 'centerOfMass': {
+      const objects = objectStates(params, state);
+      const total = objects.reduce((sum, { mass }) => sum + mass, 0);
+      const mean = (key) => objects.reduce((sum, object) => sum + object.mass * object[key], 0) / total;
+      return { x: mean('x'), y: mean('y'), vx: mean('vx'), vy: mean('vy') };
+    }
+    default:
+      return STILL;
+  }
+};
+
+// A body's position and velocity relative to a frame moving as `motion`
+export const relativeBody = (body, motion) => ({
+  ...body,
+  x: body.x - motion.x,
+  y: body.y - motion.y,
+  vx: body.vx - motion.vx,
+  vy: body.vy - motion.vy
+});
+
+// `state` with every body measured in `frame`
+export const stateInFrame = (frame, params, state) => {
+  const motion = frameMotion(frame, params, state);
+  return { ...state, bodies: state.bodies.map((body) => relativeBody(body, motion)) };
+};
+
+export const runInFrame = (frame, params, run) => ({
+  ...run,
+  samples: run.samples.map((state) => stateInFrame(frame, params, state))
+});
@@ -0,0 +1,21 @@
+// Headless physics core shared by the React component and the demo page.
+// Nothing in here touches the DOM or React.
+export { engines, getEngine, resolveEngine } from './engines/index.js';
+export { groupEngine, objectLabels, objectParams } from './engines/group.js';
+export { carriedEngine, movingFrameParams } from './engines/carried.js';
+export { SOLVER_CHOICES, createSimulation, runSimulation, sampleAt, solverChoices, solverOptions } from './simulation.js';
+export { freeBodies, kinematicSeries, objectStates } from './kinematics.js';
+export { GRAVITY_PRESETS, clampControl, controlDefaults, orderControls } from './controls.js';
+export { differingControls, runMetrics } from './compare.js';
+export { CONDITION_QUANTITIES, detectEvents, parseCondition } from './events.js';
+export { DRIFT_TOLERANCE, collisionSummary, describeDrift, energyAt, energyDrift, momentum, peakEnergy } from './conservation.js';
+export { projectileMetrics } from './engines/projectile.js';
+export { GROUND_FRAME, frameMotion, referenceFrames, relativeBody, runInFrame, stateInFrame } from './frames.js';
+export { TERRAIN_KINDS, groundHeight, levelGround, surfaceTerrain, surfaceWalls, terrainPoints, terrainProfile, wallCrossing } from './terrain.js';
+export { phaseSchedule } from './engines/linear.js';
+export { inclineAcceleration } from './engines/incline.js';
+export { collisionRadius, resolveCollision } from './engines/collision.js';
+export { pendulumPeriod } from './engines/pendulum.js';
+export { DEG, kineticEnergy, speedOf } from './math.js';
+export { DRAG_CONTROLS, conservesEnergy, extraForce, forceParams, hasForces, stepBody, surfaceFriction } from './forces.js';
+export { earliestRoot, firstCrossing, integrators, rk4Step, semiImplicitEulerStep } from './solvers.js';
@@ -0,0 +1,66 @@
+import { resolveEngine } from './engines/index.js';
+import { objectParams } from './engines/group.js';
+import { speedOf } from './math.js';
+
+// Rate of change of `read(sample)` at sample i: central difference inside the run,
+// one-sided at the ends
+const derivative = (samples, i, read) => {
+  const before = samples[Math.max(i - 1, 0)];
+  const after = samples[Math.min(i + 1, samples.length - 1)];
+  const span = after.time - before.time;
+  return span > 0 ? (read(after) - read(before)) / span : 0;
+};
+
+// Per-sample kinematics of one body plus the energy of the whole system, for
+// graphs and data export. Accelerations come from the engine where a body
+// carries them and are otherwise differentiated from the recorded velocities.
+export const kinematicSeries = (problemType, run, params, { body = 0 } = {}) => {
+  const engine = resolveEngine(problemType, params);
+  const { samples } = run;
+  return samples.map((state, i) => {
+    const { x, y, vx, vy, ax, ay } = state.bodies[body];
+    const { kinetic, potential } = engine.energy(state, params);
+    return {
+      t: state.time,
+      x,
+      y,
+      vx,
+      vy,
+      ax: ax ?? derivative(samples, i, (s) => s.bodies[body].vx),
+      ay: ay ?? derivative(samples, i, (s) => s.bodies[body].vy),
+      kinetic,
+      potential,
+      energy: kinetic + potential
+    };
+  });
+};
+
+// Name, mass and motion of every object in one recorded state, for readouts.
+// Collisions keep their masses as massA and massB.
+export const objectStates = (params, state) => {
+  const owns = objectParams(params);
+  return state.bodies.map((body, idx) => ({
+    name: params.objects?.[idx]?.name ?? `Object ${idx + 1}`,
+    mass: owns[idx]?.mass ?? [params.massA, params.massB][idx],
+    x: body.x,
+    y: body.y,
+    vx: body.vx,
+    vy: body.vy,
+    speed: speedOf(body)
+  }));
+};
+
+// Forces on every object in one state, with the acceleration they produce, for
+// free-body diagrams
+export const freeBodies = (problemType, params, state) => {
+  const engine = resolveEngine(problemType, params);
+  const objects = objectStates(params, state);
+  return engine.forces(state, params).map((forces, idx) => {
+    const net = forces.reduce((total, { fx, fy }) => ({ fx: total.fx + fx, fy: total.fy + fy }), { fx: 0, fy: 0 });
+    return {
+      forces: forces.map((force) => ({ ...force, magnitude: Math.hypot(force.fx, force.fy) })),
+      ax: net.fx / objects[idx].mass,
+      ay: net.fy / objects[idx].mass
+    };
+  });
+};
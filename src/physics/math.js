@@ -0,0 +1,5 @@
+export const DEG = Math.PI / 180;
+
+export const speedOf = (body) => Math.sqrt(body.vx ** 2 + body.vy ** 2);
+
+export const kineticEnergy = (mass, body) => 0.5 * mass * (body.vx ** 2 + body.vy ** 2);
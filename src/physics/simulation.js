@@ -0,0 +1,80 @@
+import { getEngine, resolveEngine } from './engines/index.js';
+
+// Headless simulation of one scenario. `solver` is 'analytic' (closed form,
+// where the engine has one for these params) or 'numeric'; defaults to the
+// engine's choice. `integrator` picks the stepper for force-based motion:
+// 'rk4' (default) or 'euler' (semi-implicit). A numeric run's duration is
+// found with the same integrator and step `dt` the run will take.
+export const createSimulation = (problemType, params, { solver, integrator = 'rk4', dt } = {}) => {
+  const engine = resolveEngine(problemType, params);
+  const closedForm = Boolean(engine.exact) && (engine.hasExact?.(params) ?? true);
+  const requested = solver || engine.defaultSolver;
+  const method = requested === 'analytic' && !closedForm ? 'numeric' : requested;
+  const advance = method === 'analytic'
+    ? (state, dt) => engine.exact(params, state.time + dt)
+    : (state, dt) => engine.integrate(state, dt, params, integrator);
+
+  let state = engine.init(params);
+
+  return {
+    engine,
+    solver: method,
+    integrator,
+    duration: engine.duration(params, method === 'numeric' ? { integrator, dt } : {}),
+    get state() {
+      return state;
+    },
+    step(dt) {
+      state = advance(state, dt);
+      return state;
+    },
+    reset() {
+      state = engine.init(params);
+      return state;
+    }
+  };
+};
+
+// Solver choices offered in the UI, with the simulation options each one means
+export const SOLVER_CHOICES = [
+  { id: 'auto', label: 'Closed form when available', options: {} },
+  { id: 'rk4', label: 'RK4', options: { solver: 'numeric', integrator: 'rk4' } },
+  { id: 'euler', label: 'Semi-implicit Euler', options: { solver: 'numeric', integrator: 'euler' } }
+];
+
+// An engine whose steps do not depend on the integrator offers the closed form
+// or plain time steps
+const STEPPED_CHOICE = { id: 'numeric', label: 'Time steps', options: { solver: 'numeric' } };
+
+export const solverChoices = (problemType) => (getEngine(problemType).steppedAlike ? [SOLVER_CHOICES[0], STEPPED_CHOICE] : SOLVER_CHOICES);
+
+// The options a choice means; one the engine does not offer falls back to the
+// first, the closed form when available
+export const solverOptions = (choice, problemType) => {
+  const choices = problemType ? solverChoices(problemType) : SOLVER_CHOICES;
+  return (choices.find(({ id }) => id === choice) || choices[0]).options;
+};
+
+// Steps a simulation to `until` (its duration by default) and returns every state
+export const runSimulation = (problemType, params, { dt = 0.01, solver, integrator, until } = {}) => {
+  const simulation = createSimulation(problemType, params, { solver, integrator, dt });
+  const end = until ?? simulation.duration;
+  const samples = [simulation.state];
+  while (simulation.state.time < end - 1e-9) {
+    samples.push(simulation.step(Math.min(dt, end - simulation.state.time)));
+  }
+  return { duration: simulation.duration, solver: simulation.solver, integrator: simulation.integrator, dt, samples };
+};
+
+// Latest recorded state at or before `time`, clamped to the run's extent
+export const sampleAt = ({ samples }, time) => {
+  let lo = 0;
+  let hi = samples.length - 1;
+  if (time >= samples[hi].time) return samples[hi];
+  while (lo < hi) {
+    const mid = Math.ceil((lo + hi) / 2);
+    if (samples[mid].time <= time + 1e-9) lo = mid;
+    else hi = mid - 1;
+  }
+  return samples[lo];
+};
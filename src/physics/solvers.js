@@ -0,0 +1,54 @@
+// Generic numeric solvers. A system is described by its derivative function
+// `derivative(y, t)` returning dy/dt for the state vector `y`.
+
+const addScaled = (y, k, h) => y.map((value, i) => value + k[i] * h);
+
+// Classic fourth-order Runge-Kutta step
+export const rk4Step = (derivative, y, dt, t = 0) => {
+  const k1 = derivative(y, t);
+  const k2 = derivative(addScaled(y, k1, dt / 2), t + dt / 2);
+  const k3 = derivative(addScaled(y, k2, dt / 2), t + dt / 2);
+  const k4 = derivative(addScaled(y, k3, dt), t + dt);
+  return y.map((value, i) => value + (dt / 6) * (k1[i] + 2 * k2[i] + 2 * k3[i] + k4[i]));
+};
+
+// Semi-implicit (symplectic) Euler step for a state laid out as
+// [...positions, ...velocities]: velocities are advanced first and the new
+// velocities then move the positions. First order, but energy stays bounded
+// for oscillators instead of drifting the way explicit Euler does.
+export const semiImplicitEulerStep = (derivative, y, dt, t = 0) => {
+  const half = y.length / 2;
+  const rates = derivative(y, t);
+  const velocities = y.slice(half).map((value, i) => value + rates[half + i] * dt);
+  return [...y.slice(0, half).map((value, i) => value + velocities[i] * dt), ...velocities];
+};
+
+// Steppers selectable for force-based motion, by id
+export const integrators = { rk4: rk4Step, euler: semiImplicitEulerStep };
+
+// Smallest non-negative root of a·t² + b·t + c = 0, or null if there is none
+export const earliestRoot = (a, b, c) => {
+  if (Math.abs(a) < 1e-12) {
+    if (Math.abs(b) < 1e-12) return null;
+    const t = -c / b;
+    return t >= 0 ? t : null;
+  }
+  const disc = b * b - 4 * a * c;
+  if (disc < 0) return null;
+  const sqrt = Math.sqrt(disc);
+  const roots = [(-b - sqrt) / (2 * a), (-b + sqrt) / (2 * a)].filter((t) => t >= 0).sort((p, q) => p - q);
+  return roots.length ? roots[0] : null;
+};
+
+// Bisects [lo, hi], over which `crossed(t)` turns from false to true, down to
+// the first time it holds; returns that time to within `tolerance`
+export const firstCrossing = (crossed, lo, hi, tolerance = 1e-12) => {
+  let [a, b] = [lo, hi];
+  while (b - a > tolerance) {
+    const mid = (a + b) / 2;
+    if (mid <= a || mid >= b) break;
+    if (crossed(mid)) b = mid;
+    else a = mid;
+  }
+  return b;
+};
@@ -0,0 +1,101 @@
+import { DEG } from './math.js';
+
+// Ground a projectile lands on. `terrain` lists pieces in metres; where pieces
+// overlap the later one wins, and wherever none reaches, the ground is level
+// at y = 0.
+//   { kind: 'flat', height }                  level ground at `height` everywhere
+//   { kind: 'step', at, height }              ground at `height` up to x = at and at 0
+//                                             beyond it: the edge of a cliff or ledge
+//   { kind: 'slope', at, to, height, angle }  from x = at (to x = to, if given), ground
+//                                             starting at `height` and rising at
+//                                             `angle`°, or falling when it is negative
+//   { kind: 'platform', from, to, height }    a block `height` tall from x = from to
+//                                             x = to, such as a roof or a table
+
+export const TERRAIN_KINDS = ['flat', 'step', 'slope', 'platform'];
+
+// The stretch [from, to) of x a piece covers and its height along it
+const extent = (piece) => {
+  const height = piece.height ?? 0;
+  switch (piece.kind) {
+    case 'flat':
+      return { from: -Infinity, to: Infinity, height, gradient: 0 };
+    case 'step':
+      return { from: -Infinity, to: piece.at ?? 0, height, gradient: 0 };
+    case 'slope':
+      return { from: piece.at ?? 0, to: piece.to ?? Infinity, height, gradient: Math.tan((piece.angle ?? 0) * DEG) };
+    case 'platform':
+      return { from: piece.from ?? 0, to: piece.to ?? piece.from ?? 0, height, gradient: 0 };
+    default:
+      return null;
+  }
+};
+
+const extents = (terrain) => (terrain || []).map(extent).filter(Boolean);
+
+const heightOn = ({ from, height, gradient }, x) => height + (gradient ? gradient * (x - from) : 0);
+
+// Height of the ground at x
+export const groundHeight = (terrain, x) => {
+  const covering = extents(terrain).filter(({ from, to }) => x >= from && x < to).pop();
+  return covering ? heightOn(covering, x) : 0;
+};
+
+// Height of the ground when it is level everywhere, otherwise null
+export const levelGround = (terrain) => {
+  const pieces = extents(terrain);
+  const lastFlat = pieces.map(({ from, to }) => from === -Infinity && to === Infinity).lastIndexOf(true);
+  const after = pieces.slice(lastFlat + 1);
+  if (after.some(({ from, to }) => to > from)) return null;
+  return lastFlat >= 0 ? pieces[lastFlat].height : 0;
+};
+
+// The ground line between minX and maxX as points to join, with both ends of
+// every jump (cliff edges, platform sides)
+export const terrainProfile = (terrain, minX, maxX) => {
+  const pieces = extents(terrain);
+  const edges = pieces.flatMap(({ from, to }) => [from, to]).filter((x) => x > minX && x < maxX);
+  const stops = [...new Set([minX, ...edges, maxX])].sort((a, b) => a - b);
+  return stops.slice(1).flatMap((to, idx) => {
+    const from = stops[idx];
+    const middle = (from + to) / 2;
+    const covering = pieces.filter((piece) => middle >= piece.from && middle < piece.to).pop();
+    const on = (x) => (covering ? heightOn(covering, x) : 0);
+    return [{ x: from, y: on(from) }, { x: to, y: on(to) }];
+  });
+};
+
+// Ends of every piece that has them, for the camera to take in
+export const terrainPoints = (terrain) => extents(terrain).flatMap((piece) => [piece.from, piece.to]
+  .filter(Number.isFinite)
+  .map((x) => ({ x, y: heightOn(piece, x) })));
+
+// Ground segments and ramps placed in the scene editor, as terrain: a level
+// segment is a platform and a ramp a bounded slope
+export const surfaceTerrain = (surfaces) => (surfaces || [])
+  .filter(({ kind, from, to }) => (kind === 'ground' || kind === 'ramp') && from && to && from.x !== to.x)
+  .map(({ kind, from, to }) => {
+    const [left, right] = from.x < to.x ? [from, to] : [to, from];
+    if (kind === 'ground') return { kind: 'platform', from: left.x, to: right.x, height: left.y };
+    return { kind: 'slope', at: left.x, to: right.x, height: left.y, angle: Math.atan2(right.y - left.y, right.x - left.x) / DEG };
+  });
+
+// Walls placed in the scene editor, each as the x it stands at and the
+// heights it spans
+export const surfaceWalls = (surfaces) => (surfaces || [])
+  .filter(({ kind, from, to }) => kind === 'wall' && from && to && from.y !== to.y)
+  .map(({ from, to }) => ({ x: from.x, bottom: Math.min(from.y, to.y), top: Math.max(from.y, to.y) }));
+
+// The first wall a body runs into moving in a straight line from `from` to
+// `to`, or null. Only what meets a wall between its bottom and top is
+// stopped, and a body starting on a wall's line moves off it freely.
+export const wallCrossing = (walls, from, to) => {
+  const hits = (walls || []).flatMap((wall) => {
+    const start = Math.sign(from.x - wall.x);
+    if (start === 0 || Math.sign(to.x - wall.x) === start) return [];
+    const along = (wall.x - from.x) / (to.x - from.x);
+    const y = from.y + along * (to.y - from.y);
+    return y >= wall.bottom && y <= wall.top ? [{ wall, along }] : [];
+  });
+  return hits.length ? hits.reduce((first, hit) => (hit.along < first.along ? hit : first)).wall : null;
+};
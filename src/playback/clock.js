@@ -0,0 +1,27 @@
+// Playback clock for a precomputed run. Times are simulation seconds; the UI
+// feeds in real elapsed seconds so motion speed does not depend on frame rate.
+
+export const PLAYBACK_SPEEDS = [0.1, 0.25, 0.5, 1, 2, 4];
+
+// Sampling interval of the recorded run, finer than any display frame
+export const RECORD_DT = 1 / 240;
+
+// Simulation time covered by one "step" button press
+export const FRAME_STEP = 1 / 60;
+
+// Longer gaps (background tab, debugger) are treated as a single slow frame
+const MAX_FRAME_GAP = 0.1;
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+// Moves the clock forward by `elapsed` real seconds. With `loop` the time wraps
+// to the start; otherwise it stops at `duration` and reports `ended`.
+export const advanceClock = (time, elapsed, { duration, speed = 1, loop = true }) => {
+  const next = time + clamp(elapsed, 0, MAX_FRAME_GAP) * speed;
+  if (next < duration) return { time: next, ended: false };
+  if (loop && duration > 0) return { time: next % duration, ended: false };
+  return { time: duration, ended: true };
+};
+
+// Single-frame step forward (frames > 0) or back (frames < 0)
+export const stepClock = (time, frames, duration) => clamp(time + frames * FRAME_STEP, 0, duration);
@@ -0,0 +1,13 @@
+// Prediction quizzes: questions asked before a run plays, scored against it
+export { predictionQuestions } from './questions.js';
+export {
+  QUIZ_FORMAT,
+  QUIZ_VERSION,
+  VERDICT_POINTS,
+  allowedError,
+  createQuizSession,
+  exportSession,
+  recordPredictions,
+  scorePrediction,
+  sessionSummary
+} from './session.js';
@@ -0,0 +1,124 @@
+import { objectStates } from '../physics/kinematics.js';
+import { speedOf } from '../physics/math.js';
+
+// Prediction questions asked before a run plays. Answers are read off the
+// computed run, so they agree with what the student then watches. A question
+// is { id, prompt, kind, unit, answer, tolerance, axis, choices }: 'number'
+// questions are typed, or clicked on the canvas as the world coordinate
+// `axis` ('x' or 'y'), and are right within `tolerance`; 'choice' questions
+// pick one of `choices`.
+
+const number = (id, prompt, unit, answer, tolerance, axis = null) => ({ id, prompt, kind: 'number', unit, answer, tolerance, axis, choices: null });
+
+const choice = (id, prompt, choices, answer) => ({ id, prompt, kind: 'choice', unit: '', answer, tolerance: null, axis: null, choices });
+
+// Positions within 10% or half a metre, times and speeds within 10% or 0.1
+const POSITION = { relative: 0.1, absolute: 0.5 };
+const RATE = { relative: 0.1, absolute: 0.1 };
+
+const ends = (run) => [run.samples[0], run.samples[run.samples.length - 1]];
+
+// How a prompt refers to an object; a lone unnamed one is "the object"
+const called = (name) => (name === 'Object' ? 'the object' : name);
+
+const firstName = (params, run) => called(objectStates(params, run.samples[0])[0].name);
+
+const projectileQuestions = (params, run) => {
+  const [first, last] = ends(run);
+  const name = firstName(params, run);
+  const start = first.bodies[0];
+  const top = Math.max(...run.samples.map((sample) => sample.bodies[0].y));
+  const questions = [];
+  if (Math.abs(last.bodies[0].x - start.x) > 1e-6) {
+    questions.push(number('landing', `Where does ${name} land?`, 'm', last.bodies[0].x, POSITION, 'x'));
+  }
+  if (top - start.y > 1e-6) {
+    questions.push(number('maxHeight', `How high does ${name} go?`, 'm', top, POSITION, 'y'));
+  }
+  questions.push(number('flightTime', `How long is ${name} in the air?`, 's', last.time, RATE));
+  return questions;
+};
+
+const linearQuestions = (params, run) => {
+  const [, last] = ends(run);
+  const objects = objectStates(params, last);
+  const name = called(objects[0].name);
+  const questions = [
+    number('position', `Where is ${name} at t = ${Number(last.time.toFixed(2))} s?`, 'm', objects[0].x, POSITION, 'x'),
+    number('finalSpeed', `How fast is ${name} moving at t = ${Number(last.time.toFixed(2))} s?`, 'm/s', objects[0].speed, RATE)
+  ];
+  const ranked = [...objects].sort((a, b) => b.x - a.x);
+  if (ranked.length > 1 && ranked[0].x - ranked[1].x > 1e-6) {
+    questions.push(choice('ahead', 'Which object is furthest along at the end?', objects.map(({ name }) => name), ranked[0].name));
+  }
+  return questions;
+};
+
+const INCLINE_OUTCOMES = ['Slides to the foot', 'Stops on the slope', 'Stays at rest'];
+
+const inclineQuestions = (params, run) => {
+  const [first, last] = ends(run);
+  const start = first.bodies[0].s;
+  const end = last.bodies[0].s;
+  if (end >= params.length) {
+    const onSlope = run.samples.filter((sample) => sample.bodies[0].s < params.length);
+    const arrival = run.samples[onSlope.length] || last;
+    return [
+      choice('outcome', 'What does the block do?', INCLINE_OUTCOMES, INCLINE_OUTCOMES[0]),
+      number('slideTime', 'How long does the block take to reach the foot of the slope?', 's', arrival.time, RATE),
+      number('footSpeed', 'How fast is it going as it reaches the foot?', 'm/s', speedOf(onSlope[onSlope.length - 1].bodies[0]), RATE)
+    ];
+  }
+  const moved = run.samples.some((sample) => Math.abs(sample.bodies[0].s - start) > 1e-9);
+  if (!moved) return [choice('outcome', 'What does the block do?', INCLINE_OUTCOMES, INCLINE_OUTCOMES[2])];
+  return [
+    choice('outcome', 'What does the block do?', INCLINE_OUTCOMES, INCLINE_OUTCOMES[1]),
+    number('stopDistance', 'How far along the slope does the block travel before it stops?', 'm', Math.abs(end - start), POSITION)
+  ];
+};
+
+// The bob turns round whenever its angular velocity changes sign; a full swing
+// is the time between the first and third turning points
+const turningTimes = (run) => run.samples.slice(1).flatMap((sample, i) => {
+  const before = run.samples[i];
+  if (before.omega * sample.omega >= 0) return [];
+  const fraction = Math.abs(before.omega) / (Math.abs(before.omega) + Math.abs(sample.omega));
+  return [before.time + fraction * (sample.time - before.time)];
+});
+
+const pendulumQuestions = (params, run) => {
+  const turns = turningTimes(run);
+  const questions = [];
+  if (turns.length >= 3) {
+    questions.push(number('period', 'How long does one full swing, there and back, take?', 's', turns[2] - turns[0], RATE));
+  }
+  questions.push(number('maxSpeed', 'How fast is the bob moving at the bottom of its swing?', 'm/s', Math.max(...run.samples.map((sample) => speedOf(sample.bodies[0]))), RATE));
+  return questions;
+};
+
+const collisionQuestions = (params, run) => {
+  const [, last] = ends(run);
+  const [a, b] = objectStates(params, last);
+  const questions = [];
+  if (params.offset > 0) {
+    questions.push(choice('collides', 'Do the objects hit each other?', ['Yes', 'No'], last.collided ? 'Yes' : 'No'));
+  }
+  if (!last.collided) return questions;
+  const same = Math.abs(a.speed - b.speed) <= 1e-3 * Math.max(a.speed, b.speed, 1e-9);
+  const faster = a.speed > b.speed ? a.name : b.name;
+  questions.push(
+    choice('faster', 'Which object moves faster after the collision?', [a.name, b.name, 'Same speed'], same ? 'Same speed' : faster),
+    number('velocityAfter', `What is ${a.name}'s velocity along x after the collision? (negative means leftwards)`, 'm/s', a.vx, RATE)
+  );
+  return questions;
+};
+
+const QUESTIONS = {
+  projectile: projectileQuestions,
+  linear: linearQuestions,
+  incline: inclineQuestions,
+  pendulum: pendulumQuestions,
+  collision: collisionQuestions
+};
+
+export const predictionQuestions = (problemType, params, run) => (QUESTIONS[problemType] || projectileQuestions)(params, run);
@@ -0,0 +1,72 @@
+// Scoring predictions and keeping a teaching session's results. A session is
+// { startedAt, results } and is never mutated; every round of predictions
+// returns a new one.
+
+export const QUIZ_FORMAT = 'kinevision-quiz-session';
+export const QUIZ_VERSION = 1;
+
+// Points for each verdict: right within tolerance, close within twice it
+export const VERDICT_POINTS = { correct: 1, close: 0.5, wrong: 0, skipped: 0 };
+
+// Largest error still counted as right: the larger of the relative and
+// absolute tolerances
+export const allowedError = ({ answer, tolerance }) => Math.max(tolerance.relative * Math.abs(answer), tolerance.absolute);
+
+// Verdict on one prediction; a missing or non-numeric one is skipped
+export const scorePrediction = (question, prediction) => {
+  const answered = question.kind === 'choice' ? Boolean(prediction) : Number.isFinite(prediction);
+  if (!answered) return { verdict: 'skipped', points: 0, error: null };
+  if (question.kind === 'choice') {
+    const verdict = prediction === question.answer ? 'correct' : 'wrong';
+    return { verdict, points: VERDICT_POINTS[verdict], error: null };
+  }
+  const error = prediction - question.answer;
+  const allowed = allowedError(question);
+  const verdict = Math.abs(error) <= allowed ? 'correct' : Math.abs(error) <= 2 * allowed ? 'close' : 'wrong';
+  return { verdict, points: VERDICT_POINTS[verdict], error };
+};
+
+export const createQuizSession = (startedAt = new Date().toISOString()) => ({ startedAt, results: [] });
+
+// Adds one scenario's predictions, keyed by question id, to the session
+export const recordPredictions = (session, { problemText = '', problemType, params }, questions, predictions) => ({
+  ...session,
+  results: [
+    ...session.results,
+    ...questions.map((question) => {
+      const prediction = predictions[question.id] ?? null;
+      return {
+        problemText,
+        problemType,
+        params,
+        question: question.id,
+        prompt: question.prompt,
+        unit: question.unit,
+        prediction,
+        answer: question.answer,
+        ...scorePrediction(question, prediction)
+      };
+    })
+  ]
+});
+
+export const sessionSummary = ({ results }) => {
+  const count = (verdict) => results.filter((result) => result.verdict === verdict).length;
+  const points = results.reduce((sum, result) => sum + result.points, 0);
+  return {
+    questions: results.length,
+    answered: results.length - count('skipped'),
+    correct: count('correct'),
+    close: count('close'),
+    points,
+    percent: results.length ? (100 * points) / results.length : 0
+  };
+};
+
+export const exportSession = (session) => JSON.stringify({
+  format: QUIZ_FORMAT,
+  version: QUIZ_VERSION,
+  startedAt: session.startedAt,
+  summary: sessionSummary(session),
+  results: session.results
+}, null, 2);
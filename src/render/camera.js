@@ -0,0 +1,94 @@
+import { niceStep } from './graphs.js';
+import { DEFAULT_PALETTE } from './palettes.js';
+
+// World-to-canvas mapping shared by the scene renderers. A camera is
+// { scale, x0, y0 }: a point (x, y) in metres is drawn at
+// (x0 + x·scale, y0 − y·scale), so y points up as in the physics.
+
+const MIN_SCALE = 0.5; // pixels per metre
+const MAX_SCALE = 400;
+
+// Room left around the fitted scene for the readout, legend and ground labels
+const MARGIN = { left: 50, right: 50, top: 110, bottom: 50 };
+
+const clampScale = (scale) => Math.min(MAX_SCALE, Math.max(MIN_SCALE, scale));
+
+export const worldToCanvas = (camera, x, y) => ({ x: camera.x0 + x * camera.scale, y: camera.y0 - y * camera.scale });
+
+export const canvasToWorld = (camera, px, py) => ({ x: (px - camera.x0) / camera.scale, y: (camera.y0 - py) / camera.scale });
+
+// Camera showing all of `bounds` { minX, maxX, minY, maxY } at one scale,
+// centred across the canvas, and zoomed in no further than `maxScale`.
+// Grounded scenes sit on the bottom margin, the others are centred
+// vertically too.
+export const fitCamera = (bounds, view, maxScale = MAX_SCALE) => {
+  const spanX = Math.max(bounds.maxX - bounds.minX, 1e-6);
+  const spanY = Math.max(bounds.maxY - bounds.minY, 1e-6);
+  const width = view.width - MARGIN.left - MARGIN.right;
+  const height = view.height - MARGIN.top - MARGIN.bottom;
+  const scale = clampScale(Math.min(width / spanX, height / spanY, maxScale));
+  const x0 = MARGIN.left + (width - spanX * scale) / 2 - bounds.minX * scale;
+  const bottom = bounds.grounded ? 0 : (height - spanY * scale) / 2;
+  const y0 = view.height - MARGIN.bottom - bottom + bounds.minY * scale;
+  return { scale, x0, y0 };
+};
+
+// Zooms by `factor` about the canvas point (px, py), which stays put
+export const zoomCamera = (camera, factor, px, py) => {
+  const scale = clampScale(camera.scale * factor);
+  const k = scale / camera.scale;
+  return { scale, x0: px - (px - camera.x0) * k, y0: py - (py - camera.y0) * k };
+};
+
+export const panCamera = (camera, dx, dy) => ({ ...camera, x0: camera.x0 + dx, y0: camera.y0 + dy });
+
+// Pointer position in canvas pixels, for a canvas scaled by CSS
+export const canvasPoint = (canvas, event) => {
+  const rect = canvas.getBoundingClientRect();
+  return {
+    x: ((event.clientX - rect.left) * canvas.width) / rect.width,
+    y: ((event.clientY - rect.top) * canvas.height) / rect.height
+  };
+};
+
+// Metre grid with labelled ticks along both axes; the labels follow the axis
+// while it is on screen and stay at the canvas edge otherwise. Scenes with
+// no vertical extent (cars in lanes) pass horizontal: false.
+export const drawGrid = (ctx, camera, view, { horizontal = true } = {}) => {
+  const { grid, axis: axisColor, gridLabel } = view.palette || DEFAULT_PALETTE;
+  const topLeft = canvasToWorld(camera, 0, 0);
+  const bottomRight = canvasToWorld(camera, view.width, view.height);
+  const step = niceStep(view.width / camera.scale, Math.max(2, Math.floor(view.width / 80)));
+  const origin = worldToCanvas(camera, 0, 0);
+  const labelY = Math.min(view.height - 6, Math.max(14, origin.y + 14));
+  const labelX = Math.min(view.width - 40, Math.max(4, origin.x + 4));
+  const label = (value) => `${Number(value.toFixed(6))}m`;
+
+  ctx.lineWidth = 1;
+  ctx.font = '10px Arial';
+  for (let x = Math.ceil(topLeft.x / step) * step; x <= bottomRight.x; x += step) {
+    const { x: px } = worldToCanvas(camera, x, 0);
+    const axis = Math.abs(x) < step / 2;
+    ctx.strokeStyle = axis ? axisColor : grid;
+    ctx.beginPath();
+    ctx.moveTo(px, 0);
+    ctx.lineTo(px, view.height);
+    ctx.stroke();
+    ctx.fillStyle = gridLabel;
+    ctx.fillText(label(axis ? 0 : x), px + 3, labelY);
+  }
+  if (!horizontal) return;
+  for (let y = Math.ceil(bottomRight.y / step) * step; y <= topLeft.y; y += step) {
+    const { y: py } = worldToCanvas(camera, 0, y);
+    const axis = Math.abs(y) < step / 2;
+    ctx.strokeStyle = axis ? axisColor : grid;
+    ctx.beginPath();
+    ctx.moveTo(0, py);
+    ctx.lineTo(view.width, py);
+    ctx.stroke();
+    if (!axis) {
+      ctx.fillStyle = gridLabel;
+      ctx.fillText(label(y), labelX, py - 3);
+    }
+  }
+};
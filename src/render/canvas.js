@@ -0,0 +1,56 @@
+import { DEFAULT_PALETTE } from './palettes.js';
+
+// Low-level canvas drawing helpers shared by the scene renderers. Colours come
+// from the view's palette (see palettes.js) where it has one.
+
+export const clearScene = (ctx, view) => {
+  ctx.fillStyle = (view.palette || DEFAULT_PALETTE).background;
+  ctx.fillRect(0, 0, view.width, view.height);
+};
+
+export const drawGround = (ctx, view) => {
+  ctx.strokeStyle = (view.palette || DEFAULT_PALETTE).ground;
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  ctx.moveTo(0, view.groundY);
+  ctx.lineTo(view.width, view.groundY);
+  ctx.stroke();
+};
+
+export const drawArrow = (ctx, fromX, fromY, dx, dy, color = '#FF6B6B') => {
+  if (Math.hypot(dx, dy) < 1) return;
+  const toX = fromX + dx;
+  const toY = fromY + dy;
+  ctx.strokeStyle = color;
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  ctx.moveTo(fromX, fromY);
+  ctx.lineTo(toX, toY);
+  ctx.stroke();
+
+  // Arrow head
+  const arrowAngle = Math.atan2(dy, dx);
+  ctx.fillStyle = color;
+  ctx.beginPath();
+  ctx.moveTo(toX, toY);
+  ctx.lineTo(toX - 10 * Math.cos(arrowAngle - Math.PI / 6), toY - 10 * Math.sin(arrowAngle - Math.PI / 6));
+  ctx.lineTo(toX - 10 * Math.cos(arrowAngle + Math.PI / 6), toY - 10 * Math.sin(arrowAngle + Math.PI / 6));
+  ctx.closePath();
+  ctx.fill();
+};
+
+export const drawBall = (ctx, x, y, radius, fill = '#02C39A', outline = '#028090') => {
+  ctx.fillStyle = fill;
+  ctx.strokeStyle = outline;
+  ctx.lineWidth = 3;
+  ctx.beginPath();
+  ctx.arc(x, y, radius, 0, Math.PI * 2);
+  ctx.fill();
+  ctx.stroke();
+};
+
+export const drawInfo = (ctx, lines, ink = '#1E293B') => {
+  ctx.fillStyle = ink;
+  ctx.font = '14px Arial';
+  lines.forEach((line, idx) => ctx.fillText(line, 20, 30 + idx * 20));
+};
@@ -0,0 +1,33 @@
+import { worldToCanvas } from './camera.js';
+
+// Markers for detected events (see detectEvents in the physics core): a
+// diamond where the object was at that moment, labelled unless another
+// labelled marker already sits there (a pendulum passing the same points).
+// Scenes that draw objects in separate lanes pass the lane spacing in pixels.
+
+export const EVENT_COLOR = '#BE185D';
+
+const LABEL_GAP = 14; // pixels between labelled markers
+
+export const drawEvents = (ctx, events, camera, laneSpacing = 0) => {
+  const labelled = [];
+  ctx.font = '10px Arial';
+  events.forEach((event) => {
+    const { x, y: worldY } = worldToCanvas(camera, event.x, event.y);
+    const y = worldY - event.body * laneSpacing;
+    ctx.fillStyle = EVENT_COLOR;
+    ctx.strokeStyle = 'white';
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    ctx.moveTo(x, y - 6);
+    ctx.lineTo(x + 6, y);
+    ctx.lineTo(x, y + 6);
+    ctx.lineTo(x - 6, y);
+    ctx.closePath();
+    ctx.fill();
+    ctx.stroke();
+    if (labelled.some((point) => Math.hypot(point.x - x, point.y - y) < LABEL_GAP)) return;
+    labelled.push({ x, y });
+    ctx.fillText(event.label, x + 8, y + 12);
+  });
+};
@@ -0,0 +1,91 @@
+import { frameMotion } from '../physics/frames.js';
+import { sampleAt } from '../physics/simulation.js';
+import { drawArrow } from './canvas.js';
+import { canvasToWorld, worldToCanvas } from './camera.js';
+
+// Drawing a scene from a reference frame other than the ground's (see
+// physics/frames.js). The camera is carried along with the frame, so the
+// ground, the grid and the scenery slide past while whatever rides with the
+// frame holds still; paths and event markers are redrawn where the frame saw
+// them.
+
+// `camera` carried along by the frame's `motion`: a point (x, y) is drawn
+// where (x − motion.x, y − motion.y) would be
+export const carriedCamera = (camera, motion) => ({
+  ...camera,
+  x0: camera.x0 - motion.x * camera.scale,
+  y0: camera.y0 + motion.y * camera.scale
+});
+
+// The frame's motion at `time`, following the objects of `run`
+const motionAt = (frame, params, run, time) => frameMotion(frame, params, { ...sampleAt(run, time), time });
+
+// `run` as the frame saw it, for a camera carried to the frame's motion `now`:
+// each recorded position is moved on by as far as the frame has gone since.
+// `along` is the run whose objects the frame follows.
+export const followRun = (run, frame, params, now, along = run) => ({
+  ...run,
+  samples: run.samples.map((sample) => {
+    const then = motionAt(frame, params, along, sample.time);
+    return {
+      ...sample,
+      bodies: sample.bodies.map((body) => ({ ...body, x: body.x - then.x + now.x, y: body.y - then.y + now.y }))
+    };
+  })
+});
+
+export const followEvents = (events, frame, params, run, now) => events.map((event) => {
+  const then = motionAt(frame, params, run, event.time);
+  return { ...event, x: event.x - then.x + now.x, y: event.y - then.y + now.y };
+});
+
+const FLOW_SPACING = 80; // pixels between the marks drifting with a moving frame
+const FLOW_MARK = 14;
+const FLOOR_DEPTH = 16; // pixels, for a moving frame without a width
+
+// A scenario's moving frame: a river as a band `width` across, or a train
+// floor or walkway as a strip along the ground, with marks drifting at its
+// velocity
+export const drawMovingFrame = (ctx, { name, vx, vy, width }, camera, view, time) => {
+  const { palette } = view;
+  const near = worldToCanvas(camera, 0, 0).y;
+  const far = width ? worldToCanvas(camera, 0, width).y : near - FLOOR_DEPTH;
+  ctx.fillStyle = palette.medium;
+  ctx.fillRect(0, far, view.width, near - far);
+  if (width) {
+    ctx.strokeStyle = palette.ground;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(0, far);
+    ctx.lineTo(view.width, far);
+    ctx.stroke();
+  }
+
+  const speed = Math.hypot(vx, vy);
+  if (speed > 1e-9) {
+    const spacing = FLOW_SPACING / camera.scale;
+    const left = canvasToWorld(camera, 0, 0).x - spacing;
+    const right = canvasToWorld(camera, view.width, 0).x + spacing;
+    const drift = vx * time;
+    const rows = width ? [0.25, 0.5, 0.75].map((f) => near + (far - near) * f) : [(near + far) / 2];
+    const dx = (vx / speed) * FLOW_MARK;
+    const dy = (-vy / speed) * FLOW_MARK;
+    for (let x = Math.floor((left - drift) / spacing) * spacing + drift; x <= right; x += spacing) {
+      rows.forEach((row, i) => {
+        const { x: px } = worldToCanvas(camera, x + (i % 2) * (spacing / 2), 0);
+        drawArrow(ctx, px - dx / 2, row - dy / 2, dx, dy, palette.flow);
+      });
+    }
+  }
+
+  ctx.fillStyle = palette.ink;
+  ctx.font = '12px Arial';
+  ctx.fillText(`${name}: ${speed.toFixed(2)} m/s`, 10, Math.min(near, far) + 14);
+};
+
+// Which frame the scene is drawn from, along the bottom of the canvas
+export const drawFrameLabel = (ctx, frame, view) => {
+  ctx.fillStyle = view.palette.ink;
+  ctx.font = '12px Arial';
+  ctx.fillText(`Seen from: ${frame.label} (velocities relative to it)`, 10, view.height - 10);
+};
@@ -0,0 +1,50 @@
+import { sampleAt } from '../physics/simulation.js';
+import { worldToCanvas } from './camera.js';
+
+// Pinned runs ("ghosts") drawn faintly behind the live scene, so parameter
+// sets of one scenario can be compared on the same canvas. A ghost is
+// { id, label, color, params, run }.
+
+export const MAX_GHOSTS = 5;
+
+export const GHOST_COLORS = ['#94A3B8', '#A78BFA', '#F472B6', '#FBBF24', '#34D399'];
+
+// Pins a run, keeping the newest MAX_GHOSTS. Each gets the next run number and
+// a colour no other pinned run is using.
+export const pinRun = (ghosts, params, run) => {
+  const kept = ghosts.slice(-(MAX_GHOSTS - 1));
+  const id = Math.max(0, ...ghosts.map((ghost) => ghost.id)) + 1;
+  const color = GHOST_COLORS.find((each) => !kept.some((ghost) => ghost.color === each));
+  return [...kept, { id, label: `Run ${id}`, color, params, run }];
+};
+
+// Whole path of every object of each ghost, with a hollow marker where it is at
+// `time` on the shared clock
+export const drawGhosts = (ctx, ghosts, camera, time) => {
+  ghosts.forEach((ghost) => {
+    const stride = Math.max(1, Math.round(0.05 / ghost.run.dt));
+    const path = ghost.run.samples.filter((_, i) => i % stride === 0).concat(ghost.run.samples.slice(-1));
+    const now = sampleAt(ghost.run, time);
+    ctx.strokeStyle = ghost.color;
+    ctx.lineWidth = 2;
+    now.bodies.forEach((body, idx) => {
+      ctx.beginPath();
+      path.forEach((sample, i) => {
+        const point = worldToCanvas(camera, sample.bodies[idx].x, sample.bodies[idx].y);
+        if (i === 0) ctx.moveTo(point.x, point.y);
+        else ctx.lineTo(point.x, point.y);
+      });
+      ctx.stroke();
+
+      const { x, y } = worldToCanvas(camera, body.x, body.y);
+      ctx.beginPath();
+      ctx.arc(x, y, 10, 0, Math.PI * 2);
+      ctx.stroke();
+      if (idx === 0) {
+        ctx.fillStyle = ghost.color;
+        ctx.font = '11px Arial';
+        ctx.fillText(ghost.label, x + 13, y - 8);
+      }
+    });
+  });
+};
@@ -0,0 +1,169 @@
+// Time-series plots of kinematicSeries rows with a cursor at the playback time
+
+export const GRAPHS = [
+  {
+    id: 'position',
+    title: 'Position',
+    unit: 'm',
+    lines: [{ key: 'x', label: 'x', color: '#028090' }, { key: 'y', label: 'y', color: '#F59E0B' }]
+  },
+  {
+    id: 'velocity',
+    title: 'Velocity',
+    unit: 'm/s',
+    lines: [{ key: 'vx', label: 'vx', color: '#028090' }, { key: 'vy', label: 'vy', color: '#F59E0B' }]
+  },
+  {
+    id: 'acceleration',
+    title: 'Acceleration',
+    unit: 'm/s²',
+    lines: [{ key: 'ax', label: 'ax', color: '#028090' }, { key: 'ay', label: 'ay', color: '#F59E0B' }]
+  },
+  {
+    id: 'energy',
+    title: 'Energy',
+    unit: 'J',
+    lines: [
+      { key: 'kinetic', label: 'KE', color: '#FF6B6B' },
+      { key: 'potential', label: 'PE', color: '#6366F1' },
+      { key: 'energy', label: 'Total', color: '#1E293B' }
+    ]
+  }
+];
+
+const MARGIN = { left: 48, right: 12, top: 26, bottom: 22 };
+
+// Round step (1, 2 or 5 × 10^n) giving roughly `count` intervals over `span`
+export const niceStep = (span, count = 4) => {
+  const raw = span / count;
+  const magnitude = 10 ** Math.floor(Math.log10(raw));
+  const step = [1, 2, 5, 10].find((m) => m * magnitude >= raw);
+  return step * magnitude;
+};
+
+// Value range over every line, always including zero and never empty
+export const graphRange = (rows, lines) => {
+  let min = 0;
+  let max = 0;
+  rows.forEach((row) => lines.forEach(({ key }) => {
+    min = Math.min(min, row[key]);
+    max = Math.max(max, row[key]);
+  }));
+  if (max - min < 1e-9) return { min: min - 1, max: max + 1 };
+  const pad = (max - min) * 0.08;
+  return { min: min < 0 ? min - pad : 0, max: max > 0 ? max + pad : 0 };
+};
+
+const formatTick = (value, step) => (step < 1 ? value.toFixed(Math.min(3, Math.ceil(-Math.log10(step)))) : String(Math.round(value)));
+
+// Index of the last row at or before `time`
+const rowAt = (rows, time) => {
+  let lo = 0;
+  let hi = rows.length - 1;
+  while (lo < hi) {
+    const mid = Math.ceil((lo + hi) / 2);
+    if (rows[mid].t <= time + 1e-9) lo = mid;
+    else hi = mid - 1;
+  }
+  return lo;
+};
+
+export const drawGraph = (ctx, graph, rows, time, view) => {
+  const plot = {
+    left: MARGIN.left,
+    top: MARGIN.top,
+    width: view.width - MARGIN.left - MARGIN.right,
+    height: view.height - MARGIN.top - MARGIN.bottom
+  };
+  const duration = rows[rows.length - 1].t || 1;
+  const { min, max } = graphRange(rows, graph.lines);
+  const toX = (t) => plot.left + (t / duration) * plot.width;
+  const toY = (value) => plot.top + ((max - value) / (max - min)) * plot.height;
+  const row = rows[rowAt(rows, time)];
+
+  ctx.fillStyle = 'white';
+  ctx.fillRect(0, 0, view.width, view.height);
+
+  // Title and legend with the values under the cursor
+  ctx.font = 'bold 12px Arial';
+  ctx.fillStyle = '#1E293B';
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(`${graph.title} (${graph.unit})`, plot.left, 12);
+  let legendX = view.width - MARGIN.right;
+  ctx.font = '11px Arial';
+  ctx.textAlign = 'right';
+  [...graph.lines].reverse().forEach((line) => {
+    const text = `${line.label} ${row[line.key].toFixed(2)}`;
+    ctx.fillStyle = line.color;
+    ctx.fillText(text, legendX, 12);
+    legendX -= ctx.measureText(text).width + 4;
+    ctx.fillRect(legendX - 10, 11, 10, 3);
+    legendX -= 18;
+  });
+
+  // Grid and tick labels
+  ctx.strokeStyle = '#E2E8F0';
+  ctx.lineWidth = 1;
+  ctx.fillStyle = '#64748B';
+  ctx.font = '10px Arial';
+  const yStep = niceStep(max - min);
+  for (let value = Math.ceil(min / yStep) * yStep; value <= max + 1e-9; value += yStep) {
+    const y = toY(value);
+    ctx.beginPath();
+    ctx.moveTo(plot.left, y);
+    ctx.lineTo(plot.left + plot.width, y);
+    ctx.stroke();
+    ctx.textAlign = 'right';
+    ctx.fillText(formatTick(value, yStep), plot.left - 6, y);
+  }
+  const tStep = niceStep(duration, 5);
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'top';
+  for (let t = 0; t <= duration + 1e-9; t += tStep) {
+    ctx.fillText(`${formatTick(t, tStep)}s`, toX(t), plot.top + plot.height + 6);
+  }
+
+  // Axes, with the time axis on zero
+  ctx.strokeStyle = '#94A3B8';
+  ctx.beginPath();
+  ctx.moveTo(plot.left, plot.top);
+  ctx.lineTo(plot.left, plot.top + plot.height);
+  ctx.moveTo(plot.left, toY(0));
+  ctx.lineTo(plot.left + plot.width, toY(0));
+  ctx.stroke();
+
+  // Curves, thinned to about one point per pixel
+  const stride = Math.max(1, Math.floor(rows.length / plot.width));
+  ctx.lineWidth = 2;
+  graph.lines.forEach(({ key, color }) => {
+    ctx.strokeStyle = color;
+    ctx.beginPath();
+    for (let i = 0; i < rows.length; i += stride) {
+      if (i === 0) ctx.moveTo(toX(rows[i].t), toY(rows[i][key]));
+      else ctx.lineTo(toX(rows[i].t), toY(rows[i][key]));
+    }
+    const end = rows[rows.length - 1];
+    ctx.lineTo(toX(end.t), toY(end[key]));
+    ctx.stroke();
+  });
+
+  // Cursor at the playback time
+  const cursorX = toX(row.t);
+  ctx.strokeStyle = '#FF6B6B';
+  ctx.lineWidth = 1;
+  ctx.setLineDash([4, 3]);
+  ctx.beginPath();
+  ctx.moveTo(cursorX, plot.top);
+  ctx.lineTo(cursorX, plot.top + plot.height);
+  ctx.stroke();
+  ctx.setLineDash([]);
+  graph.lines.forEach(({ key, color }) => {
+    ctx.fillStyle = color;
+    ctx.beginPath();
+    ctx.arc(cursorX, toY(row[key]), 3.5, 0, Math.PI * 2);
+    ctx.fill();
+  });
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'alphabetic';
+};
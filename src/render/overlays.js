@@ -0,0 +1,127 @@
+import { drawArrow } from './canvas.js';
+import { DEFAULT_PALETTE } from './palettes.js';
+
+// Optional vector overlays drawn over a scene: acceleration arrows, dashed
+// velocity components and a free-body diagram per object. Renderers report
+// where each object sits on the canvas as a mark { x, y, velocityScale }.
+
+export const OVERLAYS = [
+  { id: 'acceleration', label: 'Acceleration' },
+  { id: 'components', label: 'Velocity components' },
+  { id: 'freeBody', label: 'Free-body diagram' }
+];
+
+export const DEFAULT_OVERLAYS = { acceleration: true, components: false, freeBody: false };
+
+// Colour, symbol and name of every vector, shared by the arrows and the legend
+export const VECTOR_STYLES = {
+  velocity: { color: '#FF6B6B', symbol: 'v', name: 'Velocity' },
+  acceleration: { color: '#F59E0B', symbol: 'a', name: 'Acceleration' },
+  gravity: { color: '#6366F1', symbol: 'W', name: 'Weight' },
+  normal: { color: '#0EA5E9', symbol: 'N', name: 'Normal force' },
+  friction: { color: '#B45309', symbol: 'f', name: 'Friction' },
+  braking: { color: '#B45309', symbol: 'F_b', name: 'Braking force' },
+  tension: { color: '#7C3AED', symbol: 'T', name: 'Tension' },
+  drag: { color: '#64748B', symbol: 'D', name: 'Drag' },
+  spring: { color: '#EC4899', symbol: 'F_s', name: 'Spring force' },
+  applied: { color: '#16A34A', symbol: 'F', name: 'Applied force' },
+  drive: { color: '#0F766E', symbol: 'F_d', name: 'Driving force' }
+};
+
+// Arrow colour of a vector in a palette
+export const vectorColor = (palette, id) => palette.vectors[id] ?? VECTOR_STYLES[id].color;
+
+const ACCELERATION_SCALE = 8; // pixels per m/s²
+const FORCE_LENGTH = 70; // pixels for the largest force in the run
+
+// Pixels per newton that fit the largest force in any of `diagrams` (lists of
+// free bodies, one per sampled state) into FORCE_LENGTH, so every arrow in the
+// run shares one scale
+export const forceScale = (diagrams) => {
+  const largest = Math.max(0, ...diagrams.flat().flatMap(({ forces }) => forces.map(({ magnitude }) => magnitude)));
+  return largest > 0 ? FORCE_LENGTH / largest : 0;
+};
+
+// Legend rows for what is on screen: velocity always, then the enabled overlays
+// and every force acting in this frame
+export const legendEntries = (overlays, bodies, palette = DEFAULT_PALETTE) => {
+  const ids = ['velocity'];
+  if (overlays.acceleration) ids.push('acceleration');
+  if (overlays.freeBody) {
+    bodies.forEach(({ forces }) => forces.forEach(({ id }) => {
+      if (!ids.includes(id)) ids.push(id);
+    }));
+  }
+  const entries = ids.map((id) => ({ id, ...VECTOR_STYLES[id], color: vectorColor(palette, id) }));
+  if (overlays.components) entries.splice(1, 0, { ...entries[0], id: 'components', name: 'Components vx, vy', dashed: true });
+  return entries;
+};
+
+const drawTag = (ctx, text, x, y, color) => {
+  ctx.fillStyle = color;
+  ctx.font = '11px Arial';
+  ctx.fillText(text, x + 4, y - 4);
+};
+
+const drawLegend = (ctx, entries, view, ink) => {
+  const width = 150;
+  const left = view.width - width - 10;
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+  ctx.fillRect(left, 10, width, entries.length * 16 + 10);
+  ctx.font = '11px Arial';
+  entries.forEach((entry, idx) => {
+    const y = 25 + idx * 16;
+    ctx.strokeStyle = entry.color;
+    ctx.lineWidth = 2;
+    ctx.setLineDash(entry.dashed ? [4, 3] : []);
+    ctx.beginPath();
+    ctx.moveTo(left + 8, y - 4);
+    ctx.lineTo(left + 28, y - 4);
+    ctx.stroke();
+    ctx.setLineDash([]);
+    ctx.fillStyle = ink;
+    ctx.fillText(`${entry.symbol}  ${entry.name}`, left + 34, y);
+  });
+};
+
+// `bodies` are the recorded bodies, `diagrams` their free bodies (see
+// freeBodies in the physics core) and `scale` pixels per newton
+export const drawOverlays = (ctx, marks, { bodies, diagrams, scale, overlays, view }) => {
+  const palette = view.palette || DEFAULT_PALETTE;
+  marks.forEach((mark, idx) => {
+    const body = bodies[idx];
+    const diagram = diagrams[idx];
+    if (!mark || !body) return;
+
+    if (overlays.components) {
+      const color = vectorColor(palette, 'velocity');
+      ctx.setLineDash([4, 3]);
+      drawArrow(ctx, mark.x, mark.y, body.vx * mark.velocityScale, 0, color);
+      drawArrow(ctx, mark.x, mark.y, 0, -body.vy * mark.velocityScale, color);
+      ctx.setLineDash([]);
+      if (Math.abs(body.vx * mark.velocityScale) >= 1) drawTag(ctx, 'vx', mark.x + body.vx * mark.velocityScale, mark.y, color);
+      if (Math.abs(body.vy * mark.velocityScale) >= 1) drawTag(ctx, 'vy', mark.x, mark.y - body.vy * mark.velocityScale, color);
+    }
+
+    if (overlays.acceleration && diagram) {
+      drawArrow(ctx, mark.x, mark.y, diagram.ax * ACCELERATION_SCALE, -diagram.ay * ACCELERATION_SCALE, vectorColor(palette, 'acceleration'));
+    }
+
+    if (overlays.freeBody && diagram) {
+      ctx.fillStyle = palette.ink;
+      ctx.beginPath();
+      ctx.arc(mark.x, mark.y, 3, 0, Math.PI * 2);
+      ctx.fill();
+      diagram.forces.forEach((force) => {
+        const { symbol } = VECTOR_STYLES[force.id];
+        const color = vectorColor(palette, force.id);
+        const dx = force.fx * scale;
+        const dy = -force.fy * scale;
+        drawArrow(ctx, mark.x, mark.y, dx, dy, color);
+        drawTag(ctx, `${symbol} = ${force.magnitude.toFixed(1)} N`, mark.x + dx, mark.y + dy, color);
+      });
+    }
+  });
+
+  drawLegend(ctx, legendEntries(overlays, diagrams, palette), view, palette.ink);
+};
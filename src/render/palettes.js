@@ -0,0 +1,118 @@
+// Colour schemes for the scene canvas, chosen in the UI. Every colour the
+// renderers draw with has a role here (`medium` and `flow` fill a river or
+// train floor and mark its drift); `vectors` overrides the arrow colours
+// of VECTOR_STYLES (overlays.js) by vector id.
+//   standard      the original look
+//   highContrast  black on white, with dark saturated object colours that
+//                 stand out from the white by at least 3:1
+//   colorBlind    the Okabe–Ito colours, which stay apart under red–green and
+//                 blue–yellow colour blindness
+//   dark          light lines on a dark background, for dark pages and the
+//                 embedded simulator's dark theme
+
+export const PALETTES = [
+  {
+    id: 'standard',
+    label: 'Standard',
+    background: '#f0f4f8',
+    ink: '#1E293B',
+    ground: '#333',
+    fill: '#E2E8F0',
+    guide: '#CBD5E0',
+    outline: '#028090',
+    grid: '#E2E8F0',
+    axis: '#94A3B8',
+    gridLabel: '#64748B',
+    medium: '#E0F2FE',
+    flow: '#0284C7',
+    objects: ['#02C39A', '#F59E0B', '#6366F1', '#EC4899', '#0EA5E9', '#84CC16'],
+    vectors: {}
+  },
+  {
+    id: 'highContrast',
+    label: 'High contrast',
+    background: '#FFFFFF',
+    ink: '#000000',
+    ground: '#000000',
+    fill: '#BDBDBD',
+    guide: '#595959',
+    outline: '#000000',
+    grid: '#D4D4D4',
+    axis: '#000000',
+    gridLabel: '#000000',
+    medium: '#B3E5FC',
+    flow: '#0033CC',
+    objects: ['#8A6D00', '#00838F', '#C2185B', '#2E7D32', '#4527A0', '#D84315'],
+    vectors: {
+      velocity: '#D50000',
+      acceleration: '#0033CC',
+      gravity: '#6A00B0',
+      normal: '#006064',
+      friction: '#7A3E00',
+      braking: '#7A3E00',
+      tension: '#4A148C',
+      drag: '#424242',
+      spring: '#AD1457',
+      applied: '#1B5E20',
+      drive: '#004D40'
+    }
+  },
+  {
+    id: 'colorBlind',
+    label: 'Colour-blind safe',
+    background: '#f0f4f8',
+    ink: '#1E293B',
+    ground: '#333',
+    fill: '#E2E8F0',
+    guide: '#CBD5E0',
+    outline: '#000000',
+    grid: '#E2E8F0',
+    axis: '#94A3B8',
+    gridLabel: '#64748B',
+    medium: '#D6EAF8',
+    flow: '#0072B2',
+    objects: ['#009E73', '#E69F00', '#56B4E9', '#CC79A7', '#F0E442', '#0072B2'],
+    vectors: {
+      velocity: '#D55E00',
+      acceleration: '#0072B2',
+      gravity: '#000000',
+      normal: '#56B4E9',
+      friction: '#E69F00',
+      braking: '#E69F00',
+      tension: '#CC79A7',
+      spring: '#CC79A7',
+      applied: '#009E73',
+      drive: '#009E73'
+    }
+  },
+  {
+    id: 'dark',
+    label: 'Dark',
+    background: '#0F172A',
+    ink: '#E2E8F0',
+    ground: '#CBD5E1',
+    fill: '#334155',
+    guide: '#475569',
+    outline: '#2DD4BF',
+    grid: '#1E293B',
+    axis: '#64748B',
+    gridLabel: '#94A3B8',
+    medium: '#0C4A6E',
+    flow: '#38BDF8',
+    objects: ['#2DD4BF', '#FBBF24', '#A5B4FC', '#F472B6', '#38BDF8', '#A3E635'],
+    vectors: {
+      gravity: '#A5B4FC',
+      friction: '#FB923C',
+      braking: '#FB923C',
+      tension: '#C4B5FD',
+      drag: '#CBD5E1',
+      applied: '#4ADE80',
+      drive: '#2DD4BF'
+    }
+  }
+];
+
+export const DEFAULT_PALETTE = PALETTES[0];
+
+// The palette with this id, or the standard one
+export const paletteById = (id) => PALETTES.find((palette) => palette.id === id) || DEFAULT_PALETTE;
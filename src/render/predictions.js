@@ -0,0 +1,31 @@
+import { worldToCanvas } from './camera.js';
+
+// Prediction marks on the scene: a line across the canvas at a world x or y,
+// e.g. where a student expects the ball to land and, once revealed, where it
+// did. A mark is { axis, value, label, color, dashed }.
+
+export const GUESS_COLOR = '#EA580C';
+export const ANSWER_COLOR = '#16A34A';
+
+export const drawPredictions = (ctx, marks, camera, view) => {
+  ctx.lineWidth = 2;
+  ctx.font = 'bold 11px Arial';
+  marks.forEach(({ axis, value, label, color, dashed }) => {
+    const point = worldToCanvas(camera, axis === 'x' ? value : 0, axis === 'y' ? value : 0);
+    ctx.strokeStyle = color;
+    ctx.fillStyle = color;
+    ctx.setLineDash(dashed ? [6, 4] : []);
+    ctx.beginPath();
+    if (axis === 'x') {
+      ctx.moveTo(point.x, 0);
+      ctx.lineTo(point.x, view.height);
+    } else {
+      ctx.moveTo(0, point.y);
+      ctx.lineTo(view.width, point.y);
+    }
+    ctx.stroke();
+    ctx.setLineDash([]);
+    if (axis === 'x') ctx.fillText(label, point.x + 4, view.height - 24);
+    else ctx.fillText(label, 8, point.y - 4);
+  });
+};
@@ -0,0 +1,479 @@
+import { DEG, speedOf } from '../physics/math.js';
+import { projectile, projectileMetrics } from '../physics/engines/projectile.js';
+import { inclineAcceleration } from '../physics/engines/incline.js';
+import { collisionRadius } from '../physics/engines/collision.js';
+import { pendulumPeriod } from '../physics/engines/pendulum.js';
+import { groundHeight, terrainProfile } from '../physics/terrain.js';
+import { objectParams } from '../physics/engines/group.js';
+import { freeBodies } from '../physics/kinematics.js';
+import { GROUND_FRAME, frameMotion, stateInFrame } from '../physics/frames.js';
+import { clearScene, drawArrow, drawBall, drawGround, drawInfo } from './canvas.js';
+import { canvasToWorld, drawGrid, fitCamera, worldToCanvas } from './camera.js';
+import { DEFAULT_OVERLAYS, drawOverlays, forceScale, vectorColor } from './overlays.js';
+import { DEFAULT_PALETTE } from './palettes.js';
+import { drawGhosts } from './ghosts.js';
+import { drawPredictions } from './predictions.js';
+import { drawEvents } from './events.js';
+import { drawDraft, drawSurfaces } from './surfaces.js';
+import { carriedCamera, drawFrameLabel, drawMovingFrame, followEvents, followRun } from './frames.js';
+
+// Canvas renderers for each problem type. `view` carries the canvas size, the
+// pixel row of the ground line and the palette to draw in (see palettes.js); `run` is the recorded run being played,
+// which trails are drawn from; `camera` maps metres to pixels (see camera.js).
+// Each renderer returns a mark per object (its canvas position and velocity
+// arrow scale) for the overlays.
+
+// Fill colours for objects without a colour of their own, in object order
+export const OBJECT_COLORS = DEFAULT_PALETTE.objects;
+
+export const objectColor = (params, idx, palette = DEFAULT_PALETTE) => params.objects?.[idx]?.color || palette.objects[idx % palette.objects.length];
+
+const objectName = (params, idx) => params.objects?.[idx]?.name ?? `Object ${idx + 1}`;
+
+const drawLabel = (ctx, text, x, y, ink) => {
+  ctx.fillStyle = ink;
+  ctx.font = '12px Arial';
+  ctx.fillText(text, x, y);
+};
+
+// Recorded states up to `time`, about one every `spacing` seconds
+const pathUntil = (run, time, spacing = 0.1) => {
+  const stride = Math.max(1, Math.round(spacing / run.dt));
+  return run.samples.filter((sample, i) => sample.time <= time + 1e-9 && (i % stride === 0 || sample.time >= time - 1e-9));
+};
+
+// Every recorded position of every object
+const runPoints = (run) => pathUntil(run, run.duration).flatMap((sample) => sample.bodies);
+
+// With drag or other forces acting, the gravity-only parabola for comparison
+const idealPath = (params, run) => {
+  if (projectile.hasExact(params)) return [];
+  const { timeOfFlight } = projectileMetrics(params);
+  const end = Number.isFinite(timeOfFlight) && timeOfFlight > 0 ? timeOfFlight : run.duration;
+  return Array.from({ length: 61 }, (_, i) => projectile.exact(params, (end * i) / 60).bodies[0]);
+};
+
+// The terrain across the width of the canvas, shaded below so cliffs and
+// platforms read as solid; without any, the plain ground line
+const drawTerrain = (ctx, terrain, view, camera) => {
+  const { palette } = view;
+  if (!terrain?.length) {
+    drawGround(ctx, view);
+    return;
+  }
+  const profile = terrainProfile(terrain, canvasToWorld(camera, 0, 0).x, canvasToWorld(camera, view.width, 0).x)
+    .map(({ x, y }) => worldToCanvas(camera, x, y));
+  ctx.fillStyle = palette.fill;
+  ctx.beginPath();
+  ctx.moveTo(profile[0].x, view.height);
+  profile.forEach(({ x, y }) => ctx.lineTo(x, y));
+  ctx.lineTo(profile[profile.length - 1].x, view.height);
+  ctx.closePath();
+  ctx.fill();
+  ctx.strokeStyle = palette.ground;
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  profile.forEach(({ x, y }, i) => (i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)));
+  ctx.stroke();
+};
+
+// Gone below the ground, having landed
+const underground = (params, body) => body.y < groundHeight(params.terrain, body.x) - 1e-6;
+
+const drawProjectile = (ctx, state, params, view, run, camera) => {
+  const { palette } = view;
+  const toCanvas = (pos) => worldToCanvas(camera, pos.x, pos.y);
+  const velocity = vectorColor(palette, 'velocity');
+
+  drawTerrain(ctx, params.terrain, view, camera);
+
+  const ideal = idealPath(params, run);
+  if (ideal.length) {
+    ctx.strokeStyle = palette.guide;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ideal.forEach((pos, i) => {
+      const point = toCanvas(pos);
+      if (i === 0) ctx.moveTo(point.x, point.y);
+      else ctx.lineTo(point.x, point.y);
+    });
+    ctx.stroke();
+    const apex = toCanvas(ideal[30]);
+    drawLabel(ctx, 'Ideal (gravity only)', apex.x - 50, apex.y - 10, palette.ink);
+  }
+
+  // Trajectory so far of each object
+  const members = objectParams(params);
+  const path = pathUntil(run, state.time);
+  ctx.lineWidth = 2;
+  ctx.setLineDash([5, 5]);
+  state.bodies.forEach((_, idx) => {
+    ctx.strokeStyle = members.length > 1 ? objectColor(params, idx, palette) : palette.outline;
+    ctx.beginPath();
+    path.forEach((sample, i) => {
+      const point = toCanvas(sample.bodies[idx]);
+      if (i === 0) ctx.moveTo(point.x, point.y);
+      else ctx.lineTo(point.x, point.y);
+    });
+    ctx.stroke();
+  });
+  ctx.setLineDash([]);
+
+  const marks = state.bodies.map((body, idx) => {
+    if (underground(params, body)) return null;
+    const { x, y } = toCanvas(body);
+    drawBall(ctx, x, y, 15, objectColor(params, idx, palette), palette.outline);
+    drawArrow(ctx, x, y, body.vx * 3, -body.vy * 3, velocity);
+    if (members.length > 1) drawLabel(ctx, objectName(params, idx), x - 20, y + 30, palette.ink);
+    return { x, y, velocityScale: 3 };
+  });
+
+  const body = state.bodies[0];
+  if (members.length > 1) {
+    drawInfo(ctx, [
+      `Time: ${state.time.toFixed(2)}s`,
+      ...state.bodies.map((each, idx) => `${objectName(params, idx)}: (${each.x.toFixed(2)}, ${each.y.toFixed(2)})m, ${speedOf(each).toFixed(2)} m/s`)
+    ], palette.ink);
+  } else if (!underground(params, body)) {
+    drawInfo(ctx, [
+      `Time: ${state.time.toFixed(2)}s`,
+      `Height: ${body.y.toFixed(2)}m`,
+      `Velocity: ${speedOf(body).toFixed(2)} m/s`,
+      `Position: (${body.x.toFixed(2)}, ${body.y.toFixed(2)})m`
+    ], palette.ink);
+  }
+  return marks;
+};
+
+const LANE_SPACING = 62;
+
+const drawLinear = (ctx, state, params, view, run, camera) => {
+  const { palette } = view;
+  const members = objectParams(params);
+
+  drawGround(ctx, view);
+
+  // One lane per object, the first on the ground line
+  const marks = state.bodies.map((body, idx) => {
+    const { x } = worldToCanvas(camera, body.x, 0);
+    const y = view.groundY - idx * LANE_SPACING;
+    if (idx > 0) {
+      ctx.strokeStyle = palette.guide;
+      ctx.lineWidth = 1;
+      ctx.setLineDash([4, 6]);
+      ctx.beginPath();
+      ctx.moveTo(0, y);
+      ctx.lineTo(view.width, y);
+      ctx.stroke();
+      ctx.setLineDash([]);
+    }
+
+    // Car body and wheels
+    ctx.fillStyle = objectColor(params, idx, palette);
+    ctx.strokeStyle = palette.outline;
+    ctx.lineWidth = 3;
+    ctx.fillRect(x - 25, y - 28, 50, 18);
+    ctx.strokeRect(x - 25, y - 28, 50, 18);
+    ctx.fillStyle = palette.ink;
+    [x - 14, x + 14].forEach((wheelX) => {
+      ctx.beginPath();
+      ctx.arc(wheelX, y - 7, 6, 0, Math.PI * 2);
+      ctx.fill();
+    });
+
+    drawArrow(ctx, x, y - 40, body.vx * 3, 0, vectorColor(palette, 'velocity'));
+    if (members.length > 1) drawLabel(ctx, objectName(params, idx), x + 30, y - 14, palette.ink);
+    return { x, y: y - 19, velocityScale: 3 };
+  });
+
+  const body = state.bodies[0];
+  if (members.length > 1) {
+    drawInfo(ctx, [
+      `Time: ${state.time.toFixed(2)}s`,
+      ...state.bodies.map((each, idx) => `${objectName(params, idx)}: ${each.x.toFixed(2)}m, ${each.vx.toFixed(2)} m/s`)
+    ], palette.ink);
+  } else {
+    drawInfo(ctx, [
+      `Time: ${state.time.toFixed(2)}s`,
+      `Position: ${body.x.toFixed(2)}m`,
+      `Velocity: ${body.vx.toFixed(2)} m/s`,
+      `Acceleration: ${body.ax.toFixed(2)} m/s²`
+    ], palette.ink);
+  }
+  return marks;
+};
+
+const drawIncline = (ctx, state, params, view, run, camera) => {
+  const { palette } = view;
+  const angle = params.angle * DEG;
+  const { width, rise } = rampSize(params);
+  const toCanvas = (x, y) => worldToCanvas(camera, x, y);
+
+  drawGround(ctx, view);
+
+  // Ramp
+  const top = toCanvas(0, rise);
+  const bottom = toCanvas(width, 0);
+  const corner = toCanvas(0, 0);
+  ctx.fillStyle = palette.fill;
+  ctx.strokeStyle = palette.ground;
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  ctx.moveTo(top.x, top.y);
+  ctx.lineTo(bottom.x, bottom.y);
+  ctx.lineTo(corner.x, corner.y);
+  ctx.closePath();
+  ctx.fill();
+  ctx.stroke();
+
+  // Angle marker at the foot of the ramp
+  ctx.beginPath();
+  ctx.arc(bottom.x, bottom.y, 30, Math.PI, Math.PI + angle);
+  ctx.stroke();
+  ctx.fillStyle = palette.ink;
+  ctx.font = '12px Arial';
+  ctx.fillText(`${params.angle}°`, bottom.x - 60, bottom.y - 8);
+
+  // Block resting on the slope surface
+  const body = state.bodies[0];
+  const contact = toCanvas(body.x, body.y);
+  ctx.save();
+  ctx.translate(contact.x, contact.y);
+  ctx.rotate(angle);
+  ctx.fillStyle = objectColor(params, 0, palette);
+  ctx.strokeStyle = palette.outline;
+  ctx.lineWidth = 3;
+  ctx.fillRect(-15, -24, 30, 24);
+  ctx.strokeRect(-15, -24, 30, 24);
+  ctx.restore();
+
+  const centerX = contact.x + 12 * Math.sin(angle);
+  const centerY = contact.y - 12 * Math.cos(angle);
+  drawArrow(ctx, centerX, centerY, body.vx * 4, -body.vy * 4, vectorColor(palette, 'velocity'));
+
+  drawInfo(ctx, [
+    `Time: ${state.time.toFixed(2)}s`,
+    `Distance: ${body.s.toFixed(2)}m`,
+    `Velocity: ${body.v.toFixed(2)} m/s`,
+    `Acceleration: ${(body.v > 0 ? inclineAcceleration(params) : 0).toFixed(2)} m/s²`
+  ], palette.ink);
+  return [{ x: centerX, y: centerY, velocityScale: 4 }];
+};
+
+const drawCollision = (ctx, state, params, view, run, camera) => {
+  const { palette } = view;
+  const { scale } = camera;
+  const toCanvas = (pos) => worldToCanvas(camera, pos.x, pos.y);
+
+  // Track
+  ctx.strokeStyle = palette.guide;
+  ctx.lineWidth = 1;
+  ctx.setLineDash([4, 6]);
+  ctx.beginPath();
+  ctx.moveTo(0, view.groundY);
+  ctx.lineTo(view.width, view.groundY);
+  ctx.stroke();
+  ctx.setLineDash([]);
+
+  const objects = [params.massA, params.massB].map((mass, idx) => ({
+    name: params.objects?.[idx]?.name ?? 'AB'[idx],
+    mass,
+    radius: collisionRadius(mass),
+    fill: objectColor(params, idx, palette)
+  }));
+  const marks = state.bodies.map((body, idx) => {
+    const { x, y } = toCanvas(body);
+    drawBall(ctx, x, y, objects[idx].radius * scale, objects[idx].fill, palette.outline);
+    drawArrow(ctx, x, y, body.vx * 15, -body.vy * 15, vectorColor(palette, 'velocity'));
+    ctx.fillStyle = palette.ink;
+    ctx.font = '12px Arial';
+    ctx.fillText(`${objects[idx].name} (${objects[idx].mass} kg)`, x - 24, y + objects[idx].radius * scale + 16);
+    return { x, y, velocityScale: 15 };
+  });
+
+  const [a, b] = state.bodies;
+  const momentum = params.massA * a.vx + params.massB * b.vx;
+  const energy = 0.5 * params.massA * speedOf(a) ** 2 + 0.5 * params.massB * speedOf(b) ** 2;
+  drawInfo(ctx, [
+    `Time: ${state.time.toFixed(2)}s`,
+    `vA: (${a.vx.toFixed(2)}, ${a.vy.toFixed(2)}) m/s`,
+    `vB: (${b.vx.toFixed(2)}, ${b.vy.toFixed(2)}) m/s`,
+    `Momentum (x): ${momentum.toFixed(2)} kg·m/s`,
+    `Kinetic Energy: ${energy.toFixed(2)} J`
+  ], palette.ink);
+  return marks;
+};
+
+const drawPendulum = (ctx, state, params, view, run, camera) => {
+  const { palette } = view;
+  const { scale } = camera;
+  const pivot = worldToCanvas(camera, 0, 0);
+  const body = state.bodies[0];
+  const bob = worldToCanvas(camera, body.x, body.y);
+
+  // Ceiling and vertical reference
+  ctx.fillStyle = palette.guide;
+  ctx.fillRect(pivot.x - 60, pivot.y - 10, 120, 10);
+  ctx.strokeStyle = palette.axis;
+  ctx.lineWidth = 1;
+  ctx.setLineDash([5, 5]);
+  ctx.beginPath();
+  ctx.moveTo(pivot.x, pivot.y);
+  ctx.lineTo(pivot.x, pivot.y + params.length * scale);
+  ctx.stroke();
+  ctx.setLineDash([]);
+
+  // String and bob
+  ctx.strokeStyle = palette.ground;
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  ctx.moveTo(pivot.x, pivot.y);
+  ctx.lineTo(bob.x, bob.y);
+  ctx.stroke();
+  drawBall(ctx, bob.x, bob.y, 15, objectColor(params, 0, palette), palette.outline);
+  drawArrow(ctx, bob.x, bob.y, body.vx * 10, -body.vy * 10, vectorColor(palette, 'velocity'));
+
+  drawInfo(ctx, [
+    `Time: ${state.time.toFixed(2)}s`,
+    `Angle: ${(state.theta / DEG).toFixed(1)}°`,
+    `Angular Velocity: ${state.omega.toFixed(2)} rad/s`,
+    `Speed: ${speedOf(body).toFixed(2)} m/s`,
+    `Period (small angle): ${pendulumPeriod(params).toFixed(2)}s`
+  ], palette.ink);
+  return [{ ...bob, velocityScale: 10 }];
+};
+
+const renderers = {
+  projectile: drawProjectile,
+  linear: drawLinear,
+  incline: drawIncline,
+  collision: drawCollision,
+  pendulum: drawPendulum
+};
+
+// Horizontal run and height of an incline's ramp, in metres
+const rampSize = (params) => ({
+  width: params.length * Math.cos(params.angle * DEG),
+  rise: params.length * Math.sin(params.angle * DEG)
+});
+
+const boundsOf = (points, grounded) => ({
+  minX: Math.min(...points.map(({ x }) => x)),
+  maxX: Math.max(...points.map(({ x }) => x)),
+  minY: Math.min(...points.map(({ y }) => y)),
+  maxY: Math.max(...points.map(({ y }) => y)),
+  grounded
+});
+
+// Region in metres the camera fits for each problem type: the whole run plus
+// the fixed scenery around it
+const sceneBounds = {
+  projectile: (params, run) => {
+    const points = [{ x: 0, y: 0 }, ...runPoints(run), ...idealPath(params, run)];
+    const xs = points.map(({ x }) => x);
+    return boundsOf([...points, ...terrainProfile(params.terrain, Math.min(...xs), Math.max(...xs))], true);
+  },
+  linear: (params, run) => boundsOf([{ x: 0, y: 0 }, ...runPoints(run).map(({ x }) => ({ x, y: 0 }))], true),
+  incline: (params) => {
+    const { width, rise } = rampSize(params);
+    return boundsOf([{ x: 0, y: 0 }, { x: width, y: rise }], true);
+  },
+  collision: (params, run) => {
+    const radii = [collisionRadius(params.massA), collisionRadius(params.massB)];
+    return boundsOf(pathUntil(run, run.duration).flatMap((sample) => sample.bodies.flatMap((body, idx) => [
+      { x: body.x - radii[idx], y: body.y - radii[idx] },
+      { x: body.x + radii[idx], y: body.y + radii[idx] }
+    ])), false);
+  },
+  pendulum: (params, run) => boundsOf([{ x: 0, y: 0 }, { x: 0, y: -params.length }, ...runPoints(run)], false)
+};
+
+// Scene layout for a canvas. `camera` is a zoomed or panned camera to draw
+// with; without one the scene fits its whole run.
+export const sceneView = (canvas, camera = null) => ({ width: canvas.width, height: canvas.height, camera });
+
+// Every point of the scene editor's surfaces
+const surfacePoints = (surfaces) => surfaces.flatMap(({ from, to, at }) => [from, to, at].filter(Boolean));
+
+// The fitted camera takes in pinned runs (`ghosts`) and the editor's
+// `surfaces` as well. Seen from a `frame` other than the ground's, it takes in
+// the motion relative to the frame instead, zoomed in no further than the
+// ground's view; drawScene then carries it along with the frame.
+export const sceneCamera = (problemType, params, run, view, ghosts = [], surfaces = [], frame = GROUND_FRAME) => {
+  if (view.camera) return view.camera;
+  const boundsFor = sceneBounds[problemType] || sceneBounds.projectile;
+  const scenery = surfacePoints(surfaces);
+  const all = [
+    boundsFor(params, run),
+    ...ghosts.map((ghost) => boundsFor(ghost.params, ghost.run)),
+    ...(scenery.length ? [boundsOf(scenery)] : [])
+  ];
+  const fitted = fitCamera({
+    minX: Math.min(...all.map((bounds) => bounds.minX)),
+    maxX: Math.max(...all.map((bounds) => bounds.maxX)),
+    minY: Math.min(...all.map((bounds) => bounds.minY)),
+    maxY: Math.max(...all.map((bounds) => bounds.maxY)),
+    grounded: all[0].grounded
+  }, view);
+  if (frame.kind === 'ground') return fitted;
+  const path = pathUntil(run, run.duration);
+  // The ground stays on the bottom margin for frames that never rise or fall
+  const level = path.every((sample) => Math.abs(frameMotion(frame, params, sample).y) < 1e-9);
+  return fitCamera(
+    boundsOf(path.flatMap((sample) => stateInFrame(frame, params, sample).bodies), all[0].grounded && level),
+    view,
+    fitted.scale
+  );
+};
+
+// Force arrows share one scale across a whole run, worked out once per run
+const forceScales = new WeakMap();
+const runForceScale = (problemType, params, run) => {
+  if (!forceScales.has(run)) {
+    forceScales.set(run, forceScale(pathUntil(run, run.duration).map((sample) => freeBodies(problemType, params, sample))));
+  }
+  return forceScales.get(run);
+};
+
+// `overlays` picks the vector overlays to draw, `ghosts` lists pinned runs
+// to show behind this one, `events` the detected events to mark on the path,
+// `predictions` the prediction marks to draw over it, `surfaces` the scenery
+// placed in the scene editor, `draft` the edit being dragged out,
+// `palette` the colours to draw in and `frame` the reference frame to watch
+// from (see physics/frames.js), which velocities are drawn relative to.
+// Returns the objects' marks, for picking them on the canvas.
+export const drawScene = (ctx, problemType, state, params, canvasView, run, {
+  overlays = DEFAULT_OVERLAYS,
+  ghosts = [],
+  events = [],
+  predictions = [],
+  surfaces = [],
+  draft = null,
+  palette = DEFAULT_PALETTE,
+  frame = GROUND_FRAME
+} = {}) => {
+  const view = { ...canvasView, palette };
+  const still = frame.kind === 'ground';
+  const motion = frameMotion(frame, params, state);
+  const camera = carriedCamera(sceneCamera(problemType, params, run, view, ghosts, surfaces, frame), motion);
+  const seen = still ? state : { ...state, bodies: state.bodies.map((body) => ({ ...body, vx: body.vx - motion.vx, vy: body.vy - motion.vy })) };
+  clearScene(ctx, view);
+  drawGrid(ctx, camera, view, { horizontal: problemType !== 'linear' });
+  drawGhosts(ctx, still ? ghosts : ghosts.map((ghost) => ({ ...ghost, run: followRun(ghost.run, frame, params, motion, run) })), camera, state.time);
+  drawSurfaces(ctx, surfaces, camera);
+  if (params.movingFrame) drawMovingFrame(ctx, params.movingFrame, camera, view, state.time);
+  const ground = { ...view, groundY: worldToCanvas(camera, 0, 0).y };
+  const marks = (renderers[problemType] || renderers.projectile)(ctx, seen, params, ground, still ? run : followRun(run, frame, params, motion), camera);
+  drawEvents(ctx, still ? events : followEvents(events, frame, params, run, motion), camera, problemType === 'linear' ? LANE_SPACING : 0);
+  drawPredictions(ctx, predictions, camera, view);
+  drawOverlays(ctx, marks, {
+    bodies: seen.bodies,
+    diagrams: freeBodies(problemType, params, state),
+    scale: overlays.freeBody ? runForceScale(problemType, params, run) : 0,
+    overlays,
+    view
+  });
+  if (!still) drawFrameLabel(ctx, frame, view);
+  drawDraft(ctx, draft);
+  return marks;
+};
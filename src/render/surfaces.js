@@ -0,0 +1,91 @@
+import { drawArrow } from './canvas.js';
+import { worldToCanvas } from './camera.js';
+import { VECTOR_STYLES } from './overlays.js';
+
+// Scenery placed in the scene editor (the scenario's `surfaces`) and the edit
+// being dragged out on the canvas.
+
+const SURFACE_COLOR = '#475569';
+const DRAFT_COLOR = '#0F766E';
+const HATCH_SPACING = 10; // pixels
+
+const SURFACE_WIDTHS = { ground: 3, ramp: 3, wall: 5 };
+
+// Short strokes below a segment, marking it as solid
+const drawHatching = (ctx, from, to) => {
+  const length = Math.hypot(to.x - from.x, to.y - from.y);
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  for (let d = 0; d <= length; d += HATCH_SPACING) {
+    const x = from.x + ((to.x - from.x) * d) / length;
+    const y = from.y + ((to.y - from.y) * d) / length;
+    ctx.moveTo(x, y);
+    ctx.lineTo(x - 6, y + 8);
+  }
+  ctx.stroke();
+};
+
+const drawPivot = (ctx, { x, y }) => {
+  ctx.fillStyle = '#CBD5E0';
+  ctx.beginPath();
+  ctx.moveTo(x, y);
+  ctx.lineTo(x - 10, y - 14);
+  ctx.lineTo(x + 10, y - 14);
+  ctx.closePath();
+  ctx.fill();
+  ctx.stroke();
+  ctx.fillStyle = SURFACE_COLOR;
+  ctx.beginPath();
+  ctx.arc(x, y, 4, 0, Math.PI * 2);
+  ctx.fill();
+};
+
+export const drawSurfaces = (ctx, surfaces, camera) => {
+  ctx.strokeStyle = SURFACE_COLOR;
+  surfaces.forEach((surface) => {
+    if (surface.kind === 'pivot' && surface.at) {
+      ctx.lineWidth = 2;
+      drawPivot(ctx, worldToCanvas(camera, surface.at.x, surface.at.y));
+      return;
+    }
+    if (!SURFACE_WIDTHS[surface.kind] || !surface.from || !surface.to) return;
+    const from = worldToCanvas(camera, surface.from.x, surface.from.y);
+    const to = worldToCanvas(camera, surface.to.x, surface.to.y);
+    ctx.lineWidth = SURFACE_WIDTHS[surface.kind];
+    ctx.beginPath();
+    ctx.moveTo(from.x, from.y);
+    ctx.lineTo(to.x, to.y);
+    ctx.stroke();
+    drawHatching(ctx, from, to);
+  });
+};
+
+// `draft` is { tool, from, to } in canvas pixels: an object being moved, a
+// velocity arrow or a surface, previewed until the mouse is released
+export const drawDraft = (ctx, draft) => {
+  if (!draft) return;
+  const { tool, from, to } = draft;
+  if (tool === 'velocity') {
+    drawArrow(ctx, from.x, from.y, to.x - from.x, to.y - from.y, VECTOR_STYLES.velocity.color);
+    return;
+  }
+  ctx.strokeStyle = DRAFT_COLOR;
+  ctx.lineWidth = 2;
+  ctx.setLineDash([6, 4]);
+  if (tool === 'pivot') {
+    ctx.beginPath();
+    ctx.arc(from.x, from.y, 8, 0, Math.PI * 2);
+    ctx.stroke();
+  } else {
+    ctx.beginPath();
+    ctx.moveTo(from.x, from.y);
+    ctx.lineTo(to.x, to.y);
+    ctx.stroke();
+    if (tool === 'move') {
+      ctx.beginPath();
+      ctx.arc(to.x, to.y, 15, 0, Math.PI * 2);
+      ctx.stroke();
+    }
+  }
+  ctx.setLineDash([]);
+};
@@ -0,0 +1,14 @@
+// Number formatting for worked solutions: four significant figures, rounding
+// noise shown as 0, and units attached the way a textbook prints them
+
+export const formatNumber = (value) => {
+  if (!Number.isFinite(value)) return value > 0 ? '∞' : value < 0 ? '−∞' : '—';
+  if (Math.abs(value) < 1e-9) return '0';
+  return String(Number(value.toPrecision(4))).replaceAll('-', '−');
+};
+
+export const withUnit = (value, unit) => {
+  const number = formatNumber(value);
+  if (!unit) return number;
+  return unit === '°' ? `${number}°` : `${number} ${unit}`;
+};
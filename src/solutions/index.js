@@ -0,0 +1,3 @@
+// Worked solutions: equations, substituted values and answers for a scenario
+export { largeAnglePeriod, solveScenario } from './solve.js';
+export { formatNumber, withUnit } from './format.js';
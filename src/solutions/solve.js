@@ -0,0 +1,404 @@
+import { DEG, kineticEnergy } from '../physics/math.js';
+import { projectileMetrics } from '../physics/engines/projectile.js';
+import { groundHeight, levelGround } from '../physics/terrain.js';
+import { inclineAcceleration, staysAtRest } from '../physics/engines/incline.js';
+import { phaseSchedule } from '../physics/engines/linear.js';
+import { getEngine, resolveEngine } from '../physics/engines/index.js';
+import { objectParams } from '../physics/engines/group.js';
+import { earliestRoot } from '../physics/solvers.js';
+import { collisionRadius, resolveCollision } from '../physics/engines/collision.js';
+import { pendulumPeriod } from '../physics/engines/pendulum.js';
+import { formatNumber, withUnit } from './format.js';
+
+// Worked solutions computed from the simulation parameters. Each step shows
+// the equation, the numbers substituted into it and the result; `time` is the
+// moment on the canvas the step describes (null when it has none) and
+// `answer` marks the quantities a problem usually asks for.
+
+const step = (title, equation, substitution, value, unit, { symbol, time = null, answer = false } = {}) => ({
+  title,
+  equation,
+  substitution,
+  result: `${symbol || equation.split(' = ')[0]} = ${withUnit(value, unit)}`,
+  value,
+  unit,
+  time,
+  answer
+});
+
+const note = (title, text, time = null) => ({ title, equation: null, substitution: text, result: null, value: null, unit: null, time, answer: false });
+
+// Substituted values; negatives are bracketed so signs read unambiguously
+const q = (value, unit) => (value < 0 ? `(${withUnit(value, unit)})` : withUnit(value, unit));
+const sq = (value, unit) => `(${withUnit(value, unit)})²`;
+
+// From a launch height, or down to ground that is not at the launch level,
+// the time of flight comes from the quadratic y(T) = ground instead. Over
+// uneven terrain the landing is found by following the path, as is where it
+// runs into a wall.
+const solveProjectile = ({ velocity: v0, angle, gravity: g, height: h0 = 0, position = 0, terrain, walls }) => {
+  const vx = v0 * Math.cos(angle * DEG);
+  const vy = v0 * Math.sin(angle * DEG);
+  const { timeOfFlight, maxHeight, range, wallHit } = projectileMetrics({ velocity: v0, angle, gravity: g, height: h0, position, terrain, walls });
+  const apex = g > 0 ? Math.max(0, vy / g) : Infinity;
+  const landed = Number.isFinite(timeOfFlight) ? timeOfFlight : null;
+  const steps = [
+    step('Horizontal launch velocity', 'v₀ₓ = v₀ cos θ', `v₀ₓ = ${q(v0, 'm/s')} × cos ${q(angle, '°')}`, vx, 'm/s', { time: 0 }),
+    step('Vertical launch velocity', 'v₀ᵧ = v₀ sin θ', `v₀ᵧ = ${q(v0, 'm/s')} × sin ${q(angle, '°')}`, vy, 'm/s', { time: 0 })
+  ];
+  if (g <= 0) {
+    return [...steps, note('No gravity', 'With g = 0 the object moves in a straight line and never comes back down.')];
+  }
+  const toTop = step('Time to the highest point (vᵧ = 0)', 't_top = v₀ᵧ / g', `t_top = ${q(vy, 'm/s')} / ${q(g, 'm/s²')}`, apex, 's', { time: apex });
+  const highest = step('Maximum height', 'H = h₀ + v₀ᵧ² / (2g)', `H = ${q(h0, 'm')} + ${sq(vy, 'm/s')} / (2 × ${q(g, 'm/s²')})`, maxHeight, 'm', { time: apex, answer: true });
+  if (wallHit) {
+    return [
+      ...steps,
+      ...(apex < timeOfFlight ? [toTop, highest] : []),
+      note('Hits the wall', `Following y = h₀ + v₀ᵧ t − ½ g t², the path meets the wall at x = ${withUnit(wallHit.x, 'm')}, ${withUnit(wallHit.y, 'm')} up, after ${withUnit(timeOfFlight, 's')}; the flight ends there.`, landed)
+    ];
+  }
+  const level = levelGround(terrain);
+  if (h0 === 0 && level === 0) {
+    return [
+      ...steps,
+      toTop,
+      step('Maximum height', 'H = v₀ᵧ² / (2g)', `H = ${sq(vy, 'm/s')} / (2 × ${q(g, 'm/s²')})`, maxHeight, 'm', { time: apex, answer: true }),
+      step('Time of flight', 'T = 2v₀ᵧ / g', `T = 2 × ${q(vy, 'm/s')} / ${q(g, 'm/s²')}`, timeOfFlight, 's', { time: landed, answer: true }),
+      step('Range', 'R = v₀ₓ T', `R = ${q(vx, 'm/s')} × ${q(timeOfFlight, 's')}`, range, 'm', { time: landed, answer: true }),
+      step('Impact speed (same height as launch)', 'v = √(v₀ₓ² + v₀ᵧ²)', `v = √(${sq(vx, 'm/s')} + ${sq(vy, 'm/s')})`, Math.hypot(vx, vy), 'm/s', { time: landed, answer: true })
+    ];
+  }
+  const landing = position + range;
+  const ground = level ?? groundHeight(terrain, landing);
+  const drop = h0 - ground;
+  // The quadratic still holds when it lands on a level stretch on the way
+  // down, as at the foot of a cliff
+  const quadratic = (vy + Math.sqrt(Math.max(0, vy * vy + 2 * g * drop))) / g;
+  const levelLanding = [landing - 1e-3, landing + 1e-3].every((x) => groundHeight(terrain, x) === ground) && Math.abs(quadratic - timeOfFlight) < 1e-6;
+  const flight = level === null && !levelLanding
+    ? note('Time of flight', `The ground under the path is not level, so the landing is found by following y = h₀ + v₀ᵧ t − ½ g t² until it meets the ground: T = ${withUnit(timeOfFlight, 's')}.`, landed)
+    : step('Time of flight', 'T = (v₀ᵧ + √(v₀ᵧ² + 2g Δh)) / g', `T = (${q(vy, 'm/s')} + √(${sq(vy, 'm/s')} + 2 × ${q(g, 'm/s²')} × ${q(drop, 'm')})) / ${q(g, 'm/s²')}`, timeOfFlight, 's', { time: landed, answer: true });
+  return [
+    ...steps,
+    toTop,
+    highest,
+    step('Height above the landing point', 'Δh = h₀ − h_ground', `Δh = ${q(h0, 'm')} − ${q(ground, 'm')}`, drop, 'm', { time: 0 }),
+    flight,
+    step('Range', 'R = v₀ₓ T', `R = ${q(vx, 'm/s')} × ${q(timeOfFlight, 's')}`, range, 'm', { time: landed, answer: true }),
+    step('Impact speed', 'v = √(v₀² + 2g Δh)', `v = √(${sq(v0, 'm/s')} + 2 × ${q(g, 'm/s²')} × ${q(drop, 'm')})`, Math.sqrt(Math.max(0, v0 * v0 + 2 * g * drop)), 'm/s', { time: landed, answer: true })
+  ];
+};
+
+const solveLinear = (params) => {
+  if (params.phases) return solvePhases(params);
+  const others = objectParams(params).slice(1);
+  return [...solveLinearMotion(params), ...others.flatMap((other, idx) => solveMeeting(params, other, idx + 1))];
+};
+
+const solveLinearMotion = (params) => {
+  const { velocity: v0, acceleration: a, time: t } = params;
+  const stopTime = a < 0 && v0 > 0 ? v0 / -a : Infinity;
+  if (stopTime < t) {
+    const distance = (v0 * v0) / (-2 * a);
+    return [
+      step('Time to stop (v = 0)', 't_stop = v₀ / |a|', `t_stop = ${q(v0, 'm/s')} / ${q(-a, 'm/s²')}`, stopTime, 's', { time: stopTime, answer: true }),
+      step('Stopping distance', 'd = v₀² / (2|a|)', `d = ${sq(v0, 'm/s')} / (2 × ${q(-a, 'm/s²')})`, distance, 'm', { time: stopTime, answer: true }),
+      note('Afterwards', `The object stays at rest for the remaining ${q(t - stopTime, 's')}, so its final velocity is 0 m/s.`, t)
+    ];
+  }
+  const v = v0 + a * t;
+  const x = v0 * t + 0.5 * a * t * t;
+  return [
+    step('Final velocity', 'v = v₀ + a t', `v = ${q(v0, 'm/s')} + ${q(a, 'm/s²')} × ${q(t, 's')}`, v, 'm/s', { time: t, answer: true }),
+    step('Displacement', 'x = v₀ t + ½ a t²', `x = ${q(v0, 'm/s')} × ${q(t, 's')} + ½ × ${q(a, 'm/s²')} × ${sq(t, 's')}`, x, 'm', { time: t, answer: true }),
+    step('Average velocity', 'v̄ = x / t', `v̄ = ${q(x, 'm')} / ${q(t, 's')}`, x / t, 'm/s', { time: t })
+  ];
+};
+
+// When a braking object comes to rest; it then stays where it stopped
+const stopTimeOf = ({ velocity: v0, acceleration: a }) => (a < 0 && v0 > 0 ? v0 / -a : Infinity);
+
+const positionAt = ({ position: x0 = 0, velocity: v0, acceleration: a }, t) => {
+  const moving = Math.min(t, stopTimeOf({ velocity: v0, acceleration: a }));
+  return x0 + v0 * moving + 0.5 * a * moving * moving;
+};
+
+// First time after the start that Δv t + ½ Δa t² = Δx₀, or null
+const meetingTime = (gap, dv, da) => {
+  if (Math.abs(da) < 1e-12) return Math.abs(dv) < 1e-12 || gap / dv <= 1e-9 ? null : gap / dv;
+  const disc = dv * dv + 2 * da * gap;
+  if (disc < 0) return null;
+  const times = [-1, 1].map((sign) => (-dv + sign * Math.sqrt(disc)) / da).filter((t) => t > 1e-9);
+  return times.length ? Math.min(...times) : null;
+};
+
+const objectName = (params, idx) => params.objects?.[idx]?.name ?? `Object ${idx + 1}`;
+
+// When a second object on the line meets the first, from the gap between them
+// and their relative motion. Starting side by side does not count as meeting.
+// If one stops before they meet, the other has to reach where it stopped.
+const solveMeeting = (params, other, idx) => {
+  const [a, b] = [params, other];
+  const [nameA, nameB] = [objectName(params, 0), objectName(params, idx)];
+  const [xA, xB] = [a.position ?? 0, b.position ?? 0];
+  const gap = xB - xA;
+  const dv = a.velocity - b.velocity;
+  const da = a.acceleration - b.acceleration;
+  const steps = [
+    step(`Gap from ${nameA} to ${nameB}`, 'Δx₀ = x_B − x_A', `Δx₀ = ${q(xB, 'm')} − ${q(xA, 'm')}`, gap, 'm', { time: 0 }),
+    step(`${nameA} relative to ${nameB}: velocity`, 'Δv = v_A − v_B', `Δv = ${q(a.velocity, 'm/s')} − ${q(b.velocity, 'm/s')}`, dv, 'm/s', { time: 0 }),
+    step(`${nameA} relative to ${nameB}: acceleration`, 'Δa = a_A − a_B', `Δa = ${q(a.acceleration, 'm/s²')} − ${q(b.acceleration, 'm/s²')}`, da, 'm/s²', { time: 0 })
+  ];
+  const notMeeting = (why) => [...steps, note(`${nameA} and ${nameB}`, why, params.time)];
+
+  const together = meetingTime(gap, dv, da);
+  const [stopA, stopB] = [stopTimeOf(a), stopTimeOf(b)];
+
+  if (together !== null && together <= Math.min(stopA, stopB)) {
+    if (together > params.time) return notMeeting(`They would meet at ${withUnit(together, 's')}, after the ${withUnit(params.time, 's')} shown.`);
+    const meet = positionAt(a, together);
+    return [
+      ...steps,
+      step(`Time until ${nameA} meets ${nameB}`, 'Δv t + ½ Δa t² = Δx₀', `${q(dv, 'm/s')} × t + ½ × ${q(da, 'm/s²')} × t² = ${q(gap, 'm')}`, together, 's', { symbol: 't', time: together, answer: true }),
+      step(`Where ${nameA} meets ${nameB}`, 'x = x_A + v_A t + ½ a_A t²', `x = ${q(xA, 'm')} + ${q(a.velocity, 'm/s')} × ${q(together, 's')} + ½ × ${q(a.acceleration, 'm/s²')} × ${sq(together, 's')}`, meet, 'm', { time: together, answer: true })
+    ];
+  }
+
+  // One comes to rest first; the other may still reach it
+  const [stopped, moving, stopName, movingName, stopAt, movingStop] = stopA <= stopB
+    ? [a, b, nameA, nameB, stopA, stopB]
+    : [b, a, nameB, nameA, stopB, stopA];
+  if (!Number.isFinite(stopAt)) return notMeeting('They never meet: the gap between them never closes.');
+  const rest = positionAt(stopped, stopAt);
+  const from = positionAt(moving, stopAt);
+  const speed = moving.velocity + moving.acceleration * stopAt;
+  const more = earliestRoot(0.5 * moving.acceleration, speed, from - rest);
+  const reached = more === null ? null : stopAt + more;
+  if (reached === null || reached > movingStop) {
+    return notMeeting(`They never meet: ${stopName} comes to rest at ${withUnit(rest, 'm')} and ${movingName} is never there afterwards.`);
+  }
+  if (reached > params.time) return notMeeting(`They would meet at ${withUnit(reached, 's')}, after the ${withUnit(params.time, 's')} shown.`);
+  return [
+    ...steps,
+    step(`${stopName} stops first`, 't_stop = v₀ / |a|', `t_stop = ${q(stopped.velocity, 'm/s')} / ${q(-stopped.acceleration, 'm/s²')}`, stopAt, 's', { time: stopAt }),
+    step(`Where ${stopName} stops`, 'x = x₀ + v₀² / (2|a|)', `x = ${q(stopped.position ?? 0, 'm')} + ${sq(stopped.velocity, 'm/s')} / (2 × ${q(-stopped.acceleration, 'm/s²')})`, rest, 'm', { time: stopAt, answer: true }),
+    step(`Time until ${movingName} reaches it`, 't = t_stop + Δt', `${q(from, 'm')} + ${q(speed, 'm/s')} × Δt + ½ × ${q(moving.acceleration, 'm/s²')} × Δt² = ${q(rest, 'm')}, so t = ${q(stopAt, 's')} + ${q(more, 's')}`, reached, 's', { symbol: 't', time: reached, answer: true })
+  ];
+};
+
+// One velocity and distance step per phase, each starting from where the
+// previous one ended, then the totals. A phase that brakes until the stop
+// lasts as long as the current starting speed makes it.
+const solvePhases = (params) => {
+  let v0 = params.velocity;
+  let total = 0;
+  let start = 0;
+  const steps = phaseSchedule(params).flatMap(({ label, acceleration: a, duration: t }, idx) => {
+    const title = `Phase ${idx + 1} (${label})`;
+    const end = start + t;
+    const stopTime = a < 0 && v0 > 0 ? v0 / -a : Infinity;
+    let phaseSteps;
+    if (stopTime < t - 1e-9) {
+      const distance = (v0 * v0) / (-2 * a);
+      phaseSteps = [
+        step(`${title}: time to stop`, 't_stop = v₀ / |a|', `t_stop = ${q(v0, 'm/s')} / ${q(-a, 'm/s²')}`, stopTime, 's', { time: start + stopTime }),
+        step(`${title}: stopping distance`, 'd = v₀² / (2|a|)', `d = ${sq(v0, 'm/s')} / (2 × ${q(-a, 'm/s²')})`, distance, 'm', { time: start + stopTime })
+      ];
+      total += distance;
+      v0 = 0;
+    } else {
+      const v = stopTime <= t ? 0 : v0 + a * t;
+      const distance = v0 * t + 0.5 * a * t * t;
+      phaseSteps = [
+        step(`${title}: velocity at the end`, 'v = v₀ + a t', `v = ${q(v0, 'm/s')} + ${q(a, 'm/s²')} × ${q(t, 's')}`, v, 'm/s', { time: end }),
+        step(`${title}: distance`, 'd = v₀ t + ½ a t²', `d = ${q(v0, 'm/s')} × ${q(t, 's')} + ½ × ${q(a, 'm/s²')} × ${sq(t, 's')}`, distance, 'm', { time: end })
+      ];
+      total += distance;
+      v0 = v;
+    }
+    start = end;
+    return phaseSteps;
+  });
+  return [
+    ...steps,
+    step('Total displacement', 'x = d₁ + d₂ + …', `x = ${steps.filter((each) => each.unit === 'm').map((each) => q(each.value, 'm')).join(' + ')}`, total, 'm', { time: start, answer: true }),
+    step('Final velocity', 'v = velocity at the end of the last phase', `v = ${q(v0, 'm/s')}`, v0, 'm/s', { symbol: 'v', time: start, answer: true }),
+    step('Average velocity', 'v̄ = x / t', `v̄ = ${q(total, 'm')} / ${q(start, 's')}`, total / start, 'm/s', { time: start })
+  ];
+};
+
+const solveIncline = (params) => {
+  const { angle, friction: mu, gravity: g, velocity: v0, length: L } = params;
+  const a = inclineAcceleration(params);
+  const steps = [
+    step(
+      'Acceleration along the slope',
+      'a = g (sin θ − μ cos θ)',
+      `a = ${q(g, 'm/s²')} × (sin ${q(angle, '°')} − ${formatNumber(mu)} × cos ${q(angle, '°')})`,
+      a,
+      'm/s²',
+      { time: 0, answer: true }
+    )
+  ];
+  if (staysAtRest(params)) {
+    const grip = Math.max(params.staticFriction ?? 0, mu);
+    return [...steps, note('Stays at rest', `Static friction holds the block because tan θ = ${formatNumber(Math.tan(angle * DEG))} ≤ μs = ${formatNumber(grip)}.`, 0)];
+  }
+  const disc = v0 * v0 + 2 * a * L;
+  if (a < 0 && disc < 0) {
+    const stopTime = v0 / -a;
+    return [
+      ...steps,
+      step('Time to stop', 't_stop = v₀ / |a|', `t_stop = ${q(v0, 'm/s')} / ${q(-a, 'm/s²')}`, stopTime, 's', { time: stopTime, answer: true }),
+      step('Distance before stopping', 'd = v₀² / (2|a|)', `d = ${sq(v0, 'm/s')} / (2 × ${q(-a, 'm/s²')})`, (v0 * v0) / (-2 * a), 'm', { time: stopTime, answer: true })
+    ];
+  }
+  const v = Math.sqrt(disc);
+  const t = Math.abs(a) < 1e-9 ? L / v0 : (v - v0) / a;
+  return [
+    ...steps,
+    step('Speed at the bottom', 'v = √(v₀² + 2aL)', `v = √(${sq(v0, 'm/s')} + 2 × ${q(a, 'm/s²')} × ${q(L, 'm')})`, v, 'm/s', { time: t, answer: true }),
+    Math.abs(a) < 1e-9
+      ? step('Time to reach the bottom', 't = L / v₀', `t = ${q(L, 'm')} / ${q(v0, 'm/s')}`, t, 's', { time: t, answer: true })
+      : step('Time to reach the bottom', 't = (v − v₀) / a', `t = (${q(v, 'm/s')} − ${q(v0, 'm/s')}) / ${q(a, 'm/s²')}`, t, 's', { time: t, answer: true })
+  ];
+};
+
+const solveCollision = (params) => {
+  const { massA: mA, massB: mB, velocity: vA, velocityB: vB, restitution: e, offset } = params;
+  const { contactTime, before, after } = resolveCollision(params);
+  const p = mA * vA + mB * vB;
+  const steps = [
+    step('Total momentum before', 'p = m_A v_A + m_B v_B', `p = ${q(mA, 'kg')} × ${q(vA, 'm/s')} + ${q(mB, 'kg')} × ${q(vB, 'm/s')}`, p, 'kg·m/s', { time: 0 })
+  ];
+  if (contactTime === null) {
+    return [...steps, note('No collision', 'With these velocities and offset the objects never touch, so both keep their initial velocities.')];
+  }
+  const keBefore = kineticEnergy(mA, before[0]) + kineticEnergy(mB, before[1]);
+  const keAfter = kineticEnergy(mA, after[0]) + kineticEnergy(mB, after[1]);
+  const velocitySteps = offset === 0
+    ? [
+      step(
+        'Velocity of A after',
+        "v_A' = (p − m_B e (v_A − v_B)) / (m_A + m_B)",
+        `v_A' = (${q(p, 'kg·m/s')} − ${q(mB, 'kg')} × ${formatNumber(e)} × (${q(vA, 'm/s')} − ${q(vB, 'm/s')})) / (${q(mA, 'kg')} + ${q(mB, 'kg')})`,
+        after[0].vx,
+        'm/s',
+        { symbol: "v_A'", time: contactTime, answer: true }
+      ),
+      step(
+        'Velocity of B after',
+        "v_B' = (p + m_A e (v_A − v_B)) / (m_A + m_B)",
+        `v_B' = (${q(p, 'kg·m/s')} + ${q(mA, 'kg')} × ${formatNumber(e)} × (${q(vA, 'm/s')} − ${q(vB, 'm/s')})) / (${q(mA, 'kg')} + ${q(mB, 'kg')})`,
+        after[1].vx,
+        'm/s',
+        { symbol: "v_B'", time: contactTime, answer: true }
+      )
+    ]
+    : [
+      note('Glancing impact', 'The impulse acts along the line joining the centres at contact, so both objects leave with sideways velocity components.', contactTime),
+      step('Velocity of A after', "v_A' = (v_Aₓ', v_Aᵧ')", `v_A' = (${withUnit(after[0].vx, 'm/s')}, ${withUnit(after[0].vy, 'm/s')})`, Math.hypot(after[0].vx, after[0].vy), 'm/s', { symbol: "|v_A'|", time: contactTime, answer: true }),
+      step('Velocity of B after', "v_B' = (v_Bₓ', v_Bᵧ')", `v_B' = (${withUnit(after[1].vx, 'm/s')}, ${withUnit(after[1].vy, 'm/s')})`, Math.hypot(after[1].vx, after[1].vy), 'm/s', { symbol: "|v_B'|", time: contactTime, answer: true })
+    ];
+  return [
+    ...steps,
+    offset === 0
+      ? step(
+        'Moment of impact',
+        't_c = (d − r_A − r_B) / (v_A − v_B)',
+        `t_c = (${q(before[1].x - before[0].x, 'm')} − ${q(collisionRadius(mA), 'm')} − ${q(collisionRadius(mB), 'm')}) / (${q(vA, 'm/s')} − ${q(vB, 'm/s')})`,
+        contactTime,
+        's',
+        { time: contactTime }
+      )
+      : note('Moment of impact', `The objects first touch when their centres are r_A + r_B apart, at t_c = ${withUnit(contactTime, 's')}.`, contactTime),
+    ...velocitySteps,
+    step('Kinetic energy before', 'KE = ½ m_A v_A² + ½ m_B v_B²', `KE = ½ × ${q(mA, 'kg')} × ${sq(vA, 'm/s')} + ½ × ${q(mB, 'kg')} × ${sq(vB, 'm/s')}`, keBefore, 'J', { time: 0 }),
+    step('Kinetic energy after', "KE' = ½ m_A v_A'² + ½ m_B v_B'²", `KE' = ½ × ${q(mA, 'kg')} × ${sq(Math.hypot(after[0].vx, after[0].vy), 'm/s')} + ½ × ${q(mB, 'kg')} × ${sq(Math.hypot(after[1].vx, after[1].vy), 'm/s')}`, keAfter, 'J', { symbol: "KE'", time: contactTime }),
+    step('Kinetic energy lost', "ΔKE = KE − KE'", `ΔKE = ${q(keBefore, 'J')} − ${q(keAfter, 'J')}`, keBefore - keAfter, 'J', { time: contactTime, answer: true })
+  ];
+};
+
+// Arithmetic-geometric mean, for the complete elliptic integral K(k) = π / (2 agm(1, √(1 − k²)))
+const agm = (a, b) => {
+  let [x, y] = [a, b];
+  while (Math.abs(x - y) > 1e-15 * x) [x, y] = [(x + y) / 2, Math.sqrt(x * y)];
+  return x;
+};
+
+// Period of a pendulum released from rest at `angle` degrees, valid for large swings
+export const largeAnglePeriod = ({ length, gravity, angle }) => {
+  const k = Math.sin((angle * DEG) / 2);
+  return (2 * Math.PI * Math.sqrt(length / gravity)) / agm(1, Math.sqrt(1 - k * k));
+};
+
+const solvePendulum = (params) => {
+  const { length: L, angle, gravity: g } = params;
+  const small = pendulumPeriod(params);
+  const period = largeAnglePeriod(params);
+  const height = L * (1 - Math.cos(angle * DEG));
+  return [
+    step('Small-angle period', 'T₀ = 2π √(L / g)', `T₀ = 2π × √(${q(L, 'm')} / ${q(g, 'm/s²')})`, small, 's', { symbol: 'T₀' }),
+    step(
+      'Period at this amplitude',
+      'T = T₀ / agm(1, cos(θ₀ / 2))',
+      `T = ${q(small, 's')} / agm(1, cos ${q(angle / 2, '°')})`,
+      period,
+      's',
+      { symbol: 'T', time: period, answer: true }
+    ),
+    step('Height of release above the lowest point', 'h = L (1 − cos θ₀)', `h = ${q(L, 'm')} × (1 − cos ${q(angle, '°')})`, height, 'm', { time: 0 }),
+    step('Speed at the lowest point', 'v_max = √(2 g h)', `v_max = √(2 × ${q(g, 'm/s²')} × ${q(height, 'm')})`, Math.sqrt(2 * g * height), 'm/s', { time: period / 4, answer: true })
+  ];
+};
+
+// Relative velocity: on a train or a river the object's velocity over the
+// ground is its velocity in the moving frame plus the frame's own. Crossing a
+// river with no gravity, the time across and the drift downstream follow.
+const solveMovingFrame = (problemType, params) => {
+  const { name, vx: fx, vy: fy, width } = params.movingFrame;
+  const { vx: ux, vy: uy } = getEngine(problemType).init(params).bodies[0];
+  const vx = ux + fx;
+  const vy = uy + fy;
+  const flat = uy === 0 && fy === 0;
+  const medium = name.toLowerCase();
+  const steps = [
+    note('Moving frame', `u is the velocity relative to the ${medium} and V = (${withUnit(fx, 'm/s')}, ${withUnit(fy, 'm/s')}) the ${medium}'s own over the ground.`),
+    step(`Velocity over the ground${flat ? '' : ' (x)'}`, 'vₓ = uₓ + Vₓ', `vₓ = ${q(ux, 'm/s')} + ${q(fx, 'm/s')}`, vx, 'm/s', { time: 0, answer: flat }),
+    ...(flat ? [] : [
+      step('Velocity over the ground (y)', 'vᵧ = uᵧ + Vᵧ', `vᵧ = ${q(uy, 'm/s')} + ${q(fy, 'm/s')}`, vy, 'm/s', { time: 0 }),
+      step('Speed over the ground', 'v = √(vₓ² + vᵧ²)', `v = √(${sq(vx, 'm/s')} + ${sq(vy, 'm/s')})`, Math.hypot(vx, vy), 'm/s', { time: 0, answer: true }),
+      step('Direction over the ground', 'φ = atan2(vᵧ, vₓ)', `φ = atan2(${q(vy, 'm/s')}, ${q(vx, 'm/s')})`, Math.atan2(vy, vx) / DEG, '°', { time: 0 })
+    ])
+  ];
+  if (!width || params.gravity || uy <= 0) return steps;
+  const crossing = width / uy;
+  return [
+    ...steps,
+    step('Time to cross', 't = w / uᵧ', `t = ${q(width, 'm')} / ${q(uy, 'm/s')}`, crossing, 's', { time: crossing, answer: true }),
+    step('Drift along the flow', 'd = vₓ t', `d = ${q(vx, 'm/s')} × ${q(crossing, 's')}`, vx * crossing, 'm', { time: crossing, answer: true })
+  ];
+};
+
+const solvers = {
+  projectile: solveProjectile,
+  linear: solveLinear,
+  incline: solveIncline,
+  collision: solveCollision,
+  pendulum: solvePendulum
+};
+
+// Drag, springs, surface friction and applied forces have no closed form here;
+// the steps then describe the ideal motion and say so up front
+export const solveScenario = (problemType, params) => {
+  const steps = [
+    ...(solvers[problemType] || solvers.projectile)(params),
+    ...(params.movingFrame ? solveMovingFrame(problemType, params) : [])
+  ];
+  if (resolveEngine(problemType, params).hasExact?.(params) ?? true) return steps;
+  return [
+    note('Ideal motion only', 'Drag, friction, springs or applied forces act on this object, so the simulation integrates them numerically. The steps below leave them out and show the ideal motion for comparison.'),
+    ...steps
+  ];
+};
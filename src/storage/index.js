@@ -0,0 +1,10 @@
+// Keeping scenarios: versioned files, shareable links and a local library
+export {
+  SCENARIO_FORMAT,
+  SCENARIO_VERSION,
+  ScenarioFileError,
+  createScenarioDocument,
+  readScenarioDocument
+} from './scenarioFile.js';
+export { decodeScenarioHash, encodeScenarioHash } from './links.js';
+export { LIBRARY_KEY, createScenarioLibrary } from './library.js';
@@ -0,0 +1,49 @@
+import { createScenarioDocument, readScenarioDocument } from './scenarioFile.js';
+
+export const LIBRARY_KEY = 'kinevision.library';
+
+const parseTags = (tags) => [...new Set((Array.isArray(tags) ? tags : String(tags || '').split(','))
+  .map((tag) => tag.trim().toLowerCase())
+  .filter(Boolean))];
+
+// Saved scenarios kept in a Storage (localStorage by default). Entries are
+// { id, name, tags, savedAt, document }; a corrupt store reads as empty.
+export const createScenarioLibrary = ({ storage = globalThis.localStorage, key = LIBRARY_KEY, now = () => Date.now() } = {}) => {
+  const read = () => {
+    try {
+      const entries = JSON.parse(storage.getItem(key) || '[]');
+      return Array.isArray(entries) ? entries : [];
+    } catch {
+      return [];
+    }
+  };
+  const write = (entries) => storage.setItem(key, JSON.stringify(entries));
+
+  return {
+    list({ tag } = {}) {
+      const entries = read().sort((a, b) => b.savedAt - a.savedAt);
+      return tag ? entries.filter((entry) => entry.tags.includes(tag)) : entries;
+    },
+    // Saving under an existing name replaces that entry
+    save({ name, tags, ...fields }) {
+      const title = String(name || '').trim() || 'Untitled scenario';
+      const entries = read().filter((entry) => entry.name !== title);
+      const entry = {
+        id: `${now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+        name: title,
+        tags: parseTags(tags),
+        savedAt: now(),
+        document: createScenarioDocument(fields)
+      };
+      write([...entries, entry]);
+      return entry;
+    },
+    load(id) {
+      const entry = read().find((item) => item.id === id);
+      return entry ? readScenarioDocument(entry.document) : null;
+    },
+    remove(id) {
+      write(read().filter((entry) => entry.id !== id));
+    }
+  };
+};
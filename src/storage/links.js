@@ -0,0 +1,34 @@
+import { createScenarioDocument, readScenarioDocument } from './scenarioFile.js';
+
+// Scenario links carry the whole document in the URL hash as base64url JSON,
+// so opening one needs neither a server nor a new AI analysis.
+const HASH_PREFIX = '#scenario=';
+
+const toBase64Url = (text) => {
+  const bytes = new TextEncoder().encode(text);
+  let binary = '';
+  bytes.forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (encoded) => {
+  const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+  return new TextDecoder().decode(Uint8Array.from(binary, (char) => char.charCodeAt(0)));
+};
+
+export const encodeScenarioHash = (fields) => HASH_PREFIX + toBase64Url(JSON.stringify(createScenarioDocument(fields)));
+
+// Returns null when the hash holds no scenario; throws ScenarioFileError when
+// it holds a broken one
+export const decodeScenarioHash = (hash) => {
+  if (!hash || !hash.startsWith(HASH_PREFIX)) return null;
+  let text;
+  try {
+    text = fromBase64Url(hash.slice(HASH_PREFIX.length));
+  } catch {
+    text = '';
+  }
+  return readScenarioDocument(text);
+};
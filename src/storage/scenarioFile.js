@@ -0,0 +1,72 @@
+import { repairScenario } from '../ai/schema.js';
+import { clampControl } from '../physics/controls.js';
+import { getEngine } from '../physics/engines/index.js';
+
+// Versioned file format for a complete, reproducible scenario: the problem
+// text, the parsed structure with its warnings, and the slider values.
+export const SCENARIO_FORMAT = 'kinevision-scenario';
+export const SCENARIO_VERSION = 1;
+
+export class ScenarioFileError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ScenarioFileError';
+  }
+}
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+export const createScenarioDocument = ({ problemText = '', scenario, warnings = [], params }) => ({
+  format: SCENARIO_FORMAT,
+  version: SCENARIO_VERSION,
+  problemText,
+  scenario,
+  warnings,
+  params
+});
+
+// Accepts a document object or its JSON text. The scenario is re-checked and
+// slider values are limited to the engine's own numeric parameters, each held
+// to its control's range, so hand-edited files and links cannot smuggle in
+// anything the simulation does not understand or could not run. The object
+// list is always rebuilt from the scenario.
+export const readScenarioDocument = (input) => {
+  let doc = input;
+  if (typeof input === 'string') {
+    try {
+      doc = JSON.parse(input);
+    } catch (error) {
+      throw new ScenarioFileError(`Not a scenario file: ${error.message}`);
+    }
+  }
+  if (!isPlainObject(doc) || doc.format !== SCENARIO_FORMAT) {
+    throw new ScenarioFileError('Not a scenario file: missing "format": "kinevision-scenario"');
+  }
+  if (!Number.isInteger(doc.version) || doc.version < 1) {
+    throw new ScenarioFileError(`Unsupported scenario file version ${JSON.stringify(doc.version)}`);
+  }
+  if (doc.version > SCENARIO_VERSION) {
+    throw new ScenarioFileError(`Scenario file version ${doc.version} is newer than this app supports (${SCENARIO_VERSION})`);
+  }
+
+  const { scenario, errors, warnings } = repairScenario(doc.scenario);
+  if (errors.length) {
+    throw new ScenarioFileError(`Invalid scenario in file: ${errors.map(({ path, message }) => `${path || '(root)'} ${message}`).join('; ')}`);
+  }
+
+  const engine = getEngine(scenario.problemType);
+  const defaults = engine.initialParams(scenario);
+  const saved = isPlainObject(doc.params) ? doc.params : {};
+  const params = Object.fromEntries(Object.entries(defaults).map(([key, value]) => {
+    const control = engine.controls.find((item) => item.key === key);
+    const held = control ? clampControl(control, saved[key]) : (Number.isFinite(saved[key]) ? saved[key] : null);
+    return [key, held ?? value];
+  }));
+
+  return {
+    problemText: typeof doc.problemText === 'string' ? doc.problemText : '',
+    scenario,
+    warnings: [...(Array.isArray(doc.warnings) ? doc.warnings : []), ...warnings],
+    params
+  };
+};
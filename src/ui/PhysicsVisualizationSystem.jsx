@@ -0,0 +1,2433 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import {
+  askConversation,
+  askConversationOffline,
+  createConversation,
+  createProvider,
+  describeChange,
+  exampleProblems
+} from '../ai/index.js';
+import {
+  GRAVITY_PRESETS,
+  GROUND_FRAME,
+  clampControl,
+  collisionSummary,
+  describeDrift,
+  detectEvents,
+  energyAt,
+  energyDrift,
+  getEngine,
+  kinematicSeries,
+  differingControls,
+  momentum,
+  objectStates,
+  orderControls,
+  parseCondition,
+  peakEnergy,
+  phaseSchedule,
+  referenceFrames,
+  runMetrics,
+  runSimulation,
+  sampleAt,
+  solverChoices,
+  solverOptions,
+  stateInFrame
+} from '../physics/index.js';
+import { PLAYBACK_SPEEDS, RECORD_DT, advanceClock, stepClock } from '../playback/clock.js';
+import { GRAPHS, drawGraph } from '../render/graphs.js';
+import { solveScenario, withUnit } from '../solutions/index.js';
+import { createQuizSession, exportSession, predictionQuestions, recordPredictions, sessionSummary } from '../quiz/index.js';
+import { addSurface, editTools, editedParams, moveObject, removeSurface, setObjectVelocity, surfaceAt, surfaceEnd } from '../editor/index.js';
+import { objectColor, sceneCamera, sceneView } from '../render/scenes.js';
+import { canvasPoint, canvasToWorld, panCamera, zoomCamera } from '../render/camera.js';
+import { MAX_GHOSTS, pinRun } from '../render/ghosts.js';
+import { DEFAULT_OVERLAYS, OVERLAYS } from '../render/overlays.js';
+import { ANSWER_COLOR, GUESS_COLOR } from '../render/predictions.js';
+import { PALETTES, paletteById } from '../render/palettes.js';
+import {
+  SHORTCUTS,
+  SONIFY_QUANTITIES,
+  TABLE_SPACING,
+  createSonifier,
+  describeEvent,
+  describeStart,
+  describeState,
+  eventsPassed,
+  nudgeControl,
+  pitchFor,
+  shortcutFor,
+  sonifyRange,
+  trajectoryTable
+} from '../access/index.js';
+import {
+  canRecordVideo,
+  canvasToBlob,
+  downloadBlob,
+  downloadText,
+  exportSeries,
+  recordWebM,
+  renderFrame,
+  toCSV,
+  toJSON
+} from '../export/index.js';
+import {
+  createScenarioDocument,
+  createScenarioLibrary,
+  decodeScenarioHash,
+  encodeScenarioHash,
+  readScenarioDocument
+} from '../storage/index.js';
+
+// `llm` configures the analysis backend, e.g. { provider: 'mock' } for offline
+// use or { endpoint, model, timeoutMs, retries } for the local proxy.
+// `examples` are the problems offered to try, and `showIntro` shows the
+// header and the list of capabilities; pages hosting a single simulation
+// would rather use the embeddable one (physics-simulator.jsx in the repository root).
+const PhysicsVisualizationSystem = ({ llm, examples = exampleProblems, showIntro = true }) => {
+  const [problemText, setProblemText] = useState('');
+  // Text the current scenario came from; problemText may since have been edited
+  const [analyzedText, setAnalyzedText] = useState('');
+  const [isAnalyzing, setIsAnalyzing] = useState(false);
+  const [analysisError, setAnalysisError] = useState(null);
+  const [scenarioWarnings, setScenarioWarnings] = useState([]);
+  // The analysis so far, which follow-up questions continue
+  const [conversation, setConversation] = useState(() => createConversation());
+  const [followUpText, setFollowUpText] = useState('');
+  const [parsedData, setParsedData] = useState(null);
+  const [simulationParams, setSimulationParams] = useState({});
+  const canvasRef = useRef(null);
+  const graphRefs = useRef([]);
+  const animationRef = useRef(null);
+  const [simulationState, setSimulationState] = useState({
+    time: 0,
+    position: { x: 0, y: 0 },
+    velocity: { x: 0, y: 0 }
+  });
+  const [isPlaying, setIsPlaying] = useState(true);
+  const [playbackSpeed, setPlaybackSpeed] = useState(1);
+  const [solverChoice, setSolverChoice] = useState('auto');
+  const [overlays, setOverlays] = useState(DEFAULT_OVERLAYS);
+  const [camera, setCamera] = useState(null);
+  // Pinned runs of this scenario, drawn as ghosts and compared in a table
+  const [ghosts, setGhosts] = useState([]);
+  const [conditions, setConditions] = useState([]);
+  const [conditionText, setConditionText] = useState('');
+  const [conditionError, setConditionError] = useState(false);
+  const [quizMode, setQuizMode] = useState(false);
+  const [quizSession, setQuizSession] = useState(() => createQuizSession());
+  const [predictions, setPredictions] = useState({});
+  const [quizStage, setQuizStage] = useState('predict');
+  const [pickingId, setPickingId] = useState(null);
+  // Scene editor: while it is on, drags on the canvas edit the scenario
+  const [editing, setEditing] = useState(false);
+  const [editTool, setEditTool] = useState('move');
+  const [editDraft, setEditDraft] = useState(null);
+  const [loopPlayback, setLoopPlayback] = useState(true);
+  const [isRecording, setIsRecording] = useState(false);
+  // Accessibility: colour palette, what the live region last said, the
+  // parameter the arrow keys change, the table and sound alternatives
+  const [paletteId, setPaletteId] = useState('standard');
+  const [announcement, setAnnouncement] = useState('');
+  const [keyboardControl, setKeyboardControl] = useState(null);
+  const [showShortcuts, setShowShortcuts] = useState(false);
+  const [showTable, setShowTable] = useState(false);
+  const [sonify, setSonify] = useState('off');
+  const [frameId, setFrameId] = useState('ground');
+  const [frameSpeed, setFrameSpeed] = useState(0);
+  const narratedRef = useRef(0);
+  const sonifierRef = useRef(null);
+  // Mirrors simulationState.time for the animation loop, which outlives renders
+  const timeRef = useRef(0);
+  // Last pointer position while the canvas is dragged to pan
+  const dragRef = useRef(null);
+  // Where each object was drawn in the last frame, to pick it by
+  const marksRef = useRef([]);
+  const library = useMemo(() => createScenarioLibrary(), []);
+  const [savedScenarios, setSavedScenarios] = useState(() => library.list());
+  const [libraryTag, setLibraryTag] = useState('');
+  const [saveName, setSaveName] = useState('');
+  const [saveTags, setSaveTags] = useState('');
+  const [libraryNotice, setLibraryNotice] = useState(null);
+
+  // AI-powered problem analysis; a new problem starts a new conversation
+  const analyzeProblem = async (text) => {
+    setIsAnalyzing(true);
+    setAnalyzedText(text);
+    
+    try {
+      startConversation(await askConversation(createProvider(llm), createConversation(), text));
+      setAnalysisError(null);
+    } catch (error) {
+      console.error('Error analyzing problem:', error);
+      // Fall back to the rule-based offline parser
+      startConversation(askConversationOffline(createConversation(), text));
+      setAnalysisError(error.message);
+    } finally {
+      setIsAnalyzing(false);
+    }
+  };
+
+  const startConversation = (next) => {
+    setConversation(next);
+    setFollowUpText('');
+    loadScenario(next);
+  };
+
+  // Follow-ups patch the scenario on screen, scene edits included
+  const askFollowUp = async (text) => {
+    const current = { ...conversation, scenario: parsedData };
+    setIsAnalyzing(true);
+    try {
+      applyFollowUp(await askConversation(createProvider(llm), current, text));
+      setAnalysisError(null);
+    } catch (error) {
+      console.error('Error answering follow-up:', error);
+      applyFollowUp(askConversationOffline(current, text));
+      setAnalysisError(error.message);
+    } finally {
+      setIsAnalyzing(false);
+    }
+  };
+
+  // A follow-up keeps the sliders it does not change and the pinned runs,
+  // unless it turns the problem into another type
+  const applyFollowUp = (next) => {
+    setConversation(next);
+    setFollowUpText('');
+    if (next.scenario.problemType !== parsedData.problemType) {
+      loadScenario(next);
+      return;
+    }
+    setScenarioWarnings(next.warnings);
+    setSimulationParams(editedParams(parsedData, next.scenario, simulationParams));
+    setParsedData(next.scenario);
+    timeRef.current = 0;
+    setSimulationState({
+      time: 0,
+      position: { x: 0, y: 0 },
+      velocity: { x: 0, y: 0 }
+    });
+    setIsPlaying(true);
+  };
+
+  // Initialize simulation parameters from the engine matching the problem type.
+  // Takes a repaired scenario and the warnings listing what was filled in;
+  // `params` restores saved slider values instead of the defaults.
+  const loadScenario = ({ scenario, warnings }, params) => {
+    setParsedData(scenario);
+    setScenarioWarnings(warnings);
+    setSimulationParams(params || getEngine(scenario.problemType).initialParams(scenario));
+    setCamera(null);
+    setGhosts([]);
+    setEditing(false);
+    setEditDraft(null);
+
+    // Reset playback
+    timeRef.current = 0;
+    setSimulationState({
+      time: 0,
+      position: { x: 0, y: 0 },
+      velocity: { x: 0, y: 0 }
+    });
+    setIsPlaying(true);
+  };
+
+  // Saved scenarios: links, files and the local library all carry the same
+  // document, so opening one never needs a new AI analysis
+  const currentDocument = () => ({
+    problemText: analyzedText,
+    scenario: parsedData,
+    warnings: scenarioWarnings,
+    params: simulationParams
+  });
+
+  const openDocument = ({ problemText: text, scenario, warnings, params }) => {
+    setProblemText(text);
+    setAnalyzedText(text);
+    setAnalysisError(null);
+    setConversation(createConversation());
+    loadScenario({ scenario, warnings }, params);
+  };
+
+  // Open a scenario link on load and whenever the hash changes
+  useEffect(() => {
+    const openFromHash = () => {
+      try {
+        const doc = decodeScenarioHash(window.location.hash);
+        if (doc) openDocument(doc);
+      } catch (error) {
+        setLibraryNotice({ error: true, text: error.message });
+      }
+    };
+
+    openFromHash();
+    window.addEventListener('hashchange', openFromHash);
+    return () => window.removeEventListener('hashchange', openFromHash);
+  }, []);
+
+  // Keep the address bar pointing at the current scenario
+  useEffect(() => {
+    if (!parsedData) return;
+    window.history.replaceState(null, '', encodeScenarioHash(currentDocument()));
+  }, [parsedData, simulationParams, scenarioWarnings, analyzedText]);
+
+  const copyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      setLibraryNotice({ error: false, text: 'Link copied. Anyone opening it sees this exact simulation.' });
+    } catch (error) {
+      setLibraryNotice({ error: true, text: `Could not copy the link: ${error.message}` });
+    }
+  };
+
+  const downloadScenario = () => {
+    const json = JSON.stringify(createScenarioDocument(currentDocument()), null, 2);
+    const name = (saveName.trim() || `kinevision-${parsedData.problemType}`).replace(/[^\w.-]+/g, '-');
+    downloadText(json, `${name}.kinevision.json`, 'application/json');
+  };
+
+  const importScenario = async (file) => {
+    if (!file) return;
+    try {
+      openDocument(readScenarioDocument(await file.text()));
+      setLibraryNotice({ error: false, text: `Opened ${file.name}` });
+    } catch (error) {
+      setLibraryNotice({ error: true, text: error.message });
+    }
+  };
+
+  const saveToLibrary = () => {
+    const entry = library.save({ name: saveName, tags: saveTags, ...currentDocument() });
+    setSavedScenarios(library.list());
+    setLibraryNotice({ error: false, text: `Saved "${entry.name}"` });
+  };
+
+  const openSaved = (entry) => {
+    try {
+      openDocument(library.load(entry.id));
+      setSaveName(entry.name);
+      setSaveTags(entry.tags.join(', '));
+      setLibraryNotice(null);
+    } catch (error) {
+      setLibraryNotice({ error: true, text: error.message });
+    }
+  };
+
+  const removeSaved = (entry) => {
+    library.remove(entry.id);
+    setSavedScenarios(library.list());
+  };
+
+  const libraryTags = [...new Set(savedScenarios.flatMap((entry) => entry.tags))].sort();
+  const visibleScenarios = libraryTag ? savedScenarios.filter((entry) => entry.tags.includes(libraryTag)) : savedScenarios;
+
+  const engine = getEngine(parsedData?.problemType);
+  // Controls the current parameters leave to the sliders
+  const controls = engine.controlsFor?.(simulationParams) ?? engine.controls;
+  // Solvers that make a difference here; a choice the engine does not offer
+  // shows and runs as the closed form
+  const offeredSolvers = solverChoices(engine.type);
+  const activeSolver = offeredSolvers.some(({ id }) => id === solverChoice) ? solverChoice : offeredSolvers[0].id;
+
+  // Physics simulation engine: the whole run is computed up front so playback
+  // can pause, scrub and step backwards
+  const trajectory = useMemo(
+    () => parsedData && runSimulation(parsedData.problemType, simulationParams, { dt: RECORD_DT, ...solverOptions(activeSolver, parsedData.problemType) }),
+    [parsedData, simulationParams, activeSolver]
+  );
+
+  const solution = useMemo(
+    () => parsedData && solveScenario(parsedData.problemType, simulationParams),
+    [parsedData, simulationParams]
+  );
+
+  const series = useMemo(
+    () => trajectory && kinematicSeries(parsedData.problemType, trajectory, simulationParams),
+    [trajectory]
+  );
+
+  // Conservation checks over the whole run, and the largest energy in it to
+  // scale the energy bar by
+  const conservation = useMemo(
+    () => trajectory && {
+      drift: describeDrift(parsedData.problemType, energyDrift(parsedData.problemType, simulationParams, trajectory), trajectory.duration),
+      peak: peakEnergy(parsedData.problemType, simulationParams, trajectory) || 1,
+      impact: parsedData.problemType === 'collision' ? collisionSummary(simulationParams, trajectory) : null
+    },
+    [trajectory]
+  );
+
+  // Apex, landing, contact and the like, plus the user's own conditions, timed
+  // exactly rather than to the nearest frame
+  const events = useMemo(
+    () => trajectory && detectEvents(parsedData.problemType, simulationParams, trajectory, conditions),
+    [trajectory, conditions]
+  );
+
+  const addCondition = () => {
+    const condition = parseCondition(conditionText);
+    setConditionError(!condition);
+    if (!condition) return;
+    if (!conditions.some(({ label }) => label === condition.label)) setConditions([...conditions, condition]);
+    setConditionText('');
+  };
+
+  // Prediction quiz: questions about this run, answered while playback is held
+  // at t = 0, then scored and revealed once the run has played to the end
+  const questions = useMemo(
+    () => trajectory && predictionQuestions(parsedData.problemType, simulationParams, trajectory),
+    [trajectory]
+  );
+  const predicting = quizMode && quizStage === 'predict';
+  const answersHidden = quizMode && quizStage !== 'revealed';
+
+  // Reference frame the scene and the readout are seen from. The editor and
+  // the quiz always work in the ground frame.
+  const frames = trajectory ? referenceFrames(simulationParams, trajectory.samples[0], { velocity: { x: frameSpeed, y: 0 } }) : [GROUND_FRAME];
+  const viewFrame = editing || quizMode ? GROUND_FRAME : frames.find(({ id }) => id === frameId) ?? GROUND_FRAME;
+
+  const seek = (time) => {
+    const body = sampleAt(trajectory, time).bodies[0];
+    timeRef.current = time;
+    setSimulationState({
+      time,
+      position: { x: body.x, y: body.y },
+      velocity: { x: body.vx, y: body.vy }
+    });
+  };
+
+  // Sliders, typed values and presets all land here, held to the control's range
+  const setControl = (control, value) => {
+    const clamped = clampControl(control, value);
+    if (clamped !== null) setSimulationParams({ ...simulationParams, [control.key]: clamped });
+  };
+
+  const resetControls = () => setSimulationParams(engine.initialParams(parsedData));
+
+  const submitPredictions = () => {
+    const values = Object.fromEntries(questions.map((question) => [
+      question.id,
+      question.kind === 'number' ? parseFloat(predictions[question.id]) : predictions[question.id]
+    ]));
+    setQuizSession(recordPredictions(
+      quizSession,
+      { problemText: analyzedText, problemType: parsedData.problemType, params: simulationParams },
+      questions,
+      values
+    ));
+    setQuizStage('running');
+    setPickingId(null);
+    seek(0);
+    setIsPlaying(true);
+  };
+
+  const exportQuizSession = () => {
+    downloadText(exportSession(quizSession), 'kinevision-quiz-session.json', 'application/json');
+  };
+
+  // Every new run in quiz mode starts a fresh round
+  useEffect(() => {
+    if (!quizMode || !trajectory) return;
+    setPredictions({});
+    setQuizStage('predict');
+    setPickingId(null);
+    setIsPlaying(false);
+    seek(0);
+  }, [quizMode, trajectory]);
+
+  useEffect(() => {
+    if (quizStage === 'running' && trajectory && simulationState.time >= trajectory.duration) setQuizStage('revealed');
+  }, [simulationState.time, quizStage]);
+
+  const announceState = (time) => setAnnouncement(describeState(parsedData.problemType, simulationParams, sampleAt(trajectory, time)));
+
+  const togglePlaying = () => {
+    if (!isPlaying && timeRef.current >= trajectory.duration) seek(0);
+    if (isPlaying) announceState(timeRef.current);
+    setIsPlaying(!isPlaying);
+  };
+
+  // Pause on the moment a solution step refers to
+  const jumpTo = (time) => {
+    setIsPlaying(false);
+    seek(Math.min(time, trajectory.duration));
+  };
+
+  const stepFrames = (frames) => {
+    setIsPlaying(false);
+    seek(stepClock(timeRef.current, frames, trajectory.duration));
+    announceState(timeRef.current);
+  };
+
+  // Advance the clock by real elapsed time while playing
+  useEffect(() => {
+    if (!trajectory || !isPlaying) return;
+
+    let last = null;
+    const animate = (now) => {
+      const elapsed = last === null ? 0 : (now - last) / 1000;
+      last = now;
+      const next = advanceClock(timeRef.current, elapsed, {
+        duration: trajectory.duration,
+        speed: playbackSpeed,
+        // The run after a round of predictions plays once, to its end
+        loop: loopPlayback && !(quizMode && quizStage === 'running')
+      });
+      seek(next.time);
+      if (next.ended) {
+        setIsPlaying(false);
+        return;
+      }
+      animationRef.current = requestAnimationFrame(animate);
+    };
+
+    animationRef.current = requestAnimationFrame(animate);
+
+    return () => {
+      if (animationRef.current) {
+        cancelAnimationFrame(animationRef.current);
+      }
+    };
+  }, [trajectory, isPlaying, playbackSpeed, loopPlayback, quizMode, quizStage]);
+
+  // Canvas lines for predictions picked on the canvas, and for their answers
+  // once revealed
+  const quizMarks = () => questions.filter((question) => question.axis).flatMap((question) => {
+    const guess = parseFloat(predictions[question.id]);
+    return [
+      ...(Number.isFinite(guess) ? [{ axis: question.axis, value: guess, label: `Your guess: ${withUnit(guess, question.unit)}`, color: GUESS_COLOR, dashed: true }] : []),
+      ...(quizStage === 'revealed' ? [{ axis: question.axis, value: question.answer, label: `Answer: ${withUnit(question.answer, question.unit)}`, color: ANSWER_COLOR, dashed: false }] : [])
+    ];
+  });
+
+  const palette = paletteById(paletteId);
+
+  const currentScene = () => ({
+    problemType: parsedData.problemType,
+    run: trajectory,
+    params: simulationParams,
+    view: sceneView(canvasRef.current, camera),
+    overlays,
+    ghosts,
+    events: answersHidden ? [] : events,
+    predictions: quizMode ? quizMarks() : [],
+    surfaces: parsedData.surfaces,
+    draft: editDraft,
+    palette,
+    frame: viewFrame
+  });
+
+  // Camera: fitted to the whole run until the user zooms (mouse wheel, about
+  // the pointer) or pans (drag); "Fit view" goes back to the fitted one
+  const fittedCamera = () => sceneCamera(parsedData.problemType, simulationParams, trajectory, sceneView(canvasRef.current), ghosts, parsedData.surfaces, viewFrame);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!trajectory || !canvas) return;
+
+    // A native listener, so the page does not scroll while zooming
+    const onWheel = (e) => {
+      e.preventDefault();
+      const point = canvasPoint(canvas, e);
+      setCamera((current) => zoomCamera(current || fittedCamera(), Math.exp(-e.deltaY / 500), point.x, point.y));
+    };
+    canvas.addEventListener('wheel', onWheel, { passive: false });
+    return () => canvas.removeEventListener('wheel', onWheel);
+  }, [trajectory, ghosts]);
+
+  const startPan = (e) => {
+    const point = canvasPoint(canvasRef.current, e);
+    dragRef.current = { ...point, start: point };
+  };
+
+  const movePan = (e) => {
+    if (!dragRef.current) return;
+    const from = dragRef.current;
+    const point = canvasPoint(canvasRef.current, e);
+    dragRef.current = { ...point, start: from.start };
+    setCamera((current) => panCamera(current || fittedCamera(), point.x - from.x, point.y - from.y));
+  };
+
+  // A click that barely moves answers the question being picked on the canvas
+  const endPan = (e) => {
+    const drag = dragRef.current;
+    dragRef.current = null;
+    if (!drag || !pickingId || e.type !== 'mouseup' || Math.hypot(drag.x - drag.start.x, drag.y - drag.start.y) > 4) return;
+    const question = questions.find(({ id }) => id === pickingId);
+    const world = canvasToWorld(camera || fittedCamera(), drag.x, drag.y);
+    setPredictions({ ...predictions, [question.id]: String(Number(world[question.axis].toFixed(2))) });
+    setPickingId(null);
+  };
+
+  // Scene editor. Entering it holds playback at t = 0 and the view still, so
+  // the scene does not move while it is being edited.
+  const toggleEditing = (on) => {
+    setEditing(on);
+    setEditDraft(null);
+    if (!on) return;
+    setEditTool(editTools(parsedData.problemType)[0].id);
+    setIsPlaying(false);
+    seek(0);
+    setCamera(camera || fittedCamera());
+  };
+
+  // An edited scenario replaces the current one; sliders it does not touch
+  // keep their values
+  const applyEdit = (edited) => {
+    if (edited === parsedData) return;
+    setSimulationParams(editedParams(parsedData, edited, simulationParams));
+    setParsedData(edited);
+  };
+
+  const startEdit = (e) => {
+    const point = canvasPoint(canvasRef.current, e);
+    const view = camera || fittedCamera();
+    if (editTool === 'erase') {
+      const idx = surfaceAt(parsedData.surfaces || [], canvasToWorld(view, point.x, point.y), 10 / view.scale);
+      if (idx >= 0) applyEdit(removeSurface(parsedData, idx));
+      return;
+    }
+    if (editTool === 'move' || editTool === 'velocity') {
+      const idx = marksRef.current.findIndex((mark) => mark && Math.hypot(mark.x - point.x, mark.y - point.y) <= 20);
+      if (idx >= 0) setEditDraft({ tool: editTool, idx, from: marksRef.current[idx], to: point });
+      return;
+    }
+    setEditDraft({ tool: editTool, from: point, to: point });
+  };
+
+  const moveEdit = (e) => {
+    if (!editDraft) return;
+    setEditDraft({ ...editDraft, to: surfaceEnd(editDraft.tool, editDraft.from, canvasPoint(canvasRef.current, e)) });
+  };
+
+  // Releasing the mouse applies the edit, leaving the canvas drops it. A click
+  // on an object without dragging leaves it as it was.
+  const endEdit = (e) => {
+    const draft = editDraft;
+    setEditDraft(null);
+    if (!draft || e.type !== 'mouseup') return;
+    const view = camera || fittedCamera();
+    const world = (point) => canvasToWorld(view, point.x, point.y);
+    const dragged = Math.hypot(draft.to.x - draft.from.x, draft.to.y - draft.from.y) > 4;
+    if (draft.tool === 'move') {
+      if (dragged) applyEdit(moveObject(parsedData, simulationParams, draft.idx, world(draft.to)));
+    } else if (draft.tool === 'velocity') {
+      const scale = draft.from.velocityScale;
+      if (dragged) applyEdit(setObjectVelocity(parsedData, simulationParams, draft.idx, { x: (draft.to.x - draft.from.x) / scale, y: (draft.from.y - draft.to.y) / scale }));
+    } else {
+      applyEdit(addSurface(parsedData, simulationParams, draft.tool, world(draft.from), world(draft.to)));
+    }
+  };
+
+  // Draw the recorded state at the current time
+  useEffect(() => {
+    if (!trajectory || !canvasRef.current) return;
+
+    marksRef.current = renderFrame(canvasRef.current.getContext('2d'), currentScene(), simulationState.time);
+  }, [trajectory, simulationState.time, overlays, camera, ghosts, events, quizMode, predictions, quizStage, editDraft, paletteId, viewFrame.id, frameSpeed]);
+
+  // Narration: the start of the run as it plays from the beginning (or loops
+  // back to it), then each event as playback passes it. Nothing is read out
+  // while quiz answers are hidden.
+  useEffect(() => {
+    const from = narratedRef.current;
+    const to = simulationState.time;
+    narratedRef.current = to;
+    if (!trajectory || !isPlaying || answersHidden) return;
+    const lines = [
+      ...((from === 0 && to > 0) || to < from ? [describeStart(parsedData.problemType, simulationParams, trajectory.samples[0])] : []),
+      ...eventsPassed(events, from, to).map(describeEvent)
+    ];
+    if (lines.length) setAnnouncement(lines.join(' '));
+  }, [simulationState.time]);
+
+  // Sonification follows playback. The audio context is only made once the
+  // sound has been turned on, as browsers require.
+  const soundRange = useMemo(() => trajectory && sonify !== 'off' && sonifyRange(trajectory, sonify), [trajectory, sonify]);
+
+  useEffect(() => {
+    if (sonify === 'off' || !isPlaying || !trajectory) {
+      sonifierRef.current?.stop();
+      return;
+    }
+    if (!sonifierRef.current) {
+      const AudioContext = window.AudioContext || window.webkitAudioContext;
+      if (!AudioContext) return;
+      sonifierRef.current = createSonifier(new AudioContext());
+    }
+    sonifierRef.current.play(pitchFor(sampleAt(trajectory, simulationState.time), sonify, soundRange));
+  }, [simulationState.time, isPlaying, sonify, trajectory]);
+
+  useEffect(() => () => sonifierRef.current?.close(), []);
+
+  const table = useMemo(
+    () => showTable && trajectory && trajectoryTable(parsedData.problemType, simulationParams, trajectory),
+    [showTable, trajectory]
+  );
+
+  // Keyboard shortcuts (see SHORTCUTS). `[` and `]` pick the parameter the
+  // arrow keys change; each change is read out.
+  const orderedControls = parsedData ? orderControls(controls, parsedData.adjustableParameters) : [];
+
+  const selectControl = (idx) => {
+    const control = orderedControls[idx];
+    setKeyboardControl(idx);
+    setAnnouncement(`${control.label}: ${withUnit(simulationParams[control.key], control.unit)}`);
+  };
+
+  const nudgeSelected = (direction, coarse) => {
+    const control = orderedControls[keyboardControl ?? 0];
+    const value = nudgeControl(control, simulationParams[control.key], direction, coarse);
+    setKeyboardControl(keyboardControl ?? 0);
+    setControl(control, value);
+    setAnnouncement(`${control.label}: ${withUnit(value, control.unit)}`);
+  };
+
+  const shortcutActions = {
+    togglePlay: togglePlaying,
+    stepBack: () => stepFrames(-1),
+    stepForward: () => stepFrames(1),
+    restart: () => {
+      setIsPlaying(false);
+      seek(0);
+      announceState(0);
+    },
+    previousControl: () => selectControl(((keyboardControl ?? 0) - 1 + orderedControls.length) % orderedControls.length),
+    nextControl: () => selectControl(keyboardControl === null ? 0 : (keyboardControl + 1) % orderedControls.length),
+    increase: (coarse) => nudgeSelected(1, coarse),
+    decrease: (coarse) => nudgeSelected(-1, coarse),
+    announce: () => announceState(timeRef.current),
+    toggleSound: () => setSonify(sonify === 'off' ? SONIFY_QUANTITIES[0].id : 'off'),
+    help: () => setShowShortcuts(!showShortcuts)
+  };
+
+  // Attached afresh on every render so the actions see the current state
+  useEffect(() => {
+    if (!trajectory) return;
+    const onKeyDown = (e) => {
+      const action = shortcutFor(e);
+      if (!action || (action !== 'help' && (isRecording || predicting || editing))) return;
+      e.preventDefault();
+      shortcutActions[action](e.shiftKey);
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  });
+
+  // Exports
+  const exportName = (extension) => `kinevision-${parsedData.problemType}.${extension}`;
+
+  const exportData = (format) => {
+    const rows = exportSeries(parsedData.problemType, simulationParams, solverOptions(activeSolver, parsedData.problemType));
+    if (format === 'csv') {
+      downloadText(toCSV(rows), exportName('csv'), 'text/csv');
+    } else {
+      const json = toJSON({ problemType: parsedData.problemType, params: simulationParams, rows });
+      downloadText(json, exportName('json'), 'application/json');
+    }
+  };
+
+  const exportSnapshot = async () => {
+    downloadBlob(await canvasToBlob(canvasRef.current), exportName('png'));
+  };
+
+  // Records the whole run from t = 0 and then restores the current frame
+  const exportVideo = async () => {
+    setIsPlaying(false);
+    setIsRecording(true);
+    try {
+      downloadBlob(await recordWebM(canvasRef.current, currentScene()), exportName('webm'));
+    } catch (error) {
+      console.error('Error recording video:', error);
+    } finally {
+      setIsRecording(false);
+      renderFrame(canvasRef.current.getContext('2d'), currentScene(), timeRef.current);
+    }
+  };
+
+  // Kinematics graphs with a cursor at the current time
+  useEffect(() => {
+    if (!series) return;
+
+    GRAPHS.forEach((graph, idx) => {
+      const canvas = graphRefs.current[idx];
+      if (!canvas) return;
+      drawGraph(canvas.getContext('2d'), graph, series, simulationState.time, { width: canvas.width, height: canvas.height });
+    });
+  }, [series, simulationState.time, answersHidden]);
+
+  const now = trajectory && sampleAt(trajectory, simulationState.time);
+  const energyNow = now && energyAt(parsedData.problemType, simulationParams, now);
+  const momentumNow = now && momentum(simulationParams, now);
+  const quizSummary = sessionSummary(quizSession);
+  const comparedControls = differingControls(controls, [simulationParams, ...ghosts.map((ghost) => ghost.params)]);
+
+  return (
+    <div style={{ 
+      maxWidth: '1400px', 
+      margin: '0 auto', 
+      padding: '20px',
+      fontFamily: 'system-ui, -apple-system, sans-serif'
+    }}>
+      {/* Header */}
+      {showIntro && (
+        <div style={{
+          background: 'linear-gradient(135deg, #028090 0%, #00A896 100%)',
+          color: 'white',
+          padding: '40px',
+          borderRadius: '12px',
+          marginBottom: '30px',
+          boxShadow: '0 4px 6px rgba(0,0,0,0.1)'
+        }}>
+          <h1 style={{ margin: '0 0 10px 0', fontSize: '36px', fontWeight: 'bold' }}>
+            🔬 AI-Powered Physics Visualization
+          </h1>
+          <p style={{ margin: 0, fontSize: '18px', opacity: 0.9 }}>
+            Transform text problems into interactive simulations
+          </p>
+        </div>
+      )}
+
+      {/* Main Content Grid */}
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '30px' }}>
+        
+        {/* Left Panel - Input */}
+        <div>
+          <div style={{
+            background: 'white',
+            padding: '30px',
+            borderRadius: '12px',
+            boxShadow: '0 2px 4px rgba(0,0,0,0.1)'
+          }}>
+            <h2 style={{ marginTop: 0, color: '#028090', fontSize: '24px' }}>
+              📝 Problem Statement
+            </h2>
+            
+            <textarea
+              value={problemText}
+              onChange={(e) => setProblemText(e.target.value)}
+              placeholder="Enter a physics problem (e.g., 'A ball is thrown upward at 15 m/s...')"
+              style={{
+                width: '100%',
+                height: '120px',
+                padding: '15px',
+                border: '2px solid #E2E8F0',
+                borderRadius: '8px',
+                fontSize: '16px',
+                fontFamily: 'inherit',
+                resize: 'vertical',
+                marginBottom: '15px'
+              }}
+            />
+
+            <button
+              onClick={() => analyzeProblem(problemText)}
+              disabled={!problemText || isAnalyzing}
+              style={{
+                width: '100%',
+                padding: '15px',
+                background: isAnalyzing ? '#CBD5E0' : '#028090',
+                color: 'white',
+                border: 'none',
+                borderRadius: '8px',
+                fontSize: '16px',
+                fontWeight: 'bold',
+                cursor: isAnalyzing ? 'not-allowed' : 'pointer',
+                marginBottom: '20px',
+                transition: 'background 0.3s'
+              }}
+            >
+              {isAnalyzing ? '🔄 Analyzing...' : '🚀 Analyze & Visualize'}
+            </button>
+
+            <div style={{ marginTop: '20px' }}>
+              <h3 style={{ fontSize: '16px', color: '#64748B', marginBottom: '10px' }}>
+                Example Problems:
+              </h3>
+              {examples.map((example, idx) => (
+                <button
+                  key={idx}
+                  onClick={() => {
+                    setProblemText(example);
+                    analyzeProblem(example);
+                  }}
+                  style={{
+                    display: 'block',
+                    width: '100%',
+                    padding: '10px',
+                    marginBottom: '8px',
+                    background: '#F0F4F8',
+                    border: '1px solid #E2E8F0',
+                    borderRadius: '6px',
+                    textAlign: 'left',
+                    cursor: 'pointer',
+                    fontSize: '14px',
+                    color: '#1E293B',
+                    transition: 'all 0.2s'
+                  }}
+                  onMouseOver={(e) => e.target.style.background = '#E2E8F0'}
+                  onMouseOut={(e) => e.target.style.background = '#F0F4F8'}
+                >
+                  {example}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          {/* Extracted Parameters */}
+          {parsedData && (
+            <div style={{
+              background: 'white',
+              padding: '30px',
+              borderRadius: '12px',
+              boxShadow: '0 2px 4px rgba(0,0,0,0.1)',
+              marginTop: '20px'
+            }}>
+              <h2 style={{ marginTop: 0, color: '#028090', fontSize: '24px' }}>
+                🧠 AI Extraction
+              </h2>
+
+              {analysisError && (
+                <div style={{
+                  background: '#FFFBEB',
+                  padding: '10px 15px',
+                  borderRadius: '8px',
+                  border: '1px solid #FDE68A',
+                  marginBottom: '15px',
+                  fontSize: '13px',
+                  color: '#92400E'
+                }}>
+                  ⚠️ AI analysis unavailable ({analysisError}). Showing the offline parser's result.
+                </div>
+              )}
+              
+              <div style={{ marginBottom: '15px' }}>
+                <strong style={{ color: '#1E293B' }}>Problem Type:</strong>{' '}
+                <span style={{ 
+                  background: '#E0F2F1', 
+                  padding: '4px 12px', 
+                  borderRadius: '4px',
+                  color: '#028090',
+                  fontWeight: 'bold'
+                }}>
+                  {parsedData.problemType}
+                </span>
+              </div>
+
+              {scenarioWarnings.length > 0 && (
+                <div style={{
+                  background: '#FFFBEB',
+                  padding: '10px 15px',
+                  borderRadius: '8px',
+                  border: '1px solid #FDE68A',
+                  marginBottom: '15px',
+                  fontSize: '13px',
+                  color: '#92400E'
+                }}>
+                  <strong>Assumptions & corrections ({scenarioWarnings.length})</strong>
+                  <ul style={{ margin: '8px 0 0 0', paddingLeft: '20px', lineHeight: '1.6' }}>
+                    {scenarioWarnings.map((warning, idx) => (
+                      <li key={idx}>
+                        {warning.message}{' '}
+                        <code style={{ fontSize: '11px', color: '#B45309' }}>{warning.path}</code>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
+              <div style={{ marginBottom: '15px' }}>
+                <strong style={{ color: '#1E293B' }}>Description:</strong>
+                <p style={{ margin: '5px 0', color: '#64748B' }}>{parsedData.description}</p>
+              </div>
+
+              <div style={{ marginBottom: '15px' }}>
+                <strong style={{ color: '#1E293B' }}>Objects:</strong>
+                {parsedData.objects?.map((obj, idx) => (
+                  <div key={idx} style={{ 
+                    marginLeft: '15px', 
+                    marginTop: '5px',
+                    padding: '8px',
+                    background: '#F8FAFC',
+                    borderRadius: '4px'
+                  }}>
+                    • {obj.name} {obj.mass && `(${obj.mass} kg)`}
+                  </div>
+                ))}
+              </div>
+
+              <div>
+                <strong style={{ color: '#1E293B' }}>Key Parameters:</strong>
+                <div style={{ marginLeft: '15px', marginTop: '8px' }}>
+                  {Object.entries(parsedData.parameters || {}).map(([key, value]) => (
+                    <div key={key} style={{ 
+                      marginBottom: '5px',
+                      fontSize: '14px',
+                      color: '#475569'
+                    }}>
+                      • {key}: {typeof value === 'object' ? JSON.stringify(value) : value}
+                    </div>
+                  ))}
+                </div>
+              </div>
+
+              {/* Follow-up questions change the scenario above rather than starting over */}
+              <div style={{ marginTop: '20px', paddingTop: '15px', borderTop: '1px solid #E2E8F0' }}>
+                <strong style={{ color: '#1E293B' }}>💬 Follow-up</strong>
+                {conversation.turns.filter((turn) => turn.changes).map((turn, idx) => (
+                  <div key={idx} style={{
+                    marginTop: '8px',
+                    padding: '8px 10px',
+                    background: '#F8FAFC',
+                    borderRadius: '6px',
+                    fontSize: '13px'
+                  }}>
+                    <div style={{ color: '#1E293B' }}>“{turn.text}”</div>
+                    <div style={{ marginTop: '4px', color: '#64748B' }}>
+                      {turn.changes.length ? turn.changes.map(describeChange).join('; ') : 'Nothing changed'}
+                    </div>
+                  </div>
+                ))}
+                <form
+                  onSubmit={(e) => {
+                    e.preventDefault();
+                    if (followUpText.trim()) askFollowUp(followUpText.trim());
+                  }}
+                  style={{ display: 'flex', gap: '8px', marginTop: '10px' }}
+                >
+                  <input
+                    type="text"
+                    value={followUpText}
+                    onChange={(e) => setFollowUpText(e.target.value)}
+                    placeholder="What if it were launched at 60°? Then it brakes at 3 m/s²…"
+                    aria-label="Follow-up question"
+                    style={{
+                      flex: 1,
+                      padding: '8px 10px',
+                      border: '1px solid #E2E8F0',
+                      borderRadius: '6px',
+                      fontSize: '14px'
+                    }}
+                  />
+                  <button
+                    type="submit"
+                    disabled={!followUpText.trim() || isAnalyzing}
+                    style={{
+                      padding: '8px 14px',
+                      background: isAnalyzing ? '#CBD5E0' : '#028090',
+                      color: 'white',
+                      border: 'none',
+                      borderRadius: '6px',
+                      fontSize: '14px',
+                      cursor: isAnalyzing ? 'not-allowed' : 'pointer'
+                    }}
+                  >
+                    Ask
+                  </button>
+                </form>
+              </div>
+            </div>
+          )}
+
+          {/* Worked Solution, kept back while a prediction round is open */}
+          {solution && !answersHidden && (
+            <div style={{
+              background: 'white',
+              padding: '30px',
+              borderRadius: '12px',
+              boxShadow: '0 2px 4px rgba(0,0,0,0.1)',
+              marginTop: '20px'
+            }}>
+              <h2 style={{ marginTop: 0, color: '#028090', fontSize: '24px' }}>
+                📐 Worked Solution
+              </h2>
+
+              <ol style={{ margin: 0, paddingLeft: '20px' }}>
+                {solution.map((step, idx) => {
+                  const current = step.time !== null && Math.abs(simulationState.time - step.time) < 0.02;
+                  return (
+                    <li key={idx} style={{
+                      marginBottom: '12px',
+                      padding: '10px',
+                      borderRadius: '6px',
+                      background: current ? '#E0F2F1' : 'transparent',
+                      color: '#475569',
+                      fontSize: '14px'
+                    }}>
+                      <div style={{ display: 'flex', justifyContent: 'space-between', gap: '8px', alignItems: 'baseline' }}>
+                        <strong style={{ color: '#1E293B' }}>{step.title}</strong>
+                        {step.time !== null && (
+                          <button
+                            onClick={() => jumpTo(step.time)}
+                            title="Show this moment on the canvas"
+                            style={{
+                              padding: '2px 8px',
+                              background: 'white',
+                              color: '#028090',
+                              border: '1px solid #BAE6FD',
+                              borderRadius: '10px',
+                              fontSize: '12px',
+                              cursor: 'pointer',
+                              whiteSpace: 'nowrap'
+                            }}
+                          >
+                            ⏱ t = {step.time.toFixed(2)} s
+                          </button>
+                        )}
+                      </div>
+                      {step.equation && (
+                        <div style={{ fontFamily: 'Georgia, serif', fontSize: '15px', color: '#1E293B', margin: '6px 0 2px' }}>
+                          {step.equation}
+                        </div>
+                      )}
+                      <div style={{ fontFamily: step.equation ? 'Georgia, serif' : 'inherit' }}>{step.substitution}</div>
+                      {step.result && (
+                        <div style={{
+                          fontFamily: 'Georgia, serif',
+                          marginTop: '2px',
+                          fontWeight: step.answer ? 'bold' : 'normal',
+                          color: step.answer ? '#028090' : '#1E293B'
+                        }}>
+                          {step.result}
+                        </div>
+                      )}
+                    </li>
+                  );
+                })}
+              </ol>
+            </div>
+          )}
+
+          {/* Saved Scenarios */}
+          <div style={{
+            background: 'white',
+            padding: '30px',
+            borderRadius: '12px',
+            boxShadow: '0 2px 4px rgba(0,0,0,0.1)',
+            marginTop: '20px'
+          }}>
+            <h2 style={{ marginTop: 0, color: '#028090', fontSize: '24px' }}>
+              💾 Saved Scenarios
+            </h2>
+
+            {libraryNotice && (
+              <div style={{
+                background: libraryNotice.error ? '#FFFBEB' : '#F0F9FF',
+                padding: '10px 15px',
+                borderRadius: '8px',
+                border: `1px solid ${libraryNotice.error ? '#FDE68A' : '#BAE6FD'}`,
+                marginBottom: '15px',
+                fontSize: '13px',
+                color: libraryNotice.error ? '#92400E' : '#0369A1'
+              }}>
+                {libraryNotice.error ? '⚠️ ' : ''}{libraryNotice.text}
+              </div>
+            )}
+
+            <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap', marginBottom: '15px' }}>
+              {[
+                { label: '🔗 Copy link', title: 'Copy a link that opens this exact simulation', onClick: copyLink },
+                { label: '⬇️ Download file', title: 'Download the scenario as a file', onClick: downloadScenario }
+              ].map((button) => (
+                <button
+                  key={button.label}
+                  title={button.title}
+                  onClick={button.onClick}
+                  disabled={!parsedData}
+                  style={{
+                    padding: '8px 12px',
+                    background: 'white',
+                    color: parsedData ? '#028090' : '#94A3B8',
+                    border: '1px solid #E2E8F0',
+                    borderRadius: '6px',
+                    fontSize: '13px',
+                    fontWeight: 'bold',
+                    cursor: parsedData ? 'pointer' : 'not-allowed'
+                  }}
+                >
+                  {button.label}
+                </button>
+              ))}
+              <label style={{
+                padding: '8px 12px',
+                background: 'white',
+                color: '#028090',
+                border: '1px solid #E2E8F0',
+                borderRadius: '6px',
+                fontSize: '13px',
+                fontWeight: 'bold',
+                cursor: 'pointer'
+              }}>
+                ⬆️ Import file
+                <input
+                  type="file"
+                  accept=".json,application/json"
+                  onChange={(e) => {
+                    importScenario(e.target.files[0]);
+                    e.target.value = '';
+                  }}
+                  style={{ display: 'none' }}
+                />
+              </label>
+            </div>
+
+            {parsedData && (
+              <div style={{ display: 'flex', gap: '8px', marginBottom: '15px' }}>
+                <input
+                  value={saveName}
+                  onChange={(e) => setSaveName(e.target.value)}
+                  placeholder="Name"
+                  aria-label="Scenario name"
+                  style={{ flex: 2, minWidth: 0, padding: '8px', border: '2px solid #E2E8F0', borderRadius: '6px', fontSize: '14px' }}
+                />
+                <input
+                  value={saveTags}
+                  onChange={(e) => setSaveTags(e.target.value)}
+                  placeholder="Tags, comma separated"
+                  aria-label="Scenario tags"
+                  style={{ flex: 2, minWidth: 0, padding: '8px', border: '2px solid #E2E8F0', borderRadius: '6px', fontSize: '14px' }}
+                />
+                <button
+                  onClick={saveToLibrary}
+                  style={{
+                    flex: 1,
+                    padding: '8px',
+                    background: '#028090',
+                    color: 'white',
+                    border: 'none',
+                    borderRadius: '6px',
+                    fontSize: '14px',
+                    fontWeight: 'bold',
+                    cursor: 'pointer'
+                  }}
+                >
+                  Save
+                </button>
+              </div>
+            )}
+
+            {libraryTags.length > 0 && (
+              <div style={{ display: 'flex', gap: '6px', flexWrap: 'wrap', marginBottom: '10px' }}>
+                {['', ...libraryTags].map((tag) => (
+                  <button
+                    key={tag || 'all'}
+                    onClick={() => setLibraryTag(tag)}
+                    style={{
+                      padding: '4px 10px',
+                      background: libraryTag === tag ? '#028090' : '#E0F2F1',
+                      color: libraryTag === tag ? 'white' : '#028090',
+                      border: 'none',
+                      borderRadius: '12px',
+                      fontSize: '12px',
+                      cursor: 'pointer'
+                    }}
+                  >
+                    {tag || 'All'}
+                  </button>
+                ))}
+              </div>
+            )}
+
+            {visibleScenarios.length === 0 ? (
+              <p style={{ margin: 0, fontSize: '14px', color: '#94A3B8' }}>
+                No saved scenarios yet.
+              </p>
+            ) : visibleScenarios.map((entry) => (
+              <div key={entry.id} style={{
+                display: 'flex',
+                alignItems: 'center',
+                gap: '8px',
+                padding: '8px',
+                marginBottom: '6px',
+                background: '#F8FAFC',
+                borderRadius: '6px'
+              }}>
+                <div style={{ flex: 1, minWidth: 0 }}>
+                  <div style={{ fontSize: '14px', fontWeight: 'bold', color: '#1E293B' }}>{entry.name}</div>
+                  <div style={{ fontSize: '12px', color: '#64748B' }}>
+                    {entry.document.scenario.problemType} · {new Date(entry.savedAt).toLocaleDateString()}
+                    {entry.tags.length > 0 && ` · ${entry.tags.join(', ')}`}
+                  </div>
+                </div>
+                <button
+                  onClick={() => openSaved(entry)}
+                  style={{ padding: '6px 10px', background: '#028090', color: 'white', border: 'none', borderRadius: '6px', fontSize: '13px', cursor: 'pointer' }}
+                >
+                  Open
+                </button>
+                <button
+                  onClick={() => removeSaved(entry)}
+                  aria-label={`Delete ${entry.name}`}
+                  style={{ padding: '6px 10px', background: 'white', color: '#B91C1C', border: '1px solid #E2E8F0', borderRadius: '6px', fontSize: '13px', cursor: 'pointer' }}
+                >
+                  Delete
+                </button>
+              </div>
+            ))}
+          </div>
+        </div>
+
+        {/* Right Panel - Visualization */}
+        <div>
+          <div style={{
+            background: 'white',
+            padding: '30px',
+            borderRadius: '12px',
+            boxShadow: '0 2px 4px rgba(0,0,0,0.1)'
+          }}>
+            <h2 style={{ marginTop: 0, color: '#028090', fontSize: '24px' }}>
+              🎨 Interactive Simulation
+            </h2>
+
+            {parsedData ? (
+              <>
+                <canvas
+                  ref={canvasRef}
+                  width={600}
+                  height={400}
+                  role="img"
+                  aria-label={`${engine.label}: ${parsedData.description}. The trajectory table below gives the same motion as text; press ? for keyboard shortcuts.`}
+                  onMouseDown={editing ? startEdit : startPan}
+                  onMouseMove={editing ? moveEdit : movePan}
+                  onMouseUp={editing ? endEdit : endPan}
+                  onMouseLeave={editing ? endEdit : endPan}
+                  style={{
+                    border: '2px solid #E2E8F0',
+                    borderRadius: '8px',
+                    display: 'block',
+                    width: '100%',
+                    marginBottom: '15px',
+                    cursor: editing || pickingId ? 'crosshair' : 'grab'
+                  }}
+                />
+
+                {/* Scene editor */}
+                <div style={{
+                  padding: '15px',
+                  background: editing ? '#F0FDFA' : '#F8FAFC',
+                  borderRadius: '8px',
+                  border: `1px solid ${editing ? '#99F6E4' : '#E2E8F0'}`,
+                  marginBottom: '20px'
+                }}>
+                  <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                    <h3 style={{ fontSize: '16px', color: '#1E293B', margin: 0 }}>✏️ Edit Scene</h3>
+                    <label style={{ marginLeft: 'auto', display: 'flex', alignItems: 'center', gap: '6px', fontSize: '14px', color: '#475569' }}>
+                      <input
+                        type="checkbox"
+                        checked={editing}
+                        disabled={quizMode}
+                        onChange={(e) => toggleEditing(e.target.checked)}
+                      />
+                      Edit on the canvas
+                    </label>
+                  </div>
+
+                  {editing && (
+                    <>
+                      <div style={{ display: 'flex', gap: '6px', flexWrap: 'wrap', margin: '12px 0 8px' }}>
+                        {editTools(parsedData.problemType).map((tool) => (
+                          <button
+                            key={tool.id}
+                            title={tool.hint}
+                            aria-pressed={editTool === tool.id}
+                            onClick={() => setEditTool(tool.id)}
+                            style={{
+                              padding: '6px 12px',
+                              background: editTool === tool.id ? '#028090' : 'white',
+                              color: editTool === tool.id ? 'white' : '#028090',
+                              border: '1px solid #028090',
+                              borderRadius: '6px',
+                              fontSize: '13px',
+                              fontWeight: 'bold',
+                              cursor: 'pointer'
+                            }}
+                          >
+                            {tool.label}
+                          </button>
+                        ))}
+                      </div>
+                      <div style={{ fontSize: '13px', color: '#475569' }}>
+                        {editTools(parsedData.problemType).find(({ id }) => id === editTool)?.hint}. Edits are written into the scenario, so saving or sharing it keeps them.
+                      </div>
+                    </>
+                  )}
+                </div>
+
+                {/* Prediction quiz */}
+                <div style={{
+                  padding: '15px',
+                  background: quizMode ? '#FFF7ED' : '#F8FAFC',
+                  borderRadius: '8px',
+                  border: `1px solid ${quizMode ? '#FED7AA' : '#E2E8F0'}`,
+                  marginBottom: '20px'
+                }}>
+                  <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                    <h3 style={{ fontSize: '16px', color: '#1E293B', margin: 0 }}>🎯 Predict First</h3>
+                    <label style={{ marginLeft: 'auto', display: 'flex', alignItems: 'center', gap: '6px', fontSize: '14px', color: '#475569' }}>
+                      <input
+                        type="checkbox"
+                        checked={quizMode}
+                        disabled={editing}
+                        onChange={(e) => {
+                          setQuizMode(e.target.checked);
+                          setPickingId(null);
+                        }}
+                      />
+                      Ask for predictions before each run
+                    </label>
+                  </div>
+
+                  {quizMode && (
+                    <>
+                      <ol style={{ margin: '12px 0', paddingLeft: '20px' }}>
+                        {questions.map((question, idx) => {
+                          const result = quizStage === 'revealed' ? quizSession.results[quizSession.results.length - questions.length + idx] : null;
+                          return (
+                            <li key={question.id} style={{ marginBottom: '10px', fontSize: '14px', color: '#1E293B' }}>
+                              <div style={{ marginBottom: '6px' }}>{question.prompt}</div>
+                              <div style={{ display: 'flex', alignItems: 'center', gap: '8px', flexWrap: 'wrap' }}>
+                                {question.kind === 'choice' ? question.choices.map((option) => (
+                                  <label key={option} style={{ display: 'flex', alignItems: 'center', gap: '4px', color: '#475569' }}>
+                                    <input
+                                      type="radio"
+                                      name={`prediction-${question.id}`}
+                                      checked={predictions[question.id] === option}
+                                      disabled={!predicting}
+                                      onChange={() => setPredictions({ ...predictions, [question.id]: option })}
+                                    />
+                                    {option}
+                                  </label>
+                                )) : (
+                                  <>
+                                    <input
+                                      type="number"
+                                      step="any"
+                                      value={predictions[question.id] ?? ''}
+                                      disabled={!predicting}
+                                      onChange={(e) => setPredictions({ ...predictions, [question.id]: e.target.value })}
+                                      aria-label={question.prompt}
+                                      style={{ width: '90px', padding: '4px 6px', border: '1px solid #E2E8F0', borderRadius: '4px', fontSize: '13px' }}
+                                    />
+                                    <span style={{ color: '#64748B' }}>{question.unit}</span>
+                                    {question.axis && predicting && (
+                                      <button
+                                        onClick={() => setPickingId(pickingId === question.id ? null : question.id)}
+                                        title={`Click the canvas at the ${question.axis === 'x' ? 'horizontal position' : 'height'} you predict`}
+                                        style={{
+                                          padding: '3px 10px',
+                                          background: pickingId === question.id ? GUESS_COLOR : 'white',
+                                          color: pickingId === question.id ? 'white' : GUESS_COLOR,
+                                          border: `1px solid ${GUESS_COLOR}`,
+                                          borderRadius: '10px',
+                                          fontSize: '12px',
+                                          cursor: 'pointer'
+                                        }}
+                                      >
+                                        📍 {pickingId === question.id ? 'Click the canvas…' : 'Pick on canvas'}
+                                      </button>
+                                    )}
+                                  </>
+                                )}
+                              </div>
+                              {result && (
+                                <div style={{
+                                  marginTop: '4px',
+                                  fontWeight: 'bold',
+                                  color: { correct: '#16A34A', close: '#D97706', wrong: '#DC2626', skipped: '#94A3B8' }[result.verdict]
+                                }}>
+                                  {{ correct: '✓ Correct', close: '≈ Close', wrong: '✗ Off', skipped: '— Skipped' }[result.verdict]}
+                                  {' · answer '}
+                                  {question.kind === 'choice' ? question.answer : withUnit(question.answer, question.unit)}
+                                </div>
+                              )}
+                            </li>
+                          );
+                        })}
+                      </ol>
+
+                      <div style={{ display: 'flex', alignItems: 'center', gap: '8px', flexWrap: 'wrap' }}>
+                        {predicting ? (
+                          <button
+                            onClick={submitPredictions}
+                            style={{
+                              padding: '8px 16px',
+                              background: GUESS_COLOR,
+                              color: 'white',
+                              border: 'none',
+                              borderRadius: '6px',
+                              fontSize: '14px',
+                              fontWeight: 'bold',
+                              cursor: 'pointer'
+                            }}
+                          >
+                            Lock in predictions and run
+                          </button>
+                        ) : (
+                          <span style={{ fontSize: '13px', color: '#475569' }}>
+                            {quizStage === 'running' ? 'Watch the run: the answers appear when it ends.' : 'Change a setting or load a problem for the next round.'}
+                          </span>
+                        )}
+                        {quizSummary.questions > 0 && (
+                          <>
+                            <span style={{ marginLeft: 'auto', fontSize: '13px', color: '#475569', fontVariantNumeric: 'tabular-nums' }}>
+                              Session: {quizSummary.correct}/{quizSummary.questions} correct, {quizSummary.close} close ({quizSummary.percent.toFixed(0)}%)
+                            </span>
+                            {[
+                              { label: 'Export JSON', title: 'Download every result of this session', onClick: exportQuizSession },
+                              { label: 'New session', title: 'Clear the session results', onClick: () => setQuizSession(createQuizSession()) }
+                            ].map((button) => (
+                              <button
+                                key={button.label}
+                                title={button.title}
+                                onClick={button.onClick}
+                                style={{
+                                  padding: '6px 12px',
+                                  background: 'white',
+                                  color: '#028090',
+                                  border: '1px solid #E2E8F0',
+                                  borderRadius: '6px',
+                                  fontSize: '13px',
+                                  fontWeight: 'bold',
+                                  cursor: 'pointer'
+                                }}
+                              >
+                                {button.label}
+                              </button>
+                            ))}
+                          </>
+                        )}
+                      </div>
+                    </>
+                  )}
+                </div>
+
+                {/* Playback */}
+                <div style={{
+                  padding: '15px',
+                  background: '#F8FAFC',
+                  borderRadius: '8px',
+                  border: '1px solid #E2E8F0',
+                  marginBottom: '20px'
+                }}>
+                  <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '10px' }}>
+                    {[
+                      { label: '⏮', title: 'Step back one frame', onClick: () => stepFrames(-1) },
+                      { label: isPlaying ? '⏸' : '▶', title: isPlaying ? 'Pause' : 'Play', onClick: togglePlaying },
+                      { label: '⏭', title: 'Step forward one frame', onClick: () => stepFrames(1) }
+                    ].map((button) => (
+                      <button
+                        key={button.title}
+                        title={button.title}
+                        aria-label={button.title}
+                        onClick={button.onClick}
+                        disabled={isRecording || predicting || editing}
+                        style={{
+                          width: '40px',
+                          height: '36px',
+                          background: isRecording || predicting || editing ? '#CBD5E0' : '#028090',
+                          color: 'white',
+                          border: 'none',
+                          borderRadius: '6px',
+                          fontSize: '16px',
+                          cursor: isRecording || predicting || editing ? 'not-allowed' : 'pointer'
+                        }}
+                      >
+                        {button.label}
+                      </button>
+                    ))}
+
+                    <select
+                      value={playbackSpeed}
+                      onChange={(e) => setPlaybackSpeed(parseFloat(e.target.value))}
+                      aria-label="Playback speed"
+                      style={{
+                        marginLeft: '8px',
+                        padding: '7px',
+                        border: '1px solid #E2E8F0',
+                        borderRadius: '6px',
+                        fontSize: '14px',
+                        color: '#1E293B'
+                      }}
+                    >
+                      {PLAYBACK_SPEEDS.map((speed) => (
+                        <option key={speed} value={speed}>{speed}×</option>
+                      ))}
+                    </select>
+
+                    <label style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '14px', color: '#475569' }}>
+                      <input
+                        type="checkbox"
+                        checked={loopPlayback}
+                        onChange={(e) => setLoopPlayback(e.target.checked)}
+                      />
+                      Loop
+                    </label>
+
+                    <span style={{ marginLeft: 'auto', fontSize: '14px', color: '#475569', fontVariantNumeric: 'tabular-nums' }}>
+                      t = {simulationState.time.toFixed(2)} s / {trajectory.duration.toFixed(2)} s
+                    </span>
+                  </div>
+
+                  <input
+                    type="range"
+                    min={0}
+                    max={trajectory.duration}
+                    step={RECORD_DT}
+                    value={Math.min(simulationState.time, trajectory.duration)}
+                    onChange={(e) => {
+                      setIsPlaying(false);
+                      seek(parseFloat(e.target.value));
+                    }}
+                    disabled={isRecording || predicting || editing}
+                    aria-label="Timeline"
+                    aria-valuetext={`${withUnit(simulationState.time, 's')} of ${withUnit(trajectory.duration, 's')}`}
+                    style={{
+                      width: '100%',
+                      height: '8px',
+                      borderRadius: '4px',
+                      background: '#E2E8F0',
+                      outline: 'none',
+                      cursor: 'pointer'
+                    }}
+                  />
+
+                  <div style={{ display: 'flex', alignItems: 'center', gap: '12px', marginTop: '12px', flexWrap: 'wrap' }}>
+                    <span style={{ fontSize: '14px', color: '#475569', fontWeight: 'bold' }}>Overlays:</span>
+                    {OVERLAYS.map((overlay) => (
+                      <label key={overlay.id} style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '14px', color: '#475569' }}>
+                        <input
+                          type="checkbox"
+                          checked={overlays[overlay.id]}
+                          onChange={(e) => setOverlays({ ...overlays, [overlay.id]: e.target.checked })}
+                        />
+                        {overlay.label}
+                      </label>
+                    ))}
+                    <button
+                      title="Fit the whole run (scroll to zoom, drag to pan)"
+                      onClick={() => setCamera(null)}
+                      disabled={!camera}
+                      style={{
+                        marginLeft: 'auto',
+                        padding: '6px 12px',
+                        background: 'white',
+                        color: camera ? '#028090' : '#94A3B8',
+                        border: '1px solid #E2E8F0',
+                        borderRadius: '6px',
+                        fontSize: '13px',
+                        fontWeight: 'bold',
+                        cursor: camera ? 'pointer' : 'default'
+                      }}
+                    >
+                      Fit view
+                    </button>
+                  </div>
+
+                  <div style={{ display: 'flex', alignItems: 'center', gap: '12px', marginTop: '12px', flexWrap: 'wrap' }}>
+                    <span style={{ fontSize: '14px', color: '#475569', fontWeight: 'bold' }}>Frame:</span>
+                    <select
+                      value={viewFrame.id}
+                      title={editing || quizMode ? 'The editor and the quiz work in the ground frame' : 'Watch the motion from another reference frame'}
+                      aria-label="Reference frame"
+                      disabled={editing || quizMode}
+                      onChange={(e) => {
+                        setFrameId(e.target.value);
+                        setCamera(null);
+                      }}
+                      style={{
+                        padding: '5px',
+                        border: '1px solid #E2E8F0',
+                        borderRadius: '6px',
+                        fontSize: '13px',
+                        color: '#1E293B'
+                      }}
+                    >
+                      {frames.map((frame) => (
+                        <option key={frame.id} value={frame.id}>{frame.label}</option>
+                      ))}
+                    </select>
+                    {viewFrame.id === 'moving' && (
+                      <label style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '14px', color: '#475569' }}>
+                        Speed along x (m/s)
+                        <input
+                          type="number"
+                          step="0.5"
+                          value={frameSpeed}
+                          onChange={(e) => {
+                            setFrameSpeed(parseFloat(e.target.value) || 0);
+                            setCamera(null);
+                          }}
+                          style={{
+                            width: '70px',
+                            padding: '5px',
+                            border: '1px solid #E2E8F0',
+                            borderRadius: '6px',
+                            fontSize: '13px'
+                          }}
+                        />
+                      </label>
+                    )}
+                  </div>
+
+                  <div style={{ display: 'flex', alignItems: 'center', gap: '12px', marginTop: '12px', flexWrap: 'wrap' }}>
+                    <span style={{ fontSize: '14px', color: '#475569', fontWeight: 'bold' }}>Access:</span>
+                    {[
+                      { label: 'Colours', value: paletteId, onChange: setPaletteId, options: PALETTES },
+                      { label: 'Sound', value: sonify, onChange: setSonify, options: [{ id: 'off', label: 'Off' }, ...SONIFY_QUANTITIES] }
+                    ].map((choice) => (
+                      <label key={choice.label} style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '14px', color: '#475569' }}>
+                        {choice.label}
+                        <select
+                          value={choice.value}
+                          onChange={(e) => choice.onChange(e.target.value)}
+                          style={{
+                            padding: '5px',
+                            border: '1px solid #E2E8F0',
+                            borderRadius: '6px',
+                            fontSize: '13px',
+                            color: '#1E293B'
+                          }}
+                        >
+                          {choice.options.map((option) => (
+                            <option key={option.id} value={option.id}>{option.label}</option>
+                          ))}
+                        </select>
+                      </label>
+                    ))}
+                    <button
+                      title="Keyboard shortcuts (?)"
+                      onClick={() => setShowShortcuts(!showShortcuts)}
+                      aria-expanded={showShortcuts}
+                      style={{
+                        marginLeft: 'auto',
+                        padding: '6px 12px',
+                        background: showShortcuts ? '#028090' : 'white',
+                        color: showShortcuts ? 'white' : '#028090',
+                        border: '1px solid #E2E8F0',
+                        borderRadius: '6px',
+                        fontSize: '13px',
+                        fontWeight: 'bold',
+                        cursor: 'pointer'
+                      }}
+                    >
+                      ⌨️ Shortcuts
+                    </button>
+                  </div>
+
+                  {showShortcuts && (
+                    <dl style={{
+                      display: 'grid',
+                      gridTemplateColumns: 'max-content 1fr',
+                      gap: '4px 12px',
+                      margin: '12px 0 0 0',
+                      fontSize: '13px',
+                      color: '#475569'
+                    }}>
+                      {SHORTCUTS.map((shortcut) => (
+                        <React.Fragment key={shortcut.action}>
+                          <dt style={{ fontWeight: 'bold', color: '#1E293B' }}>{shortcut.label}</dt>
+                          <dd style={{ margin: 0 }}>{shortcut.description}</dd>
+                        </React.Fragment>
+                      ))}
+                    </dl>
+                  )}
+
+                  {/* Live region: screen readers read out whatever lands here */}
+                  <p role="status" aria-live="polite" style={{ margin: '12px 0 0 0', minHeight: '18px', fontSize: '13px', color: '#475569' }}>
+                    {announcement}
+                  </p>
+
+                  <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginTop: '12px', flexWrap: 'wrap' }}>
+                    <span style={{ fontSize: '14px', color: '#475569', fontWeight: 'bold' }}>Export:</span>
+                    {[
+                      { label: 'CSV', title: 'Download the time series as CSV', onClick: () => exportData('csv') },
+                      { label: 'JSON', title: 'Download the time series as JSON', onClick: () => exportData('json') },
+                      { label: 'PNG', title: 'Download the current frame', onClick: exportSnapshot },
+                      {
+                        label: isRecording ? '⏺ Recording...' : 'WebM',
+                        title: 'Record the whole run as video',
+                        onClick: exportVideo,
+                        unavailable: !canRecordVideo(canvasRef.current)
+                      }
+                    ].map((button) => (
+                      <button
+                        key={button.title}
+                        title={button.title}
+                        onClick={button.onClick}
+                        disabled={isRecording || button.unavailable}
+                        style={{
+                          padding: '6px 12px',
+                          background: 'white',
+                          color: isRecording || button.unavailable ? '#94A3B8' : '#028090',
+                          border: '1px solid #E2E8F0',
+                          borderRadius: '6px',
+                          fontSize: '13px',
+                          fontWeight: 'bold',
+                          cursor: isRecording || button.unavailable ? 'not-allowed' : 'pointer'
+                        }}
+                      >
+                        {button.label}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+
+                {/* Per-object readout, measured in the frame the scene is seen from */}
+                <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '13px', fontVariantNumeric: 'tabular-nums', marginBottom: '20px' }}>
+                  {viewFrame.kind !== 'ground' && (
+                    <caption style={{ textAlign: 'left', color: '#64748B', marginBottom: '6px' }}>
+                      Positions and velocities relative to: {viewFrame.label}
+                    </caption>
+                  )}
+                  <thead>
+                    <tr style={{ color: '#64748B', textAlign: 'right' }}>
+                      {['Object', 'Mass (kg)', 'x (m)', 'y (m)', 'vx (m/s)', 'vy (m/s)', 'Speed (m/s)'].map((heading) => (
+                        <th key={heading} style={{ padding: '6px 8px', borderBottom: '2px solid #E2E8F0', textAlign: heading === 'Object' ? 'left' : 'right' }}>
+                          {heading}
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {objectStates(simulationParams, stateInFrame(viewFrame, simulationParams, sampleAt(trajectory, simulationState.time))).map((object, idx) => (
+                      <tr key={idx} style={{ color: '#1E293B', textAlign: 'right' }}>
+                        <td style={{ padding: '6px 8px', borderBottom: '1px solid #E2E8F0', textAlign: 'left', fontWeight: 'bold' }}>
+                          <span style={{
+                            display: 'inline-block',
+                            width: '10px',
+                            height: '10px',
+                            borderRadius: '50%',
+                            background: objectColor(simulationParams, idx, palette),
+                            marginRight: '8px'
+                          }} />
+                          {object.name}
+                        </td>
+                        {[object.mass, object.x, object.y, object.vx, object.vy, object.speed].map((value, col) => (
+                          <td key={col} style={{ padding: '6px 8px', borderBottom: '1px solid #E2E8F0' }}>
+                            {col === 0 ? value : value.toFixed(2)}
+                          </td>
+                        ))}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+
+                {/* The trajectory as text, for anyone who can't see the canvas */}
+                {!answersHidden && (
+                  <details
+                    open={showTable}
+                    onToggle={(e) => setShowTable(e.target.open)}
+                    style={{ marginBottom: '20px', fontSize: '13px', color: '#1E293B' }}
+                  >
+                    <summary style={{ cursor: 'pointer', fontWeight: 'bold', color: '#475569' }}>Trajectory table</summary>
+                    {table && (
+                      <div style={{ maxHeight: '300px', overflowY: 'auto', marginTop: '8px' }}>
+                        <table style={{ width: '100%', borderCollapse: 'collapse', fontVariantNumeric: 'tabular-nums' }}>
+                          <caption style={{ textAlign: 'left', color: '#64748B', marginBottom: '6px' }}>
+                            {engine.label}, a row every {TABLE_SPACING} s
+                          </caption>
+                          <thead>
+                            <tr style={{ color: '#64748B', textAlign: 'right' }}>
+                              {table.columns.map((column) => (
+                                <th key={column.key} scope="col" style={{ padding: '4px 8px', borderBottom: '2px solid #E2E8F0', position: 'sticky', top: 0, background: 'white' }}>
+                                  {column.label} ({column.unit})
+                                </th>
+                              ))}
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {table.rows.map((row) => (
+                              <tr key={row.t} style={{ textAlign: 'right' }}>
+                                {table.columns.map((column) => (
+                                  <td key={column.key} style={{ padding: '3px 8px', borderBottom: '1px solid #E2E8F0' }}>
+                                    {row[column.key].toFixed(2)}
+                                  </td>
+                                ))}
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      </div>
+                    )}
+                  </details>
+                )}
+
+                {/* Events */}
+                <div style={{
+                  padding: '15px',
+                  background: '#F8FAFC',
+                  borderRadius: '8px',
+                  border: '1px solid #E2E8F0',
+                  marginBottom: '20px'
+                }}>
+                  <h3 style={{ fontSize: '16px', color: '#1E293B', margin: '0 0 12px 0' }}>📍 Events</h3>
+
+                  {answersHidden ? (
+                    <p style={{ margin: 0, fontSize: '13px', color: '#64748B' }}>Shown once your predictions are revealed.</p>
+                  ) : (
+                    <>
+                      {events.length ? (
+                        <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '13px', fontVariantNumeric: 'tabular-nums', marginBottom: '12px' }}>
+                          <tbody>
+                            {events.map((event, idx) => {
+                              const current = Math.abs(simulationState.time - event.time) < 0.02;
+                              return (
+                                <tr key={idx} style={{ background: current ? '#E0F2F1' : 'transparent', color: '#1E293B' }}>
+                                  <td style={{ padding: '4px 8px', borderBottom: '1px solid #E2E8F0', whiteSpace: 'nowrap' }}>
+                                    <button
+                                      onClick={() => jumpTo(event.time)}
+                                      title="Show this moment on the canvas"
+                                      style={{
+                                        padding: '2px 8px',
+                                        background: 'white',
+                                        color: '#028090',
+                                        border: '1px solid #BAE6FD',
+                                        borderRadius: '10px',
+                                        fontSize: '12px',
+                                        cursor: 'pointer'
+                                      }}
+                                    >
+                                      ⏱ t = {withUnit(event.time, 's')}
+                                    </button>
+                                  </td>
+                                  <td style={{ padding: '4px 8px', borderBottom: '1px solid #E2E8F0', fontWeight: 'bold' }}>
+                                    {event.label}
+                                    {trajectory.samples[0].bodies.length > 1 && <span style={{ fontWeight: 'normal', color: '#64748B' }}> · {event.object}</span>}
+                                  </td>
+                                  <td style={{ padding: '4px 8px', borderBottom: '1px solid #E2E8F0', color: '#475569' }}>
+                                    {event.readout.map(({ symbol, value, unit }) => `${symbol} = ${withUnit(value, unit)}`).join(', ')}
+                                  </td>
+                                </tr>
+                              );
+                            })}
+                          </tbody>
+                        </table>
+                      ) : (
+                        <p style={{ margin: '0 0 12px 0', fontSize: '13px', color: '#64748B' }}>No events in this run.</p>
+                      )}
+
+                      <div style={{ display: 'flex', alignItems: 'center', gap: '8px', flexWrap: 'wrap' }}>
+                        <input
+                          type="text"
+                          value={conditionText}
+                          onChange={(e) => setConditionText(e.target.value)}
+                          onKeyDown={(e) => {
+                            if (e.key === 'Enter') addCondition();
+                          }}
+                          placeholder="When… e.g. x = 20 m or v = 0"
+                          aria-label="Event condition"
+                          style={{ flex: 1, minWidth: '160px', padding: '6px 8px', border: '1px solid #E2E8F0', borderRadius: '6px', fontSize: '13px' }}
+                        />
+                        <button
+                          onClick={addCondition}
+                          disabled={!conditionText.trim()}
+                          style={{
+                            padding: '6px 12px',
+                            background: 'white',
+                            color: conditionText.trim() ? '#028090' : '#94A3B8',
+                            border: '1px solid #E2E8F0',
+                            borderRadius: '6px',
+                            fontSize: '13px',
+                            fontWeight: 'bold',
+                            cursor: conditionText.trim() ? 'pointer' : 'not-allowed'
+                          }}
+                        >
+                          Add
+                        </button>
+                        {conditions.map((condition) => (
+                          <span key={condition.label} style={{
+                            padding: '2px 4px 2px 10px',
+                            background: '#FCE7F3',
+                            color: '#9D174D',
+                            borderRadius: '10px',
+                            fontSize: '12px'
+                          }}>
+                            {condition.label}
+                            <button
+                              title={`Stop watching ${condition.label}`}
+                              aria-label={`Stop watching ${condition.label}`}
+                              onClick={() => setConditions(conditions.filter((other) => other !== condition))}
+                              style={{ background: 'none', border: 'none', color: '#9D174D', cursor: 'pointer', fontSize: '12px' }}
+                            >
+                              ✕
+                            </button>
+                          </span>
+                        ))}
+                      </div>
+                      {conditionError && (
+                        <p style={{ margin: '6px 0 0 0', fontSize: '12px', color: '#B45309' }}>
+                          Write a condition on x, y, vx, vy, v or t, such as "x = 20 m", "vy = 0" or "t = 1.5 s".
+                        </p>
+                      )}
+                    </>
+                  )}
+                </div>
+
+                {/* Pinned runs */}
+                <div style={{
+                  padding: '15px',
+                  background: '#F8FAFC',
+                  borderRadius: '8px',
+                  border: '1px solid #E2E8F0',
+                  marginBottom: '20px'
+                }}>
+                  <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '12px' }}>
+                    <h3 style={{ fontSize: '16px', color: '#1E293B', margin: 0 }}>📌 Compare Runs</h3>
+                    {[
+                      { label: 'Pin current run', title: `Keep this run as a ghost (the last ${MAX_GHOSTS} are kept)`, onClick: () => setGhosts(pinRun(ghosts, simulationParams, trajectory)) },
+                      { label: 'Clear', title: 'Remove every pinned run', onClick: () => setGhosts([]), unavailable: !ghosts.length }
+                    ].map((button, idx) => (
+                      <button
+                        key={button.label}
+                        title={button.title}
+                        onClick={button.onClick}
+                        disabled={button.unavailable}
+                        style={{
+                          marginLeft: idx === 0 ? 'auto' : 0,
+                          padding: '6px 12px',
+                          background: 'white',
+                          color: button.unavailable ? '#94A3B8' : '#028090',
+                          border: '1px solid #E2E8F0',
+                          borderRadius: '6px',
+                          fontSize: '13px',
+                          fontWeight: 'bold',
+                          cursor: button.unavailable ? 'not-allowed' : 'pointer'
+                        }}
+                      >
+                        {button.label}
+                      </button>
+                    ))}
+                  </div>
+
+                  {ghosts.length ? (
+                    <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '13px', fontVariantNumeric: 'tabular-nums' }}>
+                      <thead>
+                        <tr style={{ color: '#64748B', textAlign: 'right' }}>
+                          {['Run', 'Settings', 'Range (m)', 'Time (s)', 'Max height (m)', ''].map((heading, idx) => (
+                            <th key={idx} style={{ padding: '6px 8px', borderBottom: '2px solid #E2E8F0', textAlign: idx < 2 ? 'left' : 'right' }}>
+                              {heading}
+                            </th>
+                          ))}
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {[
+                          { id: 0, label: 'Current', color: '#028090', params: simulationParams, run: trajectory },
+                          ...ghosts
+                        ].map((entry) => {
+                          const metrics = runMetrics(entry.run);
+                          return (
+                            <tr key={entry.id} style={{ color: '#1E293B', textAlign: 'right' }}>
+                              <td style={{ padding: '6px 8px', borderBottom: '1px solid #E2E8F0', textAlign: 'left', fontWeight: 'bold', whiteSpace: 'nowrap' }}>
+                                <span style={{
+                                  display: 'inline-block',
+                                  width: '10px',
+                                  height: '10px',
+                                  borderRadius: '50%',
+                                  background: entry.color,
+                                  marginRight: '8px'
+                                }} />
+                                {entry.label}
+                              </td>
+                              <td style={{ padding: '6px 8px', borderBottom: '1px solid #E2E8F0', textAlign: 'left', color: '#475569' }}>
+                                {comparedControls.map((control) => `${control.label} ${entry.params[control.key]}${control.unit === '°' || !control.unit ? control.unit : ` ${control.unit}`}`).join(', ') || 'same settings'}
+                              </td>
+                              {[metrics.range, metrics.time, metrics.maxHeight].map((value, col) => (
+                                <td key={col} style={{ padding: '6px 8px', borderBottom: '1px solid #E2E8F0' }}>{value.toFixed(2)}</td>
+                              ))}
+                              <td style={{ padding: '6px 8px', borderBottom: '1px solid #E2E8F0' }}>
+                                {entry.id > 0 && (
+                                  <button
+                                    title={`Remove ${entry.label}`}
+                                    aria-label={`Remove ${entry.label}`}
+                                    onClick={() => setGhosts(ghosts.filter((ghost) => ghost.id !== entry.id))}
+                                    style={{ background: 'none', border: 'none', color: '#94A3B8', cursor: 'pointer', fontSize: '14px' }}
+                                  >
+                                    ✕
+                                  </button>
+                                )}
+                              </td>
+                            </tr>
+                          );
+                        })}
+                      </tbody>
+                    </table>
+                  ) : (
+                    <p style={{ margin: 0, fontSize: '13px', color: '#64748B' }}>
+                      Pin this run, then move a slider: the pinned run stays on the canvas as a ghost to compare against.
+                    </p>
+                  )}
+                </div>
+
+                {/* Energy and momentum */}
+                <div style={{
+                  padding: '15px',
+                  background: '#F8FAFC',
+                  borderRadius: '8px',
+                  border: '1px solid #E2E8F0',
+                  marginBottom: '20px'
+                }}>
+                  <h3 style={{ fontSize: '16px', color: '#1E293B', margin: '0 0 12px 0' }}>
+                    ⚖️ Energy &amp; Momentum
+                  </h3>
+
+                  <div
+                    title="Kinetic and potential energy, scaled to the largest total in the run"
+                    style={{ display: 'flex', height: '18px', background: '#E2E8F0', borderRadius: '4px', overflow: 'hidden' }}
+                  >
+                    {[
+                      { value: energyNow.kinetic, color: '#02C39A' },
+                      { value: energyNow.potential, color: '#6366F1' }
+                    ].map((segment, idx) => (
+                      <div key={idx} style={{ width: `${(100 * Math.max(segment.value, 0)) / conservation.peak}%`, background: segment.color }} />
+                    ))}
+                  </div>
+                  <div style={{ display: 'flex', gap: '16px', marginTop: '8px', fontSize: '13px', color: '#475569', fontVariantNumeric: 'tabular-nums' }}>
+                    {[
+                      { label: 'Kinetic', value: energyNow.kinetic, color: '#02C39A' },
+                      { label: 'Potential', value: energyNow.potential, color: '#6366F1' }
+                    ].map((entry) => (
+                      <span key={entry.label}>
+                        <span style={{
+                          display: 'inline-block',
+                          width: '10px',
+                          height: '10px',
+                          borderRadius: '2px',
+                          background: entry.color,
+                          marginRight: '6px'
+                        }} />
+                        {entry.label} {entry.value.toFixed(2)} J
+                      </span>
+                    ))}
+                    <strong style={{ marginLeft: 'auto', color: '#1E293B' }}>Total {energyNow.total.toFixed(2)} J</strong>
+                  </div>
+
+                  <p style={{
+                    margin: '12px 0',
+                    fontSize: '13px',
+                    color: { ok: '#15803D', warning: '#B91C1C', off: '#64748B' }[conservation.drift.level]
+                  }}>
+                    {{ ok: '✓ ', warning: '⚠ ', off: '' }[conservation.drift.level]}{conservation.drift.text}
+                  </p>
+
+                  <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '13px', fontVariantNumeric: 'tabular-nums' }}>
+                    <thead>
+                      <tr style={{ color: '#64748B', textAlign: 'right' }}>
+                        {['Momentum', 'px (kg·m/s)', 'py (kg·m/s)', '|p| (kg·m/s)'].map((heading) => (
+                          <th key={heading} style={{ padding: '6px 8px', borderBottom: '2px solid #E2E8F0', textAlign: heading === 'Momentum' ? 'left' : 'right' }}>
+                            {heading}
+                          </th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {[...momentumNow.objects, { name: 'Total', ...momentumNow.total }].map((row, idx) => (
+                        <tr key={idx} style={{ color: '#1E293B', textAlign: 'right', fontWeight: idx === momentumNow.objects.length ? 'bold' : 'normal' }}>
+                          <td style={{ padding: '6px 8px', borderBottom: '1px solid #E2E8F0', textAlign: 'left' }}>{row.name}</td>
+                          {[row.px, row.py, Math.hypot(row.px, row.py)].map((value, col) => (
+                            <td key={col} style={{ padding: '6px 8px', borderBottom: '1px solid #E2E8F0' }}>{value.toFixed(2)}</td>
+                          ))}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+
+                  {conservation.impact && (
+                    <div style={{ marginTop: '12px', fontSize: '13px', color: '#475569', lineHeight: '1.7', fontVariantNumeric: 'tabular-nums' }}>
+                      {[
+                        { label: 'Before impact', side: conservation.impact.before },
+                        { label: 'After impact', side: conservation.impact.after }
+                      ].map(({ label, side }) => (
+                        <div key={label}>
+                          <strong>{label}:</strong> p = ({side.momentum.px.toFixed(2)}, {side.momentum.py.toFixed(2)}) kg·m/s,
+                          KE = {side.kinetic.toFixed(2)} J
+                        </div>
+                      ))}
+                      <div>
+                        <strong>Kinetic energy lost:</strong>{' '}
+                        {conservation.impact.collided
+                          ? `${conservation.impact.kineticLost.toFixed(2)} J (${(conservation.impact.fractionLost * 100).toFixed(1)}%)`
+                          : 'none, the objects miss each other'}
+                      </div>
+                      {conservation.impact.momentumFlagged && (
+                        <div style={{ color: '#B91C1C' }}>⚠ Momentum changed across the impact: the numerical solution breaks conservation</div>
+                      )}
+                    </div>
+                  )}
+                </div>
+
+                <div style={{ marginTop: '20px' }}>
+                  <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: '15px' }}>
+                    <h3 style={{ fontSize: '18px', color: '#1E293B', margin: 0 }}>
+                      ⚙️ Real-Time Controls
+                    </h3>
+                    <button
+                      title="Put every control back to the values read from the problem"
+                      onClick={resetControls}
+                      style={{
+                        padding: '6px 12px',
+                        background: 'white',
+                        color: '#028090',
+                        border: '1px solid #E2E8F0',
+                        borderRadius: '6px',
+                        fontSize: '13px',
+                        fontWeight: 'bold',
+                        cursor: 'pointer'
+                      }}
+                    >
+                      ↺ Reset to problem values
+                    </button>
+                  </div>
+
+                  <div style={{ marginBottom: '20px' }}>
+                    <label style={{
+                      display: 'flex',
+                      justifyContent: 'space-between',
+                      marginBottom: '8px',
+                      color: '#475569',
+                      fontSize: '14px',
+                      fontWeight: 'bold'
+                    }}>
+                      <span>Solver</span>
+                      <span>{trajectory.solver === 'analytic' ? 'closed form' : engine.steppedAlike ? 'numeric' : `numeric, ${trajectory.integrator === 'euler' ? 'semi-implicit Euler' : 'RK4'}`}</span>
+                    </label>
+                    <select
+                      value={activeSolver}
+                      onChange={(e) => setSolverChoice(e.target.value)}
+                      aria-label="Solver"
+                      style={{
+                        width: '100%',
+                        padding: '7px',
+                        border: '1px solid #E2E8F0',
+                        borderRadius: '6px',
+                        fontSize: '14px',
+                        color: '#1E293B'
+                      }}
+                    >
+                      {offeredSolvers.map((choice) => (
+                        <option key={choice.id} value={choice.id}>{choice.label}</option>
+                      ))}
+                    </select>
+                  </div>
+
+                  {orderedControls.map((control, idx) => (
+                    <div
+                      key={control.key}
+                      style={{
+                        marginBottom: '20px',
+                        ...(idx === keyboardControl ? { outline: '2px solid #028090', outlineOffset: '6px', borderRadius: '4px' } : {})
+                      }}
+                    >
+                      <label style={{ 
+                        display: 'flex', 
+                        justifyContent: 'space-between',
+                        alignItems: 'center',
+                        marginBottom: '8px',
+                        color: '#475569',
+                        fontSize: '14px',
+                        fontWeight: 'bold'
+                      }}>
+                        <span>{control.label}</span>
+                        <span style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+                          {/* Typed values apply on Enter or when the field loses focus; the
+                              key remounts the field whenever the value changes elsewhere */}
+                          <input
+                            key={simulationParams[control.key]}
+                            type="number"
+                            min={control.min}
+                            max={control.max}
+                            step={control.step}
+                            defaultValue={simulationParams[control.key]}
+                            aria-label={control.label}
+                            onBlur={(e) => {
+                              setControl(control, parseFloat(e.target.value));
+                              e.target.value = simulationParams[control.key];
+                            }}
+                            onKeyDown={(e) => {
+                              if (e.key === 'Enter') e.target.blur();
+                            }}
+                            style={{
+                              width: '80px',
+                              padding: '4px 6px',
+                              border: '1px solid #E2E8F0',
+                              borderRadius: '6px',
+                              fontSize: '14px',
+                              color: '#1E293B',
+                              textAlign: 'right'
+                            }}
+                          />
+                          {control.unit}
+                        </span>
+                      </label>
+                      <input
+                        type="range"
+                        min={control.min}
+                        max={control.max}
+                        step={control.step}
+                        value={simulationParams[control.key]}
+                        onChange={(e) => setControl(control, parseFloat(e.target.value))}
+                        aria-label={control.label}
+                        aria-valuetext={withUnit(simulationParams[control.key], control.unit)}
+                        style={{
+                          width: '100%',
+                          height: '8px',
+                          borderRadius: '4px',
+                          background: '#E2E8F0',
+                          outline: 'none',
+                          cursor: 'pointer'
+                        }}
+                      />
+                      {control.key === 'gravity' && (
+                        <div style={{ display: 'flex', gap: '6px', marginTop: '8px' }}>
+                          {GRAVITY_PRESETS.map((preset) => (
+                            <button
+                              key={preset.id}
+                              title={`${preset.value} m/s²`}
+                              onClick={() => setControl(control, preset.value)}
+                              style={{
+                                padding: '4px 10px',
+                                background: simulationParams.gravity === preset.value ? '#028090' : 'white',
+                                color: simulationParams.gravity === preset.value ? 'white' : '#028090',
+                                border: '1px solid #E2E8F0',
+                                borderRadius: '6px',
+                                fontSize: '12px',
+                                cursor: 'pointer'
+                              }}
+                            >
+                              {preset.label}
+                            </button>
+                          ))}
+                        </div>
+                      )}
+                    </div>
+                  ))}
+
+                  {/* A motion in stages takes its accelerations and durations from here */}
+                  {simulationParams.phases && (
+                    <div style={{ marginBottom: '20px', color: '#475569', fontSize: '14px' }}>
+                      <strong>Stages</strong>
+                      <ol style={{ margin: '8px 0 0 0', paddingLeft: '20px', lineHeight: '1.6' }}>
+                        {phaseSchedule(simulationParams).map((phase, idx) => (
+                          <li key={idx}>
+                            {phase.label}: a = {withUnit(phase.acceleration, 'm/s²')} for {withUnit(phase.duration, 's')}
+                            <span style={{ color: '#94A3B8' }}> (from t = {withUnit(phase.start, 's')})</span>
+                          </li>
+                        ))}
+                      </ol>
+                    </div>
+                  )}
+
+                  <div style={{
+                    background: '#F0F9FF',
+                    padding: '15px',
+                    borderRadius: '8px',
+                    border: '1px solid #BAE6FD'
+                  }}>
+                    <p style={{ 
+                      margin: 0, 
+                      fontSize: '13px', 
+                      color: '#0369A1',
+                      lineHeight: '1.6'
+                    }}>
+                      💡 <strong>Tip:</strong> Adjust the parameters above to see how they affect 
+                      the motion in real-time. The red arrow shows the velocity vector; switch on
+                      the overlays to see acceleration, velocity components and the forces on each object.
+                    </p>
+                  </div>
+                </div>
+              </>
+            ) : (
+              <div style={{
+                textAlign: 'center',
+                padding: '80px 20px',
+                color: '#94A3B8'
+              }}>
+                <div style={{ fontSize: '64px', marginBottom: '20px' }}>📊</div>
+                <p style={{ fontSize: '18px', margin: 0 }}>
+                  Enter a physics problem and click "Analyze & Visualize"
+                  <br />to see the interactive simulation
+                </p>
+              </div>
+            )}
+          </div>
+
+          {/* Kinematics Graphs, kept back while a prediction round is open */}
+          {parsedData && !answersHidden && (
+            <div style={{
+              background: 'white',
+              padding: '30px',
+              borderRadius: '12px',
+              boxShadow: '0 2px 4px rgba(0,0,0,0.1)',
+              marginTop: '20px'
+            }}>
+              <h2 style={{ marginTop: 0, color: '#028090', fontSize: '24px' }}>
+                📈 Kinematics Graphs
+              </h2>
+
+              <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '12px' }}>
+                {GRAPHS.map((graph, idx) => (
+                  <canvas
+                    key={graph.id}
+                    ref={(canvas) => { graphRefs.current[idx] = canvas; }}
+                    width={300}
+                    height={190}
+                    aria-label={`${graph.title} versus time`}
+                    style={{
+                      border: '1px solid #E2E8F0',
+                      borderRadius: '6px',
+                      display: 'block',
+                      width: '100%'
+                    }}
+                  />
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {/* Features Section */}
+      {showIntro && (
+        <div style={{
+          marginTop: '40px',
+          background: 'white',
+          padding: '30px',
+          borderRadius: '12px',
+          boxShadow: '0 2px 4px rgba(0,0,0,0.1)'
+        }}>
+          <h2 style={{ marginTop: 0, color: '#028090', fontSize: '24px', marginBottom: '25px' }}>
+            ✨ System Capabilities
+          </h2>
+        
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(250px, 1fr))', gap: '20px' }}>
+            {[
+              { icon: '🧠', title: 'AI Understanding', desc: 'Natural language processing of physics problems' },
+              { icon: '🔄', title: 'Auto-Conversion', desc: 'Text to structured data transformation' },
+              { icon: '🎨', title: 'Visual Generation', desc: 'Automatic creation of interactive models' },
+              { icon: '⚡', title: 'Real-Time Updates', desc: 'Instant parameter manipulation' },
+              { icon: '📊', title: 'Multiple Scenarios', desc: 'Pin runs and compare what-if possibilities' },
+              { icon: '🎯', title: 'Intuitive UI', desc: 'Easy-to-use interface for learning' }
+            ].map((feature, idx) => (
+              <div key={idx} style={{
+                padding: '20px',
+                background: '#F8FAFC',
+                borderRadius: '8px',
+                border: '1px solid #E2E8F0'
+              }}>
+                <div style={{ fontSize: '32px', marginBottom: '10px' }}>{feature.icon}</div>
+                <h3 style={{ margin: '0 0 8px 0', fontSize: '16px', color: '#1E293B' }}>
+                  {feature.title}
+                </h3>
+                <p style={{ margin: 0, fontSize: '14px', color: '#64748B', lineHeight: '1.5' }}>
+                  {feature.desc}
+                </p>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PhysicsVisualizationSystem;
@@ -0,0 +1,8 @@
+import React from 'react';
+import { createRoot } from 'react-dom/client';
+import PhysicsVisualizationSystem from './PhysicsVisualizationSystem.jsx';
+
+// Entry point of demo.html, bundled with React by `npm run build`. Analysis
+// goes to the local proxy, so serve the page with `npm run dev` (or
+// `npm run dev:mock` without an API key).
+createRoot(document.getElementById('root')).render(<PhysicsVisualizationSystem />);
@@ -0,0 +1,144 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  HIGH_PITCH,
+  LOW_PITCH,
+  createSonifier,
+  describeEvent,
+  describeStart,
+  describeState,
+  eventsPassed,
+  nudgeControl,
+  pitchFor,
+  shortcutFor,
+  sonifyRange,
+  trajectoryTable
+} from '../src/access/index.js';
+import { detectEvents, runSimulation, sampleAt } from '../src/physics/index.js';
+import { legendEntries } from '../src/render/overlays.js';
+import { paletteById } from '../src/render/palettes.js';
+import { drawScene } from '../src/render/scenes.js';
+import { close, paramsFor } from './helpers.js';
+
+const key = (key, extra = {}) => ({ key, target: { tagName: 'BODY' }, ...extra });
+
+test('shortcuts map keys to actions and leave form fields and modified keys alone', () => {
+  assert.equal(shortcutFor(key(' ')), 'togglePlay');
+  assert.equal(shortcutFor(key('K')), 'togglePlay');
+  assert.equal(shortcutFor(key('ArrowRight')), 'stepForward');
+  assert.equal(shortcutFor(key(']')), 'nextControl');
+  assert.equal(shortcutFor(key('?')), 'help');
+  assert.equal(shortcutFor(key('x')), null);
+  assert.equal(shortcutFor(key('k', { ctrlKey: true })), null);
+  assert.equal(shortcutFor(key('ArrowUp', { target: { tagName: 'INPUT' } })), null);
+  assert.equal(shortcutFor(key('n', { target: { isContentEditable: true } })), null);
+  assert.equal(shortcutFor(key(' ', { target: { tagName: 'BUTTON' } })), null);
+  assert.equal(shortcutFor(key('.', { target: { tagName: 'BUTTON' } })), 'stepForward');
+});
+
+test('nudging a control moves it a step, or ten, within its range', () => {
+  const control = { key: 'angle', min: 0, max: 90, step: 0.1 };
+  assert.equal(nudgeControl(control, 45, 1), 45.1);
+  assert.equal(nudgeControl(control, 0.3, -1), 0.2);
+  assert.equal(nudgeControl(control, 45, -1, true), 44);
+  assert.equal(nudgeControl(control, 89.5, 1, true), 90);
+  assert.equal(nudgeControl(control, 0, -1), 0);
+});
+
+test('narration reads out the start, the current state and each event passed', () => {
+  const params = paramsFor('projectile', { velocity: 20, angle: 30 });
+  const run = runSimulation('projectile', params);
+  assert.match(describeStart('projectile', params, run.samples[0]), /^Start\. .+ at x = 0 m, y = 0 m, moving at 20 m\/s\.$/);
+  assert.match(describeState('projectile', params, sampleAt(run, 1)), /^At 1 s: .+ at x = 17\.3\d* m, y = /);
+
+  const events = detectEvents('projectile', params, run);
+  const passed = eventsPassed(events, 0.9, 1.1);
+  assert.deepEqual(passed.map(({ id }) => id), ['apex']);
+  assert.match(describeEvent(passed[0]), /: Apex at 1\.02 s, /);
+  assert.deepEqual(eventsPassed(events, 1.1, 0.9), []);
+
+  const blocks = paramsFor('linear', { velocity: 0 });
+  assert.match(describeStart('linear', blocks, runSimulation('linear', blocks).samples[0]), /at x = [^,]+, at rest\.$/);
+});
+
+test('the trajectory table has a row about every tenth of a second and the last sample', () => {
+  const params = paramsFor('projectile', { velocity: 20, angle: 30 });
+  const run = runSimulation('projectile', params);
+  const { columns, rows } = trajectoryTable('projectile', params, run);
+  assert.deepEqual(columns.map(({ key }) => key), ['t', 'x0', 'y0', 'v0']);
+  close(rows[1].t - rows[0].t, 0.1, run.dt / 2);
+  assert.equal(rows.at(-1).t, run.samples.at(-1).time);
+  close(rows[0].v0, 20);
+
+  const flat = paramsFor('linear', {});
+  const table = trajectoryTable('linear', flat, runSimulation('linear', flat), { spacing: 1 });
+  assert.ok(!table.columns.some(({ key }) => key.startsWith('y')));
+});
+
+test('pitch runs from low at the smallest value to high at the largest', () => {
+  const params = paramsFor('projectile', { velocity: 20, angle: 30 });
+  const run = runSimulation('projectile', params);
+  const range = sonifyRange(run, 'height');
+  close(range.min, 0, 1e-6);
+  close(pitchFor(run.samples[0], 'height', range), LOW_PITCH, 1e-3);
+  const apex = detectEvents('projectile', params, run).find(({ id }) => id === 'apex');
+  close(pitchFor(sampleAt(run, apex.time), 'height', range), HIGH_PITCH, 1);
+  // Slowest at the top, fastest at launch and landing
+  assert.ok(pitchFor(sampleAt(run, apex.time), 'speed', sonifyRange(run, 'speed')) < LOW_PITCH + 1);
+  assert.equal(pitchFor({ bodies: [{ y: 3 }] }, 'height', { min: 3, max: 3 }), Math.sqrt(LOW_PITCH * HIGH_PITCH));
+});
+
+test('the sonifier glides an oscillator to each pitch and fades it out', () => {
+  const calls = [];
+  const param = (name) => ({ value: 0, setTargetAtTime: (value) => calls.push([name, value]) });
+  const audio = {
+    currentTime: 0,
+    destination: {},
+    createOscillator: () => ({ frequency: param('frequency'), connect: () => {}, start: () => calls.push(['start']), stop: () => calls.push(['stop']) }),
+    createGain: () => ({ gain: param('gain'), connect: () => {} }),
+    close: () => calls.push(['close'])
+  };
+  const sonifier = createSonifier(audio);
+  sonifier.play(440);
+  sonifier.stop();
+  sonifier.close();
+  assert.deepEqual(calls.map(([name]) => name), ['start', 'frequency', 'gain', 'gain', 'stop', 'close']);
+  assert.deepEqual(calls[1], ['frequency', 440]);
+  assert.deepEqual(calls[3], ['gain', 0]);
+});
+
+test('palettes recolour the objects and vectors drawn on the canvas', () => {
+  const palette = paletteById('colorBlind');
+  assert.equal(legendEntries({ acceleration: true }, [], palette)[0].color, '#D55E00');
+  assert.equal(paletteById('unknown').id, 'standard');
+
+  const params = paramsFor('projectile', { velocity: 20, angle: 30 });
+  const run = runSimulation('projectile', params);
+  const fills = [];
+  const ctx = new Proxy({}, {
+    get: () => () => {},
+    set: (_, name, value) => {
+      if (name === 'fillStyle') fills.push(value);
+      return true;
+    }
+  });
+  drawScene(ctx, 'projectile', run.samples[0], params, { width: 600, height: 400 }, run, { palette });
+  assert.ok(fills.includes('#009E73'));
+  assert.ok(!fills.includes('#02C39A'));
+});
+
+// WCAG relative luminance and contrast ratio of two #RRGGBB colours
+const luminance = (hex) => [1, 3, 5]
+  .map((at) => parseInt(hex.slice(at, at + 2), 16) / 255)
+  .map((c) => (c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4))
+  .reduce((total, c, idx) => total + c * [0.2126, 0.7152, 0.0722][idx], 0);
+const contrast = (a, b) => {
+  const [light, dark] = [luminance(a), luminance(b)].sort((p, q) => q - p);
+  return (light + 0.05) / (dark + 0.05);
+};
+
+test('high-contrast objects stand out from the background by at least 3:1', () => {
+  const palette = paletteById('highContrast');
+  palette.objects.forEach((color) => assert.ok(contrast(color, palette.background) >= 3, `${color} is ${contrast(color, palette.background).toFixed(2)}:1`));
+  assert.equal(new Set(palette.objects).size, palette.objects.length);
+});
@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { canvasToWorld, drawGrid, fitCamera, panCamera, worldToCanvas, zoomCamera } from '../src/render/camera.js';
+import { sceneCamera } from '../src/render/scenes.js';
+import { getEngine, runSimulation } from '../src/physics/index.js';
+import { close } from './helpers.js';
+
+const view = { width: 600, height: 400 };
+
+const onCanvas = ({ x, y }) => x >= 0 && x <= view.width && y >= 0 && y <= view.height;
+
+test('fitCamera puts grounded scenes on the bottom margin and centres the rest', () => {
+  const grounded = fitCamera({ minX: 0, maxX: 100, minY: 0, maxY: 10, grounded: true }, view);
+  assert.equal(grounded.scale, 5);
+  close(worldToCanvas(grounded, 0, 0).y, 350);
+  close(worldToCanvas(grounded, 50, 0).x, 300);
+
+  const centred = fitCamera({ minX: -1, maxX: 1, minY: -1, maxY: 1, grounded: false }, view);
+  close(worldToCanvas(centred, 0, 0).x, 300);
+  close(worldToCanvas(centred, 0, 0).y, 230);
+});
+
+test('a fast launch is fitted onto the canvas', () => {
+  const params = { ...getEngine('projectile').initialParams({}), velocity: 30, angle: 45 };
+  const run = runSimulation('projectile', params);
+  const camera = sceneCamera('projectile', params, run, view);
+  run.samples.forEach((sample) => assert.ok(onCanvas(worldToCanvas(camera, sample.bodies[0].x, sample.bodies[0].y))));
+  assert.ok(worldToCanvas(camera, run.samples.at(-1).bodies[0].x, 0).x > 500);
+});
+
+test('a zoomed or panned camera replaces the fitted one', () => {
+  const params = getEngine('pendulum').initialParams({});
+  const camera = { scale: 10, x0: 0, y0: 0 };
+  assert.equal(sceneCamera('pendulum', params, runSimulation('pendulum', params), { ...view, camera }), camera);
+});
+
+test('zooming keeps the point under the pointer in place', () => {
+  const camera = { scale: 20, x0: 50, y0: 350 };
+  const before = canvasToWorld(camera, 200, 120);
+  const zoomed = zoomCamera(camera, 2.5, 200, 120);
+  assert.equal(zoomed.scale, 50);
+  const after = worldToCanvas(zoomed, before.x, before.y);
+  close(after.x, 200);
+  close(after.y, 120);
+  assert.equal(zoomCamera(camera, 1e6, 0, 0).scale, 400);
+});
+
+test('panning moves the world with the pointer', () => {
+  const panned = panCamera({ scale: 20, x0: 50, y0: 350 }, 30, -10);
+  assert.deepEqual(panned, { scale: 20, x0: 80, y0: 340 });
+});
+
+test('grid ticks are labelled in metres, along x only for lanes', () => {
+  const labels = [];
+  const ctx = new Proxy({}, {
+    get: (_, name) => (...args) => {
+      if (name === 'fillText') labels.push(args[0]);
+    },
+    set: () => true
+  });
+  drawGrid(ctx, { scale: 20, x0: 50, y0: 350 }, view);
+  assert.ok(['0m', '5m', '10m', '25m'].every((label) => labels.includes(label)));
+
+  labels.length = 0;
+  drawGrid(ctx, { scale: 20, x0: 50, y0: 350 }, view, { horizontal: false });
+  assert.deepEqual(labels, ['0m', '5m', '10m', '15m', '20m', '25m']);
+});
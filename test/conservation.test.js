@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  collisionSummary,
+  describeDrift,
+  energyAt,
+  energyDrift,
+  momentum,
+  peakEnergy,
+  runSimulation,
+  solverOptions
+} from '../src/physics/index.js';
+import { close, paramsFor } from './helpers.js';
+
+test('momentum is m·v per object and summed over the system', () => {
+  const params = paramsFor('collision', { massA: 2, massB: 3, velocity: 4, velocityB: -1 });
+  const { objects, total } = momentum(params, runSimulation('collision', params).samples[0]);
+  assert.deepEqual(objects.map(({ px }) => px), [8, -3]);
+  assert.deepEqual(total, { px: 5, py: 0 });
+});
+
+test('energy splits into kinetic and potential parts that add up', () => {
+  const params = paramsFor('pendulum', { angle: 60, mass: 2 });
+  const run = runSimulation('pendulum', params);
+  const start = energyAt('pendulum', params, run.samples[0]);
+  close(start.kinetic, 0);
+  close(start.total, 2 * 9.8 * 2 * (1 - Math.cos(Math.PI / 3)));
+  close(peakEnergy('pendulum', params, run), start.total, 1e-6);
+});
+
+test('exact and RK4 runs keep their energy', () => {
+  const params = paramsFor('projectile', { velocity: 30, angle: 45 });
+  ['auto', 'rk4'].forEach((choice) => {
+    const check = energyDrift('projectile', params, runSimulation('projectile', params, solverOptions(choice)));
+    assert.equal(check.checked, true);
+    assert.equal(check.flagged, false);
+    assert.equal(describeDrift('projectile', check, 1).level, 'ok');
+  });
+});
+
+test('semi-implicit Euler drift on a spring is flagged', () => {
+  const params = paramsFor('linear', { velocity: 3, springConstant: 20, mass: 2 });
+  const check = energyDrift('linear', params, runSimulation('linear', params, { dt: 1 / 120, ...solverOptions('euler') }));
+  assert.equal(check.flagged, true);
+  assert.ok(Math.abs(check.drift) > 0.005);
+  assert.equal(describeDrift('linear', check, params.time).level, 'warning');
+});
+
+test('dissipative runs are not checked and incline checks stop at the foot', () => {
+  const slide = paramsFor('linear', { velocity: 6, friction: 0.5 });
+  assert.equal(energyDrift('linear', slide, runSimulation('linear', slide)).checked, false);
+  assert.match(describeDrift('linear', { checked: false }, 5).text, /friction/);
+
+  const ramp = paramsFor('incline', {});
+  const run = runSimulation('incline', ramp);
+  const check = energyDrift('incline', ramp, run);
+  assert.equal(check.flagged, false);
+  assert.ok(check.checkedUntil < run.duration);
+});
+
+test('collision summary reports momentum before and after and the energy lost', () => {
+  const params = paramsFor('collision', { massA: 2, massB: 2, velocity: 4, velocityB: 0, restitution: 0 });
+  const summary = collisionSummary(params, runSimulation('collision', params));
+  assert.equal(summary.collided, true);
+  close(summary.before.momentum.px, 8);
+  close(summary.after.momentum.px, 8);
+  close(summary.before.kinetic, 16);
+  close(summary.kineticLost, 8);
+  close(summary.fractionLost, 0.5);
+  assert.equal(summary.momentumFlagged, false);
+  assert.match(describeDrift('collision', energyDrift('collision', params, runSimulation('collision', params)), 1).text, /inelastic/);
+});
@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GRAVITY_PRESETS, clampControl, engines, orderControls } from '../src/physics/index.js';
+
+test('every control has a range and a default the engine starts from', () => {
+  Object.values(engines).forEach((engine) => {
+    const params = engine.initialParams({});
+    engine.controls.forEach((control) => {
+      assert.ok(control.min < control.max, `${engine.type}.${control.key} range`);
+      assert.ok(control.default >= control.min && control.default <= control.max, `${engine.type}.${control.key} default in range`);
+      assert.equal(params[control.key], control.default, `${engine.type}.${control.key} default`);
+    });
+  });
+});
+
+test('mass, friction and incline angle are adjustable', () => {
+  ['projectile', 'linear', 'incline', 'pendulum'].forEach((type) => {
+    assert.ok(engines[type].controls.some(({ key }) => key === 'mass'), `${type} mass`);
+  });
+  assert.deepEqual(
+    engines.incline.controls.filter(({ key }) => ['angle', 'friction', 'staticFriction'].includes(key)).map(({ key }) => key),
+    ['angle', 'friction', 'staticFriction']
+  );
+});
+
+test('gravity presets fit every gravity control', () => {
+  assert.deepEqual(GRAVITY_PRESETS.map(({ label }) => label), ['Earth', 'Moon', 'Mars', 'Jupiter']);
+  Object.values(engines).flatMap((engine) => engine.controls.filter(({ key }) => key === 'gravity')).forEach((control) => {
+    GRAVITY_PRESETS.forEach(({ value }) => assert.equal(clampControl(control, value), value));
+  });
+});
+
+test('typed values are held to the range and non-numbers rejected', () => {
+  const control = { key: 'angle', min: 0, max: 90 };
+  assert.equal(clampControl(control, 45), 45);
+  assert.equal(clampControl(control, 120), 90);
+  assert.equal(clampControl(control, -5), 0);
+  assert.equal(clampControl(control, Number.NaN), null);
+});
+
+test('controls the scenario lists as adjustable come first', () => {
+  const keys = orderControls(engines.projectile.controls, ['angle', 'mass', 'unknown']).map(({ key }) => key);
+  assert.deepEqual(keys.slice(0, 2), ['angle', 'mass']);
+  assert.equal(keys.length, engines.projectile.controls.length);
+  assert.deepEqual(orderControls(engines.pendulum.controls), engines.pendulum.controls);
+});
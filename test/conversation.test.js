@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  ScenarioValidationError,
+  answerConversation,
+  applyMergePatch,
+  askConversation,
+  askConversationOffline,
+  createConversation,
+  createMockProvider,
+  describeChange,
+  exampleProblems,
+  followUpOf,
+  patchChanges
+} from '../src/ai/index.js';
+
+test('merge patches merge objects, replace arrays and delete on null', () => {
+  const target = { parameters: { gravity: 9.8, time: 5, initialVelocity: { magnitude: 0, angle: 0 } }, objects: [{ name: 'A' }, { name: 'B' }] };
+  const patch = { parameters: { time: null, initialVelocity: { angle: 30 } }, objects: [{ name: 'C' }] };
+  assert.deepEqual(applyMergePatch(target, patch), {
+    parameters: { gravity: 9.8, initialVelocity: { magnitude: 0, angle: 30 } },
+    objects: [{ name: 'C' }]
+  });
+  assert.equal(target.parameters.time, 5);
+  assert.deepEqual(patchChanges(patch).map(describeChange), ['parameters.time removed', 'parameters.initialVelocity.angle = 30', 'objects: 1 entry']);
+});
+
+test('a follow-up sends the history and current scenario, and patches the scenario', async () => {
+  const sent = [];
+  const mock = createMockProvider();
+  const provider = { complete: async (messages) => { sent.push(messages); return mock.complete(messages); } };
+
+  const first = await askConversation(provider, createConversation(), exampleProblems[1]);
+  assert.equal(first.scenario.parameters.time, 5);
+  assert.deepEqual(first.turns, [{ text: exampleProblems[1], changes: null }]);
+
+  const next = await askConversation(provider, first, 'Then it coasts for 3 s.');
+  assert.deepEqual(sent[1].slice(0, 2), first.messages);
+  assert.equal(followUpOf(sent[1]).text, 'Then it coasts for 3 s.');
+  assert.deepEqual(followUpOf(sent[1]).scenario, first.scenario);
+  assert.deepEqual(next.scenario.parameters.phases, [{ acceleration: { x: 2, y: 0 }, duration: 5 }, { acceleration: { x: 0, y: 0 }, duration: 3 }]);
+  assert.equal(next.scenario.parameters.time, undefined);
+  assert.equal(next.scenario.objects[0].mass, 1000);
+  assert.equal(next.messages.length, 4);
+
+  // The offline parser carries on the same conversation
+  const offline = askConversationOffline(next, 'What if the car had a mass of 1500 kg?');
+  assert.equal(offline.scenario.objects[0].mass, 1500);
+  assert.equal(offline.scenario.parameters.phases.length, 2);
+  assert.deepEqual(offline.turns.map(({ text }) => text), [exampleProblems[1], 'Then it coasts for 3 s.', 'What if the car had a mass of 1500 kg?']);
+});
+
+test('a patch that breaks the scenario is rejected and the conversation is kept', () => {
+  const conversation = askConversationOffline(createConversation(), exampleProblems[0]);
+  assert.throws(() => answerConversation(conversation, 'Make it a rocket', '{"problemType": "rocket"}'), ScenarioValidationError);
+  assert.equal(conversation.turns.length, 1);
+  assert.equal(answerConversation(conversation, 'Make it a pendulum', '{"problemType": "pendulum"}').scenario.problemType, 'pendulum');
+});
@@ -0,0 +1,163 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { repairScenario } from '../src/ai/index.js';
+import { runSimulation, sampleAt } from '../src/physics/index.js';
+import { solveScenario } from '../src/solutions/index.js';
+import { createScenarioDocument, readScenarioDocument } from '../src/storage/index.js';
+import { addSurface, editTools, editedParams, moveObject, removeSurface, setObjectVelocity, surfaceAt } from '../src/editor/index.js';
+import { drawScene, sceneView } from '../src/render/scenes.js';
+import { close, scenarioParams } from './helpers.js';
+
+const scenarioFor = (problemType, extra = {}) => repairScenario({ problemType, ...extra }).scenario;
+
+test('dragging an object writes its start position and only that parameter changes', () => {
+  const scenario = scenarioFor('projectile', { objects: [{ name: 'Ball' }, { name: 'Stone' }] });
+  const params = { ...scenarioParams(scenario), gravity: 1.62 };
+  const moved = moveObject(scenario, params, 0, { x: 3.456, y: 2 });
+  assert.deepEqual(moved.objects[0].initialPosition, { x: 3.46, y: 2 });
+  assert.deepEqual(scenario.objects[0].initialPosition, { x: 0, y: 0 });
+
+  const next = editedParams(scenario, moved, params);
+  assert.equal(next.position, 3.46);
+  assert.equal(next.height, 2);
+  assert.equal(next.gravity, 1.62);
+  const [start] = runSimulation('projectile', next).samples[0].bodies;
+  assert.deepEqual({ x: start.x, y: start.y }, { x: 3.46, y: 2 });
+
+  const second = moveObject(moved, next, 1, { x: -2, y: 0 });
+  assert.equal(editedParams(moved, second, next).objects[1].position, -2);
+});
+
+test('a velocity arrow sets the launch within the engine’s ranges', () => {
+  const projectile = scenarioFor('projectile', { objects: [{ name: 'Ball' }, { name: 'Stone' }] });
+  const launched = setObjectVelocity(projectile, scenarioParams(projectile), 0, { x: 3, y: 4 });
+  assert.equal(launched.parameters.initialVelocity.magnitude, 5);
+  assert.equal(launched.parameters.initialVelocity.angle, 53);
+  assert.equal(setObjectVelocity(projectile, scenarioParams(projectile), 0, { x: -3, y: 0 }).parameters.initialVelocity.angle, 90);
+  assert.deepEqual(setObjectVelocity(projectile, scenarioParams(projectile), 1, { x: -3, y: 1.234 }).objects[1].velocity, { x: -3, y: 1.23 });
+
+  const collision = scenarioFor('collision');
+  const edited = setObjectVelocity(collision, scenarioParams(collision), 1, { x: -4.2, y: 3 });
+  assert.deepEqual(edited.objects[1].velocity, { x: -4, y: 0 });
+  assert.equal(scenarioParams(edited).velocityB, -4);
+
+  const incline = scenarioFor('incline', { parameters: { angle: 30 } });
+  const pushed = setObjectVelocity(incline, scenarioParams(incline), 0, { x: Math.cos(Math.PI / 6) * 4, y: -Math.sin(Math.PI / 6) * 4 });
+  assert.equal(pushed.parameters.initialVelocity.magnitude, 4);
+  assert.equal(pushed.parameters.angle, 30);
+});
+
+test('colliding objects keep A on the track and clear to the left of B', () => {
+  const scenario = scenarioFor('collision');
+  const params = scenarioParams(scenario);
+  assert.equal(params.positionA, -5);
+  assert.equal(params.positionB, 0);
+
+  const raised = moveObject(scenario, params, 1, { x: 2, y: 0.8 });
+  const next = editedParams(scenario, raised, params);
+  assert.equal(next.positionB, 2);
+  assert.equal(next.offset, 0.8);
+  assert.deepEqual(runSimulation('collision', next).samples[0].bodies.map(({ x, y }) => ({ x, y })), [{ x: -5, y: 0 }, { x: 2, y: 0.8 }]);
+
+  const crowded = editedParams(raised, moveObject(raised, next, 0, { x: 5, y: 1 }), next);
+  assert.ok(crowded.positionA < crowded.positionB - 0.8);
+  assert.equal(runSimulation('collision', crowded).samples[0].bodies[0].y, 0);
+});
+
+test('the pendulum bob and a pivot set the string length and release angle', () => {
+  const scenario = scenarioFor('pendulum');
+  const params = scenarioParams(scenario);
+  const dragged = moveObject(scenario, params, 0, { x: 1, y: -1 });
+  assert.equal(dragged.parameters.length, 1.4);
+  assert.equal(dragged.parameters.angle, 45);
+  close(dragged.objects[0].initialPosition.x, 0.99, 1e-12);
+
+  // Bob starts at (1, -√3) for L = 2 m, 30°; a pivot 1 m lower shortens the string
+  const rehung = addSurface(scenario, params, 'pivot', { x: 0, y: -1 });
+  assert.equal(rehung.parameters.length, 1.2);
+  assert.equal(rehung.parameters.angle, 54);
+  assert.equal(rehung.surfaces, undefined);
+  assert.deepEqual(editTools('pendulum').map(({ id }) => id), ['move', 'ground', 'ramp', 'pivot', 'erase']);
+});
+
+test('surfaces are drawn level or upright and can be erased', () => {
+  const scenario = scenarioFor('projectile');
+  const params = scenarioParams(scenario);
+  let edited = addSurface(scenario, params, 'ground', { x: 0, y: 1 }, { x: 4, y: 1.7 });
+  edited = addSurface(edited, params, 'wall', { x: 6, y: 0 }, { x: 6.4, y: 3 });
+  assert.equal(addSurface(edited, params, 'ramp', { x: 0, y: 0 }, { x: 0.05, y: 0 }), edited);
+  assert.deepEqual(edited.surfaces, [
+    { kind: 'ground', from: { x: 0, y: 1 }, to: { x: 4, y: 1 } },
+    { kind: 'wall', from: { x: 6, y: 0 }, to: { x: 6, y: 3 } }
+  ]);
+
+  assert.equal(surfaceAt(edited.surfaces, { x: 2, y: 1.1 }, 0.2), 0);
+  assert.equal(surfaceAt(edited.surfaces, { x: 6.1, y: 2 }, 0.2), 1);
+  assert.equal(surfaceAt(edited.surfaces, { x: 3, y: 3 }, 0.2), -1);
+  assert.deepEqual(removeSurface(edited, 1).surfaces.map(({ kind }) => kind), ['ground']);
+
+  // Nothing would act on a pivot outside a pendulum scene or a wall beside a
+  // slope, so neither is offered or kept
+  assert.ok(!editTools('projectile').some(({ id }) => id === 'pivot'));
+  assert.equal(addSurface(edited, params, 'pivot', { x: 2, y: 5 }), edited);
+  const slope = scenarioFor('incline');
+  assert.equal(addSurface(slope, scenarioParams(slope), 'wall', { x: 1, y: 0 }, { x: 1, y: 2 }), slope);
+
+  const incline = scenarioFor('incline');
+  const ramp = addSurface(incline, scenarioParams(incline), 'ramp', { x: 0, y: 3 }, { x: 4, y: 0 });
+  assert.equal(ramp.parameters.angle, 37);
+  assert.equal(ramp.parameters.distance, 5);
+  assert.equal(ramp.surfaces, undefined);
+});
+
+test('a wall stops a projectile and a car that run into it', () => {
+  const scenario = scenarioFor('projectile', { parameters: { initialVelocity: { magnitude: 20, angle: 45 } } });
+  const params = scenarioParams(scenario);
+  const walled = addSurface(scenario, params, 'wall', { x: 10, y: 0 }, { x: 10, y: 12 });
+  const next = editedParams(scenario, walled, params);
+  assert.deepEqual(next.walls, [{ x: 10, bottom: 0, top: 12 }]);
+
+  // Without the wall it would land 40.8 m away
+  for (const options of [{}, { solver: 'numeric', integrator: 'euler' }]) {
+    const end = runSimulation('projectile', next, options).samples.at(-1).bodies[0];
+    close(end.x, 10, 1e-6);
+    assert.ok(end.y > 7, `hits the wall ${end.y} m up`);
+  }
+  const steps = solveScenario('projectile', next);
+  assert.equal(steps.at(-1).title, 'Hits the wall');
+
+  // A low wall is flown over
+  const low = editedParams(scenario, addSurface(scenario, params, 'wall', { x: 10, y: 0 }, { x: 10, y: 2 }), params);
+  assert.ok(runSimulation('projectile', low).samples.at(-1).bodies[0].x > 40);
+
+  const road = scenarioFor('linear', { parameters: { initialVelocity: { magnitude: 10 } } });
+  const roadParams = scenarioParams(road);
+  const blocked = editedParams(road, addSurface(road, roadParams, 'wall', { x: 30, y: 0 }, { x: 30, y: 2 }), roadParams);
+  for (const solver of ['analytic', 'numeric']) {
+    const run = runSimulation('linear', blocked, { solver });
+    close(sampleAt(run, 2).bodies[0].x, 20);
+    assert.deepEqual(run.samples.at(-1).bodies[0], { x: 30, y: 0, vx: 0, vy: 0, ax: 0 });
+  }
+});
+
+test('edited scenarios survive a save and reopen, and the scene draws their surfaces', () => {
+  const scenario = scenarioFor('linear');
+  const params = scenarioParams(scenario);
+  const edited = addSurface(moveObject(scenario, params, 0, { x: -3, y: 0 }), params, 'wall', { x: 12, y: 0 }, { x: 12, y: 2 });
+  const next = editedParams(scenario, edited, params);
+  const loaded = readScenarioDocument(JSON.stringify(createScenarioDocument({ problemText: '', scenario: edited, warnings: [], params: next })));
+  assert.deepEqual(loaded.scenario, edited);
+  assert.deepEqual(loaded.params, next);
+
+  const strokes = [];
+  const ctx = new Proxy({}, {
+    get: (target, key) => (key in target ? target[key] : key === 'lineTo' ? (x, y) => strokes.push({ x, y }) : () => {}),
+    set: (target, key, value) => { target[key] = value; return true; }
+  });
+  const run = runSimulation('linear', next);
+  const view = sceneView({ width: 600, height: 400 });
+  const marks = drawScene(ctx, 'linear', run.samples[0], next, view, run, { surfaces: edited.surfaces });
+  assert.equal(marks.length, 1);
+  assert.ok(Number.isFinite(marks[0].x) && marks[0].velocityScale > 0);
+  assert.ok(strokes.length > 0);
+});
@@ -0,0 +1,169 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { exampleProblems, parseProblemOffline } from '../src/ai/index.js';
+import { EmbedOptionsError, createPlayer, embedControls, loadEmbedScenario, mount, resolveEmbedOptions } from '../src/embed/index.js';
+import { getEngine } from '../src/physics/index.js';
+import { createScenarioDocument, ScenarioFileError } from '../src/storage/index.js';
+
+const thrown = () => parseProblemOffline(exampleProblems[0]);
+
+// Just enough of a document for the widget to build itself into
+const fakeDocument = () => {
+  const byId = {};
+  const node = (tag) => {
+    const item = {
+      tag,
+      children: [],
+      attributes: {},
+      listeners: {},
+      style: { setProperty: (name, value) => { item.style[name] = value; } },
+      setAttribute: (name, value) => { item.attributes[name] = String(value); },
+      appendChild: (child) => {
+        item.children.push(child);
+        child.parent = item;
+        if (child.id) byId[child.id] = child;
+        return child;
+      },
+      replaceChildren: () => { item.children = []; },
+      remove: () => { item.parent.children = item.parent.children.filter((child) => child !== item); },
+      addEventListener: (type, listener) => { item.listeners[type] = listener; },
+      getContext: () => new Proxy({}, { get: () => () => {}, set: () => true })
+    };
+    return item;
+  };
+  const frames = [];
+  return {
+    head: node('head'),
+    createElement: node,
+    getElementById: (id) => byId[id] ?? null,
+    defaultView: { requestAnimationFrame: (callback) => frames.push(callback), cancelAnimationFrame: () => {} },
+    frames
+  };
+};
+
+const findAll = (root, predicate) => [...(predicate(root) ? [root] : []), ...root.children.flatMap((child) => findAll(child, predicate))];
+
+test('a scenario file, a parsed scenario or a problem sets the widget up', () => {
+  const doc = createScenarioDocument({ scenario: thrown(), params: { ...loadEmbedScenario(thrown()).params, velocity: 14 } });
+  assert.equal(loadEmbedScenario(JSON.stringify(doc)).params.velocity, 14);
+  assert.equal(loadEmbedScenario(doc, { velocity: 8, bogus: 1 }).params.velocity, 8);
+  assert.equal(loadEmbedScenario(doc, { bogus: 1 }).params.bogus, undefined);
+
+  const options = resolveEmbedOptions({ problem: exampleProblems[1], theme: 'dark', width: 320 });
+  assert.equal(options.scenario.problemType, 'linear');
+  assert.deepEqual([options.width, options.height], [320, 400]);
+  assert.equal(options.theme.palette, 'dark');
+  assert.equal(resolveEmbedOptions({ scenario: thrown(), theme: { colors: { accent: 'red' } } }).theme.colors.accent, 'red');
+  assert.equal(resolveEmbedOptions({ problemPanel: true }).scenario, null);
+
+  assert.throws(() => resolveEmbedOptions({}), EmbedOptionsError);
+  assert.throws(() => resolveEmbedOptions({ scenario: thrown(), theme: 'neon' }), /Unknown theme "neon"/);
+  assert.throws(() => resolveEmbedOptions({ scenario: thrown(), height: -1 }), /height must be a positive number/);
+  assert.throws(() => resolveEmbedOptions({ scenario: '{ nope' }), /not valid JSON/);
+  assert.throws(() => resolveEmbedOptions({ scenario: { problemType: 'warp' } }), EmbedOptionsError);
+  assert.throws(() => resolveEmbedOptions({ scenario: { ...doc, version: 99 } }), ScenarioFileError);
+});
+
+test('the chosen controls are shown in the order given', () => {
+  const { scenario, params } = loadEmbedScenario(thrown());
+  assert.deepEqual(embedControls(scenario, params, ['gravity', 'angle', 'nope']).map(({ key }) => key), ['gravity', 'angle']);
+  assert.deepEqual(embedControls(scenario, params, false), []);
+  assert.deepEqual(embedControls(scenario, params).slice(0, 3).map(({ key }) => key), scenario.adjustableParameters.slice(0, 3));
+});
+
+test('the player reports time, events passed and new parameters', () => {
+  const calls = [];
+  const player = createPlayer({
+    loop: false,
+    onTimeUpdate: (time) => calls.push(['time', time]),
+    onEvent: (event) => calls.push(['event', event.id]),
+    onParamsChange: (params) => calls.push(['params', params.velocity])
+  });
+  const { scenario, params } = loadEmbedScenario(thrown());
+  player.load(scenario, params);
+  assert.deepEqual(calls, [['params', 10], ['time', 0]]);
+
+  calls.length = 0;
+  player.seek(1.5);
+  assert.deepEqual(calls.map(([kind, value]) => (kind === 'event' ? value : kind)), ['apex', 'time']);
+
+  calls.length = 0;
+  player.setParams({ velocity: 1000, unknown: 3 });
+  assert.deepEqual(calls[0], ['params', getEngine('projectile').controls.find(({ key }) => key === 'velocity').max]);
+  player.setParams({ unknown: 3 });
+  assert.equal(calls.length, 2);
+
+  let ended = false;
+  for (let i = 0; i < 1000 && !ended; i += 1) ended = player.tick(0.1);
+  assert.ok(ended);
+  assert.equal(player.current().time, player.current().run.duration);
+});
+
+test('before a scenario loads the player ignores seeking and keeps slider values for it', () => {
+  const calls = [];
+  const player = createPlayer({ onTimeUpdate: (time) => calls.push(time), onParamsChange: (params) => calls.push(params.velocity) });
+  player.seek(1);
+  assert.equal(player.tick(0.1), false);
+  player.setParams({ velocity: 14, unknown: 3 });
+  assert.deepEqual(calls, []);
+  assert.equal(player.current(), null);
+
+  const { scenario, params } = loadEmbedScenario(thrown());
+  player.load(scenario, params);
+  assert.equal(player.current().params.velocity, 14);
+  assert.equal('unknown' in player.current().params, false);
+});
+
+test('mount builds the widget, plays on animation frames and comes apart again', () => {
+  const doc = fakeDocument();
+  const element = doc.createElement('div');
+  element.ownerDocument = doc;
+  const times = [];
+  const changes = [];
+  const sim = mount(element, {
+    scenario: thrown(),
+    controls: ['angle'],
+    theme: 'dark',
+    onTimeUpdate: (time) => times.push(time),
+    onParamsChange: (params) => changes.push(params.angle)
+  });
+
+  const root = element.children[0];
+  assert.equal(root.style['--kv-background'], '#0F172A');
+  assert.ok(doc.getElementById('kinevision-embed-style'));
+  const ranges = findAll(root, (item) => item.tag === 'input' && item.attributes.type === 'range');
+  assert.deepEqual(ranges.map((range) => range.attributes['aria-label']), ['Timeline', 'Launch Angle']);
+  const sliders = ranges.slice(1);
+  assert.deepEqual(findAll(root, (item) => item.tag === 'form'), []);
+
+  // Autoplay: each animation frame moves the clock on
+  doc.frames.shift()(0);
+  doc.frames.shift()(50);
+  assert.ok(Math.abs(sim.getState().time - 0.05) < 1e-9);
+  assert.ok(times.length >= 2);
+
+  sliders[0].value = '30';
+  sliders[0].listeners.input();
+  assert.equal(changes.at(-1), 30);
+  assert.equal(sim.getState().params.angle, 30);
+
+  sim.seek(0.5);
+  assert.equal(sim.getState().time, 0.5);
+  sim.destroy();
+  assert.deepEqual(element.children, []);
+});
+
+test('a widget with only the problem panel can be sought and given values before it has a problem', () => {
+  const doc = fakeDocument();
+  const element = doc.createElement('div');
+  element.ownerDocument = doc;
+  const sim = mount(element, { problemPanel: true, params: { angle: 30 } });
+  sim.seek(1);
+  sim.setParams({ angle: 60 });
+  sim.play();
+  assert.equal(sim.getState(), null);
+
+  sim.load(thrown());
+  assert.equal(sim.getState().params.angle, 60);
+  sim.destroy();
+});
@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectEvents, getEngine, parseCondition, projectileMetrics, resolveCollision, runSimulation } from '../src/physics/index.js';
+import { drawScene } from '../src/render/scenes.js';
+import { close, paramsFor } from './helpers.js';
+
+const find = (events, id) => events.filter((event) => event.id === id);
+
+test('apex and landing match the closed form whatever the frame step', () => {
+  const params = paramsFor('projectile', { velocity: 20, angle: 30 });
+  const expected = projectileMetrics(params);
+  [{ dt: 1 / 240 }, { dt: 0.1 }, { dt: 0.1, solver: 'numeric' }].forEach((options) => {
+    const events = detectEvents('projectile', params, runSimulation('projectile', params, options));
+    const [apex] = find(events, 'apex');
+    const [landing] = find(events, 'landing');
+    close(apex.time, expected.timeOfFlight / 2);
+    close(apex.readout[0].value, expected.maxHeight, 1e-8);
+    close(landing.time, expected.timeOfFlight);
+    close(landing.readout[0].value, expected.range, 1e-8);
+  });
+});
+
+test('landing with drag is found between integrator steps', () => {
+  const params = paramsFor('projectile', { velocity: 20, angle: 45, linearDrag: 0.3 });
+  const coarse = find(detectEvents('projectile', params, runSimulation('projectile', params, { dt: 1 / 30 })), 'landing')[0];
+  const fine = find(detectEvents('projectile', params, runSimulation('projectile', params, { dt: 1 / 240 })), 'landing')[0];
+  close(coarse.time, fine.time, 1e-6);
+  close(coarse.time, getEngine('projectile').duration(params), 1e-6);
+});
+
+test('every object of a group gets its own events', () => {
+  const params = paramsFor('projectile', {}, { objects: [{ name: 'Ball' }, { name: 'Stone', velocity: { x: 5, y: 5 } }] });
+  const events = detectEvents('projectile', params, runSimulation('projectile', params));
+  assert.deepEqual(events.map(({ label, object }) => `${label} ${object}`), ['Apex Stone', 'Landing Stone', 'Apex Ball', 'Landing Ball']);
+  close(events[1].time, 10 / 9.8);
+});
+
+test('user conditions are timed exactly', () => {
+  // x = 10t − t²: passes 20 m at t = 5 − √5 and stops at t = 5 s, x = 25 m
+  const params = paramsFor('linear', { velocity: 10, acceleration: -2, time: 8 });
+  const run = runSimulation('linear', params);
+  const events = detectEvents('linear', params, run, ['x = 20 m', 'v = 0'].map(parseCondition));
+  assert.deepEqual(events.map(({ label }) => label), ['x = 20 m', 'Stops', 'v = 0 m/s']);
+  close(events[0].time, 5 - Math.sqrt(5));
+  close(events[1].time, 5);
+  close(events[1].readout[0].value, 25, 1e-8);
+});
+
+test('collision contact and a cart brought to rest', () => {
+  const params = paramsFor('collision', { velocity: 3, velocityB: 0, massA: 1, massB: 1, restitution: 1 });
+  const events = detectEvents('collision', params, runSimulation('collision', params), [parseCondition('v = 0')]);
+  const { contactTime } = resolveCollision(params);
+  close(find(events, 'contact')[0].time, contactTime);
+  // Reported as they arrive: A at 3 m/s, B at rest
+  assert.deepEqual(find(events, 'contact')[0].readout.map(({ value }) => value), [3, 0]);
+  const stopped = find(events, 'condition');
+  assert.equal(stopped.length, 1);
+  assert.equal(stopped[0].object, 'Object A');
+  close(stopped[0].time, contactTime);
+});
+
+test('pendulum turning points come back to the release angle', () => {
+  const params = paramsFor('pendulum', { angle: 20 });
+  const turns = find(detectEvents('pendulum', params, runSimulation('pendulum', params)), 'turn');
+  assert.equal(turns.length, 5);
+  turns.forEach((turn, idx) => close(Math.abs(turn.readout[0].value), 20, 1e-3 * (idx + 1)));
+});
+
+test('parseCondition reads a quantity, a value and an optional unit', () => {
+  assert.deepEqual(parseCondition('x = 20 m'), { quantity: 'x', target: 20, label: 'x = 20 m' });
+  assert.deepEqual(parseCondition(' VY=-2.5 '), { quantity: 'vy', target: -2.5, label: 'vy = -2.5 m/s' });
+  assert.equal(parseCondition('t = 2 m'), null);
+  assert.equal(parseCondition('height = 3'), null);
+});
+
+test('event markers are labelled on the canvas', () => {
+  const params = paramsFor('projectile', { velocity: 20, angle: 30 });
+  const run = runSimulation('projectile', params);
+  const labels = [];
+  const ctx = new Proxy({}, {
+    get: (_, name) => (...args) => {
+      if (name === 'fillText') labels.push(args[0]);
+    },
+    set: () => true
+  });
+  drawScene(ctx, 'projectile', run.samples[0], params, { width: 600, height: 400 }, run, { events: detectEvents('projectile', params, run) });
+  assert.ok(labels.includes('Apex'));
+  assert.ok(labels.includes('Landing'));
+});
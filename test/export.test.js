@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EXPORT_COLUMNS, exportSeries, frameTimes, renderFrames, toCSV, toJSON } from '../src/export/index.js';
+import { runSimulation } from '../src/physics/index.js';
+import { recordingContext } from './helpers.js';
+
+const launch = { velocity: 10, gravity: 9.8, angle: 90, mass: 1 };
+
+test('exportSeries samples the run at round times', () => {
+  const rows = exportSeries('projectile', launch);
+  assert.equal(rows[0].t, 0);
+  assert.ok(Math.abs(rows[10].t - 0.1) < 1e-9);
+  assert.ok(Math.abs(rows[rows.length - 1].t - (2 * 10) / 9.8) < 1e-9);
+});
+
+test('toCSV writes a unit header and one line per row', () => {
+  const rows = exportSeries('projectile', launch);
+  const lines = toCSV(rows).trimEnd().split('\n');
+  assert.equal(lines[0], 't (s),object,x (m),y (m),vx (m/s),vy (m/s),ax (m/s²),ay (m/s²),KE (J),PE (J),E (J)');
+  assert.equal(lines.length, rows.length + 1);
+  const [t, object, ...values] = lines[1].split(',');
+  assert.deepEqual([Number(t), object], [0, 'Object 1']);
+  assert.deepEqual(values.map(Number), [0, 0, 0, 10, 0, -9.8, 50, 0, 50]);
+});
+
+test('every object gets its own rows, named in the object column', () => {
+  const chase = {
+    position: 0, velocity: 0, acceleration: 3, time: 10, mass: 1,
+    objects: [{ name: 'Car A' }, { name: 'Car B, the bus', velocity: 12, acceleration: 0, mass: 1, position: 40 }]
+  };
+  const rows = exportSeries('linear', chase);
+  assert.deepEqual(rows.slice(0, 2).map(({ object, x }) => [object, x]), [['Car A', 0], ['Car B, the bus', 40]]);
+  const atFive = rows.filter(({ t }) => Math.abs(t - 5) < 1e-9);
+  assert.deepEqual(atFive.map(({ object }) => object), ['Car A', 'Car B, the bus']);
+  assert.ok(Math.abs(atFive[0].x - 37.5) < 1e-6);
+  assert.ok(Math.abs(atFive[1].x - 100) < 1e-6);
+
+  const lines = toCSV(rows).trimEnd().split('\n');
+  assert.equal(lines[2].split(',')[1], '"Car B');
+  assert.equal(lines.length, rows.length + 1);
+});
+
+test('toJSON keeps the parameters, units and every sample', () => {
+  const rows = exportSeries('projectile', launch);
+  const data = JSON.parse(toJSON({ problemType: 'projectile', params: launch, rows }));
+  assert.equal(data.problemType, 'projectile');
+  assert.deepEqual(data.params, launch);
+  assert.deepEqual(Object.keys(data.units), EXPORT_COLUMNS.filter(({ unit }) => unit).map(({ key }) => key));
+  assert.equal(data.samples.length, rows.length);
+  assert.equal(data.samples[0].vy, 10);
+  assert.equal(data.samples[0].object, 'Object 1');
+});
+
+test('frameTimes covers the run including both ends', () => {
+  assert.deepEqual(frameTimes(0.1, 30), [0, 1 / 30, 2 / 30, 0.1]);
+  assert.deepEqual(frameTimes(0, 30), [0]);
+});
+
+test('headless frame export is deterministic', () => {
+  const scene = {
+    problemType: 'projectile',
+    run: runSimulation('projectile', launch, { dt: 1 / 240 }),
+    params: launch,
+    view: { width: 600, height: 400, groundY: 350 }
+  };
+  const render = () => {
+    const { ctx, calls } = recordingContext();
+    const frames = [];
+    const count = renderFrames(ctx, scene, (index, time) => frames.push({ index, time, calls: calls.length }), { fps: 10 });
+    return { count, frames, calls };
+  };
+
+  const first = render();
+  assert.equal(first.count, frameTimes(scene.run.duration, 10).length);
+  assert.deepEqual(first.frames.map(({ index }) => index), [...Array(first.count).keys()]);
+  assert.deepEqual(render(), first);
+});
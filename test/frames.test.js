@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  GROUND_FRAME,
+  frameMotion,
+  referenceFrames,
+  runInFrame,
+  runSimulation,
+  sampleAt,
+  stateInFrame
+} from '../src/physics/index.js';
+import { carriedCamera } from '../src/render/frames.js';
+import { drawScene, sceneCamera } from '../src/render/scenes.js';
+import { close, paramsFor } from './helpers.js';
+
+const river = () => paramsFor('projectile', {}, {
+  objects: [{ name: 'Boat' }],
+  parameters: { initialVelocity: { magnitude: 3, angle: 90 }, gravity: 0 },
+  frame: { name: 'River', velocity: { x: 2, y: 0 }, width: 40 }
+});
+
+test('each scenario can be watched from the ground, its objects, moving frames and the centre of mass', () => {
+  const collision = paramsFor('collision');
+  const run = runSimulation('collision', collision);
+  const ids = referenceFrames(collision, run.samples[0]).map(({ id }) => id);
+  assert.deepEqual(ids, ['ground', 'object-0', 'object-1', 'moving', 'centerOfMass']);
+
+  const boat = river();
+  const frames = referenceFrames(boat, runSimulation('projectile', boat).samples[0], { velocity: { x: 5, y: 0 } });
+  assert.deepEqual(frames.map(({ id }) => id), ['ground', 'object-0', 'carrier', 'moving']);
+  assert.equal(frames[2].label, 'River');
+  assert.equal(frames[3].vx, 5);
+});
+
+test('the centre of mass keeps a steady velocity through a collision', () => {
+  const params = { ...paramsFor('collision'), massA: 2, massB: 1, velocity: 3, velocityB: 0 };
+  const run = runSimulation('collision', params);
+  const centre = referenceFrames(params, run.samples[0]).find(({ id }) => id === 'centerOfMass');
+  [run.samples[0], run.samples.at(-1)].forEach((state) => close(frameMotion(centre, params, state).vx, 2, 1e-6));
+
+  // Seen from there, the momenta cancel
+  const seen = stateInFrame(centre, params, run.samples[0]);
+  close(params.massA * seen.bodies[0].vx + params.massB * seen.bodies[1].vx, 0, 1e-6);
+  assert.equal(runInFrame(GROUND_FRAME, params, run).samples[5].bodies[0].x, run.samples[5].bodies[0].x);
+});
+
+test('objects in a moving frame are carried along with it over the ground', () => {
+  const boat = river();
+  const run = runSimulation('projectile', boat);
+  close(run.duration, 40 / 3);
+  const end = run.samples.at(-1).bodies[0];
+  close(end.x, 2 * (40 / 3));
+  close(end.y, 40);
+  close(end.vx, 2);
+
+  // Seen from the river, the boat goes straight across
+  const carrier = referenceFrames(boat, run.samples[0]).find(({ id }) => id === 'carrier');
+  const seen = stateInFrame(carrier, boat, sampleAt(run, 5)).bodies[0];
+  close(seen.x, 0);
+  close(seen.vx, 0);
+  close(seen.vy, 3);
+
+  const walker = paramsFor('linear', {}, {
+    parameters: { initialVelocity: { magnitude: 1.5 } },
+    frame: { name: 'Train', velocity: { x: 20, y: 0 } }
+  });
+  close(runSimulation('linear', walker).samples[0].bodies[0].vx, 21.5);
+});
+
+test('a frame carries the camera along and is named on the canvas', () => {
+  assert.deepEqual(carriedCamera({ x0: 50, y0: 300, scale: 10 }, { x: 2, y: 1 }), { x0: 30, y0: 310, scale: 10 });
+
+  const boat = river();
+  const run = runSimulation('projectile', boat);
+  const view = { width: 600, height: 400 };
+  const frame = referenceFrames(boat, run.samples[0]).find(({ id }) => id === 'object-0');
+  assert.ok(sceneCamera('projectile', boat, run, view, [], [], frame).scale <= sceneCamera('projectile', boat, run, view).scale);
+
+  const texts = [];
+  const ctx = new Proxy({}, {
+    get: (_, name) => (name === 'fillText' ? (text) => texts.push(text) : () => {}),
+    set: () => true
+  });
+  drawScene(ctx, 'projectile', sampleAt(run, 5), boat, view, run, { frame });
+  assert.ok(texts.includes('River: 2.00 m/s'));
+  assert.ok(texts.some((text) => text.startsWith('Seen from: Boat')));
+
+  texts.length = 0;
+  drawScene(ctx, 'projectile', sampleAt(run, 5), boat, view, run);
+  assert.ok(!texts.some((text) => text.startsWith('Seen from')));
+});
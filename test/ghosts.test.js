@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { differingControls, getEngine, projectileMetrics, runMetrics, runSimulation } from '../src/physics/index.js';
+import { GHOST_COLORS, MAX_GHOSTS, pinRun } from '../src/render/ghosts.js';
+import { drawScene, sceneCamera } from '../src/render/scenes.js';
+import { worldToCanvas } from '../src/render/camera.js';
+import { close } from './helpers.js';
+
+const view = { width: 600, height: 400 };
+const launch = (overrides) => ({ ...getEngine('projectile').initialParams({}), angle: 45, velocity: 15, ...overrides });
+
+test('runMetrics gives range, run time and highest point', () => {
+  const params = launch({});
+  const metrics = runMetrics(runSimulation('projectile', params));
+  const expected = projectileMetrics(params);
+  close(metrics.range, expected.range, 1e-6);
+  close(metrics.time, expected.timeOfFlight, 1e-6);
+  close(metrics.maxHeight, expected.maxHeight, 1e-3);
+});
+
+test('differingControls lists only the settings that tell runs apart', () => {
+  const { controls } = getEngine('projectile');
+  assert.deepEqual(differingControls(controls, [launch({}), launch({ velocity: 20 }), launch({ gravity: 1.6 })]).map(({ key }) => key), ['velocity', 'gravity']);
+  assert.deepEqual(differingControls(controls, [launch({}), launch({})]), []);
+});
+
+test('pinRun numbers runs, keeps colours distinct and keeps the newest five', () => {
+  const run = runSimulation('projectile', launch({}));
+  let ghosts = [];
+  for (let i = 0; i < MAX_GHOSTS; i += 1) ghosts = pinRun(ghosts, launch({ velocity: 10 + i }), run);
+  assert.deepEqual(ghosts.map(({ label }) => label), ['Run 1', 'Run 2', 'Run 3', 'Run 4', 'Run 5']);
+  assert.deepEqual(ghosts.map(({ color }) => color), GHOST_COLORS);
+
+  ghosts = pinRun(ghosts, launch({ velocity: 30 }), run);
+  assert.equal(ghosts.length, MAX_GHOSTS);
+  assert.equal(ghosts[0].label, 'Run 2');
+  assert.equal(ghosts.at(-1).label, 'Run 6');
+  assert.equal(ghosts.at(-1).color, GHOST_COLORS[0]);
+});
+
+test('the fitted camera and the canvas take in pinned runs', () => {
+  const params = launch({});
+  const run = runSimulation('projectile', params);
+  const farther = launch({ velocity: 30 });
+  const ghosts = pinRun([], farther, runSimulation('projectile', farther));
+  const camera = sceneCamera('projectile', params, run, view, ghosts);
+  assert.ok(worldToCanvas(camera, projectileMetrics(farther).range, 0).x <= view.width);
+  assert.ok(camera.scale < sceneCamera('projectile', params, run, view).scale);
+
+  const labels = [];
+  const ctx = new Proxy({}, {
+    get: (_, name) => (...args) => {
+      if (name === 'fillText') labels.push(args[0]);
+    },
+    set: () => true
+  });
+  drawScene(ctx, 'projectile', run.samples[0], params, view, run, { ghosts });
+  assert.ok(labels.includes('Run 1'));
+});
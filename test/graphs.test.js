@@ -0,0 +1,19 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { graphRange, niceStep } from '../src/render/graphs.js';
+
+test('niceStep picks 1, 2 or 5 times a power of ten', () => {
+  assert.equal(niceStep(10), 5);
+  assert.equal(niceStep(3), 1);
+  assert.equal(niceStep(0.7), 0.2);
+  assert.equal(niceStep(450), 200);
+});
+
+test('graphRange includes zero and pads the data', () => {
+  const rows = [{ x: 2, y: -1 }, { x: 10, y: 3 }];
+  const lines = [{ key: 'x' }, { key: 'y' }];
+  const { min, max } = graphRange(rows, lines);
+  assert.ok(min < -1 && max > 10);
+  assert.deepEqual(graphRange([{ x: 5 }], [{ key: 'x' }]), { min: 0, max: 5.4 });
+  assert.deepEqual(graphRange([{ x: 0 }], [{ key: 'x' }]), { min: -1, max: 1 });
+});
@@ -0,0 +1,32 @@
+import assert from 'node:assert/strict';
+import { getEngine } from '../src/physics/index.js';
+
+// Helpers shared by the test files
+
+// Fails unless `actual` is within `tolerance` of `expected`
+export const close = (actual, expected, tolerance = 1e-9) =>
+  assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${actual} to be within ${tolerance} of ${expected}`);
+
+// Canvas context stand-in that records every call and property write, as
+// [name, ...args] and [`${name}=`, value]; measureText reports no width
+export const recordingContext = () => {
+  const calls = [];
+  const ctx = new Proxy({}, {
+    get: (_, name) => (...args) => {
+      calls.push([name, ...args]);
+      return { width: 0 };
+    },
+    set: (_, name, value) => {
+      calls.push([`${String(name)}=`, value]);
+      return true;
+    }
+  });
+  return { ctx, calls };
+};
+
+// The engine's starting parameters for a parsed scenario
+export const scenarioParams = (scenario) => getEngine(scenario.problemType).initialParams(scenario);
+
+// Starting parameters for `problemType` from the parsed values in `parsed`,
+// with `overrides` set on top as the sliders would
+export const paramsFor = (problemType, overrides = {}, parsed = {}) => ({ ...scenarioParams({ problemType, ...parsed }), ...overrides });
@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { freeBodies, getEngine, kinematicSeries, runSimulation, sampleAt } from '../src/physics/index.js';
+import { close } from './helpers.js';
+
+const seriesFor = (problemType, params, options) =>
+  kinematicSeries(problemType, runSimulation(problemType, params, options), params);
+
+test('projectile series has constant ax = 0 and ay = -g', () => {
+  const params = { velocity: 15, gravity: 9.8, angle: 60, mass: 2 };
+  const rows = seriesFor('projectile', params, { dt: 0.01 });
+  rows.forEach((row) => {
+    close(row.ax, 0, 1e-9);
+    close(row.ay, -9.8, 1e-6);
+  });
+  close(rows[0].vy, 15 * Math.sin(Math.PI / 3), 1e-6);
+});
+
+test('mechanical energy is conserved for a projectile', () => {
+  const params = { velocity: 15, gravity: 9.8, angle: 60, mass: 2 };
+  const rows = seriesFor('projectile', params, { dt: 0.01 });
+  close(rows[0].kinetic, 0.5 * 2 * 15 * 15, 1e-6);
+  rows.forEach((row) => close(row.energy, rows[0].energy, 1e-6));
+});
+
+test('linear series uses the acceleration the engine reports', () => {
+  const rows = seriesFor('linear', { velocity: 4, acceleration: -2, time: 5, mass: 1 }, { dt: 0.1 });
+  assert.equal(rows[0].ax, -2);
+  assert.equal(rows[rows.length - 1].ax, 0);
+  assert.equal(rows[rows.length - 1].vx, 0);
+});
+
+test('pendulum potential energy is measured from the bottom of the swing', () => {
+  const params = { length: 2, angle: 90, gravity: 9.8, mass: 1 };
+  const rows = seriesFor('pendulum', params, { dt: 0.002 });
+  close(rows[0].potential, 2 * 9.8, 1e-6);
+  close(rows[0].kinetic, 0, 1e-6);
+  close(rows[rows.length - 1].energy, rows[0].energy, 1e-6);
+});
+
+test('collision energy sums both bodies and drops in an inelastic impact', () => {
+  const params = { massA: 2, massB: 1, velocity: 3, velocityB: 0, restitution: 0, offset: 0 };
+  const rows = seriesFor('collision', params);
+  close(rows[0].energy, 9, 1e-6);
+  close(rows[rows.length - 1].energy, 0.5 * 3 * 2 * 2, 1e-6);
+});
+
+test('free body on an incline has weight and a normal force of m g cos θ', () => {
+  const params = { ...getEngine('incline').initialParams({}), mass: 2, angle: 30 };
+  const [body] = freeBodies('incline', params, sampleAt(runSimulation('incline', params), 0.5));
+  assert.deepEqual(body.forces.map(({ id }) => id), ['gravity', 'normal']);
+  close(body.forces[1].magnitude, 2 * 9.8 * Math.cos(Math.PI / 6), 1e-6);
+  close(Math.hypot(body.ax, body.ay), 9.8 * Math.sin(Math.PI / 6), 1e-6);
+});
+
+test('pendulum tension at the bottom is m (g + L ω²)', () => {
+  const params = { length: 2, angle: 40, gravity: 9.8, mass: 1.5 };
+  const state = { time: 0, theta: 0, omega: 1.2, bodies: [{ x: 0, y: -2, vx: 2.4, vy: 0 }] };
+  const [body] = freeBodies('pendulum', params, state);
+  const tension = body.forces.find(({ id }) => id === 'tension');
+  close(tension.fy, 1.5 * (9.8 + 2 * 1.2 ** 2), 1e-6);
+  close(body.ay, 2 * 1.2 ** 2, 1e-6);
+});
+
+test('net force over mass matches the recorded acceleration on a braking car', () => {
+  const params = { ...getEngine('linear').initialParams({}), velocity: 10, acceleration: -2, mass: 800 };
+  const [body] = freeBodies('linear', params, sampleAt(runSimulation('linear', params), 1));
+  const braking = body.forces.find(({ id }) => id === 'braking');
+  close(braking.fx, -1600, 1e-6);
+  close(body.ax, -2, 1e-6);
+  close(body.ay, 0, 1e-6);
+});
+
+test('free bodies cover every object of a group', () => {
+  const params = { ...getEngine('projectile').initialParams({}), linearDrag: 0.5, objects: [{ name: 'A' }, { name: 'B', mass: 2 }] };
+  const bodies = freeBodies('projectile', params, sampleAt(runSimulation('projectile', params), 0.2));
+  assert.equal(bodies.length, 2);
+  assert.deepEqual(bodies[0].forces.map(({ id }) => id), ['gravity', 'drag']);
+  close(bodies[1].forces[0].fy, -2 * 9.8, 1e-6);
+});
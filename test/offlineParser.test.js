@@ -0,0 +1,211 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { exampleProblems, parseFollowUpOffline, parseProblemOffline, repairScenario, validateScenario } from '../src/ai/index.js';
+import { clampControl, collisionRadius, getEngine, runSimulation } from '../src/physics/index.js';
+import { scenarioParams } from './helpers.js';
+
+const parsedParams = (text) => scenarioParams(parseProblemOffline(text));
+
+test('every example problem parses into a valid scenario', () => {
+  exampleProblems.forEach((text) => assert.deepEqual(validateScenario(parseProblemOffline(text)), [], text));
+});
+
+test('example problems map to the expected engines and values', () => {
+  const [thrown, car, block, collision] = exampleProblems.map(parseProblemOffline);
+
+  assert.equal(thrown.problemType, 'projectile');
+  assert.deepEqual(thrown.parameters.initialVelocity, { magnitude: 10, direction: 'up', angle: 90 });
+
+  assert.equal(car.problemType, 'linear');
+  assert.equal(car.parameters.initialVelocity.magnitude, 0);
+  assert.deepEqual(car.parameters.acceleration, { x: 2, y: 0 });
+  assert.equal(car.parameters.time, 5);
+
+  assert.equal(block.problemType, 'incline');
+  assert.equal(block.parameters.angle, 30);
+  assert.equal(block.parameters.friction, 0);
+  assert.equal(block.parameters.initialVelocity.magnitude, 5);
+
+  assert.equal(collision.problemType, 'collision');
+  assert.deepEqual(collision.objects.map(({ name, mass, velocity }) => ({ name, mass, vx: velocity.x })), [
+    { name: 'Object A', mass: 2, vx: 3 },
+    { name: 'Object B', mass: 1, vx: 0 }
+  ]);
+});
+
+test('chase problems keep every named object with its own motion', () => {
+  const chase = parseProblemOffline(exampleProblems[4]);
+  assert.equal(chase.problemType, 'linear');
+  assert.deepEqual(chase.objects.map(({ name, velocity, acceleration }) => ({ name, vx: velocity.x, ax: acceleration?.x })), [
+    { name: 'Car A', vx: 0, ax: 3 },
+    { name: 'Car B', vx: 12, ax: undefined }
+  ]);
+  assert.equal(chase.parameters.time, 10);
+
+  const params = parsedParams('Car B is 40 m ahead of Car A. Car A moves at 20 m/s and car B moves at 12 m/s. When does A catch B?');
+  assert.equal(params.velocity, 20);
+  assert.deepEqual(params.objects, [
+    { name: 'Car A' },
+    { name: 'Car B', velocity: 12, acceleration: 0, mass: 1, position: 40 }
+  ]);
+});
+
+test('unit variants are converted to SI', () => {
+  const truck = parseProblemOffline('A 1500 kg truck traveling at 72 km/h brakes at 4 m/s^2.');
+  assert.equal(truck.problemType, 'linear');
+  assert.equal(truck.objects[0].mass, 1500);
+  assert.equal(truck.parameters.initialVelocity.magnitude, 20);
+  assert.deepEqual(truck.parameters.acceleration, { x: -4, y: 0 });
+
+  const sled = parseProblemOffline('A 500 g sled slides down a 30° ramp 250 cm long.');
+  assert.equal(sled.objects[0].mass, 0.5);
+  assert.equal(sled.parameters.distance, 2.5);
+});
+
+test('heights, lengths, friction and planets are recognized', () => {
+  const cliff = parseProblemOffline('A stone is thrown horizontally at 15 m/s from a 20 m cliff on Mars.');
+  assert.equal(cliff.objects[0].initialPosition.y, 20);
+  assert.equal(cliff.parameters.initialVelocity.angle, 0);
+  assert.equal(cliff.parameters.gravity, 3.71);
+
+  const pendulum = parseProblemOffline('A pendulum of length 1.5 m is released from 20 degrees.');
+  assert.equal(pendulum.problemType, 'pendulum');
+  assert.equal(pendulum.parameters.length, 1.5);
+  assert.equal(pendulum.parameters.angle, 20);
+
+  const box = parseProblemOffline('A 2 kg box slides down a ramp inclined at 25 degrees with a coefficient of kinetic friction of 0.2.');
+  assert.equal(box.parameters.friction, 0.2);
+});
+
+test('collision objects keep their own masses, velocities and restitution', () => {
+  const params = parsedParams('Car A (1000 kg) moving at 20 m/s collides with car B (1500 kg) moving at 10 m/s in the opposite direction. They stick together.');
+  assert.deepEqual(
+    { massA: params.massA, massB: params.massB, velocity: params.velocity, velocityB: params.velocityB, restitution: params.restitution },
+    { massA: 1000, massB: 1500, velocity: 20, velocityB: -10, restitution: 0 }
+  );
+});
+
+test('a car and a truck keep their masses and speeds within the sliders', () => {
+  const engine = getEngine('collision');
+  const params = parsedParams('A 1500 kg car moving at 20 m/s collides head-on with a 1000 kg truck moving at 15 m/s toward it.');
+  assert.deepEqual([params.massA, params.massB, params.velocity, params.velocityB], [1500, 1000, 20, -15]);
+  engine.controls.forEach((control) => assert.equal(clampControl(control, params[control.key]), params[control.key], control.key));
+
+  // Large bodies start clear of each other
+  const [a, b] = engine.init(params).bodies;
+  assert.ok(b.x - a.x > collisionRadius(1500) + collisionRadius(1000));
+});
+
+test('drag, springs, applied forces and static friction are recognized', () => {
+  const thrown = parseProblemOffline('A 0.5 kg ball is thrown at 20 m/s at 45° with a drag coefficient of 0.01 kg/m.');
+  assert.deepEqual(thrown.parameters.drag, { quadratic: 0.01 });
+  assert.deepEqual(parseProblemOffline('A ball is dropped with linear drag b = 0.2 kg/s.').parameters.drag, { linear: 0.2 });
+
+  const spring = parseProblemOffline('A 2 kg block on a horizontal surface is attached to a spring with k = 5 N/cm and pulled 20 cm from equilibrium.');
+  assert.equal(spring.problemType, 'linear');
+  assert.deepEqual(spring.parameters.spring, { constant: 500, anchor: 0 });
+  assert.equal(spring.objects[0].initialPosition.x, 0.2);
+
+  const crate = parseProblemOffline('A 10 kg crate is pushed with a 50 N force. The coefficient of kinetic friction is 0.3 and the coefficient of static friction is 0.4.');
+  assert.equal(crate.problemType, 'linear');
+  assert.deepEqual(crate.parameters.force, { x: 50, y: 0 });
+  assert.equal(crate.parameters.friction, 0.3);
+  assert.equal(crate.parameters.staticFriction, 0.4);
+});
+
+test('unknown values are left out rather than invented', () => {
+  const scenario = parseProblemOffline('A ball is thrown.');
+  assert.equal(scenario.problemType, 'projectile');
+  assert.deepEqual(scenario.parameters, {});
+  assert.equal(scenario.objects[0].mass, undefined);
+});
+
+test('rolling or sliding off a table is a horizontal launch from its height', () => {
+  ['A ball rolls off a 1.2 m high table at 3 m/s.', 'A puck slides off a 0.8 m high bench at 2 m/s.'].forEach((text) => {
+    const parsed = parseProblemOffline(text);
+    assert.equal(parsed.problemType, 'projectile');
+    assert.deepEqual([parsed.parameters.initialVelocity.direction, parsed.parameters.initialVelocity.angle], ['right', 0]);
+    assert.ok(parsed.objects[0].initialPosition.y > 0);
+    const { warnings } = repairScenario(parsed);
+    assert.equal(warnings.some(({ path }) => path === 'parameters.initialVelocity.angle'), false);
+  });
+});
+
+test('cliffs, roofs and hillsides become terrain under the launch', () => {
+  const cliff = parseProblemOffline(exampleProblems[6]);
+  assert.deepEqual(cliff.objects[0].initialPosition, { x: 0, y: 20 });
+  assert.deepEqual(cliff.terrain, [{ kind: 'step', at: 0, height: 20 }]);
+  assert.equal(cliff.parameters.initialVelocity.angle, 0);
+  assert.equal(parsedParams(exampleProblems[6]).height, 20);
+
+  const roof = parseProblemOffline('A ball is launched at 20 m/s at 60° and lands on a roof 5 m high that is 10 m away.');
+  assert.deepEqual(roof.terrain, [{ kind: 'platform', height: 5, from: 10 }]);
+  assert.deepEqual(roof.objects[0].initialPosition, { x: 0, y: 0 });
+
+  const hill = parseProblemOffline('A ball is kicked at 15 m/s at 40° down a hill sloping at 20°.');
+  assert.equal(hill.parameters.initialVelocity.angle, 40);
+  assert.deepEqual(hill.terrain, [{ kind: 'slope', at: 0, height: 0, angle: -20 }]);
+  assert.equal(parseProblemOffline('A ball is thrown from a 12 m tower.').terrain, undefined);
+});
+
+test('a landing target without a launch angle is aimed at on the way down', () => {
+  const scenario = repairScenario(parseProblemOffline('A ball is thrown at 20 m/s and lands on a roof 5 m up, 30 m away.')).scenario;
+  const angle = scenario.parameters.initialVelocity.angle;
+  assert.ok(angle > 36 && angle < 36.2, `aimed at ${angle}°`);
+  const params = scenarioParams(scenario);
+  const [end] = runSimulation('projectile', params).samples.at(-1).bodies;
+  assert.ok(Math.abs(end.x - 30) < 0.01 && Math.abs(end.y - 5) < 0.01, `lands at (${end.x}, ${end.y})`);
+
+  // Out of reach, or launched some other way, it is left alone
+  assert.equal(parseProblemOffline('A ball is thrown at 5 m/s and lands on a roof 5 m up, 30 m away.').parameters.initialVelocity.angle, undefined);
+  assert.equal(parseProblemOffline('A ball is thrown horizontally at 20 m/s and lands on a roof 5 m up, 30 m away.').parameters.initialVelocity.angle, 0);
+});
+
+test('stages joined by "then" become phases, braking without a duration until the stop', () => {
+  const scenario = parseProblemOffline(exampleProblems[5]);
+  assert.deepEqual(scenario.parameters.phases, [
+    { acceleration: { x: 2, y: 0 }, duration: 5 },
+    { acceleration: { x: 0, y: 0 }, duration: 3 },
+    { acceleration: { x: -4, y: 0 } }
+  ]);
+  assert.equal(scenario.parameters.time, undefined);
+  assert.equal(parsedParams(exampleProblems[5]).time, 10.5);
+  assert.equal(parseProblemOffline('A car accelerates at 2 m/s² and then keeps going.').parameters.phases, undefined);
+});
+
+test('follow-ups are read as patches holding only what they state', () => {
+  const car = repairScenario(parseProblemOffline(exampleProblems[1])).scenario;
+  assert.deepEqual(parseFollowUpOffline('Then it brakes at 4 m/s² until it stops.', car), {
+    parameters: {
+      acceleration: null,
+      time: null,
+      phases: [{ acceleration: { x: 2, y: 0 }, duration: 5 }, { acceleration: { x: -4, y: 0 } }]
+    }
+  });
+  assert.deepEqual(parseFollowUpOffline('What if it happened on the moon?', car), { parameters: { gravity: 1.62 } });
+
+  const staged = repairScenario(parseProblemOffline(exampleProblems[5])).scenario;
+  const harder = parseFollowUpOffline('What if it brakes at 5 m/s² instead?', staged);
+  assert.deepEqual(harder.parameters.phases.map(({ acceleration }) => acceleration.x), [2, 0, -5]);
+
+  const collision = repairScenario(parseProblemOffline(exampleProblems[3])).scenario;
+  const heavier = parseFollowUpOffline('What if Object B had a mass of 4 kg?', collision);
+  assert.deepEqual(heavier.objects.map(({ mass }) => mass), [2, 4]);
+});
+
+test('rivers, trains and walkways become a moving frame with the objects inside it', () => {
+  const boat = parseProblemOffline(exampleProblems[7]);
+  assert.deepEqual(boat.frame, { name: 'River', velocity: { x: 2, y: 0 }, width: 40 });
+  assert.equal(boat.parameters.initialVelocity.magnitude, 3);
+  assert.equal(boat.parameters.initialVelocity.angle, 90);
+  assert.equal(boat.parameters.gravity, 0);
+  assert.deepEqual(boat.objects.map(({ name }) => name), ['Boat']);
+
+  const text = 'A passenger walks at 1.5 m/s toward the front of a train moving at 20 m/s.';
+  const walker = parseProblemOffline(text);
+  assert.equal(walker.problemType, 'linear');
+  assert.deepEqual(walker.frame, { name: 'Train', velocity: { x: 20, y: 0 } });
+  assert.equal(walker.parameters.initialVelocity.magnitude, 1.5);
+  assert.deepEqual(parsedParams(text).movingFrame, { name: 'Train', vx: 20, vy: 0 });
+  assert.equal(parseProblemOffline('A ball is thrown at 10 m/s.').frame, undefined);
+});
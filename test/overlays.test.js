@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_OVERLAYS, drawOverlays, forceScale, legendEntries } from '../src/render/overlays.js';
+import { recordingContext } from './helpers.js';
+
+const weight = { id: 'gravity', fx: 0, fy: -19.6, magnitude: 19.6 };
+const normal = { id: 'normal', fx: 0, fy: 19.6, magnitude: 19.6 };
+
+test('forceScale fits the largest force in the run to one arrow length', () => {
+  const diagrams = [[{ forces: [weight] }], [{ forces: [{ ...normal, magnitude: 39.2 }] }]];
+  assert.equal(forceScale(diagrams), 70 / 39.2);
+  assert.equal(forceScale([[{ forces: [] }]]), 0);
+});
+
+test('legend lists velocity, the enabled overlays and each force once', () => {
+  const bodies = [{ forces: [weight, normal] }, { forces: [weight] }];
+  assert.deepEqual(legendEntries(DEFAULT_OVERLAYS, bodies).map(({ id }) => id), ['velocity', 'acceleration']);
+  assert.deepEqual(
+    legendEntries({ acceleration: false, components: true, freeBody: true }, bodies).map(({ id }) => id),
+    ['velocity', 'components', 'gravity', 'normal']
+  );
+});
+
+test('free-body arrows carry their magnitude', () => {
+  const { ctx, calls } = recordingContext();
+  drawOverlays(ctx, [{ x: 100, y: 200, velocityScale: 3 }], {
+    bodies: [{ x: 0, y: 0, vx: 1, vy: 0 }],
+    diagrams: [{ forces: [weight, normal], ax: 0, ay: 0 }],
+    scale: forceScale([[{ forces: [weight, normal] }]]),
+    overlays: { acceleration: false, components: false, freeBody: true },
+    view: { width: 600, height: 400, groundY: 350 }
+  });
+  const labels = calls.filter(([name]) => name === 'fillText').map(([, text]) => text);
+  assert.ok(labels.includes('W = 19.6 N'));
+  assert.ok(labels.includes('N = 19.6 N'));
+});
@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FRAME_STEP, advanceClock, stepClock } from '../src/playback/clock.js';
+
+test('advanceClock scales real elapsed time by the playback speed', () => {
+  assert.deepEqual(advanceClock(1, 0.05, { duration: 4, speed: 0.5 }), { time: 1.025, ended: false });
+  assert.deepEqual(advanceClock(1, 0.05, { duration: 4, speed: 4 }), { time: 1.2, ended: false });
+});
+
+test('advanceClock caps long frame gaps', () => {
+  assert.deepEqual(advanceClock(0, 30, { duration: 4 }), { time: 0.1, ended: false });
+});
+
+test('advanceClock loops or stops at the end', () => {
+  const looped = advanceClock(3.95, 0.1, { duration: 4, loop: true });
+  assert.equal(looped.ended, false);
+  assert.ok(Math.abs(looped.time - 0.05) < 1e-9);
+  assert.deepEqual(advanceClock(3.95, 0.1, { duration: 4, loop: false }), { time: 4, ended: true });
+});
+
+test('stepClock moves one frame and stays within the run', () => {
+  assert.equal(stepClock(1, 1, 4), 1 + FRAME_STEP);
+  assert.equal(stepClock(1, -1, 4), 1 - FRAME_STEP);
+  assert.equal(stepClock(0, -1, 4), 0);
+  assert.equal(stepClock(4, 1, 4), 4);
+});
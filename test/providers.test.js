@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  ProviderError,
+  buildParseMessages,
+  createMockProvider,
+  createProvider,
+  createProxyProvider,
+  extractJson,
+  problemTextOf,
+  requestParse
+} from '../src/ai/index.js';
+
+const reply = (text, status = 200) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  json: async () => ({ content: [{ type: 'text', text }] })
+});
+
+test('problemTextOf recovers the statement embedded in the prompt', () => {
+  const text = 'A "heavy" ball rolls off a 2 m table.';
+  assert.equal(problemTextOf(buildParseMessages(text)), text);
+});
+
+test('extractJson tolerates prose around the object', () => {
+  assert.deepEqual(extractJson('Here you go:\n{"problemType": "linear"}\nThanks'), { problemType: 'linear' });
+  assert.throws(() => extractJson('no json here'), /did not contain a JSON object/);
+});
+
+test('mock provider answers each example problem with its problem type', async () => {
+  const provider = createProvider({ provider: 'mock' });
+  const cases = {
+    'A ball is thrown straight up with a speed of 10 m/s.': 'projectile',
+    'A car accelerates from rest at 2 m/s² for 5 seconds.': 'linear',
+    'A block slides down a frictionless incline at 30 degrees.': 'incline',
+    'Two objects collide: Object A (2 kg) hits stationary Object B (1 kg).': 'collision'
+  };
+  for (const [text, problemType] of Object.entries(cases)) {
+    assert.equal((await requestParse(provider, text)).problemType, problemType);
+  }
+});
+
+test('mock provider accepts custom canned responses', async () => {
+  const provider = createMockProvider({ responses: [{ match: /swing/, response: { problemType: 'pendulum' } }] });
+  assert.equal((await requestParse(provider, 'A swing moves')).problemType, 'pendulum');
+});
+
+test('proxy provider posts the model, token limit and messages to its endpoint', async () => {
+  let request;
+  const provider = createProxyProvider({
+    endpoint: 'http://localhost:9999/api/messages',
+    model: 'test-model',
+    fetchImpl: async (url, options) => {
+      request = { url, ...options, body: JSON.parse(options.body) };
+      return reply('{"problemType": "projectile"}');
+    }
+  });
+  assert.equal((await requestParse(provider, 'A ball')).problemType, 'projectile');
+  assert.equal(request.url, 'http://localhost:9999/api/messages');
+  assert.equal(request.method, 'POST');
+  assert.equal(request.body.model, 'test-model');
+  assert.equal(request.body.max_tokens, 1000);
+  assert.equal(request.body.messages[0].role, 'user');
+});
+
+test('proxy provider retries server errors and then succeeds', async () => {
+  let calls = 0;
+  const provider = createProxyProvider({
+    retries: 2,
+    retryDelayMs: 1,
+    fetchImpl: async () => (++calls < 3 ? reply('', 503) : reply('ok'))
+  });
+  assert.equal(await provider.complete([]), 'ok');
+  assert.equal(calls, 3);
+});
+
+test('proxy provider does not retry client errors', async () => {
+  let calls = 0;
+  const provider = createProxyProvider({ retryDelayMs: 1, fetchImpl: async () => (calls++, reply('', 401)) });
+  await assert.rejects(provider.complete([]), (error) => error instanceof ProviderError && error.status === 401);
+  assert.equal(calls, 1);
+});
+
+test('proxy provider gives up after the timeout on every attempt', async () => {
+  let calls = 0;
+  const hang = (url, { signal }) => new Promise((resolve, reject) => {
+    calls += 1;
+    signal.addEventListener('abort', () => reject(Object.assign(new Error('aborted'), { name: 'AbortError' })));
+  });
+  const provider = createProxyProvider({ timeoutMs: 5, retries: 1, retryDelayMs: 1, fetchImpl: hang });
+  await assert.rejects(provider.complete([]), /timed out after 5 ms/);
+  assert.equal(calls, 2);
+});
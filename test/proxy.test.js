@@ -0,0 +1,124 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { ANTHROPIC_VERSION, createProxyServer } from '../server/proxy.js';
+import { buildParseMessages } from '../src/ai/index.js';
+
+const listen = (server) => new Promise((resolve) => {
+  server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+});
+
+const post = (url, body) => fetch(`${url}/api/messages`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify(body)
+});
+
+test('mock mode answers with canned scenario JSON in the Messages API shape', async (t) => {
+  const server = createProxyServer({ mock: true });
+  t.after(() => server.close());
+  const url = await listen(server);
+
+  const response = await post(url, { messages: buildParseMessages('A car accelerates from rest at 2 m/s².') });
+  assert.equal(response.status, 200);
+  const data = await response.json();
+  assert.equal(JSON.parse(data.content[0].text).problemType, 'linear');
+});
+
+test('forwards to the upstream API with the key and version headers', async (t) => {
+  let forwarded;
+  const server = createProxyServer({
+    apiKey: 'sk-test',
+    model: 'default-model',
+    upstream: 'https://upstream.invalid/v1/messages',
+    fetchImpl: async (target, options) => {
+      forwarded = { target, ...options };
+      return new Response(JSON.stringify({ content: [{ type: 'text', text: '{}' }] }), { status: 200 });
+    }
+  });
+  t.after(() => server.close());
+  const url = await listen(server);
+
+  const response = await post(url, { max_tokens: 10, messages: [] });
+  assert.equal(response.status, 200);
+  assert.equal(forwarded.target, 'https://upstream.invalid/v1/messages');
+  assert.equal(forwarded.headers['x-api-key'], 'sk-test');
+  assert.equal(forwarded.headers['anthropic-version'], ANTHROPIC_VERSION);
+  assert.equal(JSON.parse(forwarded.body).model, 'default-model');
+});
+
+test('refuses to forward without an API key', async (t) => {
+  const server = createProxyServer({});
+  t.after(() => server.close());
+  const url = await listen(server);
+
+  const response = await post(url, { messages: [] });
+  assert.equal(response.status, 500);
+  assert.match((await response.json()).error.message, /ANTHROPIC_API_KEY/);
+});
+
+test('serves repository files but not paths outside it', async (t) => {
+  const server = createProxyServer({ mock: true });
+  t.after(() => server.close());
+  const url = await listen(server);
+
+  const page = await fetch(`${url}/`);
+  assert.equal(page.status, 200);
+  assert.match(page.headers.get('content-type'), /text\/html/);
+  // Dot segments are normalised away, so smuggle them in with encoded slashes
+  const status = await new Promise((resolve, reject) => {
+    http.get(`${url}/`, { path: '/..%2F..%2Fetc%2Fpasswd' }, (res) => resolve(res.statusCode)).on('error', reject);
+  });
+  assert.equal(status, 403);
+});
+
+test('malformed paths and bodies get a 400 instead of hanging', async (t) => {
+  const server = createProxyServer({ mock: true });
+  t.after(() => server.close());
+  const url = await listen(server);
+
+  const status = await new Promise((resolve, reject) => {
+    http.get(`${url}/`, { path: '/%E0%A4%A' }, (res) => resolve(res.statusCode)).on('error', reject);
+  });
+  assert.equal(status, 400);
+
+  for (const body of ['null', '[]', '42', '{"messages": "hi"}', '{ nope']) {
+    const response = await fetch(`${url}/api/messages`, { method: 'POST', body });
+    assert.equal(response.status, 400, body);
+    assert.match((await response.json()).error.message, /^Invalid request body/);
+  }
+});
+
+test('an oversized body is refused with a 400', async (t) => {
+  const server = createProxyServer({ mock: true });
+  t.after(() => server.close());
+  const url = await listen(server);
+
+  const { status, body } = await new Promise((resolve, reject) => {
+    const req = http.request(`${url}/api/messages`, { method: 'POST' }, (res) => {
+      let text = '';
+      res.on('data', (chunk) => { text += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: text }));
+    });
+    req.on('error', reject);
+    req.end('x'.repeat(2 * 1024 * 1024));
+  });
+  assert.equal(status, 400);
+  assert.match(JSON.parse(body).error.message, /too large/);
+});
+
+test('a slow upstream is abandoned after the timeout', async (t) => {
+  const server = createProxyServer({
+    apiKey: 'sk-test',
+    upstreamTimeoutMs: 20,
+    fetchImpl: (target, { signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(signal.reason));
+    })
+  });
+  t.after(() => server.close());
+  const url = await listen(server);
+
+  const response = await post(url, { messages: [] });
+  assert.equal(response.status, 504);
+  assert.match((await response.json()).error.message, /timed out/);
+});
@@ -0,0 +1,114 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { pendulumPeriod, projectileMetrics, runSimulation } from '../src/physics/index.js';
+import {
+  QUIZ_FORMAT,
+  createQuizSession,
+  exportSession,
+  predictionQuestions,
+  recordPredictions,
+  scorePrediction,
+  sessionSummary
+} from '../src/quiz/index.js';
+import { drawScene } from '../src/render/scenes.js';
+import { close, paramsFor } from './helpers.js';
+
+const view = { width: 600, height: 400 };
+
+const scenario = (problemType, parsed = {}, overrides = {}) => {
+  const params = paramsFor(problemType, overrides, parsed);
+  return { params, run: runSimulation(problemType, params), questions: (run) => predictionQuestions(problemType, params, run) };
+};
+
+const byId = (questions) => Object.fromEntries(questions.map((question) => [question.id, question]));
+
+test('projectile questions are answered from the run and can be picked on the canvas', () => {
+  const { params, run, questions } = scenario('projectile', {}, { velocity: 20, angle: 45 });
+  const asked = byId(questions(run));
+  const expected = projectileMetrics(params);
+  close(asked.landing.answer, expected.range, 1e-6);
+  assert.equal(asked.landing.axis, 'x');
+  close(asked.maxHeight.answer, expected.maxHeight, 1e-3);
+  assert.equal(asked.maxHeight.axis, 'y');
+  close(asked.flightTime.answer, expected.timeOfFlight, 1e-6);
+  assert.equal(asked.landing.prompt, 'Where does the object land?');
+
+  const straightUp = scenario('projectile', {}, { velocity: 10, angle: 90 });
+  assert.deepEqual(straightUp.questions(straightUp.run).map(({ id }) => id), ['maxHeight', 'flightTime']);
+});
+
+test('pendulum period comes from the turning points of the simulated swing', () => {
+  const { params, run, questions } = scenario('pendulum', {}, { angle: 10 });
+  close(byId(questions(run)).period.answer, pendulumPeriod(params), 0.02);
+});
+
+test('incline and collision questions ask what happens', () => {
+  const slide = scenario('incline', {}, { angle: 30, friction: 0 });
+  const slideQuestions = byId(slide.questions(slide.run));
+  assert.equal(slideQuestions.outcome.answer, 'Slides to the foot');
+  close(slideQuestions.slideTime.answer, slide.run.duration, 0.01);
+
+  const held = scenario('incline', {}, { angle: 10, friction: 0.5, staticFriction: 0.5 });
+  assert.deepEqual(held.questions(held.run).map(({ id, answer }) => [id, answer]), [['outcome', 'Stays at rest']]);
+
+  const hit = scenario('collision', { objects: [{ name: 'Cart', mass: 1 }, { name: 'Truck', mass: 3 }] }, { velocity: 4, velocityB: 0 });
+  const hitQuestions = byId(hit.questions(hit.run));
+  assert.deepEqual(hitQuestions.faster.choices, ['Cart', 'Truck', 'Same speed']);
+  // Elastic: the cart bounces back at half its speed, the truck moves off at 2 m/s
+  assert.equal(hitQuestions.faster.answer, 'Same speed');
+  close(hitQuestions.velocityAfter.answer, -2, 1e-6);
+});
+
+test('predictions are right within tolerance and close within twice it', () => {
+  const question = { kind: 'number', answer: 20, tolerance: { relative: 0.1, absolute: 0.5 } };
+  assert.equal(scorePrediction(question, 21.5).verdict, 'correct');
+  assert.equal(scorePrediction(question, 17).verdict, 'close');
+  assert.equal(scorePrediction(question, 30).verdict, 'wrong');
+  assert.equal(scorePrediction(question, Number.NaN).verdict, 'skipped');
+  // Small answers fall back to the absolute tolerance
+  assert.equal(scorePrediction({ ...question, answer: 0 }, 0.4).verdict, 'correct');
+
+  const choice = { kind: 'choice', answer: 'Cart', choices: ['Cart', 'Truck'] };
+  assert.deepEqual(scorePrediction(choice, 'Cart'), { verdict: 'correct', points: 1, error: null });
+  assert.equal(scorePrediction(choice, undefined).verdict, 'skipped');
+});
+
+test('a session keeps every round and exports it as JSON', () => {
+  const { params, run, questions } = scenario('projectile', {}, { velocity: 20, angle: 45 });
+  const asked = questions(run);
+  const answers = byId(asked);
+  let session = createQuizSession('2024-01-01T00:00:00.000Z');
+  session = recordPredictions(session, { problemText: 'A ball is kicked', problemType: 'projectile', params }, asked, {
+    landing: answers.landing.answer + 1,
+    maxHeight: answers.maxHeight.answer * 1.15
+  });
+
+  assert.deepEqual(session.results.map(({ question, verdict }) => [question, verdict]), [
+    ['landing', 'correct'],
+    ['maxHeight', 'close'],
+    ['flightTime', 'skipped']
+  ]);
+  assert.deepEqual(sessionSummary(session), { questions: 3, answered: 2, correct: 1, close: 1, points: 1.5, percent: 50 });
+
+  const exported = JSON.parse(exportSession(session));
+  assert.equal(exported.format, QUIZ_FORMAT);
+  assert.equal(exported.startedAt, '2024-01-01T00:00:00.000Z');
+  assert.equal(exported.results.length, 3);
+  assert.equal(exported.results[0].problemText, 'A ball is kicked');
+  assert.equal(exported.summary.points, 1.5);
+});
+
+test('prediction marks are drawn over the scene', () => {
+  const { params, run } = scenario('projectile', {}, { velocity: 20, angle: 45 });
+  const labels = [];
+  const ctx = new Proxy({}, {
+    get: (_, name) => (...args) => {
+      if (name === 'fillText') labels.push(args[0]);
+    },
+    set: () => true
+  });
+  drawScene(ctx, 'projectile', run.samples[0], params, view, run, {
+    predictions: [{ axis: 'x', value: 30, label: 'Your guess: 30 m', color: '#EA580C', dashed: true }]
+  });
+  assert.ok(labels.includes('Your guess: 30 m'));
+});
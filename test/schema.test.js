@@ -0,0 +1,159 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  ScenarioValidationError,
+  createMockProvider,
+  mockResponses,
+  repairScenario,
+  requestScenario,
+  validateScenario
+} from '../src/ai/index.js';
+import { getEngine } from '../src/physics/index.js';
+
+const pathsOf = (warnings) => warnings.map(({ path }) => path);
+
+test('canned mock replies satisfy the schema', () => {
+  mockResponses.forEach(({ response }) => assert.deepEqual(validateScenario(response), []));
+});
+
+test('validateScenario reports precise paths and reasons', () => {
+  const errors = validateScenario({
+    problemType: 'collision',
+    objects: [{ name: 'A', mass: -2 }, { name: 'B', mass: 'heavy' }],
+    parameters: { restitution: 1.5, initialVelocity: { magnitude: 3, direction: 'sideways' } }
+  });
+  assert.deepEqual(errors, [
+    { path: 'objects[0].mass', message: 'must be greater than 0 (got -2)' },
+    { path: 'objects[1].mass', message: 'expected a number, got "heavy"' },
+    { path: 'parameters.initialVelocity.direction', message: 'expected one of up, down, right, left, got "sideways"' },
+    { path: 'parameters.restitution', message: 'must be at most 1 (got 1.5)' }
+  ]);
+});
+
+test('unknown or missing problem types cannot be repaired', () => {
+  assert.match(repairScenario({ problemType: 'orbit' }).errors[0].message, /must be one of/);
+  assert.equal(repairScenario({}).errors[0].path, 'problemType');
+  assert.equal(repairScenario('nope').scenario, null);
+});
+
+test('zero values are kept rather than replaced by defaults', () => {
+  const { scenario, warnings } = repairScenario({
+    problemType: 'projectile',
+    objects: [{ name: 'Ball', mass: 1 }],
+    parameters: { initialVelocity: { magnitude: 0, angle: 45 }, gravity: 0 }
+  });
+  assert.equal(scenario.parameters.initialVelocity.magnitude, 0);
+  assert.equal(scenario.parameters.gravity, 0);
+  assert.deepEqual(warnings, []);
+
+  // The engines keep them too; only the repair fills in defaults, with a warning
+  const ramp = repairScenario({ problemType: 'incline', parameters: { distance: 0 } });
+  assert.equal(pathsOf(ramp.warnings).includes('parameters.distance'), false);
+  assert.equal(getEngine('incline').initialParams(ramp.scenario).length, 0);
+  assert.equal(getEngine('linear').initialParams({ parameters: { time: 0 } }).time, 0);
+  const still = repairScenario({ problemType: 'linear', parameters: { time: 0 } });
+  assert.deepEqual(pathsOf(still.warnings).filter((path) => path === 'parameters.time'), ['parameters.time', 'parameters.time']);
+  assert.equal(getEngine('linear').initialParams(still.scenario).time, 5);
+});
+
+test('every default that is filled in is reported', () => {
+  const { scenario, warnings } = repairScenario({ problemType: 'projectile', parameters: { initialVelocity: { direction: 'up' } } });
+  assert.equal(scenario.parameters.initialVelocity.magnitude, 10);
+  assert.equal(scenario.parameters.initialVelocity.angle, 90);
+  assert.equal(scenario.parameters.gravity, 9.8);
+  assert.equal(scenario.objects[0].mass, 1);
+  assert.deepEqual(pathsOf(warnings), [
+    'parameters.initialVelocity.magnitude',
+    'parameters.initialVelocity.angle',
+    'parameters.gravity',
+    'objects[0].mass'
+  ]);
+  assert.match(warnings[2].message, /assumed 9\.8 m\/s²/);
+});
+
+test('units block and inline units are converted to SI', () => {
+  const { scenario, warnings } = repairScenario({
+    problemType: 'linear',
+    objects: [{ name: 'Car', mass: '1.2 t' }],
+    parameters: { initialVelocity: { magnitude: 72 }, acceleration: { x: '-6.562 ft/s²', y: 0 }, time: 4 },
+    units: { velocity: 'km/h', acceleration: 'm/s^2' }
+  });
+  assert.equal(scenario.parameters.initialVelocity.magnitude, 20);
+  assert.ok(Math.abs(scenario.parameters.acceleration.x + 2.0001) < 1e-3);
+  assert.equal(scenario.objects[0].mass, 1200);
+  assert.deepEqual(scenario.units, { velocity: 'm/s', acceleration: 'm/s²', distance: 'm', mass: 'kg', time: 's', angle: 'deg', force: 'N', stiffness: 'N/m' });
+  assert.match(warnings.find(({ path }) => path === 'parameters.initialVelocity.magnitude').message, /72 km\/h converted to 20 m\/s/);
+});
+
+test('drag, spring and applied force values are checked and converted', () => {
+  const { scenario } = repairScenario({
+    problemType: 'linear',
+    parameters: { drag: { quadratic: 0.1 }, spring: { constant: '2 N/cm', anchor: '50 cm' }, force: { x: '10 lbf', y: 0 } }
+  });
+  assert.deepEqual(scenario.parameters.drag, { quadratic: 0.1 });
+  assert.deepEqual(scenario.parameters.spring, { constant: 200, anchor: 0.5 });
+  assert.ok(Math.abs(scenario.parameters.force.x - 44.482216) < 1e-6);
+  assert.deepEqual(validateScenario({ problemType: 'projectile', parameters: { drag: { linear: -1 } } }).map(({ path }) => path), ['parameters.drag.linear']);
+});
+
+test('radian angles are converted when declared and flagged when they look like radians', () => {
+  const declared = repairScenario({ problemType: 'incline', parameters: { angle: Math.PI / 6 }, units: { angle: 'radians' } });
+  assert.ok(Math.abs(declared.scenario.parameters.angle - 30) < 1e-9);
+
+  const suspicious = repairScenario({ problemType: 'incline', parameters: { angle: 0.5236 } });
+  assert.equal(suspicious.scenario.parameters.angle, 0.5236);
+  assert.match(suspicious.warnings.find(({ path }) => path === 'parameters.angle').message, /looks like radians/);
+});
+
+test('invalid values are dropped, reported and replaced by defaults', () => {
+  const { scenario, warnings } = repairScenario({
+    problemType: 'collision',
+    objects: [{ name: 'A', mass: -2 }],
+    parameters: { initialVelocity: { magnitude: 4 }, restitution: 1.5 }
+  });
+  assert.equal(scenario.objects.length, 2);
+  assert.equal(scenario.objects[0].mass, 1);
+  assert.equal(scenario.parameters.restitution, 1);
+  assert.deepEqual(pathsOf(warnings), [
+    'objects[0].mass',
+    'parameters.restitution',
+    'objects[1]',
+    'objects[0].mass',
+    'objects[1].mass',
+    'parameters.restitution'
+  ]);
+});
+
+test('terrain pieces are checked and their missing ends filled in', () => {
+  const { scenario, warnings } = repairScenario({
+    problemType: 'projectile',
+    terrain: [{ kind: 'Platform', height: '5 m', from: 10 }, { kind: 'hill', height: 2 }]
+  });
+  assert.deepEqual(scenario.terrain, [{ kind: 'platform', height: 5, from: 10, to: 15 }, { height: 2 }]);
+  assert.deepEqual(pathsOf(warnings).filter((path) => path.startsWith('terrain')), ['terrain[0].kind', 'terrain[0].height', 'terrain[1].kind', 'terrain[0].to']);
+});
+
+test('only a braking phase may leave its duration out', () => {
+  const { scenario, warnings } = repairScenario({
+    problemType: 'linear',
+    parameters: { phases: [{ acceleration: { x: 2 } }, { acceleration: { x: -4 } }] }
+  });
+  assert.deepEqual(scenario.parameters.phases.map(({ duration }) => duration), [5, undefined]);
+  assert.deepEqual(pathsOf(warnings).filter((path) => path.startsWith('parameters.phases')), ['parameters.phases[0].duration']);
+});
+
+test('problem type synonyms are accepted', () => {
+  assert.equal(repairScenario({ problemType: 'Inclined Plane' }).scenario.problemType, 'incline');
+  assert.equal(repairScenario({ problemType: 'free fall' }).scenario.problemType, 'projectile');
+});
+
+test('requestScenario rejects replies that cannot be repaired', async () => {
+  const provider = createMockProvider({ responses: [{ match: /./, response: { problemType: 'orbit' } }] });
+  await assert.rejects(requestScenario(provider, 'A satellite'), ScenarioValidationError);
+});
+
+test('requestScenario returns the repaired scenario with its warnings', async () => {
+  const { scenario, warnings } = await requestScenario(createMockProvider(), 'A ball is thrown straight up at 10 m/s.');
+  assert.equal(scenario.problemType, 'projectile');
+  assert.deepEqual(pathsOf(warnings), []);
+});
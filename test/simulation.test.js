@@ -0,0 +1,349 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  SOLVER_CHOICES,
+  createSimulation,
+  detectEvents,
+  getEngine,
+  groupEngine,
+  inclineAcceleration,
+  objectStates,
+  pendulumPeriod,
+  phaseSchedule,
+  projectileMetrics,
+  resolveCollision,
+  resolveEngine,
+  runSimulation,
+  sampleAt,
+  solverChoices,
+  solverOptions
+} from '../src/physics/index.js';
+import { close } from './helpers.js';
+
+const last = (run) => run.samples[run.samples.length - 1];
+const peak = (run) => Math.max(...run.samples.map((s) => s.bodies[0].y));
+
+const launch = { velocity: 20, gravity: 9.8, angle: 35, mass: 1 };
+const g = launch.gravity;
+const v0x = 20 * Math.cos((35 * Math.PI) / 180);
+const v0y = 20 * Math.sin((35 * Math.PI) / 180);
+
+test('projectileMetrics matches the closed-form answers', () => {
+  const { timeOfFlight, maxHeight, range } = projectileMetrics(launch);
+  close(timeOfFlight, (2 * v0y) / g, 1e-6);
+  close(maxHeight, (v0y * v0y) / (2 * g), 1e-6);
+  close(range, (400 * Math.sin((70 * Math.PI) / 180)) / g, 1e-6);
+});
+
+for (const solver of ['analytic', 'numeric']) {
+  test(`projectile (${solver}) lands at the closed-form range and time`, () => {
+    const run = runSimulation('projectile', launch, { dt: 0.001, solver });
+    const { timeOfFlight, maxHeight, range } = projectileMetrics(launch);
+    assert.equal(run.solver, solver);
+    close(run.duration, timeOfFlight, 1e-6);
+    close(last(run).time, timeOfFlight, 1e-6);
+    close(last(run).bodies[0].x, range, 1e-6);
+    close(last(run).bodies[0].y, 0, 1e-6);
+    close(peak(run), maxHeight, 1e-4);
+  });
+}
+
+test('vertical throw reaches v²/2g and returns after 2v/g', () => {
+  const params = getEngine('projectile').initialParams({
+    problemType: 'projectile',
+    parameters: { initialVelocity: { magnitude: 10, direction: 'up' } }
+  });
+  const run = runSimulation('projectile', params, { dt: 0.0005, solver: 'numeric' });
+  close(run.duration, 20 / 9.8, 1e-6);
+  close(peak(run), 100 / 19.6, 1e-5);
+  close(last(run).bodies[0].x, 0, 1e-9);
+});
+
+test('a launch from a height lands when it comes down to the ground below', () => {
+  const params = getEngine('projectile').initialParams({
+    problemType: 'projectile',
+    objects: [{ name: 'Stone', initialPosition: { x: 0, y: 20 } }],
+    parameters: { initialVelocity: { magnitude: 15, angle: 0 } },
+    terrain: [{ kind: 'step', at: 0, height: 20 }]
+  });
+  assert.equal(params.height, 20);
+  const fall = Math.sqrt((2 * 20) / g);
+  close(projectileMetrics(params).timeOfFlight, fall, 1e-9);
+  close(projectileMetrics({ ...params, terrain: null }).timeOfFlight, fall, 1e-9);
+  ['analytic', 'numeric'].forEach((solver) => {
+    const run = runSimulation('projectile', params, { dt: 0.001, solver });
+    close(run.duration, fall, 1e-9);
+    close(last(run).bodies[0].x, 15 * fall, 1e-5);
+  });
+});
+
+test('projectiles land on platforms and slopes, or run into their sides', () => {
+  const base = { ...launch, angle: 60, velocity: 20 };
+  const roof = { ...base, terrain: [{ kind: 'platform', from: 30, to: 40, height: 5 }] };
+  const [onRoof] = last(runSimulation('projectile', roof)).bodies;
+  close(onRoof.y, 5, 1e-6);
+  assert.ok(onRoof.x > 30 && onRoof.x < 40);
+
+  const wall = { ...base, terrain: [{ kind: 'platform', from: 10, to: 12, height: 30 }] };
+  const [stopped] = last(runSimulation('projectile', wall)).bodies;
+  close(stopped.x, 10, 1e-6);
+  assert.ok(stopped.y > 0 && stopped.y < 30);
+
+  // Down a 30° hillside: lands where y = −x·tan 30°
+  const hill = { ...base, angle: 0, terrain: [{ kind: 'slope', at: 0, height: 0, angle: -30 }] };
+  const time = (2 * 20 * Math.tan(Math.PI / 6)) / g;
+  close(getEngine('projectile').duration(hill), time, 1e-9);
+  const events = detectEvents('projectile', hill, runSimulation('projectile', hill, { dt: 0.05 }));
+  close(events.find(({ id }) => id === 'landing').time, time, 1e-6);
+});
+
+test('linear motion follows x = v0·t + ½·a·t² from rest', () => {
+  const params = { velocity: 0, acceleration: 2, time: 5, mass: 1 };
+  for (const solver of ['analytic', 'numeric']) {
+    const end = last(runSimulation('linear', params, { dt: 0.01, solver })).bodies[0];
+    close(end.x, 25, 1e-6);
+    close(end.vx, 10, 1e-6);
+  }
+});
+
+test('braking comes to rest instead of reversing', () => {
+  const params = { velocity: 10, acceleration: -2, time: 8, mass: 1 };
+  for (const solver of ['analytic', 'numeric']) {
+    const end = last(runSimulation('linear', params, { dt: 0.03, solver })).bodies[0];
+    close(end.x, 25, 1e-6);
+    assert.equal(end.vx, 0);
+  }
+});
+
+test('phases run one after another, each from where the last one left off', () => {
+  const engine = getEngine('linear');
+  const params = engine.initialParams({
+    parameters: { phases: [{ acceleration: { x: 2 }, duration: 5 }, { acceleration: { x: 0 }, duration: 3 }, { acceleration: { x: -4 } }] }
+  });
+  // The braking phase lasts until the car stops: 10 m/s at 4 m/s²
+  assert.deepEqual(params.phases.map(({ label, duration }) => [label, duration]), [['Speed up', 5], ['Coast', 3], ['Brake', null]]);
+  assert.deepEqual(phaseSchedule(params).map(({ duration }) => duration), [5, 3, 2.5]);
+  assert.equal(engine.duration(params), 10.5);
+  assert.deepEqual(engine.controlsFor(params).map(({ key }) => key).slice(0, 2), ['velocity', 'mass']);
+  for (const solver of ['analytic', 'numeric']) {
+    const run = runSimulation('linear', params, { dt: 0.03, solver });
+    close(sampleAt(run, 6.5).bodies[0].vx, 10, 1e-6);
+    close(last(run).bodies[0].x, 25 + 30 + 12.5, 1e-6);
+    close(last(run).bodies[0].vx, 0, 1e-6);
+    const events = detectEvents('linear', params, run);
+    assert.deepEqual(events.filter(({ id }) => id === 'phase').map(({ label }) => label), ['Coast', 'Brake']);
+    close(events.find(({ label }) => label === 'Brake').x, 55, 1e-6);
+  }
+  assert.equal(engine.conservative(params), false);
+});
+
+test('frictionless incline reaches the bottom with v² = v0² + 2·g·sinθ·L', () => {
+  const params = { angle: 30, velocity: 5, friction: 0, gravity: 9.8, length: 10, mass: 1 };
+  const a = inclineAcceleration(params);
+  close(a, 4.9, 1e-9);
+  const expectedTime = (-5 + Math.sqrt(25 + 2 * a * 10)) / a;
+  close(getEngine('incline').duration(params), expectedTime, 1e-6);
+
+  for (const solver of ['analytic', 'numeric']) {
+    const sim = createSimulation('incline', params, { solver });
+    let speed = 0;
+    while (sim.state.time < expectedTime - 1e-3) speed = sim.step(1e-3).bodies[0].v;
+    close(speed, Math.sqrt(25 + 2 * a * 10), 0.01);
+  }
+});
+
+test('friction stops a block on a shallow incline', () => {
+  const params = { angle: 10, velocity: 2, friction: 0.5, gravity: 9.8, length: 10, mass: 1 };
+  const a = inclineAcceleration(params);
+  assert.ok(a < 0);
+  for (const solver of ['analytic', 'numeric']) {
+    const end = last(runSimulation('incline', params, { dt: 0.01, solver })).bodies[0];
+    close(end.s, (2 * 2) / (2 * -a), 1e-9);
+    assert.equal(end.v, 0);
+  }
+});
+
+test('elastic head-on collision matches the 1D textbook result', () => {
+  const params = { massA: 2, massB: 1, velocity: 3, velocityB: 0, restitution: 1, offset: 0 };
+  const { after } = resolveCollision(params);
+  close(after[0].vx, 1, 1e-6);
+  close(after[1].vx, 4, 1e-6);
+
+  const end = last(runSimulation('collision', params, { dt: 0.001, solver: 'numeric' })).bodies;
+  close(end[0].vx, 1, 1e-9);
+  close(end[1].vx, 4, 1e-9);
+});
+
+test('perfectly inelastic collision leaves both bodies at the common velocity', () => {
+  const params = { massA: 2, massB: 1, velocity: 3, velocityB: 0, restitution: 0, offset: 0 };
+  const [a, b] = last(runSimulation('collision', params)).bodies;
+  close(a.vx, 2, 1e-6);
+  close(b.vx, 2, 1e-6);
+});
+
+test('glancing collision conserves momentum in both axes', () => {
+  const params = { massA: 3, massB: 2, velocity: 4, velocityB: -1, restitution: 0.6, offset: 0.4 };
+  const { contactTime, after } = resolveCollision(params);
+  assert.ok(contactTime > 0);
+  close(3 * after[0].vx + 2 * after[1].vx, 3 * 4 + 2 * -1, 1e-9);
+  close(3 * after[0].vy + 2 * after[1].vy, 0, 1e-9);
+  assert.ok(after[1].vy > 0);
+});
+
+test('small-angle pendulum returns to its release point after one period', () => {
+  const params = { length: 2, angle: 3, gravity: 9.8, mass: 1 };
+  const period = pendulumPeriod(params);
+  const end = last(runSimulation('pendulum', params, { dt: 0.001, until: period }));
+  close(end.theta, (3 * Math.PI) / 180, 1e-5);
+  close(end.omega, 0, 1e-3);
+});
+
+test('pendulum integration conserves energy over several swings', () => {
+  const params = { length: 1.5, angle: 60, gravity: 9.8, mass: 1 };
+  const energy = (s) => 0.5 * (s.bodies[0].vx ** 2 + s.bodies[0].vy ** 2) + params.gravity * s.bodies[0].y;
+  const run = runSimulation('pendulum', params, { dt: 0.005 });
+  close(energy(last(run)), energy(run.samples[0]), 1e-6);
+});
+
+test('sampleAt returns the recorded state at or before a time', () => {
+  const run = runSimulation('linear', { velocity: 1, acceleration: 0, time: 1, mass: 1 }, { dt: 0.25 });
+  assert.equal(sampleAt(run, 0).time, 0);
+  assert.equal(sampleAt(run, 0.6).time, 0.5);
+  assert.equal(sampleAt(run, 0.75).time, 0.75);
+  assert.equal(sampleAt(run, -1).time, 0);
+  assert.equal(sampleAt(run, 9), last(run));
+});
+
+test('unknown problem types fall back to the projectile engine', () => {
+  assert.equal(getEngine('orbital').type, 'projectile');
+});
+
+test('a two-car chase moves each car with its own start, speed and acceleration', () => {
+  const chase = {
+    velocity: 0,
+    acceleration: 3,
+    time: 10,
+    mass: 1,
+    position: 0,
+    objects: [{ name: 'Car A' }, { name: 'Car B', velocity: 12, acceleration: 0, mass: 2, position: 0 }]
+  };
+  ['analytic', 'numeric'].forEach((solver) => {
+    const run = runSimulation('linear', chase, { dt: 0.01, solver });
+    const [a, b] = objectStates(chase, sampleAt(run, 8));
+    assert.deepEqual([a.name, b.name, b.mass], ['Car A', 'Car B', 2]);
+    close(a.x, 96, 1e-6);
+    close(b.x, 96, 1e-6);
+    close(a.vx, 24, 1e-6);
+  });
+});
+
+test('grouped projectiles each stop where they land while the others fly on', () => {
+  const pair = { ...launch, objects: [{ name: 'A' }, { name: 'B', velocity: 20, angle: 60, mass: 1, position: 5 }] };
+  const flights = [launch, { ...launch, angle: 60 }].map((own) => projectileMetrics(own).timeOfFlight);
+  ['analytic', 'numeric'].forEach((solver) => {
+    const run = runSimulation('projectile', pair, { dt: 0.01, solver });
+    close(run.duration, Math.max(...flights), 1e-6);
+    const [first, second] = last(run).bodies;
+    close(first.x, projectileMetrics(launch).range, 1e-6);
+    close(first.y, 0, 1e-6);
+    close(second.x, 5 + projectileMetrics({ ...launch, angle: 60 }).range, 1e-6);
+  });
+  const start = runSimulation('projectile', pair).samples[0];
+  assert.equal(start.bodies.length, 2);
+  close(resolveEngine('projectile', pair).energy(start, pair).kinetic, 400, 1e-6);
+});
+
+test('a group works out when each body ends once per set of parameters', () => {
+  const projectile = getEngine('projectile');
+  let searches = 0;
+  const counted = groupEngine({ ...projectile, duration: (...args) => { searches += 1; return projectile.duration(...args); } });
+  const pair = { ...launch, objects: [{ name: 'A' }, { name: 'B', velocity: 20, angle: 60, mass: 1, position: 5 }] };
+  const end = counted.duration(pair);
+  for (let t = 0; t <= end; t += 0.01) counted.exact(pair, t);
+  assert.equal(searches, 2);
+});
+
+test('a numeric run ends where its own steps reach the ground, whichever integrator is used', () => {
+  const params = { velocity: 20, gravity: 9.8, angle: 45, mass: 1 };
+  for (const integrator of ['rk4', 'euler']) {
+    const run = runSimulation('projectile', params, { solver: 'numeric', integrator });
+    const end = last(run).bodies[0];
+    // On the ground to within the bisection of the landing
+    assert.ok(end.y >= -1e-8, `${integrator} ends ${end.y} m below the ground`);
+    close(detectEvents('projectile', params, run).find(({ id }) => id === 'landing').time, run.duration, 1e-6);
+  }
+
+  // Each of several bodies lands where its own steps reach the ground
+  const pair = { ...params, objects: [{ name: 'A' }, { name: 'B', velocity: 10 }] };
+  const pairRun = runSimulation('projectile', pair, { solver: 'numeric', integrator: 'euler', dt: 1 / 60 });
+  last(pairRun).bodies.forEach((body) => close(body.y, 0, 1e-6));
+});
+
+test('quadratic drag shortens and lowers the flight, whichever integrator is used', () => {
+  const dragged = { ...launch, linearDrag: 0, quadraticDrag: 0.02 };
+  const ideal = projectileMetrics(launch);
+  const runs = ['rk4', 'euler'].map((integrator) => runSimulation('projectile', dragged, { dt: 0.001, integrator }));
+  runs.forEach((run) => {
+    assert.equal(run.solver, 'numeric');
+    close(last(run).bodies[0].y, 0, 0.05);
+    assert.ok(last(run).bodies[0].x < ideal.range - 2);
+    assert.ok(peak(run) < ideal.maxHeight);
+  });
+  close(last(runs[0]).bodies[0].x, last(runs[1]).bodies[0].x, 0.05);
+});
+
+test('linear drag on a dropped body approaches terminal velocity mg/b', () => {
+  const fall = { ...launch, velocity: 0, angle: 90, linearDrag: 2, forceY: 0 };
+  const run = runSimulation('projectile', fall, { until: 10 });
+  close(last(run).bodies[0].vy, -(fall.mass * g) / fall.linearDrag, 1e-3);
+});
+
+test('a spring oscillates with period 2π√(m/k)', () => {
+  const spring = { ...getEngine('linear').initialParams({}), mass: 2, position: 0.2, springConstant: 50, time: 10 };
+  const period = 2 * Math.PI * Math.sqrt(2 / 50);
+  const run = runSimulation('linear', spring, { dt: 0.001 });
+  close(sampleAt(run, period).bodies[0].x, 0.2, 1e-4);
+  close(sampleAt(run, period / 2).bodies[0].x, -0.2, 1e-4);
+});
+
+test('static friction holds a pushed crate until the push exceeds μs·N, then kinetic friction acts', () => {
+  const crate = { ...getEngine('linear').initialParams({}), mass: 10, friction: 0.3, staticFriction: 0.4 };
+  const held = last(runSimulation('linear', { ...crate, forceX: 35 })).bodies[0];
+  assert.deepEqual([held.x, held.vx], [0, 0]);
+  const pushed = last(runSimulation('linear', { ...crate, forceX: 50 })).bodies[0];
+  close(pushed.ax, (50 - 0.3 * 10 * 9.8) / 10, 1e-6);
+  close(pushed.x, 0.5 * pushed.ax * 25, 1e-6);
+});
+
+test('friction brings a sliding object to rest without reversing it', () => {
+  const slide = { ...getEngine('linear').initialParams({}), velocity: 6, friction: 0.5 };
+  const run = runSimulation('linear', slide, { dt: 0.001 });
+  const stopTime = 6 / (0.5 * 9.8);
+  close(sampleAt(run, stopTime + 0.1).bodies[0].x, 36 / (2 * 0.5 * 9.8), 0.01);
+  assert.ok(run.samples.every((s) => s.bodies[0].vx >= 0));
+  assert.equal(last(run).bodies[0].vx, 0);
+});
+
+test('static friction above tan θ keeps a block on the incline', () => {
+  const block = { ...getEngine('incline').initialParams({}), angle: 20, friction: 0.3, staticFriction: 0.5 };
+  ['analytic', 'numeric'].forEach((solver) => {
+    assert.equal(last(runSimulation('incline', block, { solver })).bodies[0].s, 0);
+  });
+  assert.ok(last(runSimulation('incline', { ...block, staticFriction: 0.3 })).bodies[0].s > 0);
+});
+
+test('the pendulum swings with the chosen integrator, and collisions offer no choice of one', () => {
+  const swing = { length: 2, angle: 60, gravity: 9.8, mass: 1 };
+  const [rk4, euler] = ['rk4', 'euler'].map((integrator) => last(runSimulation('pendulum', swing, { dt: 0.05, integrator })).theta);
+  assert.ok(Math.abs(rk4 - euler) > 1e-3, `RK4 ${rk4} and Euler ${euler} agree`);
+  assert.equal(solverChoices('pendulum'), SOLVER_CHOICES);
+
+  // Straight flight between contacts comes out the same with either integrator
+  const carts = getEngine('collision').initialParams({});
+  const [stepped, eulerStepped] = ['rk4', 'euler'].map((integrator) => runSimulation('collision', carts, { solver: 'numeric', integrator }));
+  assert.deepEqual(last(stepped).bodies, last(eulerStepped).bodies);
+  assert.deepEqual(solverChoices('collision').map(({ id }) => id), ['auto', 'numeric']);
+  assert.deepEqual(solverOptions('euler', 'collision'), {});
+  assert.deepEqual(solverOptions('numeric', 'collision'), { solver: 'numeric' });
+});
+
@@ -0,0 +1,151 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { exampleProblems, parseProblemOffline } from '../src/ai/index.js';
+import { getEngine, runSimulation, sampleAt } from '../src/physics/index.js';
+import { formatNumber, largeAnglePeriod, solveScenario, withUnit } from '../src/solutions/index.js';
+import { close } from './helpers.js';
+
+const answer = (steps, title) => steps.find((step) => step.title === title);
+
+test('formatNumber keeps four significant figures and proper minus signs', () => {
+  assert.equal(formatNumber(16.383), '16.38');
+  assert.equal(formatNumber(0.004123), '0.004123');
+  assert.equal(formatNumber(-2.5), '−2.5');
+  assert.equal(formatNumber(-0.00001), '−0.00001');
+  assert.equal(formatNumber(-1e-17), '0');
+  assert.equal(withUnit(30, '°'), '30°');
+  assert.equal(withUnit(9.8, 'm/s²'), '9.8 m/s²');
+});
+
+test('projectile answers match the simulated landing', () => {
+  const params = { velocity: 20, angle: 35, gravity: 9.8, mass: 1 };
+  const steps = solveScenario('projectile', params);
+  const flight = answer(steps, 'Time of flight');
+  const landing = sampleAt(runSimulation('projectile', params, { dt: 0.001 }), flight.time).bodies[0];
+  close(answer(steps, 'Range').value, landing.x, 1e-6);
+  assert.equal(answer(steps, 'Maximum height').substitution, 'H = (11.47 m/s)² / (2 × 9.8 m/s²)');
+  assert.equal(answer(steps, 'Maximum height').result, 'H = 6.714 m');
+});
+
+test('launched from a cliff, the flight comes from the quadratic and matches the run', () => {
+  const params = { velocity: 15, angle: 30, gravity: 9.8, mass: 1, height: 20, terrain: [{ kind: 'step', at: 0, height: 20 }] };
+  const steps = solveScenario('projectile', params);
+  const flight = answer(steps, 'Time of flight');
+  assert.equal(flight.equation, 'T = (v₀ᵧ + √(v₀ᵧ² + 2g Δh)) / g');
+  close(flight.value, runSimulation('projectile', params).duration, 1e-9);
+  assert.equal(answer(steps, 'Maximum height').result, 'H = 22.87 m');
+  assert.equal(answer(steps, 'Impact speed').result, 'v = 24.84 m/s');
+
+  const bumpy = { ...params, terrain: [{ kind: 'slope', at: 0, height: 0, angle: 20 }, { kind: 'platform', from: 10, to: 14, height: 6 }] };
+  const found = answer(solveScenario('projectile', bumpy), 'Time of flight');
+  assert.equal(found.equation, null);
+  close(found.time, runSimulation('projectile', bumpy).duration, 1e-9);
+});
+
+test('with drag acting the steps are flagged as the ideal motion', () => {
+  const params = { velocity: 20, angle: 35, gravity: 9.8, mass: 1 };
+  assert.notEqual(solveScenario('projectile', params)[0].title, 'Ideal motion only');
+  const steps = solveScenario('projectile', { ...params, quadraticDrag: 0.01 });
+  assert.equal(steps[0].title, 'Ideal motion only');
+  assert.ok(answer(steps, 'Range'));
+});
+
+test('braking cars report the stop instead of a negative final velocity', () => {
+  const steps = solveScenario('linear', { velocity: 10, acceleration: -2, time: 8, mass: 1 });
+  assert.equal(answer(steps, 'Time to stop (v = 0)').value, 5);
+  assert.equal(answer(steps, 'Stopping distance').value, 25);
+
+  const moving = solveScenario('linear', { velocity: 0, acceleration: 2, time: 5, mass: 1 });
+  assert.equal(answer(moving, 'Final velocity').value, 10);
+  assert.equal(answer(moving, 'Displacement').substitution, 'x = 0 m/s × 5 s + ½ × 2 m/s² × (5 s)²');
+});
+
+test('two objects on a line meet where the run has them side by side', () => {
+  const chase = {
+    position: 0, velocity: 0, acceleration: 3, time: 10, mass: 1,
+    objects: [{ name: 'Car A' }, { name: 'Car B', position: 0, velocity: 12, acceleration: 0, mass: 1 }]
+  };
+  const steps = solveScenario('linear', chase);
+  const meeting = answer(steps, 'Time until Car A meets Car B');
+  assert.equal(meeting.result, 't = 8 s');
+  assert.equal(answer(steps, 'Where Car A meets Car B').value, 96);
+  const [a, b] = sampleAt(runSimulation('linear', chase), meeting.time).bodies;
+  close(a.x, 96, 1e-6);
+  close(b.x, 96, 1e-6);
+
+  // The truck brakes to a stop at 66 m; the car gets there 0.6 s later
+  const braking = { ...chase, velocity: 10, acceleration: 0, time: 20, objects: [{ name: 'Car' }, { name: 'Truck', position: 30, velocity: 12, acceleration: -2, mass: 1 }] };
+  const reached = answer(solveScenario('linear', braking), 'Time until Car reaches it');
+  close(reached.value, 6.6, 1e-9);
+  const [car, truck] = sampleAt(runSimulation('linear', braking), reached.time).bodies;
+  close(car.x, truck.x, 1e-6);
+
+  const apart = solveScenario('linear', { ...braking, velocity: 20, acceleration: -4, objects: [{ name: 'Car' }, { name: 'Truck', position: 30, velocity: 5, acceleration: 0 }] });
+  assert.match(apart.at(-1).substitution, /They never meet: Car comes to rest at 50 m/);
+});
+
+test('a motion in stages is solved phase by phase and matches the run', () => {
+  const params = getEngine('linear').initialParams({
+    parameters: { initialVelocity: { magnitude: 4 }, phases: [{ acceleration: { x: 2 }, duration: 3 }, { acceleration: { x: -5 }, duration: 4 }] }
+  });
+  const steps = solveScenario('linear', params);
+  // 10 m/s after the first phase, braking stops it after 2 s of the 4
+  assert.equal(answer(steps, 'Phase 2 (Brake): time to stop').result, 't_stop = 2 s');
+  const end = runSimulation('linear', params).samples.at(-1).bodies[0];
+  close(answer(steps, 'Total displacement').value, end.x, 1e-6);
+  assert.equal(answer(steps, 'Total displacement').substitution, 'x = 21 m + 10 m');
+  assert.equal(answer(steps, 'Final velocity').result, 'v = 0 m/s');
+});
+
+test('a phase that brakes until the stop lasts as long as the starting speed needs', () => {
+  const engine = getEngine('linear');
+  const params = { ...engine.initialParams(parseProblemOffline(exampleProblems[5])), velocity: 5 };
+  // 15 m/s after speeding up, so braking at 4 m/s² takes 3.75 s
+  assert.equal(engine.duration(params), 11.75);
+  const end = runSimulation('linear', params).samples.at(-1).bodies[0];
+  close(end.vx, 0, 1e-9);
+  const steps = solveScenario('linear', params);
+  assert.equal(answer(steps, 'Phase 3 (Brake): velocity at the end').result, 'v = 0 m/s');
+  assert.equal(answer(steps, 'Final velocity').result, 'v = 0 m/s');
+  close(answer(steps, 'Total displacement').value, end.x, 1e-6);
+});
+
+test('incline time to the bottom agrees with the engine', () => {
+  const params = { angle: 30, velocity: 5, friction: 0.1, gravity: 9.8, length: 10, mass: 1 };
+  const steps = solveScenario('incline', params);
+  close(answer(steps, 'Time to reach the bottom').value, getEngine('incline').duration(params), 1e-12);
+
+  const held = solveScenario('incline', { ...params, velocity: 0, friction: 0.8 });
+  assert.equal(held[held.length - 1].title, 'Stays at rest');
+});
+
+test('collision solution gives post-impact velocities and energy lost', () => {
+  const steps = solveScenario('collision', { massA: 2, massB: 1, velocity: 3, velocityB: 0, restitution: 0, offset: 0 });
+  close(answer(steps, 'Velocity of A after').value, 2, 1e-6);
+  close(answer(steps, 'Velocity of B after').value, 2, 1e-6);
+  close(answer(steps, 'Kinetic energy lost').value, 9 - 6, 1e-6);
+
+  const miss = solveScenario('collision', { massA: 1, massB: 1, velocity: 3, velocityB: 0, restitution: 1, offset: 1.5 });
+  assert.equal(miss[miss.length - 1].title, 'No collision');
+});
+
+test('large-angle period matches the nonlinear simulation', () => {
+  const params = { length: 2, angle: 60, gravity: 9.8, mass: 1 };
+  const period = largeAnglePeriod(params);
+  const state = sampleAt(runSimulation('pendulum', params, { dt: 0.0005 }), period);
+  close(state.theta, (60 * Math.PI) / 180, 1e-3);
+  close(largeAnglePeriod({ ...params, angle: 1e-6 }), 2 * Math.PI * Math.sqrt(2 / 9.8), 1e-9);
+});
+
+test('crossing a river gives the time across and the drift, matching the run', () => {
+  const params = getEngine('projectile').initialParams({
+    parameters: { initialVelocity: { magnitude: 3, angle: 90 }, gravity: 0 },
+    frame: { name: 'River', velocity: { x: 2, y: 0 }, width: 40 }
+  });
+  const steps = solveScenario('projectile', params);
+  close(answer(steps, 'Speed over the ground').value, Math.hypot(2, 3), 1e-9);
+  assert.equal(answer(steps, 'Time to cross').result, 't = 13.33 s');
+  const end = runSimulation('projectile', params).samples.at(-1).bodies[0];
+  close(answer(steps, 'Drift along the flow').value, end.x, 1e-9);
+  close(end.y, 40, 1e-9);
+});
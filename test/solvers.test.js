@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { earliestRoot, firstCrossing, rk4Step, semiImplicitEulerStep } from '../src/physics/solvers.js';
+
+test('rk4Step integrates exponential decay to high accuracy', () => {
+  let y = [1];
+  for (let i = 0; i < 100; i += 1) y = rk4Step(([v]) => [-v], y, 0.01);
+  assert.ok(Math.abs(y[0] - Math.exp(-1)) < 1e-9);
+});
+
+test('semiImplicitEulerStep keeps an oscillator\'s energy bounded', () => {
+  // x'' = −x from x = 1 at rest: energy ½(x² + v²) stays near ½ for many periods
+  let y = [1, 0];
+  let worst = 0;
+  for (let i = 0; i < 20000; i += 1) {
+    y = semiImplicitEulerStep(([x, v]) => [v, -x], y, 0.01);
+    worst = Math.max(worst, Math.abs(0.5 * (y[0] ** 2 + y[1] ** 2) - 0.5));
+  }
+  assert.ok(worst < 0.01, `energy drifted by ${worst}`);
+});
+
+test('earliestRoot returns the smallest non-negative root', () => {
+  assert.equal(earliestRoot(1, -5, 6), 2);
+  assert.equal(earliestRoot(1, 1, -6), 2);
+  assert.equal(earliestRoot(0, 2, -4), 2);
+  assert.equal(earliestRoot(1, 0, 1), null);
+  assert.equal(earliestRoot(1, 5, 6), null);
+});
+
+test('firstCrossing finds where a condition starts to hold', () => {
+  assert.ok(Math.abs(firstCrossing((t) => t * t >= 2, 1, 2) - Math.SQRT2) < 1e-12);
+  // A condition that holds from a jump on is found at the jump
+  assert.ok(Math.abs(firstCrossing((t) => t > 0.3, 0, 1) - 0.3) < 1e-12);
+});
@@ -0,0 +1,110 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { exampleProblems, parseProblemOffline, repairScenario } from '../src/ai/index.js';
+import { getEngine } from '../src/physics/index.js';
+import {
+  SCENARIO_VERSION,
+  ScenarioFileError,
+  createScenarioDocument,
+  createScenarioLibrary,
+  decodeScenarioHash,
+  encodeScenarioHash,
+  readScenarioDocument
+} from '../src/storage/index.js';
+
+const memoryStorage = () => {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value))
+  };
+};
+
+const problemText = exampleProblems[3];
+const { scenario, warnings } = repairScenario(parseProblemOffline(problemText));
+const params = { ...getEngine('collision').initialParams(scenario), massA: 2, massB: 1, velocity: 4.5, velocityB: -1, restitution: 0.4, offset: 0.2 };
+
+test('scenario documents round-trip through JSON', () => {
+  const json = JSON.stringify(createScenarioDocument({ problemText, scenario, warnings, params }));
+  const loaded = readScenarioDocument(json);
+  assert.equal(loaded.problemText, problemText);
+  assert.deepEqual(loaded.scenario, scenario);
+  assert.deepEqual(loaded.params, params);
+  assert.deepEqual(loaded.warnings, warnings);
+});
+
+test('scenario links reproduce the exact simulation, including non-ASCII text', () => {
+  const text = 'A block on a 30° ramp with μ = 0.2';
+  const hash = encodeScenarioHash({ problemText: text, scenario, warnings, params });
+  assert.match(hash, /^#scenario=[A-Za-z0-9_-]+$/);
+  const loaded = decodeScenarioHash(hash);
+  assert.equal(loaded.problemText, text);
+  assert.deepEqual(loaded.params, params);
+  assert.equal(decodeScenarioHash('#section-2'), null);
+  assert.equal(decodeScenarioHash(''), null);
+});
+
+test('readScenarioDocument rejects foreign, newer and broken files', () => {
+  assert.throws(() => readScenarioDocument('not json'), ScenarioFileError);
+  assert.throws(() => readScenarioDocument({ format: 'other' }), /missing "format"/);
+  assert.throws(
+    () => readScenarioDocument({ ...createScenarioDocument({ scenario, params }), version: SCENARIO_VERSION + 1 }),
+    /newer than this app supports/
+  );
+  assert.throws(() => readScenarioDocument(createScenarioDocument({ scenario: { problemType: 'orbital' }, params })), /Invalid scenario/);
+  assert.throws(() => decodeScenarioHash('#scenario=%%%'), ScenarioFileError);
+});
+
+test('unknown or non-numeric slider values fall back to the scenario defaults', () => {
+  const loaded = readScenarioDocument(createScenarioDocument({ scenario, params: { massA: 'heavy', velocity: 6, rocket: 9 } }));
+  assert.equal(loaded.params.massA, 2);
+  assert.equal(loaded.params.velocity, 6);
+  assert.equal('rocket' in loaded.params, false);
+});
+
+test('slider values are held to their ranges and runaway durations are refused', () => {
+  const car = repairScenario(parseProblemOffline(exampleProblems[1])).scenario;
+  const hash = encodeScenarioHash({ scenario: car, params: { time: 1e9, mass: 0, velocity: -50, acceleration: 1e6 } });
+  const loaded = decodeScenarioHash(hash);
+  const controls = Object.fromEntries(getEngine('linear').controls.map((control) => [control.key, control]));
+  assert.equal(loaded.params.time, controls.time.max);
+  assert.equal(loaded.params.mass, controls.mass.min);
+  assert.equal(loaded.params.velocity, controls.velocity.min);
+  assert.equal(loaded.params.acceleration, controls.acceleration.max);
+
+  const runaway = {
+    problemType: 'linear',
+    parameters: { time: 1e9, phases: [{ acceleration: { x: 1e6 }, duration: 2 }, { acceleration: { x: -2 }, duration: 1e9 }] }
+  };
+  const read = readScenarioDocument(createScenarioDocument({ scenario: runaway, params: {} }));
+  assert.equal(read.scenario.parameters.time, undefined);
+  assert.equal(read.scenario.parameters.phases[0].acceleration.x, undefined);
+  assert.equal(read.scenario.parameters.phases[1].duration, undefined);
+  assert.ok(read.warnings.some(({ path }) => path === 'parameters.phases[1].duration'));
+  assert.ok(getEngine('linear').duration(read.params) <= 60);
+});
+
+test('library saves, filters by tag, loads and removes scenarios', () => {
+  let clock = 1000;
+  const library = createScenarioLibrary({ storage: memoryStorage(), now: () => clock++ });
+  const first = library.save({ name: 'Elastic carts', tags: 'Momentum, lab 3', problemText, scenario, warnings, params });
+  library.save({ name: 'Copy', tags: ['momentum'], problemText, scenario, warnings, params });
+
+  assert.deepEqual(first.tags, ['momentum', 'lab 3']);
+  assert.deepEqual(library.list().map(({ name }) => name), ['Copy', 'Elastic carts']);
+  assert.deepEqual(library.list({ tag: 'lab 3' }).map(({ name }) => name), ['Elastic carts']);
+  assert.deepEqual(library.load(first.id).params, params);
+
+  library.save({ name: 'Elastic carts', tags: '', problemText, scenario, warnings, params: { ...params, velocity: 1 } });
+  assert.equal(library.list().length, 2);
+  assert.equal(library.load(first.id), null);
+
+  library.remove(library.list()[0].id);
+  assert.deepEqual(library.list().map(({ name }) => name), ['Copy']);
+});
+
+test('a corrupt library reads as empty', () => {
+  const storage = memoryStorage();
+  storage.setItem('kinevision.library', '{oops');
+  assert.deepEqual(createScenarioLibrary({ storage }).list(), []);
+});
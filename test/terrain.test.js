@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { groundHeight, levelGround, surfaceTerrain, terrainPoints, terrainProfile } from '../src/physics/terrain.js';
+import { close } from './helpers.js';
+
+test('each kind of piece sets the ground where it reaches, and later pieces win', () => {
+  const terrain = [
+    { kind: 'step', at: 0, height: 20 },
+    { kind: 'slope', at: 10, to: 20, height: 0, angle: 45 },
+    { kind: 'platform', from: 15, to: 18, height: 3 }
+  ];
+  assert.equal(groundHeight(terrain, -5), 20);
+  assert.equal(groundHeight(terrain, 0), 0);
+  close(groundHeight(terrain, 12), 2);
+  assert.equal(groundHeight(terrain, 16), 3);
+  close(groundHeight(terrain, 19), 9);
+  assert.equal(groundHeight(terrain, 25), 0);
+  assert.equal(groundHeight(null, 4), 0);
+  assert.equal(groundHeight([...terrain, { kind: 'flat', height: -2 }], 12), -2);
+});
+
+test('level ground is recognised, whatever pieces a flat one covers', () => {
+  assert.equal(levelGround(null), 0);
+  assert.equal(levelGround([{ kind: 'flat', height: 5 }]), 5);
+  assert.equal(levelGround([{ kind: 'step', at: 0, height: 20 }, { kind: 'flat', height: 1 }]), 1);
+  assert.equal(levelGround([{ kind: 'step', at: 0, height: 20 }]), null);
+  assert.equal(levelGround([{ kind: 'platform', from: 3, to: 3, height: 2 }]), 0);
+});
+
+test('the profile keeps both ends of every jump and the camera sees every piece', () => {
+  const profile = terrainProfile([{ kind: 'step', at: 0, height: 20 }, { kind: 'platform', from: 5, to: 8, height: 4 }], -10, 10);
+  assert.deepEqual(profile, [
+    { x: -10, y: 20 }, { x: 0, y: 20 },
+    { x: 0, y: 0 }, { x: 5, y: 0 },
+    { x: 5, y: 4 }, { x: 8, y: 4 },
+    { x: 8, y: 0 }, { x: 10, y: 0 }
+  ]);
+  assert.deepEqual(terrainPoints([{ kind: 'step', at: 2, height: 1 }, { kind: 'platform', from: 5, to: 8, height: 4 }]), [
+    { x: 2, y: 1 }, { x: 5, y: 4 }, { x: 8, y: 4 }
+  ]);
+});
+
+test('ground and ramps from the scene editor become platforms and slopes', () => {
+  const terrain = surfaceTerrain([
+    { kind: 'ground', from: { x: 4, y: 1 }, to: { x: 0, y: 1 } },
+    { kind: 'ramp', from: { x: 6, y: 0 }, to: { x: 9, y: 3 } },
+    { kind: 'wall', from: { x: 12, y: 0 }, to: { x: 12, y: 3 } },
+    { kind: 'pivot', at: { x: 2, y: 5 } }
+  ]);
+  assert.deepEqual(terrain.map(({ kind }) => kind), ['platform', 'slope']);
+  assert.deepEqual(terrain[0], { kind: 'platform', from: 0, to: 4, height: 1 });
+  close(terrain[1].angle, 45);
+  close(groundHeight(terrain, 8), 2);
+});
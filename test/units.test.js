@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeUnit, parseQuantity, toSI } from '../src/ai/units.js';
+import { close } from './helpers.js';
+
+test('normalizeUnit accepts common spellings', () => {
+  assert.equal(normalizeUnit('KM/H', 'velocity'), 'km/h');
+  assert.equal(normalizeUnit('kph', 'velocity'), 'km/h');
+  assert.equal(normalizeUnit('feet/second', 'velocity'), 'ft/s');
+  assert.equal(normalizeUnit('m/s^2', 'acceleration'), 'm/s²');
+  assert.equal(normalizeUnit('m/s2', 'acceleration'), 'm/s²');
+  assert.equal(normalizeUnit('degrees', 'angle'), 'deg');
+  assert.equal(normalizeUnit('°', 'angle'), 'deg');
+  assert.equal(normalizeUnit('furlongs', 'distance'), null);
+  assert.equal(normalizeUnit('kg', 'velocity'), null);
+});
+
+test('toSI converts to metres, seconds, kilograms and degrees', () => {
+  close(toSI(36, 'km/h', 'velocity'), 10);
+  close(toSI(10, 'ft/s', 'velocity'), 3.048);
+  close(toSI(32, 'ft/s²', 'acceleration'), 9.7536);
+  close(toSI(250, 'g', 'mass'), 0.25);
+  close(toSI(2, 'km', 'distance'), 2000);
+  close(toSI(Math.PI / 6, 'rad', 'angle'), 30);
+  assert.throws(() => toSI(1, 'parsecs', 'distance'), /Unknown distance unit/);
+});
+
+test('parseQuantity splits a value from its unit', () => {
+  assert.deepEqual(parseQuantity('36 km/h'), { value: 36, unit: 'km/h' });
+  assert.deepEqual(parseQuantity('-2.5m/s²'), { value: -2.5, unit: 'm/s²' });
+  assert.deepEqual(parseQuantity('12'), { value: 12, unit: null });
+  assert.equal(parseQuantity('fast'), null);
+});